@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// bin/genagentx.js
+// Entry point of the `genagentx` CLI (see cli/main.js). Registers the resolve hooks first, so the
+// app's extensionless imports load under Node, then runs the command.
+
+import { register } from 'node:module';
+
+register('../server/resolveHooks.js', import.meta.url);
+
+const { runCli } = await import('../cli/main.js');
+
+// Ctrl+C stops the run (its partial output is still printed); a second Ctrl+C quits right away
+const controller = new AbortController();
+process.on('SIGINT', () => {
+  if (controller.signal.aborted) process.exit(130);
+  controller.abort();
+});
+
+try {
+  process.exitCode = await runCli(process.argv.slice(2), { signal: controller.signal });
+} catch (error) {
+  process.stderr.write(`genagentx: ${error.message}\n`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,313 @@
+// cli/main.js
+// The `genagentx` command: runs an exported agent or workflow file (the `exportAgent` / `exportWorkflow`
+// JSON) once from a shell or CI job, through the same executeAgent / workflow engine code as the app.
+// The result goes to stdout or --output; progress and errors go to stderr. Exit codes: 0 when the run
+// succeeded, 1 when it failed, was stopped or was cancelled, 2 for bad arguments or files.
+
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { format, parseArgs } from 'node:util';
+import { validateImportData } from '../src/services/exportImportService.js';
+import { createWorkflowRun } from '../src/services/workflowEngine.js';
+import { createAgentBudgetGuard, isBudgetError } from '../src/services/budgetService.js';
+import { isAbortError } from '../src/services/cancellation.js';
+import { createUsageRecorder, formatCost, formatTokens } from '../src/services/usageService.js';
+import { isMultimodalFileSupported } from '../src/services/fileUploadService.js';
+import { readWorkflowExport } from '../server/workflowLibrary.js';
+import { DAILY_SPEND_NOTE, prepareWorkflowInput, runAgentInNode, withoutDailySpend } from '../server/nodeRuntime.js';
+
+export const USAGE = `Usage: genagentx <exported-agent-or-workflow.json> [options]
+
+Options:
+  -i, --input <text>        Input text ("-" reads it from stdin; piped stdin is used when no input is given)
+      --input-file <path>   Read the input text from a file
+  -p, --param <key=value>   Agent: custom parameter. Workflow: typed input ("@path" reads a file). Repeatable
+  -a, --attach <path>       Attach an image, PDF, audio, video or text file to an agent run. Repeatable
+      --agent <name|id>     Agent to run when the file holds several agents
+  -f, --format <format>     markdown (the output, as the app downloads it) or json (the whole run). Default: markdown
+  -o, --output <path>       Write the result to a file instead of stdout
+  -q, --quiet               No progress messages
+  -h, --help                Show this help
+
+Provider keys come from the environment, as in .env for the app (e.g. VITE_GEMINI_API_KEY).`;
+
+const FORMATS = ['markdown', 'json'];
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp',
+  '.heic': 'image/heic', '.heif': 'image/heif',
+  '.wav': 'audio/wav', '.mp3': 'audio/mpeg', '.aiff': 'audio/aiff', '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg', '.flac': 'audio/flac',
+  '.mp4': 'video/mp4', '.mpeg': 'video/mpeg', '.mov': 'video/mov', '.avi': 'video/avi',
+  '.flv': 'video/x-flv', '.mpg': 'video/mpg', '.webm': 'video/webm', '.wmv': 'video/wmv', '.3gp': 'video/3gpp',
+  '.pdf': 'application/pdf', '.txt': 'text/plain', '.html': 'text/html', '.htm': 'text/html',
+  '.css': 'text/css', '.js': 'text/javascript', '.ts': 'text/x-typescript', '.csv': 'text/csv',
+  '.md': 'text/markdown', '.py': 'text/x-python', '.json': 'application/json', '.xml': 'text/xml',
+  '.rtf': 'application/rtf'
+};
+
+// Problems with the command line or its files (exit code 2)
+const createUsageError = (message) => {
+  const error = new Error(message);
+  error.name = 'UsageError';
+  return error;
+};
+
+const readTextFile = async (filePath) => {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw createUsageError(`Cannot read ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+};
+
+const readStdin = async (stdin) => {
+  let text = '';
+  stdin.setEncoding('utf8');
+  for await (const chunk of stdin) text += chunk;
+  return text;
+};
+
+const parseKeyValues = (entries = []) => Object.fromEntries(entries.map(entry => {
+  const separator = entry.indexOf('=');
+  if (separator <= 0) throw createUsageError(`Expected key=value, got "${entry}"`);
+  return [entry.slice(0, separator).trim(), entry.slice(separator + 1)];
+}));
+
+// Same shape as fileUploadService.uploadFile, read from disk instead of a browser File
+const readAttachment = async (filePath) => {
+  const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (!mimeType || !isMultimodalFileSupported({ type: mimeType })) {
+    throw createUsageError(`Unsupported attachment type: ${filePath}`);
+  }
+  const { size } = await stat(filePath).catch(() => {
+    throw createUsageError(`Cannot read ${filePath}: file not found`);
+  });
+  if (size > MAX_ATTACHMENT_BYTES) {
+    throw createUsageError(`${filePath} is too large (${(size / 1024 / 1024).toFixed(2)}MB, at most 20MB)`);
+  }
+  const fileName = path.basename(filePath);
+  return {
+    name: `inline_${Date.now()}_${fileName}`,
+    displayName: fileName,
+    mimeType,
+    inlineData: (await readFile(filePath)).toString('base64'),
+    sizeBytes: size,
+    createTime: new Date().toISOString(),
+    isInline: true
+  };
+};
+
+const loadExport = async (filePath, agentName) => {
+  let data;
+  try {
+    data = JSON.parse(await readTextFile(filePath));
+  } catch (error) {
+    throw error.name === 'UsageError' ? error : createUsageError(`${filePath} is not valid JSON`);
+  }
+
+  if (data?.type === 'workflow') {
+    try {
+      return { type: 'workflow', ...readWorkflowExport(data, path.basename(filePath, '.json')) };
+    } catch (error) {
+      throw createUsageError(`${filePath}: ${error.message}`);
+    }
+  }
+
+  const validation = validateImportData(data);
+  if (!validation.valid) throw createUsageError(`${filePath}: ${validation.error}`);
+
+  const { agents } = validation;
+  const agent = agentName
+    ? agents.find(candidate => candidate.name === agentName || String(candidate.id) === agentName)
+    : agents.length === 1 ? agents[0] : null;
+  if (!agent) {
+    const names = agents.map(candidate => `"${candidate.name}"`).join(', ');
+    throw createUsageError(agentName
+      ? `No agent "${agentName}" in ${filePath} (agents: ${names})`
+      : `${filePath} holds several agents; pick one with --agent (agents: ${names})`);
+  }
+  return {
+    type: 'agent',
+    agent: withoutDailySpend(agent),
+    notes: agent.budget?.maxDailySpend ? [DAILY_SPEND_NOTE] : []
+  };
+};
+
+const runAgentFile = async ({ agent }, { input, params, files, signal, log }) => {
+  const customParams = {
+    ...Object.fromEntries((agent.customParameters || []).map(param => [param.key, param.value])),
+    ...params
+  };
+  const usageRecorder = createUsageRecorder();
+  let retries = 0;
+  const run = {
+    type: 'agent',
+    agentName: agent.name,
+    model: agent.model,
+    runAt: new Date().toISOString(),
+    input,
+    params: customParams,
+    ...(files.length > 0 ? { attachments: files.map(file => file.displayName) } : {})
+  };
+
+  log(`▶ ${agent.name} (${agent.model})`);
+  try {
+    const output = await runAgentInNode(agent, input, customParams, files, {
+      onRetry: (info) => {
+        retries++;
+        log(`↻ Retry ${info.attempt}/${info.maxAttempts}: ${info.message}`);
+      },
+      onUsage: usageRecorder.onUsage,
+      signal,
+      budgets: [await createAgentBudgetGuard(agent)]
+    });
+    return { ...run, status: 'success', output, retries, usage: usageRecorder.summary };
+  } catch (error) {
+    const status = isAbortError(error) ? 'cancelled' : isBudgetError(error) ? 'budget_exceeded' : 'error';
+    return {
+      ...run,
+      status,
+      output: error.partialOutput || '',
+      error: error.message,
+      retries,
+      usage: usageRecorder.summary
+    };
+  }
+};
+
+const runWorkflowFile = async ({ workflow, agents }, { input, params, files, signal, log }) => {
+  if (files.length > 0) {
+    throw createUsageError('Attachments only work with agents; pass files to workflow file inputs with -p key=@path');
+  }
+  const prepared = prepareWorkflowInput(workflow, { input, values: params });
+  if (prepared.errors) {
+    const problems = Object.entries(prepared.errors).map(([key, message]) => `${key}: ${message}`).join('; ');
+    throw createUsageError(`Invalid workflow input (${problems})`);
+  }
+
+  const engineRun = createWorkflowRun(workflow, { agents, onRunAgent: runAgentInNode });
+  engineRun.on('step:started', ({ step, label }) => log(`▶ Step ${step}: ${label}`));
+  engineRun.on('step:retry', ({ retry }) => log(`↻ Retry ${retry.attempt}/${retry.maxAttempts}: ${retry.message}`));
+  engineRun.on('step:finished', ({ result }) => log(`${result.status === 'skipped' ? '⤼' : '✓'} Step ${result.step}: ${result.agentName}`));
+  engineRun.on('step:error', ({ result, error }) => log(`✗ Step ${result.step}: ${result.agentName}: ${error.message}`));
+
+  const runAt = new Date().toISOString();
+  log(`▶ ${workflow.name}`);
+  const summary = await engineRun.start(prepared.input, { signal, inputs: prepared.inputTexts });
+  return {
+    type: 'workflow',
+    workflowName: workflow.name,
+    runAt,
+    input: prepared.input,
+    ...(prepared.inputValues ? { inputValues: prepared.inputValues } : {}),
+    status: summary.status,
+    output: summary.output || '',
+    ...(summary.error ? { error: summary.error } : {}),
+    stepResults: summary.results,
+    retries: summary.retries,
+    usage: summary.usage
+  };
+};
+
+const parseOptions = (argv) => {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        input: { type: 'string', short: 'i' },
+        'input-file': { type: 'string' },
+        param: { type: 'string', short: 'p', multiple: true },
+        attach: { type: 'string', short: 'a', multiple: true },
+        agent: { type: 'string' },
+        format: { type: 'string', short: 'f', default: 'markdown' },
+        output: { type: 'string', short: 'o' },
+        quiet: { type: 'boolean', short: 'q' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw createUsageError(error.message);
+  }
+};
+
+/**
+ * Run the CLI with `argv` (without node and the script). Resolves with the exit code.
+ * `io` is { stdin, stdout, stderr, signal } (the process streams by default).
+ */
+export const runCli = async (argv, io = {}) => {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, signal } = io;
+  let quiet = false;
+  const log = (message) => {
+    if (!quiet) stderr.write(`${message}\n`);
+  };
+
+  try {
+    const { values: options, positionals } = parseOptions(argv);
+    quiet = Boolean(options.quiet);
+    // The app's services log progress with console.log; keep stdout for the result
+    console.log = (...args) => log(format(...args));
+    console.info = console.log;
+    if (quiet) console.error = () => {};
+
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    if (positionals.length !== 1) throw createUsageError('Pass exactly one exported agent or workflow file');
+    if (!FORMATS.includes(options.format)) throw createUsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+    if (options.input !== undefined && options['input-file']) throw createUsageError('Use either --input or --input-file');
+
+    const loaded = await loadExport(positionals[0], options.agent);
+    loaded.notes.forEach(note => log(`ℹ️ ${note}`));
+
+    // Workflows with typed inputs take them from --param; everything else needs input text
+    const needsInput = loaded.type === 'agent' || !(loaded.workflow.inputs?.length > 0);
+    let input = options.input ?? '';
+    if (options['input-file']) input = await readTextFile(options['input-file']);
+    else if (needsInput && (input === '-' || (options.input === undefined && !stdin.isTTY))) input = await readStdin(stdin);
+    if (needsInput && !input.trim()) {
+      throw createUsageError('No input: pass --input, --input-file or pipe it on stdin');
+    }
+
+    // Workflow file inputs can be read from disk with key=@path
+    const params = parseKeyValues(options.param);
+    if (loaded.type === 'workflow') {
+      for (const { key, type } of loaded.workflow.inputs || []) {
+        const value = params[key];
+        if (typeof value !== 'string' || !value.startsWith('@')) continue;
+        const filePath = value.slice(1);
+        params[key] = type === 'file'
+          ? { fileName: path.basename(filePath), text: await readTextFile(filePath) }
+          : await readTextFile(filePath);
+      }
+    }
+    const files = await Promise.all((options.attach || []).map(readAttachment));
+
+    const runOptions = { input, params, files, signal, log };
+    const run = loaded.type === 'workflow'
+      ? await runWorkflowFile(loaded, runOptions)
+      : await runAgentFile(loaded, runOptions);
+
+    const result = options.format === 'json'
+      ? `${JSON.stringify(run, null, 2)}\n`
+      : run.output ? `${run.output}\n` : '';
+    if (options.output) {
+      await writeFile(options.output, result);
+      log(`Saved to ${options.output}`);
+    } else {
+      stdout.write(result);
+    }
+
+    const usage = run.usage?.totalTokens ? ` · ${formatTokens(run.usage.totalTokens)} tokens · ${formatCost(run.usage.cost)}` : '';
+    log(`${run.status === 'success' ? '✓' : '✗'} ${run.status}${usage}`);
+    if (run.error) stderr.write(`Error: ${run.error}\n`);
+    return run.status === 'success' ? 0 : 1;
+  } catch (error) {
+    if (error.name !== 'UsageError') throw error;
+    stderr.write(`genagentx: ${error.message}\nRun "genagentx --help" for the options.\n`);
+    return 2;
+  }
+};
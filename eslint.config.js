@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Companion server and CLI (Node)
+    files: ['server/**/*.js', 'cli/**/*.js', 'bin/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,171 @@
+// server/companionServer.js
+// HTTP API of the companion server. Runs go through the browser's workflow engine
+// (src/services/workflowEngine.js) and are kept in memory (the most recent MAX_KEPT_RUNS):
+//   GET  /workflows               the loaded workflows and their typed inputs
+//   POST /workflows/:id/run       body { input?, inputs? }; 202 with the run, or 200 once it has
+//                                 finished when called with ?wait=true
+//   GET  /runs/:id                a run: status, output, error and step results so far
+// When a token is set, every request needs an `Authorization: Bearer <token>` header.
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { createWorkflowRun } from '../src/services/workflowEngine.js';
+import { describeWorkflow } from './workflowLibrary.js';
+import { prepareWorkflowInput } from './nodeRuntime.js';
+
+export const MAX_KEPT_RUNS = 200;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const readJsonBody = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(createHttpError(413, 'Request body is too large'));
+      request.destroy();
+    }
+  });
+  request.on('end', () => {
+    if (!body.trim()) return resolve({});
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return reject(createHttpError(400, 'Request body is not valid JSON'));
+    }
+    // null, arrays and plain values are valid JSON but carry no fields
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return reject(createHttpError(400, 'Request body must be a JSON object, e.g. { "input": "..." }'));
+    }
+    resolve(parsed);
+  });
+  request.on('error', reject);
+});
+
+// Decoded path segments; a malformed escape (%E0%A4%A) is the client's mistake, not a server error
+const splitPath = (pathname) => {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw createHttpError(400, 'Malformed URL path');
+  }
+};
+
+const sendJson = (response, status, data) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data, null, 2));
+};
+
+/**
+ * Create the companion HTTP server (not listening yet).
+ * `workflows` is the library from loadWorkflowLibrary(); `onRunAgent` calls a model (see executeAgent).
+ */
+export const createCompanionServer = ({ workflows, onRunAgent, token = null }) => {
+  const runs = new Map();
+
+  const keepRun = (run) => {
+    runs.set(run.id, run);
+    // Forget the oldest finished runs
+    for (const [id, kept] of runs) {
+      if (runs.size <= MAX_KEPT_RUNS) break;
+      if (kept.status !== 'running') runs.delete(id);
+    }
+  };
+
+  const startRun = (entry, body) => {
+    const { workflow, agents } = entry;
+    const { input, inputValues, inputTexts, errors } = prepareWorkflowInput(workflow, {
+      input: typeof body.input === 'string' ? body.input : '',
+      values: body.inputs || {}
+    });
+    if (errors) throw createHttpError(400, 'Invalid workflow input', errors);
+
+    const engineRun = createWorkflowRun(workflow, { agents, onRunAgent });
+    const run = {
+      id: randomUUID(),
+      workflowId: entry.id,
+      workflowName: workflow.name,
+      status: 'running',
+      input,
+      ...(inputValues ? { inputValues } : {}),
+      output: null,
+      stepResults: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    keepRun(run);
+
+    const updateSteps = () => {
+      run.stepResults = engineRun.getState().results;
+    };
+    engineRun.on('step:finished', updateSteps);
+    engineRun.on('step:error', updateSteps);
+
+    const finished = engineRun.start(input, { inputs: inputTexts }).then(summary => {
+      Object.assign(run, {
+        status: summary.status,
+        output: summary.output,
+        ...(summary.error ? { error: summary.error } : {}),
+        stepResults: summary.results,
+        usage: summary.usage,
+        retries: summary.retries,
+        finishedAt: new Date().toISOString()
+      });
+      return run;
+    });
+    return { run, finished };
+  };
+
+  const handle = async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const parts = splitPath(url.pathname);
+
+    if (token && request.headers.authorization !== `Bearer ${token}`) {
+      throw createHttpError(401, 'Missing or wrong bearer token');
+    }
+
+    if (request.method === 'GET' && url.pathname === '/workflows') {
+      return sendJson(response, 200, { workflows: [...workflows.values()].map(describeWorkflow) });
+    }
+
+    if (parts[0] === 'workflows' && parts[2] === 'run' && parts.length === 3) {
+      if (request.method !== 'POST') throw createHttpError(405, 'Use POST to run a workflow');
+      const entry = workflows.get(parts[1]);
+      if (!entry) throw createHttpError(404, `No workflow "${parts[1]}"`);
+
+      const { run, finished } = startRun(entry, await readJsonBody(request));
+      if (url.searchParams.get('wait') === 'true') {
+        return sendJson(response, 200, await finished);
+      }
+      return sendJson(response, 202, run);
+    }
+
+    if (request.method === 'GET' && parts[0] === 'runs' && parts.length === 2) {
+      const run = runs.get(parts[1]);
+      if (!run) throw createHttpError(404, `No run "${parts[1]}"`);
+      return sendJson(response, 200, run);
+    }
+
+    throw createHttpError(404, `No route for ${request.method} ${url.pathname}`);
+  };
+
+  const server = http.createServer((request, response) => {
+    handle(request, response).catch(error => {
+      if (!error.status) console.error('Request failed:', error);
+      sendJson(response, error.status || 500, {
+        error: error.status ? error.message : 'Internal server error',
+        ...(error.details ? { details: error.details } : {})
+      });
+    });
+  });
+
+  return { server, runs };
+};
@@ -0,0 +1,32 @@
+// server/index.js
+// Companion server: runs exported workflows over HTTP so webhooks and other tools can trigger them.
+// Start it with `npm run server [workflows-folder]`. Settings come from the environment:
+//   PORT (8787), HOST (127.0.0.1), WORKFLOWS_DIR (server/workflows), COMPANION_TOKEN (no auth when unset),
+//   VITE_GEMINI_API_KEY / VITE_GEMINI_BASE_URL and the other provider keys the browser app reads from .env
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadWorkflowLibrary } from './workflowLibrary.js';
+import { createCompanionServer } from './companionServer.js';
+import { runAgentInNode } from './nodeRuntime.js';
+
+const port = Number(process.env.PORT) || 8787;
+const host = process.env.HOST || '127.0.0.1';
+const folder = path.resolve(
+  process.argv[2] || process.env.WORKFLOWS_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'workflows')
+);
+
+const { workflows, problems, notes } = await loadWorkflowLibrary(folder);
+problems.forEach(({ file, error }) => console.warn(`⚠️ Skipped ${file}: ${error}`));
+notes.forEach(({ file, note }) => console.warn(`ℹ️ ${file}: ${note}`));
+
+const { server } = createCompanionServer({
+  workflows,
+  onRunAgent: runAgentInNode,
+  token: process.env.COMPANION_TOKEN || null
+});
+
+server.listen(port, host, () => {
+  console.log(`🔌 Companion server on http://${host}:${port} with ${workflows.size} workflow(s) from ${folder}`);
+  workflows.forEach(({ id, workflow }) => console.log(`   POST /workflows/${id}/run  (${workflow.name})`));
+});
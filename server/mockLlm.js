@@ -0,0 +1,77 @@
+// server/mockLlm.js
+// Stand-in for the Gemini API, for trying the companion server without an API key or spending tokens.
+// Every reply echoes the end of the last user message (the step's input). Start it with
+// `npm run server:mock-llm` and point the companion server at it:
+//   VITE_GEMINI_BASE_URL=http://127.0.0.1:8788/v1beta VITE_GEMINI_API_KEY=test npm run server
+
+import http from 'node:http';
+
+const port = Number(process.env.MOCK_LLM_PORT) || 8788;
+const host = process.env.HOST || '127.0.0.1';
+const ECHO_LENGTH = 200;
+
+const getLastUserText = (body) => {
+  const lastUser = [...(body.contents || [])].reverse().find(content => content.role === 'user');
+  return (lastUser?.parts || []).map(part => part.text || '').join('').trim();
+};
+
+const createReply = (model, body) => {
+  const prompt = getLastUserText(body);
+  const text = `[mock ${model}] ${prompt.length > ECHO_LENGTH ? '…' : ''}${prompt.slice(-ECHO_LENGTH)}`;
+  // Roughly four characters per token, like the app's own estimates
+  const promptTokenCount = Math.ceil(JSON.stringify(body.contents || []).length / 4);
+  const candidatesTokenCount = Math.ceil(text.length / 4);
+  return {
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount }
+  };
+};
+
+const server = http.createServer((request, response) => {
+  const match = new URL(request.url, 'http://localhost').pathname.match(/\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+  if (request.method !== 'POST' || !match) {
+    response.writeHead(404, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: { code: 404, message: 'Only generateContent and streamGenerateContent are mocked' } }));
+    return;
+  }
+
+  let raw = '';
+  request.setEncoding('utf8');
+  request.on('data', chunk => { raw += chunk; });
+  request.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch {
+      response.writeHead(400, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ error: { code: 400, message: 'Invalid JSON payload' } }));
+      return;
+    }
+
+    const [, model, method] = match;
+    const reply = createReply(model, body);
+
+    if (method === 'generateContent') {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(reply));
+      return;
+    }
+
+    // Stream the reply word by word as server-sent events; usage comes with the last chunk
+    const words = reply.candidates[0].content.parts[0].text.split(/(?<= )/);
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    words.forEach((word, index) => {
+      const isLast = index === words.length - 1;
+      const chunk = {
+        candidates: [{ content: { role: 'model', parts: [{ text: word }] }, ...(isLast ? { finishReason: 'STOP' } : {}) }],
+        ...(isLast ? { usageMetadata: reply.usageMetadata } : {})
+      };
+      response.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    });
+    response.end();
+  });
+});
+
+server.listen(port, host, () => {
+  console.log(`🧪 Mock Gemini API on http://${host}:${port}/v1beta`);
+});
@@ -0,0 +1,57 @@
+// server/nodeRuntime.js
+// Running the app's agents and workflows under Node, shared by the companion server and the CLI.
+// Tools and knowledge bases live in the browser's IndexedDB and daily spend is counted from the
+// browser's execution history, so none of them are available here.
+
+import { executeAgent } from '../src/services/llmService.js';
+import { formatInputValues, getDefaultInputValues, getInputTexts, validateInputValues } from '../src/services/workflowInputs.js';
+
+export const DAILY_SPEND_NOTE = 'Daily spend limits are ignored outside the browser app';
+
+/**
+ * Drop the daily spend limit of an agent or workflow (token and tool-iteration limits still apply)
+ */
+export const withoutDailySpend = (item) => (item.budget?.maxDailySpend
+  ? { ...item, budget: { ...item.budget, maxDailySpend: '' } }
+  : item);
+
+/**
+ * executeAgent for Node: agents that need tools or a knowledge base fail with a clear error
+ */
+export const runAgentInNode = (agent, input, customParams, files, options) => {
+  if (agent.tools?.length > 0) {
+    throw new Error(`Agent "${agent.name}" uses tools, which only run in the browser app`);
+  }
+  if (agent.ragEnabled) {
+    throw new Error(`Agent "${agent.name}" uses a knowledge base, which only exists in the browser app`);
+  }
+  return executeAgent(agent, input, customParams, files, options);
+};
+
+/**
+ * The input a workflow run starts with. Workflows with typed inputs take `values` by key (defaults fill
+ * the gaps; files are { fileName, text } or plain text), others take `input`.
+ * Returns { input, inputValues, inputTexts } or { errors } by input key.
+ */
+export const prepareWorkflowInput = (workflow, { input = '', values = {} } = {}) => {
+  const declaredInputs = workflow.inputs || [];
+  if (declaredInputs.length === 0) {
+    return String(input).trim() ? { input, inputTexts: {} } : { errors: { input: 'Required' } };
+  }
+
+  const inputValues = { ...getDefaultInputValues(declaredInputs) };
+  declaredInputs.forEach(({ key, type }) => {
+    const value = values[key];
+    if (value === undefined) return;
+    inputValues[key] = type === 'file' && typeof value === 'string' ? { fileName: key, text: value } : value;
+  });
+
+  const errors = validateInputValues(declaredInputs, inputValues);
+  if (Object.keys(errors).length > 0) return { errors };
+
+  return {
+    input: formatInputValues(declaredInputs, inputValues),
+    inputValues,
+    inputTexts: getInputTexts(declaredInputs, inputValues)
+  };
+};
@@ -0,0 +1,5 @@
+// server/register.js
+// Preloaded with `node --import ./server/register.js` (see the `server` npm script)
+import { register } from 'node:module';
+
+register('./resolveHooks.js', import.meta.url);
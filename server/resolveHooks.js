@@ -0,0 +1,26 @@
+// server/resolveHooks.js
+// Module resolution hooks that let Node load the app's source files unchanged. The SPA imports its
+// modules without file extensions and imports folders by name (Vite resolves both), so a relative
+// specifier Node cannot load is retried with ".js" and "/index.js".
+
+const SUFFIXES = ['.js', '/index.js'];
+const RETRY_CODES = ['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'];
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../');
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (!isRelative(specifier) || !RETRY_CODES.includes(error.code)) throw error;
+
+    for (const suffix of SUFFIXES) {
+      try {
+        return await nextResolve(specifier.replace(/\/$/, '') + suffix, context);
+      } catch {
+        // Try the next suffix
+      }
+    }
+    throw error;
+  }
+}
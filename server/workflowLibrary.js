@@ -0,0 +1,66 @@
+// server/workflowLibrary.js
+// Workflows the companion server can run: every exported workflow file (the `exportWorkflow` JSON
+// format, with the workflow, its agents and their tools) in one folder. A workflow's id is its file
+// name without `.json`, e.g. `news-digest-workflow.json` is run with POST /workflows/news-digest-workflow/run.
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { validateWorkflowImportData } from '../src/services/exportImportService.js';
+import { getWorkflowGraph, validateWorkflowGraph } from '../src/services/workflowGraph.js';
+import { DAILY_SPEND_NOTE, withoutDailySpend } from './nodeRuntime.js';
+
+/**
+ * Check an exported workflow (parsed JSON) and get it ready to run: { workflow, agents, notes }.
+ * Throws when the data is not a valid workflow export.
+ */
+export const readWorkflowExport = (data, id) => {
+  const validation = validateWorkflowImportData(data);
+  if (!validation.valid) throw new Error(validation.error);
+
+  const workflow = { ...validation.workflow, id };
+  const graphError = validateWorkflowGraph(getWorkflowGraph(workflow));
+  if (graphError) throw new Error(graphError);
+
+  const hasDailySpend = [workflow, ...validation.agents].some(item => item.budget?.maxDailySpend);
+  return {
+    workflow: withoutDailySpend(workflow),
+    agents: validation.agents.map(withoutDailySpend),
+    notes: hasDailySpend ? [DAILY_SPEND_NOTE] : []
+  };
+};
+
+/**
+ * Read the exported workflows in `folder`. Resolves with { workflows: Map(id → { id, file, workflow, agents }),
+ * problems: [{ file, error }], notes: [{ file, note }] } - files that are not valid workflow exports are
+ * reported, not loaded.
+ */
+export const loadWorkflowLibrary = async (folder) => {
+  const workflows = new Map();
+  const problems = [];
+  const notes = [];
+  const files = (await readdir(folder)).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    try {
+      const id = path.basename(file, '.json');
+      const loaded = readWorkflowExport(JSON.parse(await readFile(path.join(folder, file), 'utf8')), id);
+      loaded.notes.forEach(note => notes.push({ file, note }));
+      workflows.set(id, { id, file, workflow: loaded.workflow, agents: loaded.agents });
+    } catch (error) {
+      problems.push({ file, error: error instanceof SyntaxError ? 'Not valid JSON' : error.message });
+    }
+  }
+
+  return { workflows, problems, notes };
+};
+
+/**
+ * Public description of a loaded workflow (GET /workflows)
+ */
+export const describeWorkflow = ({ id, workflow }) => ({
+  id,
+  name: workflow.name,
+  description: workflow.description || '',
+  steps: workflow.agents.length,
+  inputs: (workflow.inputs || []).map(({ key, type, required }) => ({ key, type, required: Boolean(required) }))
+});
@@ -19,6 +19,7 @@ import {
   deleteTool,
 } from './services/indexedDB';
 import { executeAgent } from './services/llmService';
+import { startScheduler } from './services/scheduler';
 import { exportAgents } from './services/exportImportService';
 import { DEFAULT_AGENTS } from './constants/defaultAgents';
 import { DEFAULT_TOOLS } from './constants/defaultTools';
@@ -79,6 +80,12 @@ function App() {
     checkUserConfig();
   }, []);
 
+  // Run scheduled agents and workflows while the app is open
+  useEffect(() => {
+    if (!userConfig || isLoading) return;
+    return startScheduler({ onRunAgent: executeAgent });
+  }, [userConfig, isLoading]);
+
   // Apply theme
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
@@ -163,6 +170,18 @@ function App() {
     } else {
       console.log('ℹ️ All default tools already present');
     }
+
+    // Built-in tools run the app's own code, so their stored definitions follow it when it changes
+    const outdatedDefaults = existingTools
+      .map((tool) => [tool, tool.isBuiltIn && DEFAULT_TOOLS.find((d) => d.name === tool.name)])
+      .filter(([tool, latest]) => latest && JSON.stringify(tool.parameters) !== JSON.stringify(latest.parameters));
+
+    for (const [tool, latest] of outdatedDefaults) {
+      await saveTool({ ...tool, description: latest.description, parameters: latest.parameters, returnType: latest.returnType });
+    }
+    if (outdatedDefaults.length > 0) {
+      console.log(`🔄 Updated ${outdatedDefaults.length} built-in tool definition(s)`);
+    }
   };
 
   const pruneDuplicateDefaultTools = async () => {
@@ -307,16 +326,16 @@ function App() {
     }
   };
 
-  const handleChatBotMessage = async (message) => {
+  const handleChatBotMessage = async (message, options = {}) => {
     const helperAgent = agents.find(agent => agent.isDefault);
     if (!helperAgent) {
       throw new Error('Helper agent not available. Please refresh the page.');
     }
-    return await executeAgent(helperAgent, message, {}, []);
+    return await executeAgent(helperAgent, message, {}, [], options);
   };
 
-  const handleRunAgent = async (agent, input, customParams, uploadedFiles = []) => {
-    return await executeAgent(agent, input, customParams, uploadedFiles);
+  const handleRunAgent = async (agent, input, customParams, uploadedFiles = [], options = {}) => {
+    return await executeAgent(agent, input, customParams, uploadedFiles, options);
   };
 
   const handleImportAgents = async (importedAgents) => {
@@ -0,0 +1,375 @@
+// src/components/AgentConversation.jsx
+import React, { useEffect, useRef, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
+import remarkGfm from "remark-gfm";
+import CopyButton from "./CopyButton";
+import {
+  saveExecutionLog,
+  saveSession,
+  getSessionsByAgent,
+  deleteSession,
+} from "../services/indexedDB";
+import { isAbortError } from "../services/cancellation";
+import { createAgentBudgetGuard, isBudgetError } from "../services/budgetService";
+import { createUsageRecorder, formatCost, formatTokens } from "../services/usageService";
+import "./AgentConversation.css";
+
+// Markdown elements with the shared md-* classes; react-markdown's AST `node` prop stays off the DOM
+const mdElement = (Tag, className) => (props) => {
+  const { node: _node, ...rest } = props;
+  return <Tag className={className} {...rest} />;
+};
+
+const markdownComponents = {
+  p: mdElement("p", "md-p"),
+  ul: mdElement("ul", "md-ul"),
+  ol: mdElement("ol", "md-ol"),
+  li: mdElement("li", "md-li"),
+  table: mdElement("table", "md-table"),
+  th: mdElement("th", "md-th"),
+  td: mdElement("td", "md-td"),
+  code: (props) => {
+    const { node: _node, inline, className, children, ...rest } = props;
+    const match = /language-(\w+)/.exec(className || "");
+    return !inline && match ? (
+      <SyntaxHighlighter
+        style={vscDarkPlus}
+        language={match[1]}
+        PreTag="div"
+        customStyle={{ margin: "8px 0", borderRadius: "8px", fontSize: "13px" }}
+        {...rest}
+      >
+        {String(children).replace(/\n$/, "")}
+      </SyntaxHighlighter>
+    ) : (
+      <code className="md-code-inline" {...rest}>{children}</code>
+    );
+  },
+  a: (props) => {
+    const { node: _node, ...rest } = props;
+    return <a className="md-link" target="_blank" rel="noopener noreferrer" {...rest} />;
+  },
+};
+
+// Default session name: the start of the first question
+const sessionNameFrom = (text) => {
+  const firstLine = text.trim().split("\n")[0];
+  return firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine;
+};
+
+/**
+ * Chat with an agent: every turn is sent with the earlier ones (`options.history`),
+ * using the same model, parameters, RAG and tool configuration as a single run.
+ * Conversations are saved as named sessions and can be resumed later.
+ */
+const AgentConversation = ({ agent, runConfig, params, onRun }) => {
+  const [sessions, setSessions] = useState([]);
+  const [session, setSession] = useState(null);
+  const [input, setInput] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState("");
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [renaming, setRenaming] = useState(false);
+  const [nameDraft, setNameDraft] = useState("");
+  const abortControllerRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  const messages = session?.messages || [];
+
+  useEffect(() => {
+    getSessionsByAgent(agent.id)
+      .then(setSessions)
+      .catch((err) => console.error("Failed to load sessions:", err));
+  }, [agent.id]);
+
+  // Leaving the conversation stops a turn that is still in flight
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages.length, streamingText]);
+
+  const persistSession = async (nextSession) => {
+    const saved = await saveSession(nextSession);
+    setSession(saved);
+    setSessions((prev) => [saved, ...prev.filter((s) => s.id !== saved.id)]);
+    return saved;
+  };
+
+  const handleSelectSession = (id) => {
+    if (loading) return;
+    setSession(sessions.find((s) => s.id === id) || null);
+    setError(null);
+    setRenaming(false);
+  };
+
+  const handleNewSession = () => {
+    if (loading) return;
+    setSession(null);
+    setError(null);
+    setRenaming(false);
+  };
+
+  const handleDeleteSession = async () => {
+    if (!session || loading) return;
+    if (!window.confirm(`Delete the conversation "${session.name}"?`)) return;
+    await deleteSession(session.id);
+    setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    setSession(null);
+  };
+
+  const handleRename = async () => {
+    const name = nameDraft.trim();
+    setRenaming(false);
+    if (!session || !name || name === session.name) return;
+    await persistSession({ ...session, name });
+  };
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleSend = async () => {
+    const text = input.trim();
+    if (!text || loading) return;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const usageRecorder = createUsageRecorder();
+    let streamedOutput = "";
+    let retries = 0;
+
+    // Earlier turns go out as history; failed turns are shown but not sent again
+    const history = messages.filter((m) => m.status !== "error");
+    const userMessage = { role: "user", content: text, createdAt: new Date().toISOString() };
+    const baseSession = session || {
+      agentId: agent.id,
+      agentName: agent.name,
+      name: sessionNameFrom(text),
+      messages: [],
+    };
+    const withQuestion = { ...baseSession, messages: [...baseSession.messages, userMessage] };
+
+    setInput("");
+    setError(null);
+    setLoading(true);
+    setStreamingText("");
+    setRetryStatus(null);
+    setSession(withQuestion);
+
+    let reply;
+    try {
+      const budget = await createAgentBudgetGuard(agent);
+      const output = await onRun(runConfig, text, params, [], {
+        history,
+        onToken: (token, streamed) => {
+          streamedOutput = streamed;
+          setStreamingText(streamed);
+          setRetryStatus(null);
+        },
+        onRetry: (info) => {
+          retries++;
+          setRetryStatus(info);
+        },
+        onUsage: usageRecorder.onUsage,
+        signal: controller.signal,
+        budgets: [budget],
+      });
+      reply = { role: "assistant", content: output, status: "success" };
+    } catch (err) {
+      if (isAbortError(err)) {
+        reply = { role: "assistant", content: err.partialOutput || streamedOutput, status: "cancelled" };
+      } else if (isBudgetError(err)) {
+        reply = { role: "assistant", content: err.partialOutput || streamedOutput, status: "budget_exceeded", error: err.message };
+      } else {
+        console.error("Conversation turn failed:", err);
+        reply = { role: "assistant", content: "", status: "error", error: err.message || "An error occurred" };
+        setError(reply.error);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingText("");
+      setRetryStatus(null);
+      setLoading(false);
+    }
+
+    reply = { ...reply, createdAt: new Date().toISOString(), retries, usage: usageRecorder.summary };
+    // A failed turn keeps the question visible, marked so later turns leave it out of the history
+    const nextMessages = reply.status === "error"
+      ? withQuestion.messages.map((m) => (m === userMessage ? { ...m, status: "error" } : m))
+      : [...withQuestion.messages, reply];
+
+    try {
+      const saved = await persistSession({ ...withQuestion, messages: nextMessages });
+      await saveExecutionLog({
+        agentId: agent.id,
+        agentName: agent.name,
+        sessionId: saved.id,
+        runAt: reply.createdAt,
+        input: text,
+        output: reply.status === "error" ? reply.error : reply.content,
+        ...(reply.status === "budget_exceeded" ? { error: reply.error } : {}),
+        params,
+        model: runConfig.model,
+        status: reply.status,
+        retries,
+        usage: usageRecorder.summary,
+      });
+    } catch (err) {
+      console.error("Failed to save conversation:", err);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const renderMeta = (message) => {
+    if (message.role !== "assistant") return null;
+    return (
+      <div className="conversation-message-meta">
+        {message.status === "cancelled" && <span className="conversation-flag cancelled">⏹️ Stopped</span>}
+        {message.status === "budget_exceeded" && (
+          <span className="conversation-flag budget">💸 {message.error}</span>
+        )}
+        {message.usage?.calls > 0 && (
+          <span>{formatTokens(message.usage.totalTokens)} tokens · {formatCost(message.usage.cost)}</span>
+        )}
+        {message.content && <CopyButton text={message.content} />}
+      </div>
+    );
+  };
+
+  return (
+    <div className="agent-conversation">
+      <div className="conversation-toolbar">
+        <select
+          value={session?.id || ""}
+          onChange={(e) => (e.target.value ? handleSelectSession(e.target.value) : handleNewSession())}
+          disabled={loading}
+          className="conversation-session-select"
+        >
+          <option value="">New conversation</option>
+          {sessions.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name} ({new Date(s.updatedAt).toLocaleDateString()})
+            </option>
+          ))}
+        </select>
+        {session?.id && !renaming && (
+          <>
+            <button
+              className="conversation-toolbar-btn"
+              onClick={() => {
+                setNameDraft(session.name);
+                setRenaming(true);
+              }}
+              disabled={loading}
+            >
+              Rename
+            </button>
+            <button className="conversation-toolbar-btn danger" onClick={handleDeleteSession} disabled={loading}>
+              Delete
+            </button>
+          </>
+        )}
+        {renaming && (
+          <input
+            className="conversation-rename-input"
+            value={nameDraft}
+            onChange={(e) => setNameDraft(e.target.value)}
+            onBlur={handleRename}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") handleRename();
+              if (e.key === "Escape") setRenaming(false);
+            }}
+            autoFocus
+          />
+        )}
+      </div>
+
+      <div className="conversation-messages">
+        {messages.length === 0 && !loading && (
+          <div className="conversation-empty">
+            Ask {agent.name} something. Follow-up questions keep the earlier turns as context.
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div key={index} className={`conversation-message ${message.role} ${message.status || ""}`}>
+            {message.role === "user" ? (
+              <div className="conversation-bubble">{message.content}</div>
+            ) : (
+              <div className="conversation-bubble output-content-markdown">
+                {message.content ? (
+                  <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                    {message.content}
+                  </ReactMarkdown>
+                ) : (
+                  <em>No output</em>
+                )}
+              </div>
+            )}
+            {message.role === "user" && message.status === "error" && (
+              <div className="conversation-message-meta">
+                <span className="conversation-flag error">Not answered - not sent as context</span>
+              </div>
+            )}
+            {renderMeta(message)}
+          </div>
+        ))}
+
+        {loading && (
+          <div className="conversation-message assistant pending">
+            <div className="conversation-bubble output-content-markdown">
+              {streamingText ? (
+                <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                  {streamingText}
+                </ReactMarkdown>
+              ) : retryStatus ? (
+                <em>
+                  Rate limited - retrying in {Math.ceil(retryStatus.delayMs / 1000)}s (attempt {retryStatus.attempt}/{retryStatus.maxAttempts})
+                </em>
+              ) : (
+                <span className="conversation-typing">
+                  <span></span><span></span><span></span>
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {error && <div className="conversation-error">⚠️ {error}</div>}
+
+      <div className="conversation-input">
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={messages.length > 0 ? "Ask a follow-up question..." : "Start the conversation..."}
+          rows="3"
+          disabled={loading}
+        />
+        {loading ? (
+          <button className="conversation-stop" onClick={handleStop}>
+            Stop
+          </button>
+        ) : (
+          <button className="conversation-send" onClick={handleSend} disabled={!input.trim()}>
+            Send
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AgentConversation;
@@ -2,8 +2,12 @@
 import React, { useState, useEffect } from 'react';
 import CustomParametersField from './CustomParametersField';
 import RAGManager from './RAGManager';
+import BudgetFields from './BudgetFields';
 import { getAllTools } from '../services/indexedDB';
-import { GEMINI_MODELS, DEFAULT_MODEL } from '../constants/models';
+import { ALL_MODELS, LLM_PROVIDERS, DEFAULT_MODEL } from '../constants/models';
+import { DEFAULT_MAX_ATTEMPTS, MAX_ATTEMPTS_LIMIT } from '../services/providers';
+import { EMPTY_BUDGET } from '../services/budgetService';
+import { DEFAULT_EXECUTION_POLICY, MAX_ITERATIONS_LIMIT } from '../services/agentExecutor';
 
 const AgentForm = ({ onSave, initialData = null, onCancel }) => {
   const [formData, setFormData] = useState({
@@ -17,6 +21,9 @@ const AgentForm = ({ onSave, initialData = null, onCancel }) => {
     ragEnabled: initialData?.ragEnabled || false,
     ragTopK: initialData?.ragTopK || 3,
     tools: initialData?.tools || [],
+    maxAttempts: initialData?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    budget: { ...EMPTY_BUDGET, ...initialData?.budget },
+    executionPolicy: { ...DEFAULT_EXECUTION_POLICY, ...initialData?.executionPolicy },
     id: initialData?.id || null
   });
   const [isSaving, setIsSaving] = useState(false);
@@ -68,6 +75,13 @@ const AgentForm = ({ onSave, initialData = null, onCancel }) => {
     }));
   };
 
+  const handlePolicyChange = (key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      executionPolicy: { ...prev.executionPolicy, [key]: value }
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSaving(true);
@@ -158,14 +172,46 @@ const AgentForm = ({ onSave, initialData = null, onCancel }) => {
           required
           disabled={isSaving}
         >
-          {GEMINI_MODELS.map(model => (
-            <option key={model.id} value={model.id}>
-              {model.name} - {model.description}
-            </option>
+          {!ALL_MODELS.some(model => model.id === formData.model) && (
+            <option value={formData.model}>{formData.model} (custom)</option>
+          )}
+          {LLM_PROVIDERS.map(provider => (
+            <optgroup key={provider.id} label={provider.name}>
+              {ALL_MODELS.filter(model => model.provider === provider.id).map(model => (
+                <option key={model.id} value={model.id}>
+                  {model.name} - {model.description}
+                </option>
+              ))}
+            </optgroup>
           ))}
         </select>
       </div>
 
+      <div className="form-group">
+        <label>Max Attempts per Model Call</label>
+        <input
+          type="number"
+          name="maxAttempts"
+          value={formData.maxAttempts}
+          onChange={(e) => setFormData(prev => ({ ...prev, maxAttempts: parseInt(e.target.value, 10) || 1 }))}
+          min="1"
+          max={MAX_ATTEMPTS_LIMIT}
+          disabled={isSaving}
+        />
+        <p className="form-help-text">
+          Rate-limited (429) and temporarily failing (500/503) calls are retried with backoff, waiting as long as the server asks. Set to 1 to disable retries.
+        </p>
+      </div>
+
+      <div className="form-group">
+        <label>Budget Limits (Optional)</label>
+        <BudgetFields
+          budget={formData.budget}
+          onChange={(budget) => setFormData(prev => ({ ...prev, budget }))}
+          disabled={isSaving}
+        />
+      </div>
+
       <div className="form-group">
         <label>Custom Parameters (Optional)</label>
         <CustomParametersField
@@ -198,6 +244,57 @@ const AgentForm = ({ onSave, initialData = null, onCancel }) => {
         </div>
       )}
 
+      {formData.tools.length > 0 && (
+        <div className="form-group">
+          <label>Tool Execution Policy</label>
+          <div className="execution-policy-row">
+            <label className="execution-policy-field">
+              <span>Max iterations</span>
+              <input
+                type="number"
+                value={formData.executionPolicy.maxIterations}
+                onChange={(e) => handlePolicyChange('maxIterations', parseInt(e.target.value, 10) || 1)}
+                min="1"
+                max={MAX_ITERATIONS_LIMIT}
+                disabled={isSaving}
+              />
+            </label>
+            <label className="execution-policy-field">
+              <span>Tool timeout (seconds)</span>
+              <input
+                type="number"
+                value={formData.executionPolicy.toolTimeoutMs / 1000}
+                onChange={(e) => handlePolicyChange('toolTimeoutMs', Math.max(Math.round(parseFloat(e.target.value) * 1000) || 0, 0))}
+                min="0"
+                step="1"
+                disabled={isSaving}
+              />
+            </label>
+          </div>
+          <label className="execution-policy-toggle">
+            <input
+              type="checkbox"
+              checked={formData.executionPolicy.reportUnknownTools}
+              onChange={(e) => handlePolicyChange('reportUnknownTools', e.target.checked)}
+              disabled={isSaving}
+            />
+            <span>Report calls to unknown tools back to the model as errors (off: they are skipped without a reply)</span>
+          </label>
+          <label className="execution-policy-toggle">
+            <input
+              type="checkbox"
+              checked={formData.executionPolicy.parallelToolCalls}
+              onChange={(e) => handlePolicyChange('parallelToolCalls', e.target.checked)}
+              disabled={isSaving}
+            />
+            <span>Run multiple tool calls from one turn in parallel</span>
+          </label>
+          <p className="form-help-text">
+            The loop stops with "Max iterations reached" after this many model turns. A timeout of 0 lets tools run until they finish. With native function calling, unknown tools are always answered with an error.
+          </p>
+        </div>
+      )}
+
       {/* RAG Manager - Only show for existing agents with an ID */}
       {formData.id && (
         <RAGManager 
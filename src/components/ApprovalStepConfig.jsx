@@ -0,0 +1,47 @@
+// src/components/ApprovalStepConfig.jsx
+import React from 'react';
+import { getApprovalSettings } from '../services/approvalSteps';
+import './ApprovalStepConfig.css';
+
+/**
+ * Settings of the selected approval step: its name and what the reviewer should check
+ */
+const ApprovalStepConfig = ({ step, graph, onChange }) => {
+  const approval = getApprovalSettings(step);
+
+  const updateStep = (changes) => {
+    onChange({
+      ...graph,
+      steps: graph.steps.map(s => (s.id === step.id ? { ...s, ...changes } : s))
+    });
+  };
+
+  return (
+    <div className="approval-config">
+      <label>
+        Name
+        <input
+          type="text"
+          value={step.name || ''}
+          onChange={(e) => updateStep({ name: e.target.value })}
+          placeholder="Approval"
+        />
+      </label>
+      <label>
+        Instructions for the reviewer
+        <textarea
+          value={approval.instructions}
+          onChange={(e) => updateStep({ approval: { ...approval, instructions: e.target.value } })}
+          placeholder="e.g. Check the facts and tone before the draft is published"
+          rows="2"
+        />
+      </label>
+      <small>
+        The run pauses here until someone approves the text (as is or edited) or rejects it.
+        Approved text goes to the next steps; a rejection stops the run.
+      </small>
+    </div>
+  );
+};
+
+export default ApprovalStepConfig;
@@ -0,0 +1,47 @@
+// src/components/BudgetFields.jsx
+import React from 'react';
+import { EMPTY_BUDGET } from '../services/budgetService';
+import './BudgetFields.css';
+
+const FIELDS = [
+  { key: 'maxTokensPerRun', label: 'Max tokens per run', placeholder: 'e.g., 50000', step: '1' },
+  { key: 'maxToolIterations', label: 'Max tool iterations', placeholder: 'e.g., 5', step: '1' },
+  { key: 'maxDailySpend', label: 'Max daily spend (USD)', placeholder: 'e.g., 1.00', step: '0.01' },
+];
+
+const BudgetFields = ({ budget, onChange, scope = 'agent', disabled = false }) => {
+  const values = { ...EMPTY_BUDGET, ...budget };
+
+  const updateField = (key, value) => {
+    onChange({ ...values, [key]: value });
+  };
+
+  return (
+    <div className="budget-fields">
+      <div className="budget-fields-row">
+        {FIELDS.map(field => (
+          <label key={field.key} className="budget-field">
+            <span>{field.label}</span>
+            <input
+              type="number"
+              min="0"
+              step={field.step}
+              value={values[field.key]}
+              onChange={(e) => updateField(field.key, e.target.value)}
+              placeholder={field.placeholder}
+              disabled={disabled}
+            />
+          </label>
+        ))}
+      </div>
+      <p className="form-help-text">
+        Leave empty for no limit. A run that hits a limit stops with the status "budget exceeded" and keeps its partial output.
+        {scope === 'workflow'
+          ? ' Limits cover all steps of one workflow run; each agent\'s own limits still apply.'
+          : ' Daily spend is estimated from today\'s runs of this agent, including workflow steps.'}
+      </p>
+    </div>
+  );
+};
+
+export default BudgetFields;
@@ -1,21 +1,34 @@
 import React, { useState } from 'react';
-import { executeChain } from '../services/chainExecutor';
+import { createWorkflowRun } from '../services/workflowEngine';
 
 const ChainRunnerModal = ({ chain, agents, onRunAgent, onClose }) => {
   const [input, setInput] = useState('');
   const [running, setRunning] = useState(false);
+  const [runningSteps, setRunningSteps] = useState({});
   const [results, setResults] = useState(null);
 
   const handleRun = async () => {
     setRunning(true);
     setResults(null);
+    setRunningSteps({});
+
+    // Steps are listed as the engine reports them; results replace them once they finish
+    const run = createWorkflowRun(chain, { agents, onRunAgent });
+    const settle = ({ result }) => setRunningSteps(prev => {
+      const next = { ...prev };
+      delete next[result.stepId];
+      return next;
+    });
+    run.on('step:started', ({ stepId, label }) => setRunningSteps(prev => ({ ...prev, [stepId]: label })));
+    run.on('step:finished', settle);
+    run.on('step:error', settle);
+
     try {
-      const chainResults = await executeChain(chain, agents, input, onRunAgent);
-      setResults(chainResults);
-    } catch (error) {
-      console.error('Chain execution failed:', error);
+      const summary = await run.start(input);
+      setResults({ ...summary, finalOutput: summary.output });
     } finally {
       setRunning(false);
+      setRunningSteps({});
     }
   };
 
@@ -23,7 +36,7 @@ const ChainRunnerModal = ({ chain, agents, onRunAgent, onClose }) => {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content chain-runner" onClick={(e) => e.stopPropagation()}>
         <h2>Run Chain: {chain.name}</h2>
-        
+
         <div className="form-group">
           <label>Initial Input</label>
           <textarea
@@ -38,13 +51,18 @@ const ChainRunnerModal = ({ chain, agents, onRunAgent, onClose }) => {
           {running ? 'Running Chain...' : 'Run Chain'}
         </button>
 
+        {Object.entries(runningSteps).map(([stepId, label]) => (
+          <div key={stepId} className="chain-step-running">Running: {label}...</div>
+        ))}
+
         {results && (
           <div className="chain-results">
             <h3>Chain Execution Results</h3>
+            {results.error && <div className="error-message"><strong>Error:</strong> {results.error}</div>}
             {results.results.map((result, idx) => (
               <div key={idx} className="chain-step-result">
-                <h4>Step {idx + 1}: {result.agentName}</h4>
-                <div><strong>Input:</strong> {result.input.slice(0, 100)}...</div>
+                <h4>Step {result.step}: {result.agentName}</h4>
+                <div><strong>Input:</strong> {result.input?.slice(0, 100)}...</div>
                 <div><strong>Output:</strong> {result.output?.slice(0, 100)}...</div>
                 <div><strong>Status:</strong> {result.status}</div>
               </div>
@@ -4,20 +4,18 @@ import ReactMarkdown from "react-markdown";
 import { TbMessageChatbot } from "react-icons/tb";
 import { BsRobot } from "react-icons/bs";
 import { FaUserCircle } from "react-icons/fa";
+import { saveSession, getSessionsByAgent, deleteSession } from "../services/indexedDB";
+import { formatConversationMarkdown } from "../services/conversation";
+import { downloadOutput } from "../services/downloadService";
 import "./Chatbot.css";
 
-const ChatBot = ({
-  isOpen,
-  onToggle,
-  onSendMessage,
-  agentName,
-  onImportAgent,
-  onImportTool,
-}) => {
-  const [messages, setMessages] = useState([
-    {
-      role: 'assistant',
-      content: `Hi! 👋 I'm the **GenAgentX Assistant**.
+// Chatbot sessions live in the `sessions` store under this owner instead of an agent id
+const CHATBOT_SESSION_OWNER = "genagentx-assistant";
+
+const WELCOME_MESSAGE = {
+  role: 'assistant',
+  local: true,
+  content: `Hi! 👋 I'm the **GenAgentX Assistant**.
 
 I can help you create AI agents and custom tools. Just describe what you want!
 
@@ -26,11 +24,74 @@ I can help you create AI agents and custom tools. Just describe what you want!
 - "Build a tool to generate random UUIDs"
 - "I need a customer support agent"
 - "Make a slug generator tool"`,
-    },
-  ]);
+};
+
+// Default session name: the start of the first question
+const sessionNameFrom = (text) => {
+  const firstLine = text.trim().split("\n")[0];
+  return firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine;
+};
+
+const ChatBot = ({
+  isOpen,
+  onToggle,
+  onSendMessage,
+  agentName,
+  onImportAgent,
+  onImportTool,
+}) => {
+  const [sessions, setSessions] = useState([]);
+  const [session, setSession] = useState(null);
+  const [showSessions, setShowSessions] = useState(false);
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState("");
   const messagesEndRef = useRef(null);
+  // Latest session for updates that finish after a re-render (replies, imports)
+  const sessionRef = useRef(null);
+
+  const messages = [WELCOME_MESSAGE, ...(session?.messages || [])];
+
+  // Resume the most recent conversation
+  useEffect(() => {
+    getSessionsByAgent(CHATBOT_SESSION_OWNER)
+      .then((saved) => {
+        setSessions(saved);
+        if (saved.length > 0 && !sessionRef.current) {
+          sessionRef.current = saved[0];
+          setSession(saved[0]);
+        }
+      })
+      .catch((error) => console.error("Failed to load chat sessions:", error));
+  }, []);
+
+  const selectSession = (nextSession) => {
+    sessionRef.current = nextSession;
+    setSession(nextSession);
+  };
+
+  // Append messages to the current session (starting one if needed) and persist it
+  const appendMessages = async (newMessages, firstQuestion) => {
+    const current = sessionRef.current || {
+      id: crypto.randomUUID(),
+      agentId: CHATBOT_SESSION_OWNER,
+      name: sessionNameFrom(firstQuestion || "New chat"),
+      messages: [],
+    };
+    const stamped = newMessages.map((message) => ({ createdAt: new Date().toISOString(), ...message }));
+    const next = { ...current, messages: [...current.messages, ...stamped] };
+    selectSession(next);
+
+    try {
+      const saved = await saveSession(next);
+      if (sessionRef.current?.id === saved.id) {
+        sessionRef.current = { ...sessionRef.current, createdAt: saved.createdAt, updatedAt: saved.updatedAt };
+      }
+      setSessions((prev) => [saved, ...prev.filter((s) => s.id !== saved.id)]);
+    } catch (error) {
+      console.error("Failed to save chat session:", error);
+    }
+  };
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -38,7 +99,7 @@ I can help you create AI agents and custom tools. Just describe what you want!
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [session, streamingText]);
 
   // Detect if message contains valid JSON agent or tool config
   const detectAgentJSON = (content) => {
@@ -140,10 +201,10 @@ I can help you create AI agents and custom tools. Just describe what you want!
       delete agent.updatedAt;
 
       onImportAgent(agent);
-      setMessages((prev) => [
-        ...prev,
+      appendMessages([
         {
           role: "assistant",
+          local: true,
           content: `✅ **Agent "${agent.name}" has been imported!**
 
 You can now find it in your agents list. Click **Run** to test it or **Edit** to customize it further.`,
@@ -163,10 +224,10 @@ You can now find it in your agents list. Click **Run** to test it or **Edit** to
       delete tool.originalId;
 
       onImportTool(tool);
-      setMessages((prev) => [
-        ...prev,
+      appendMessages([
         {
           role: "assistant",
+          local: true,
           content: `✅ **Tool "${tool.name}" has been imported!**
 
 You can now find it in your tools list and use it with your agents.`,
@@ -181,19 +242,25 @@ You can now find it in your tools list and use it with your agents.`,
     const userMessage = input.trim();
     setInput("");
 
-    setMessages((prev) => [...prev, { role: "user", content: userMessage }]);
+    // The whole conversation goes to the helper agent; app notes and failed turns are left out
+    const history = (sessionRef.current?.messages || []).filter(
+      (message) => !message.local && message.status !== "error"
+    );
+    await appendMessages([{ role: "user", content: userMessage }], userMessage);
 
     setIsLoading(true);
 
     try {
-      const response = await onSendMessage(userMessage);
+      const response = await onSendMessage(userMessage, {
+        onToken: (token, text) => setStreamingText(text),
+        history,
+      });
       const detection = detectAgentJSON(response);
 
       console.log("📝 Response received:", response.substring(0, 100));
       console.log("🔍 JSON detection result:", detection);
 
-      setMessages((prev) => [
-        ...prev,
+      await appendMessages([
         {
           role: "assistant",
           content: response,
@@ -203,14 +270,15 @@ You can now find it in your tools list and use it with your agents.`,
         },
       ]);
     } catch (error) {
-      setMessages((prev) => [
-        ...prev,
+      await appendMessages([
         {
           role: "assistant",
+          status: "error",
           content: `⚠️ **Error:** ${error.message}\n\nPlease try again or rephrase your request.`,
         },
       ]);
     } finally {
+      setStreamingText("");
       setIsLoading(false);
     }
   };
@@ -222,15 +290,34 @@ You can now find it in your tools list and use it with your agents.`,
     }
   };
 
-  const handleClearChat = () => {
-    setMessages([
-      {
-        role: "assistant",
-        content: `Chat cleared! 🗑️
+  // Start a fresh conversation; the current one stays in the session list
+  const handleNewChat = () => {
+    if (isLoading) return;
+    selectSession(null);
+    setShowSessions(false);
+  };
 
-How can I help you build an agent today?`,
-      },
-    ]);
+  const handleOpenSession = (id) => {
+    if (isLoading) return;
+    selectSession(sessions.find((s) => s.id === id) || null);
+    setShowSessions(false);
+  };
+
+  const handleDeleteSession = async (id) => {
+    if (isLoading) return;
+    try {
+      await deleteSession(id);
+      setSessions((prev) => prev.filter((s) => s.id !== id));
+      if (sessionRef.current?.id === id) selectSession(null);
+    } catch (error) {
+      console.error("Failed to delete chat session:", error);
+    }
+  };
+
+  const handleExportSession = () => {
+    if (!session || session.messages.length === 0) return;
+    const markdown = formatConversationMarkdown(session, { assistantLabel: agentName || "GenAgentX Assistant" });
+    downloadOutput(markdown, "markdown", `chat_${session.name.replace(/[^\w-]+/g, "_")}`);
   };
 
   // Helper to copy message content
@@ -249,6 +336,60 @@ How can I help you build an agent today?`,
     }
   };
 
+  const markdownComponents = {
+    h1: ({ node, ...props }) => (
+      <h1 className="md-h1" {...props} />
+    ),
+    h2: ({ node, ...props }) => (
+      <h2 className="md-h2" {...props} />
+    ),
+    h3: ({ node, ...props }) => (
+      <h3 className="md-h3" {...props} />
+    ),
+    ul: ({ node, ...props }) => (
+      <ul className="md-ul" {...props} />
+    ),
+    ol: ({ node, ...props }) => (
+      <ol className="md-ol" {...props} />
+    ),
+    li: ({ node, ...props }) => (
+      <li className="md-li" {...props} />
+    ),
+    code: ({ node, inline, className, children, ...props }) => {
+      if (inline) {
+        return (
+          <code className="md-code-inline" {...props}>
+            {children}
+          </code>
+        );
+      }
+
+      const language = (className || "").replace("language-", "").toLowerCase();
+      const raw = String(children || "").replace(/\n$/, "");
+      const pretty = language === "json" ? formatJsonIfPossible(raw) : raw;
+
+      return (
+        <pre className="md-code-block">
+          <code {...props}>{pretty}</code>
+        </pre>
+      );
+    },
+    p: ({ node, ...props }) => (
+      <p className="md-p" {...props} />
+    ),
+    strong: ({ node, ...props }) => (
+      <strong className="md-strong" {...props} />
+    ),
+    a: ({ node, ...props }) => (
+      <a
+        className="md-link"
+        target="_blank"
+        rel="noopener noreferrer"
+        {...props}
+      />
+    ),
+  };
+
   const getAgentSummary = (agentData, type) => {
     if (type === 'tool') {
       const tool = agentData?.tools?.[0];
@@ -300,10 +441,64 @@ How can I help you build an agent today?`,
             </div>
           </div>
           <div className="chatbot-actions">
+            <button
+              className={`chatbot-action-btn ${showSessions ? "active" : ""}`}
+              onClick={() => setShowSessions(!showSessions)}
+              title="Chat history"
+            >
+              <svg
+                width="18"
+                height="18"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <circle cx="12" cy="12" r="9"></circle>
+                <polyline points="12 7 12 12 15 14"></polyline>
+              </svg>
+            </button>
+            <button
+              className="chatbot-action-btn"
+              onClick={handleExportSession}
+              disabled={!session || session.messages.length === 0}
+              title="Export chat as markdown"
+            >
+              <svg
+                width="18"
+                height="18"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="7 10 12 15 17 10"></polyline>
+                <line x1="12" y1="15" x2="12" y2="3"></line>
+              </svg>
+            </button>
             <button
               className="chatbot-action-btn"
-              onClick={handleClearChat}
-              title="Clear chat"
+              onClick={handleNewChat}
+              title="New chat"
+            >
+              <svg
+                width="18"
+                height="18"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <line x1="12" y1="5" x2="12" y2="19"></line>
+                <line x1="5" y1="12" x2="19" y2="12"></line>
+              </svg>
+            </button>
+            <button
+              className="chatbot-action-btn"
+              onClick={() => session && handleDeleteSession(session.id)}
+              disabled={!session}
+              title="Delete chat"
             >
               <svg
                 width="18"
@@ -320,6 +515,40 @@ How can I help you build an agent today?`,
           </div>
         </div>
 
+        {showSessions && (
+          <div className="chatbot-sessions">
+            <div className="chatbot-sessions-header">
+              <span>Chat history</span>
+              <button className="chatbot-sessions-new" onClick={handleNewChat}>
+                + New chat
+              </button>
+            </div>
+            {sessions.length === 0 ? (
+              <div className="chatbot-sessions-empty">No saved chats yet.</div>
+            ) : (
+              <ul className="chatbot-sessions-list">
+                {sessions.map((s) => (
+                  <li key={s.id} className={s.id === session?.id ? "active" : ""}>
+                    <button className="chatbot-session-open" onClick={() => handleOpenSession(s.id)}>
+                      <span className="chatbot-session-name">{s.name}</span>
+                      <span className="chatbot-session-meta">
+                        {s.messages.length} messages · {new Date(s.updatedAt).toLocaleString()}
+                      </span>
+                    </button>
+                    <button
+                      className="chatbot-session-delete"
+                      onClick={() => handleDeleteSession(s.id)}
+                      title="Delete chat"
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="chatbot-messages">
           {messages.map((message, index) => (
             <div key={index} className={`chat-message ${message.role}`}>
@@ -343,61 +572,7 @@ How can I help you build an agent today?`,
                       );
                     })()
                   ) : message.role === "assistant" ? (
-                    <ReactMarkdown
-                      components={{
-                        h1: ({ node, ...props }) => (
-                          <h1 className="md-h1" {...props} />
-                        ),
-                        h2: ({ node, ...props }) => (
-                          <h2 className="md-h2" {...props} />
-                        ),
-                        h3: ({ node, ...props }) => (
-                          <h3 className="md-h3" {...props} />
-                        ),
-                        ul: ({ node, ...props }) => (
-                          <ul className="md-ul" {...props} />
-                        ),
-                        ol: ({ node, ...props }) => (
-                          <ol className="md-ol" {...props} />
-                        ),
-                        li: ({ node, ...props }) => (
-                          <li className="md-li" {...props} />
-                        ),
-                        code: ({ node, inline, className, children, ...props }) => {
-                          if (inline) {
-                            return (
-                              <code className="md-code-inline" {...props}>
-                                {children}
-                              </code>
-                            );
-                          }
-
-                          const language = (className || "").replace("language-", "").toLowerCase();
-                          const raw = String(children || "").replace(/\n$/, "");
-                          const pretty = language === "json" ? formatJsonIfPossible(raw) : raw;
-
-                          return (
-                            <pre className="md-code-block">
-                              <code {...props}>{pretty}</code>
-                            </pre>
-                          );
-                        },
-                        p: ({ node, ...props }) => (
-                          <p className="md-p" {...props} />
-                        ),
-                        strong: ({ node, ...props }) => (
-                          <strong className="md-strong" {...props} />
-                        ),
-                        a: ({ node, ...props }) => (
-                          <a
-                            className="md-link"
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            {...props}
-                          />
-                        ),
-                      }}
-                    >
+                    <ReactMarkdown components={markdownComponents}>
                       {message.content}
                     </ReactMarkdown>
                   ) : (
@@ -471,11 +646,19 @@ How can I help you build an agent today?`,
                 <BsRobot size={18} aria-hidden="true" focusable="false" />
               </div>
               <div className="message-content">
-                <div className="message-bubble typing">
-                  <span></span>
-                  <span></span>
-                  <span></span>
-                </div>
+                {streamingText ? (
+                  <div className="message-bubble">
+                    <ReactMarkdown components={markdownComponents}>
+                      {streamingText}
+                    </ReactMarkdown>
+                  </div>
+                ) : (
+                  <div className="message-bubble typing">
+                    <span></span>
+                    <span></span>
+                    <span></span>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -1,7 +1,20 @@
 // src/components/CustomParametersField.jsx
 import React from 'react';
 
-const CustomParametersField = ({ parameters, onChange, disabled = false }) => {
+/**
+ * Editable list of { key, type, value, options } fields. Agents use it for their custom parameters;
+ * workflows for their inputs, which may also be files and required (`allowFiles`, `allowRequired`).
+ */
+const CustomParametersField = ({
+  parameters,
+  onChange,
+  disabled = false,
+  label = 'Custom Parameters',
+  helperText = 'Add custom parameters like tone, mood, temperature, etc.',
+  addLabel = '+ Add Parameter',
+  allowFiles = false,
+  allowRequired = false
+}) => {
   const addParameter = () => {
     onChange([...parameters, { key: '', value: '', type: 'text' }]);
   };
@@ -20,11 +33,11 @@ const CustomParametersField = ({ parameters, onChange, disabled = false }) => {
 
   return (
     <div className="custom-parameters-section">
-      <label className="section-label">Custom Parameters</label>
-      <p className="helper-text">Add custom parameters like tone, mood, temperature, etc.</p>
+      <label className="section-label">{label}</label>
+      <p className="helper-text">{helperText}</p>
       
       {parameters.map((param, index) => (
-        <div key={index} className="parameter-row">
+        <div key={index} className={`parameter-row${allowRequired ? ' with-required' : ''}`}>
           <input
             type="text"
             placeholder="Parameter name (e.g., tone)"
@@ -43,9 +56,12 @@ const CustomParametersField = ({ parameters, onChange, disabled = false }) => {
             <option value="text">Text</option>
             <option value="number">Number</option>
             <option value="select">Dropdown</option>
+            {allowFiles && <option value="file">File</option>}
           </select>
 
-          {param.type === 'select' ? (
+          {param.type === 'file' ? (
+            <span className="param-value param-value-hint">Uploaded when running</span>
+          ) : param.type === 'select' ? (
             <input
               type="text"
               placeholder="Options (comma-separated)"
@@ -66,6 +82,18 @@ const CustomParametersField = ({ parameters, onChange, disabled = false }) => {
             />
           )}
 
+          {allowRequired && (
+            <label className="param-required">
+              <input
+                type="checkbox"
+                checked={Boolean(param.required)}
+                onChange={(e) => updateParameter(index, 'required', e.target.checked)}
+                disabled={disabled}
+              />
+              Required
+            </label>
+          )}
+
           <button
             type="button"
             onClick={() => removeParameter(index)}
@@ -83,7 +111,7 @@ const CustomParametersField = ({ parameters, onChange, disabled = false }) => {
         className="btn-add-param"
         disabled={disabled}
       >
-        + Add Parameter
+        {addLabel}
       </button>
     </div>
   );
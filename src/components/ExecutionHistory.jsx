@@ -4,10 +4,13 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import remarkGfm from 'remark-gfm';
 import { getAllExecutionLogs, getAllWorkflowExecutionLogs } from '../services/indexedDB';
+import { formatCost, formatTokens } from '../services/usageService';
+import { isResumable } from '../services/workflowCheckpoints';
+import UsageDashboard from './UsageDashboard';
 import "./ExecutionHistory.css";
 
-const ExecutionHistory = ({ onBack }) => {
-  const [activeTab, setActiveTab] = useState('agents'); // 'agents' or 'workflows'
+const ExecutionHistory = ({ onBack, onResumeRun }) => {
+  const [activeTab, setActiveTab] = useState('agents'); // 'agents', 'workflows' or 'usage'
   const [agentLogs, setAgentLogs] = useState([]);
   const [workflowLogs, setWorkflowLogs] = useState([]);
 
@@ -16,6 +19,42 @@ const ExecutionHistory = ({ onBack }) => {
     getAllWorkflowExecutionLogs().then(setWorkflowLogs);
   }, []);
 
+  const statusClass = (status) => {
+    if (status === 'success') return 'status-success';
+    if (status === 'cancelled') return 'status-cancelled';
+    if (status === 'budget_exceeded') return 'status-budget';
+    if (status === 'skipped') return 'status-skipped';
+    if (status === 'running' || status === 'awaiting_approval' || status === 'pending') return 'status-cancelled';
+    return 'status-error';
+  };
+
+  // Runs are logged as 'running' after every step; one left that way was interrupted
+  const statusText = (status) => {
+    if (status === 'running') return 'interrupted';
+    if (status === 'awaiting_approval') return 'awaiting approval';
+    return status;
+  };
+
+  const workflowLogsById = Object.fromEntries(workflowLogs.map(log => [log.id, log]));
+  const resumedBy = (log) => workflowLogs.filter(other => other.resumedFrom === log.id);
+
+  // Runs started by a schedule (see scheduler.js) name it under their time
+  const renderTrigger = (log) => log.trigger === 'scheduled' && (
+    <div className="history-meta" title={log.scheduledFor ? `Due at ${new Date(log.scheduledFor).toLocaleString()}` : undefined}>
+      ⏰ Scheduled: {log.scheduleName}
+    </div>
+  );
+
+  const renderUsage = (usage) => {
+    if (!usage || !usage.calls) return '—';
+    return (
+      <span title={`${formatTokens(usage.promptTokens)} prompt + ${formatTokens(usage.candidatesTokens)} output tokens over ${usage.calls} call(s)`}>
+        {formatTokens(usage.totalTokens)} tokens
+        <div className="history-meta">{formatCost(usage.cost)}</div>
+      </span>
+    );
+  };
+
   const renderMarkdown = (content) => {
     if (!content) return 'No content';
     
@@ -70,9 +109,17 @@ const ExecutionHistory = ({ onBack }) => {
         >
           Workflow Executions ({workflowLogs.length})
         </button>
+        <button 
+          className={`tab ${activeTab === 'usage' ? 'active' : ''}`}
+          onClick={() => setActiveTab('usage')}
+        >
+          Usage &amp; Cost
+        </button>
       </div>
 
-      {activeTab === 'agents' ? (
+      {activeTab === 'usage' ? (
+        <UsageDashboard agentLogs={agentLogs} workflowLogs={workflowLogs} />
+      ) : activeTab === 'agents' ? (
         <table>
           <thead>
             <tr>
@@ -80,6 +127,7 @@ const ExecutionHistory = ({ onBack }) => {
               <th>Model</th>
               <th>Time</th>
               <th>Status</th>
+              <th>Usage</th>
               <th>Input</th>
               <th>Output</th>
             </tr>
@@ -89,10 +137,16 @@ const ExecutionHistory = ({ onBack }) => {
               <tr key={log.id}>
                 <td>{log.agentName}</td>
                 <td>{log.model}</td>
-                <td>{new Date(log.runAt).toLocaleString()}</td>
-                <td className={log.status === "success" ? "status-success" : "status-error"}>
+                <td>
+                  {new Date(log.runAt).toLocaleString()}
+                  {renderTrigger(log)}
+                </td>
+                <td className={statusClass(log.status)}>
                   {log.status}
+                  {log.retries > 0 && <div className="history-meta">{log.retries} {log.retries === 1 ? 'retry' : 'retries'}</div>}
+                  {log.status === 'budget_exceeded' && log.error && <div className="history-meta">{log.error}</div>}
                 </td>
+                <td>{renderUsage(log.usage)}</td>
                 <td>
                   <details>
                     <summary>Show Input</summary>
@@ -120,6 +174,7 @@ const ExecutionHistory = ({ onBack }) => {
               <th>Workflow</th>
               <th>Time</th>
               <th>Status</th>
+              <th>Usage</th>
               <th>Steps</th>
               <th>Input</th>
               <th>Output</th>
@@ -128,11 +183,37 @@ const ExecutionHistory = ({ onBack }) => {
           <tbody>
             {[...workflowLogs].reverse().map(log => (
               <tr key={log.id}>
-                <td>{log.workflowName}</td>
-                <td>{new Date(log.runAt).toLocaleString()}</td>
-                <td className={log.status === "success" ? "status-success" : "status-error"}>
-                  {log.status}
+                <td>
+                  {log.workflowName}
+                  {log.workflowVersion && <div className="history-meta">v{log.workflowVersion}</div>}
+                </td>
+                <td>
+                  {new Date(log.runAt).toLocaleString()}
+                  {renderTrigger(log)}
+                </td>
+                <td className={statusClass(log.status)}>
+                  {statusText(log.status)}
+                  {log.retries > 0 && <div className="history-meta">{log.retries} {log.retries === 1 ? 'retry' : 'retries'}</div>}
+                  {log.status === 'budget_exceeded' && log.error && <div className="history-meta">{log.error}</div>}
+                  {log.resumedFrom && (
+                    <div className="history-meta">
+                      ↩ Resumed from the run at {workflowLogsById[log.resumedFrom]
+                        ? new Date(workflowLogsById[log.resumedFrom].runAt).toLocaleString()
+                        : 'a deleted run'}
+                    </div>
+                  )}
+                  {resumedBy(log).map(other => (
+                    <div key={other.id} className="history-meta">
+                      ↪ Resumed at {new Date(other.runAt).toLocaleString()} ({statusText(other.status)})
+                    </div>
+                  ))}
+                  {onResumeRun && isResumable(log) && (
+                    <button className="history-resume" onClick={() => onResumeRun(log)}>
+                      {log.status === 'awaiting_approval' ? '✋ Review approval' : '↩ Resume'}
+                    </button>
+                  )}
                 </td>
+                <td>{renderUsage(log.usage)}</td>
                 <td>
                   <details>
                     <summary>View Steps ({log.stepResults?.length || 0})</summary>
@@ -140,9 +221,24 @@ const ExecutionHistory = ({ onBack }) => {
                       {log.stepResults?.map((step, idx) => (
                         <div key={idx} className="step-detail">
                           <strong>Step {step.step}: {step.agentName}</strong>
-                          <span className={step.status === "success" ? "status-success" : "status-error"}>
+                          <span className={statusClass(step.status)}>
                             {step.status}
                           </span>
+                          {step.reused && <span className="history-meta">↩ reused</span>}
+                          {step.approval && (
+                            <span className="history-meta">
+                              ✋ {step.approval.decision} {new Date(step.approval.decidedAt).toLocaleString()}
+                              {step.approval.comment && ` - "${step.approval.comment}"`}
+                            </span>
+                          )}
+                          {step.branch && <span className="history-meta">→ {step.branchLabel || step.branch}</span>}
+                          {step.itemCount !== undefined && <span className="history-meta">{step.itemCount} item(s)</span>}
+                          {step.iterations !== undefined && (
+                            <span className="history-meta">
+                              {step.iterations} iteration(s){step.conditionMet ? '' : ', limit reached'}
+                            </span>
+                          )}
+                          {step.retries > 0 && <span className="history-meta">{step.retries} {step.retries === 1 ? 'retry' : 'retries'}</span>}
                           {step.error && <div className="error-text">Error: {step.error}</div>}
                         </div>
                       ))}
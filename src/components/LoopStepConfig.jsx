@@ -0,0 +1,180 @@
+// src/components/LoopStepConfig.jsx
+import React from 'react';
+import {
+  MAX_FOREACH_CONCURRENCY,
+  MAX_LOOP_ITERATIONS,
+  getForEachSettings,
+  getLoopSettings,
+  validateLoopStep
+} from '../services/loopSteps';
+import './LoopStepConfig.css';
+
+/**
+ * Settings of the selected foreach / loop step: the agents it runs and when it repeats
+ */
+const LoopStepConfig = ({ step, graph, agents, onChange }) => {
+  const agentIds = step.agentIds || [];
+  const isForEach = step.type === 'foreach';
+  const foreach = { ...getForEachSettings(step), ...step.foreach };
+  const loop = getLoopSettings(step);
+  const problem = validateLoopStep(step);
+  const selectableAgents = agents.filter(a => !a.isDefault);
+
+  const updateStep = (changes) => {
+    onChange({
+      ...graph,
+      steps: graph.steps.map(s => (s.id === step.id ? { ...s, ...changes } : s))
+    });
+  };
+
+  const updateForEach = (changes) => updateStep({ foreach: { ...foreach, ...changes } });
+  const updateLoop = (changes) => updateStep({ loop: { ...loop, ...step.loop, ...changes } });
+  const updateUntil = (changes) => updateLoop({ until: { ...loop.until, ...changes } });
+
+  // Option values are strings; keep the agent's own id type
+  const addAgent = (value) => {
+    const agent = selectableAgents.find(a => String(a.id) === value);
+    if (agent) updateStep({ agentIds: [...agentIds, agent.id] });
+  };
+
+  const moveAgent = (index, offset) => {
+    const next = [...agentIds];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    updateStep({ agentIds: next });
+  };
+
+  return (
+    <div className="loop-config">
+      <label>
+        Name
+        <input
+          type="text"
+          value={step.name || ''}
+          onChange={(e) => updateStep({ name: e.target.value })}
+          placeholder={isForEach ? 'For each' : 'Repeat until'}
+        />
+      </label>
+
+      <div className="loop-agents">
+        <span className="loop-config-label">
+          {isForEach ? 'Agents run on every item' : 'Agents run on every iteration'} (in order, each gets the previous one's output)
+        </span>
+        {agentIds.map((agentId, index) => (
+          <div key={`${agentId}-${index}`} className="loop-agent">
+            <span>{index + 1}. {agents.find(a => a.id === agentId)?.name || 'Missing agent'}</span>
+            <div className="loop-agent-actions">
+              <button onClick={() => moveAgent(index, -1)} disabled={index === 0} title="Move up" aria-label="Move up">↑</button>
+              <button onClick={() => moveAgent(index, 1)} disabled={index === agentIds.length - 1} title="Move down" aria-label="Move down">↓</button>
+              <button
+                onClick={() => updateStep({ agentIds: agentIds.filter((_, i) => i !== index) })}
+                title="Remove agent"
+                aria-label="Remove agent"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+        <select value="" onChange={(e) => addAgent(e.target.value)}>
+          <option value="">+ Add agent…</option>
+          {selectableAgents.map(agent => (
+            <option key={agent.id} value={agent.id}>{agent.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {isForEach ? (
+        <div className="loop-config-row">
+          <label className="loop-config-wide">
+            Items path (JSON array in the previous output)
+            <input
+              type="text"
+              value={foreach.itemsPath}
+              onChange={(e) => updateForEach({ itemsPath: e.target.value })}
+              placeholder="Empty: the whole output is the array, e.g. $.items"
+            />
+          </label>
+          <label>
+            Parallel items
+            <input
+              type="number"
+              min="1"
+              max={MAX_FOREACH_CONCURRENCY}
+              value={foreach.concurrency}
+              onChange={(e) => updateForEach({ concurrency: e.target.value })}
+            />
+          </label>
+        </div>
+      ) : (
+        <>
+          <div className="loop-config-row">
+            <label>
+              Stop when
+              <select value={loop.until.mode} onChange={(e) => updateUntil({ mode: e.target.value })}>
+                <option value="regex">Output matches a regex</option>
+                <option value="jsonPath">JSON path test passes</option>
+              </select>
+            </label>
+            <label>
+              Max iterations
+              <input
+                type="number"
+                min="1"
+                max={MAX_LOOP_ITERATIONS}
+                value={step.loop?.maxIterations ?? loop.maxIterations}
+                onChange={(e) => updateLoop({ maxIterations: e.target.value })}
+              />
+            </label>
+          </div>
+          {loop.until.mode === 'regex' ? (
+            <div className="loop-config-row">
+              <label className="loop-config-wide">
+                Pattern
+                <input
+                  type="text"
+                  value={loop.until.pattern}
+                  onChange={(e) => updateUntil({ pattern: e.target.value })}
+                  placeholder="e.g. \bAPPROVED\b"
+                />
+              </label>
+              <label className="loop-config-check">
+                <input
+                  type="checkbox"
+                  checked={(loop.until.flags || '').includes('i')}
+                  onChange={(e) => updateUntil({ flags: e.target.checked ? 'i' : '' })}
+                />
+                Ignore case
+              </label>
+            </div>
+          ) : (
+            <div className="loop-config-row">
+              <label>
+                JSON path
+                <input
+                  type="text"
+                  value={loop.until.path}
+                  onChange={(e) => updateUntil({ path: e.target.value })}
+                  placeholder="e.g. $.done"
+                />
+              </label>
+              <label>
+                Equals
+                <input
+                  type="text"
+                  value={loop.until.equals}
+                  onChange={(e) => updateUntil({ equals: e.target.value })}
+                  placeholder="Empty: any truthy value"
+                />
+              </label>
+            </div>
+          )}
+          <small>The agents run again on their own output until the condition holds; after the last iteration the step passes on its latest output.</small>
+        </>
+      )}
+
+      {problem && <div className="loop-config-problem">This step {problem}.</div>}
+    </div>
+  );
+};
+
+export default LoopStepConfig;
@@ -0,0 +1,183 @@
+// src/components/RouterStepConfig.jsx
+import React from 'react';
+import { ALL_MODELS, LLM_PROVIDERS } from '../constants/models';
+import { DEFAULT_ROUTER, ROUTER_MODES, getRouterBranches, validateRouter } from '../services/routerService';
+import { getStepLabel } from '../services/workflowGraph';
+import './RouterStepConfig.css';
+
+/**
+ * Settings of the selected router step: its condition and which branch each outgoing connection stands for
+ */
+const RouterStepConfig = ({ step, graph, agents, onChange }) => {
+  const router = { ...DEFAULT_ROUTER, ...step.router };
+  const branches = getRouterBranches(router);
+  const outgoing = graph.edges.filter(edge => edge.from === step.id);
+  const problem = validateRouter(router);
+
+  const updateStep = (changes) => {
+    onChange({
+      ...graph,
+      steps: graph.steps.map(s => (s.id === step.id ? { ...s, ...changes } : s))
+    });
+  };
+
+  const updateRouter = (changes) => updateStep({ router: { ...router, ...changes } });
+
+  const updateCategory = (index, changes) => {
+    updateRouter({
+      categories: router.categories.map((category, i) => (i === index ? { ...category, ...changes } : category))
+    });
+  };
+
+  const setBranch = (edge, branch) => {
+    onChange({
+      ...graph,
+      edges: graph.edges.map(e => (e === edge ? { ...e, branch } : e))
+    });
+  };
+
+  return (
+    <div className="router-config">
+      <div className="router-config-row">
+        <label>
+          Name
+          <input
+            type="text"
+            value={step.name || ''}
+            onChange={(e) => updateStep({ name: e.target.value })}
+            placeholder="Router"
+          />
+        </label>
+        <label>
+          Condition
+          <select value={router.mode} onChange={(e) => updateRouter({ mode: e.target.value })}>
+            {ROUTER_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {router.mode === 'regex' && (
+        <div className="router-config-row">
+          <label className="router-config-wide">
+            Pattern (tested against the previous output)
+            <input
+              type="text"
+              value={router.pattern}
+              onChange={(e) => updateRouter({ pattern: e.target.value })}
+              placeholder="e.g. \b(urgent|critical)\b"
+            />
+          </label>
+          <label className="router-config-check">
+            <input
+              type="checkbox"
+              checked={(router.flags || '').includes('i')}
+              onChange={(e) => updateRouter({ flags: e.target.checked ? 'i' : '' })}
+            />
+            Ignore case
+          </label>
+        </div>
+      )}
+
+      {router.mode === 'jsonPath' && (
+        <div className="router-config-row">
+          <label>
+            JSON path
+            <input
+              type="text"
+              value={router.path}
+              onChange={(e) => updateRouter({ path: e.target.value })}
+              placeholder="e.g. $.category"
+            />
+          </label>
+          <label>
+            Equals
+            <input
+              type="text"
+              value={router.equals}
+              onChange={(e) => updateRouter({ equals: e.target.value })}
+              placeholder="Empty: any truthy value"
+            />
+          </label>
+        </div>
+      )}
+
+      {router.mode === 'llm' && (
+        <>
+          <label className="router-config-wide">
+            Classifier model
+            <select value={router.model} onChange={(e) => updateRouter({ model: e.target.value })}>
+              {LLM_PROVIDERS.map(provider => (
+                <optgroup key={provider.id} label={provider.name}>
+                  {ALL_MODELS.filter(model => model.provider === provider.id).map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          </label>
+          <div className="router-categories">
+            <span className="router-config-label">Categories</span>
+            {router.categories.map((category, index) => (
+              <div key={index} className="router-category">
+                <input
+                  type="text"
+                  value={category.name}
+                  onChange={(e) => updateCategory(index, { name: e.target.value })}
+                  placeholder="Name"
+                />
+                <input
+                  type="text"
+                  value={category.description || ''}
+                  onChange={(e) => updateCategory(index, { description: e.target.value })}
+                  placeholder="When to pick it (optional)"
+                />
+                <button
+                  onClick={() => updateRouter({ categories: router.categories.filter((_, i) => i !== index) })}
+                  title="Remove category"
+                  aria-label="Remove category"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              className="router-add-category"
+              onClick={() => updateRouter({ categories: [...router.categories, { name: '', description: '' }] })}
+            >
+              + Add category
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="router-branches">
+        <span className="router-config-label">Branches</span>
+        {outgoing.length === 0 ? (
+          <small>Connect this router to the steps it can route to.</small>
+        ) : (
+          outgoing.map(edge => (
+            <div key={edge.to} className="router-branch">
+              <span>→ {getStepLabel(graph.steps.find(s => s.id === edge.to), agents)}</span>
+              <select
+                value={branches.some(option => option.value === edge.branch) ? edge.branch : ''}
+                onChange={(e) => setBranch(edge, e.target.value)}
+              >
+                <option value="" disabled>Choose branch…</option>
+                {branches.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          ))
+        )}
+        <small>Only the connections for the chosen branch run; steps that only follow other branches are skipped.</small>
+      </div>
+
+      {problem && <div className="router-config-problem">This router {problem}.</div>}
+    </div>
+  );
+};
+
+export default RouterStepConfig;
@@ -1,5 +1,5 @@
 // src/components/RunAgentModal.jsx
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
@@ -7,10 +7,14 @@ import remarkGfm from "remark-gfm";
 import { MdAttachFile } from "react-icons/md";
 import CopyButton from "./CopyButton";
 import RAGManager from "./RAGManager";
-import { GEMINI_MODELS, getModelName } from "../constants/models";
+import AgentConversation from "./AgentConversation";
+import { ALL_MODELS, LLM_PROVIDERS, getModelName } from "../constants/models";
 import "./RunAgentModal.css";
 import { saveExecutionLog } from "../services/indexedDB";
 import { downloadOutput } from "../services/downloadService";
+import { isAbortError } from "../services/cancellation";
+import { createAgentBudgetGuard, isBudgetError } from "../services/budgetService";
+import { createUsageRecorder, formatCost, formatTokens } from "../services/usageService";
 import { useAppStore } from "../store/appStore";
 import { 
   uploadFile, 
@@ -30,6 +34,12 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
   const [showRAG, setShowRAG] = useState(false);
   const [ragEnabled, setRagEnabled] = useState(agent.ragEnabled || false);
   const [ragTopK, setRagTopK] = useState(agent.ragTopK || 3);
+  const [cancelled, setCancelled] = useState(false);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [budgetMessage, setBudgetMessage] = useState(null);
+  const [mode, setMode] = useState("single");
+  const abortControllerRef = useRef(null);
   const updateAgent = useAppStore((state) => state.updateAgent);
   
   // File upload states
@@ -192,19 +202,51 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
     }
   };
 
+  // Closing the modal stops a run that is still in flight
+  React.useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleRun = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let streamedOutput = "";
+    let retries = 0;
+    const usageRecorder = createUsageRecorder();
+
     setLoading(true);
     setOutput("");
     setError(null);
+    setCancelled(false);
+    setRetryStatus(null);
+    setUsage(null);
+    setBudgetMessage(null);
 
     try {
+      const budget = await createAgentBudgetGuard(agent);
       const agentWithModel = { 
         ...agent, 
         model: selectedModel,
         ragEnabled,
         ragTopK
       };
-      const result = await onRun(agentWithModel, input, customParamValues, uploadedFiles);
+      // Render tokens as they arrive; the final result replaces the streamed text
+      const result = await onRun(agentWithModel, input, customParamValues, uploadedFiles, {
+        onToken: (token, text) => {
+          streamedOutput = text;
+          setOutput(text);
+          setRetryStatus(null);
+        },
+        onRetry: (info) => {
+          retries++;
+          setRetryStatus(info);
+        },
+        onUsage: usageRecorder.onUsage,
+        signal: controller.signal,
+        budgets: [budget],
+      });
       setOutput(result);
 
       // 💡 Log execution with actual output
@@ -217,8 +259,52 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
         params: customParamValues,
         model: selectedModel,
         status: "success",
+        retries,
+        usage: usageRecorder.summary,
       });
     } catch (error) {
+      if (isAbortError(error)) {
+        // Keep whatever was produced before the stop
+        const partialOutput = error.partialOutput || streamedOutput;
+        setOutput(partialOutput);
+        setCancelled(true);
+
+        await saveExecutionLog({
+          agentId: agent.id,
+          agentName: agent.name,
+          runAt: new Date().toISOString(),
+          input: input,
+          output: partialOutput,
+          params: customParamValues,
+          model: selectedModel,
+          status: "cancelled",
+          retries,
+          usage: usageRecorder.summary,
+        });
+        return;
+      }
+
+      if (isBudgetError(error)) {
+        const partialOutput = error.partialOutput || streamedOutput;
+        setOutput(partialOutput);
+        setBudgetMessage(error.message);
+
+        await saveExecutionLog({
+          agentId: agent.id,
+          agentName: agent.name,
+          runAt: new Date().toISOString(),
+          input: input,
+          output: partialOutput,
+          error: error.message,
+          params: customParamValues,
+          model: selectedModel,
+          status: "budget_exceeded",
+          retries,
+          usage: usageRecorder.summary,
+        });
+        return;
+      }
+
       console.error("Run error:", error);
       setError(error.message || "An error occurred");
 
@@ -232,8 +318,13 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
         params: customParamValues,
         model: selectedModel,
         status: "error",
+        retries,
+        usage: usageRecorder.summary,
       });
     } finally {
+      abortControllerRef.current = null;
+      setUsage(usageRecorder.summary);
+      setRetryStatus(null);
       setLoading(false);
     }
   };
@@ -326,10 +417,17 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
               onChange={(e) => setSelectedModel(e.target.value)}
               className="model-selector"
             >
-              {GEMINI_MODELS.map((model) => (
-                <option key={model.id} value={model.id}>
-                  {model.name} - {model.description}
-                </option>
+              {!ALL_MODELS.some((model) => model.id === agent.model) && (
+                <option value={agent.model}>{agent.model} (custom)</option>
+              )}
+              {LLM_PROVIDERS.map((provider) => (
+                <optgroup key={provider.id} label={provider.name}>
+                  {ALL_MODELS.filter((model) => model.provider === provider.id).map((model) => (
+                    <option key={model.id} value={model.id}>
+                      {model.name} - {model.description}
+                    </option>
+                  ))}
+                </optgroup>
               ))}
             </select>
             {selectedModel !== agent.model && (
@@ -407,6 +505,36 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
             </div>
           )}
 
+          <div className="run-mode-toggle" role="tablist">
+            <button
+              role="tab"
+              aria-selected={mode === "single"}
+              className={mode === "single" ? "active" : ""}
+              onClick={() => setMode("single")}
+              disabled={loading}
+            >
+              Single Run
+            </button>
+            <button
+              role="tab"
+              aria-selected={mode === "conversation"}
+              className={mode === "conversation" ? "active" : ""}
+              onClick={() => setMode("conversation")}
+              disabled={loading}
+            >
+              Conversation
+            </button>
+          </div>
+
+          {mode === "conversation" ? (
+            <AgentConversation
+              agent={agent}
+              runConfig={{ ...agent, model: selectedModel, ragEnabled, ragTopK }}
+              params={customParamValues}
+              onRun={onRun}
+            />
+          ) : (
+          <>
           <div className="form-group input-group-no-asterisk">
             <label>Input to Agent</label>
             
@@ -503,6 +631,35 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
             )}
           </button>
 
+          {loading && retryStatus && (
+            <div className="retry-status">
+              ⏳ {retryStatus.status === 429 ? "Rate limited" : `Server error (${retryStatus.status})`} - retrying in{" "}
+              {Math.ceil(retryStatus.delayMs / 1000)}s (attempt {retryStatus.attempt}/{retryStatus.maxAttempts})
+            </div>
+          )}
+
+          {loading && (
+            <button onClick={handleStop} className="btn-stop-run" title="Stop this run">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <rect x="6" y="6" width="12" height="12" rx="1"></rect>
+              </svg>
+              <span>Stop</span>
+            </button>
+          )}
+
+          {cancelled && !loading && (
+            <div className="run-cancelled-notice">
+              ⏹️ Run stopped{output ? " - showing the output produced before it was cancelled." : "."}
+            </div>
+          )}
+
+          {budgetMessage && !loading && (
+            <div className="run-budget-notice">
+              💸 Budget limit reached: {budgetMessage}
+              {output ? " Showing the output produced before the run was stopped." : ""}
+            </div>
+          )}
+
           {/* Error Display - Replace existing error section with this */}
           {error && (
             <div className="error-section">
@@ -544,7 +701,15 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
           {output && !error && (
             <div className="output-section">
               <div className="output-header">
-                <h3>Output</h3>
+                <h3>
+                  Output
+                  {loading && <span className="streaming-badge">Streaming…</span>}
+                </h3>
+                {usage && usage.calls > 0 && (
+                  <span className="usage-summary" title={`${formatTokens(usage.promptTokens)} prompt + ${formatTokens(usage.candidatesTokens)} output tokens over ${usage.calls} call(s)`}>
+                    {formatTokens(usage.totalTokens)} tokens · {formatCost(usage.cost)}
+                  </span>
+                )}
                 <div className="output-actions">
                   <div className="download-group">
                     <select
@@ -668,6 +833,8 @@ const RunAgentModal = ({ agent, onRun, onClose }) => {
               </div>
             </div>
           )}
+          </>
+          )}
         </div>
       </div>
     </div>
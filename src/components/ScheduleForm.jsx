@@ -0,0 +1,231 @@
+// src/components/ScheduleForm.jsx
+import React, { useEffect, useState } from 'react';
+import { getAllWorkflows } from '../services/indexedDB';
+import {
+  CATCH_UP_POLICIES,
+  DEFAULT_TIMING,
+  SCHEDULE_MODES,
+  getUpcomingRunTimes,
+  restartSchedule,
+  validateSchedule,
+  validateTiming
+} from '../services/scheduleService';
+import { getDefaultInputValues, validateInputValues } from '../services/workflowInputs';
+import WorkflowInputsForm from './WorkflowInputsForm';
+import './ScheduleForm.css';
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  targetType: 'agent',
+  targetId: '',
+  input: '',
+  inputValues: {},
+  timing: DEFAULT_TIMING,
+  catchUp: 'once',
+  enabled: true
+};
+
+/**
+ * Create or edit a schedule: what runs, with which input, when, and what happens to missed runs
+ */
+const ScheduleForm = ({ schedule, agents, onSave, onClose }) => {
+  const [form, setForm] = useState(() => ({ ...EMPTY_SCHEDULE, ...schedule }));
+  const [workflows, setWorkflows] = useState([]);
+  const [error, setError] = useState(null);
+  const [inputErrors, setInputErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getAllWorkflows()
+      .then(data => setWorkflows(Array.isArray(data) ? data : []))
+      .catch(loadError => console.error('Failed to load workflows:', loadError));
+  }, []);
+
+  const targets = form.targetType === 'workflow' ? workflows : agents.filter(agent => !agent.isDefault);
+  const target = targets.find(item => String(item.id) === String(form.targetId));
+  const declaredInputs = form.targetType === 'workflow' ? target?.inputs || [] : [];
+  const timingError = validateTiming(form.timing);
+  const upcoming = timingError ? [] : getUpcomingRunTimes(form.timing, Date.now());
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+  const updateTiming = (changes) => update({ timing: { ...form.timing, ...changes } });
+
+  const handleTargetChange = (value) => {
+    const selected = targets.find(item => String(item.id) === value);
+    update({
+      targetId: selected ? selected.id : '',
+      inputValues: getDefaultInputValues(selected?.inputs || []),
+      name: form.name || selected?.name || ''
+    });
+  };
+
+  const handleSave = async () => {
+    const problem = validateSchedule(form);
+    const errors = validateInputValues(declaredInputs, form.inputValues);
+    setError(problem);
+    setInputErrors(errors);
+    if (problem || Object.keys(errors).length > 0) return;
+
+    // A new timing (or a schedule switched back on) starts counting now
+    const timingChanged = !schedule
+      || JSON.stringify(schedule.timing) !== JSON.stringify(form.timing)
+      || (form.enabled && !schedule.enabled);
+    const saved = {
+      ...form,
+      name: form.name.trim(),
+      inputValues: declaredInputs.length > 0 ? form.inputValues : {}
+    };
+
+    setSaving(true);
+    try {
+      await onSave(timingChanged ? restartSchedule(saved, Date.now()) : saved);
+    } catch (saveError) {
+      setError(saveError.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content modern schedule-form" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <h2>{schedule ? 'Edit Schedule' : 'New Schedule'}</h2>
+            <p className="modal-subtitle">Scheduled runs happen while GenAgentX is open in a browser tab</p>
+          </div>
+          <button onClick={onClose} className="close-btn">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="schedule-target">
+            <div className="form-group">
+              <label>Run</label>
+              <select
+                value={form.targetType}
+                onChange={(e) => update({ targetType: e.target.value, targetId: '', inputValues: {} })}
+              >
+                <option value="agent">Agent</option>
+                <option value="workflow">Workflow</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>{form.targetType === 'workflow' ? 'Workflow' : 'Agent'}</label>
+              <select value={target ? String(target.id) : ''} onChange={(e) => handleTargetChange(e.target.value)}>
+                <option value="">Choose…</option>
+                {targets.map(item => (
+                  <option key={item.id} value={String(item.id)}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Schedule name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => update({ name: e.target.value })}
+              placeholder="e.g. Morning news digest"
+            />
+          </div>
+
+          {declaredInputs.length > 0 ? (
+            <div className="form-group optional">
+              <label>Inputs</label>
+              <WorkflowInputsForm
+                inputs={declaredInputs}
+                values={form.inputValues}
+                errors={inputErrors}
+                onChange={(key, value) => update({ inputValues: { ...form.inputValues, [key]: value } })}
+              />
+            </div>
+          ) : (
+            <div className="form-group optional">
+              <label>Input</label>
+              <textarea
+                value={form.input}
+                onChange={(e) => update({ input: e.target.value })}
+                placeholder="The input every scheduled run starts with"
+                rows="3"
+              />
+            </div>
+          )}
+
+          <div className="schedule-timing">
+            <div className="form-group">
+              <label>Repeat</label>
+              <select value={form.timing.mode} onChange={(e) => updateTiming({ mode: e.target.value })}>
+                {SCHEDULE_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+            {form.timing.mode === 'cron' ? (
+              <div className="form-group">
+                <label>Cron expression</label>
+                <input
+                  type="text"
+                  value={form.timing.cron}
+                  onChange={(e) => updateTiming({ cron: e.target.value })}
+                  placeholder="minute hour day-of-month month day-of-week"
+                />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>Minutes between runs</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.timing.everyMinutes}
+                  onChange={(e) => updateTiming({ everyMinutes: e.target.value === '' ? '' : Number(e.target.value) })}
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="schedule-preview">
+            {timingError ? (
+              <span className="schedule-preview-error">{timingError}</span>
+            ) : (
+              <>Next runs: {upcoming.map(time => new Date(time).toLocaleString()).join(' · ') || 'none'}</>
+            )}
+            {form.timing.mode === 'cron' && (
+              <small>Cron times are in your local time zone, e.g. <code>0 8 * * 1-5</code> runs at 8:00 on weekdays.</small>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Missed runs</label>
+            <select value={form.catchUp} onChange={(e) => update({ catchUp: e.target.value })}>
+              {CATCH_UP_POLICIES.map(policy => (
+                <option key={policy.value} value={policy.value}>{policy.label}</option>
+              ))}
+            </select>
+            <small className="schedule-hint">What happens to runs that came due while the app was closed, once it is opened again.</small>
+          </div>
+
+          <label className="schedule-enabled">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+            Enabled
+          </label>
+
+          {error && <div className="schedule-form-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
+          <button onClick={handleSave} disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : schedule ? 'Save Changes' : 'Create Schedule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleForm;
@@ -0,0 +1,164 @@
+// src/components/SchedulesView.jsx
+import React, { useEffect, useState } from 'react';
+import { deleteSchedule, getAllSchedules, getAllWorkflows, saveSchedule } from '../services/indexedDB';
+import { CATCH_UP_POLICIES, describeTiming, restartSchedule } from '../services/scheduleService';
+import { onScheduledRun, runScheduleNow } from '../services/scheduler';
+import NotificationModal from './NotificationModal';
+import { useNotification } from '../hooks/useNotification';
+import './SchedulesView.css';
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+/**
+ * Scheduled agent and workflow runs, with their next and last run
+ */
+const SchedulesView = ({ agents, onRunAgent, onNewSchedule, onEditSchedule }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [workflows, setWorkflows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [runningIds, setRunningIds] = useState([]);
+
+  const {
+    notification,
+    closeNotification,
+    showConfirm,
+  } = useNotification();
+
+  const loadSchedules = async () => {
+    try {
+      const [scheduleData, workflowData] = await Promise.all([getAllSchedules(), getAllWorkflows()]);
+      setSchedules(scheduleData);
+      setWorkflows(Array.isArray(workflowData) ? workflowData : []);
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+      setSchedules([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSchedules();
+    // Scheduled runs finish in the background; show their outcome as they come in
+    return onScheduledRun(() => loadSchedules());
+  }, []);
+
+  const getTargetName = (schedule) => {
+    const targets = schedule.targetType === 'workflow' ? workflows : agents;
+    return targets.find(item => item.id === schedule.targetId)?.name || null;
+  };
+
+  const handleToggle = async (schedule) => {
+    const enabled = !schedule.enabled;
+    // Switching a schedule back on does not catch up the runs it had while off
+    await saveSchedule(enabled ? restartSchedule({ ...schedule, enabled }, Date.now()) : { ...schedule, enabled });
+    loadSchedules();
+  };
+
+  const handleRunNow = async (schedule) => {
+    setRunningIds(prev => [...prev, schedule.id]);
+    try {
+      await runScheduleNow(schedule, { onRunAgent });
+    } finally {
+      setRunningIds(prev => prev.filter(id => id !== schedule.id));
+      loadSchedules();
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    const confirmed = await showConfirm(
+      `Delete the schedule "${schedule.name}"? Runs it already made stay in the execution history.`,
+      'Delete Schedule',
+      { type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' }
+    );
+
+    if (confirmed) {
+      await deleteSchedule(schedule.id);
+      loadSchedules();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="schedules-view">
+        <div className="loading-state">Loading schedules...</div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <NotificationModal
+        isOpen={notification.isOpen}
+        onClose={closeNotification}
+        onConfirm={notification.onConfirm}
+        title={notification.title}
+        message={notification.message}
+        type={notification.type}
+        confirmText={notification.confirmText}
+        cancelText={notification.cancelText}
+        showCancel={notification.showCancel}
+      />
+
+      <div className="schedules-view">
+        {schedules.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-icon">⏰</div>
+            <h3>No Schedules Yet</h3>
+            <p>Run an agent or workflow on a timer, e.g. every hour or every weekday morning</p>
+            <button className="btn-primary" onClick={onNewSchedule}>
+              Create Your First Schedule
+            </button>
+          </div>
+        ) : (
+          <div className="schedules-list">
+            {schedules.map(schedule => {
+              const targetName = getTargetName(schedule);
+              const running = runningIds.includes(schedule.id);
+              return (
+                <div key={schedule.id} className={`schedule-card ${schedule.enabled ? '' : 'disabled'}`}>
+                  <div className="schedule-main">
+                    <div className="schedule-title">
+                      <h3>{schedule.name}</h3>
+                      <span className={`schedule-state ${schedule.enabled ? 'on' : 'off'}`}>
+                        {schedule.enabled ? 'Enabled' : 'Paused'}
+                      </span>
+                    </div>
+                    <div className="schedule-target-name">
+                      {schedule.targetType === 'workflow' ? '⚡ Workflow' : '🤖 Agent'}:{' '}
+                      {targetName || <span className="schedule-missing">deleted</span>}
+                    </div>
+                    <div className="schedule-meta">
+                      <span>🔁 {describeTiming(schedule.timing)}</span>
+                      <span>⏭ Next: {schedule.enabled ? formatTime(schedule.nextRunAt) : '—'}</span>
+                      <span>Missed runs: {CATCH_UP_POLICIES.find(policy => policy.value === schedule.catchUp)?.label}</span>
+                    </div>
+                    {schedule.lastRunAt && (
+                      <div className="schedule-last">
+                        Last run {formatTime(schedule.lastRunAt)}:{' '}
+                        <span className={`schedule-status ${schedule.lastStatus}`}>{schedule.lastStatus?.replace('_', ' ')}</span>
+                        {schedule.lastError && <span className="schedule-last-error"> — {schedule.lastError}</span>}
+                      </div>
+                    )}
+                  </div>
+                  <div className="schedule-actions">
+                    <button className="btn-secondary" onClick={() => handleToggle(schedule)}>
+                      {schedule.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button className="btn-secondary" onClick={() => handleRunNow(schedule)} disabled={running || !targetName}>
+                      {running ? 'Running...' : 'Run now'}
+                    </button>
+                    <button className="btn-secondary" onClick={() => onEditSchedule(schedule)}>Edit</button>
+                    <button className="btn-secondary schedule-delete" onClick={() => handleDelete(schedule)}>Delete</button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default SchedulesView;
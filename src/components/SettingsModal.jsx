@@ -1,16 +1,26 @@
 // src/components/SettingsModal.jsx
 import React, { useState } from 'react';
 import { useAppStore } from '../store/appStore';
+import { LLM_PROVIDERS } from '../constants/models';
 
 const SettingsModal = ({ onClose, currentConfig, onSave }) => {
   const { setUserConfig } = useAppStore();
   const [apiKey, setApiKey] = useState(currentConfig?.apiKey || '');
   const [showKey, setShowKey] = useState(false);
+  const [providers, setProviders] = useState(currentConfig?.providers || {});
+
+  const handleProviderChange = (providerId, field, value) => {
+    setProviders(prev => ({
+      ...prev,
+      [providerId]: { ...prev[providerId], [field]: value }
+    }));
+  };
 
   const handleSave = () => {
     const updatedConfig = {
       ...currentConfig,
-      apiKey: apiKey
+      apiKey: apiKey,
+      providers
     };
     localStorage.setItem('userConfig', JSON.stringify(updatedConfig));
     setUserConfig(updatedConfig);
@@ -84,6 +94,34 @@ const SettingsModal = ({ onClose, currentConfig, onSave }) => {
             </div>
           </div>
 
+          <div className="form-group">
+            <label>Other Model Providers (Optional)</label>
+            <p className="form-help-text">
+              Agents using OpenAI-compatible, Anthropic or local (Ollama) models read their connection settings from here.
+              Leave the base URL empty to use the provider default, or point it at a local stand-in server.
+            </p>
+            {LLM_PROVIDERS.map(provider => (
+              <div key={provider.id} style={{ marginBottom: '12px' }}>
+                <strong style={{ display: 'block', marginBottom: '6px', fontSize: '14px' }}>{provider.name}</strong>
+                {provider.requiresApiKey && provider.id !== 'gemini' && (
+                  <input
+                    type={showKey ? 'text' : 'password'}
+                    value={providers[provider.id]?.apiKey || ''}
+                    onChange={(e) => handleProviderChange(provider.id, 'apiKey', e.target.value)}
+                    placeholder={`${provider.name} API key`}
+                    style={{ marginBottom: '6px' }}
+                  />
+                )}
+                <input
+                  type="text"
+                  value={providers[provider.id]?.baseUrl || ''}
+                  onChange={(e) => handleProviderChange(provider.id, 'baseUrl', e.target.value)}
+                  placeholder={provider.defaultBaseUrl}
+                />
+              </div>
+            ))}
+          </div>
+
           <div className="security-note" style={{ marginTop: '16px' }}>
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"></path>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { FaRobot, FaBolt, FaHistory, FaCog, FaToolbox } from 'react-icons/fa';
+import { FaRobot, FaBolt, FaHistory, FaCog, FaToolbox, FaClock } from 'react-icons/fa';
 import './Sidebar.css';
 import logo from '/vite.png';
 
@@ -8,6 +8,7 @@ const Sidebar = ({ activeView, onViewChange, onSettingsClick }) => {
     { id: 'agents', label: 'Agents', icon: FaRobot },
     { id: 'workflows', label: 'Workflows', icon: FaBolt },
     { id: 'tools', label: 'Tools', icon: FaToolbox },
+    { id: 'schedules', label: 'Schedules', icon: FaClock },
     { id: 'history', label: 'Execution History', icon: FaHistory },
     { id: 'settings', label: 'Settings', icon: FaCog }
   ];
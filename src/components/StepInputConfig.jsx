@@ -0,0 +1,92 @@
+// src/components/StepInputConfig.jsx
+import React from 'react';
+import { formatStepReference, getReferenceableSteps } from '../services/stepTemplates';
+import { getStepLabel } from '../services/workflowGraph';
+import { isLoopStep } from '../services/loopSteps';
+import { isApprovalStep } from '../services/approvalSteps';
+import './StepInputConfig.css';
+
+/**
+ * Input template and custom parameter mapping of the selected agent / foreach / loop / approval step
+ */
+const StepInputConfig = ({ step, graph, agents, inputs = [], onChange }) => {
+  const agent = agents.find(a => a.id === step.agentId);
+  const earlierSteps = getReferenceableSteps(graph, step.id, agents);
+  const references = [
+    { tag: '{{input}}', title: inputs.length > 0 ? 'All workflow inputs as text' : 'The workflow input' },
+    ...inputs.filter(input => input.key?.trim()).map(input => ({
+      tag: `{{inputs.${input.key.trim()}}}`,
+      title: `The "${input.key.trim()}" input`
+    })),
+    { tag: '{{previous}}', title: 'What this step receives without a template' },
+    ...earlierSteps.map(other => ({ tag: formatStepReference(other.name), title: `Output of "${other.name}"` }))
+  ];
+
+  const updateStep = (changes) => {
+    onChange({
+      ...graph,
+      steps: graph.steps.map(s => (s.id === step.id ? { ...s, ...changes } : s))
+    });
+  };
+
+  const updateParam = (key, value) => updateStep({ params: { ...step.params, [key]: value } });
+
+  const insertReference = (tag) => {
+    const template = step.inputTemplate || '';
+    updateStep({ inputTemplate: template ? `${template}${/\s$/.test(template) ? '' : ' '}${tag}` : tag });
+  };
+
+  return (
+    <div className="step-input-config">
+      {!isLoopStep(step) && !isApprovalStep(step) && (
+        <label>
+          Step name
+          <input
+            type="text"
+            value={step.name || ''}
+            onChange={(e) => updateStep({ name: e.target.value })}
+            placeholder={getStepLabel({ agentId: step.agentId }, agents)}
+          />
+        </label>
+      )}
+
+      <label>
+        Input template
+        <textarea
+          value={step.inputTemplate || ''}
+          onChange={(e) => updateStep({ inputTemplate: e.target.value })}
+          placeholder="Empty: the previous step's output. e.g. Summarize {{steps.Researcher.findings}} for: {{input}}"
+          rows="3"
+        />
+      </label>
+      <div className="step-input-references">
+        {references.map(reference => (
+          <button key={reference.tag} onClick={() => insertReference(reference.tag)} title={reference.title}>
+            {reference.tag}
+          </button>
+        ))}
+      </div>
+      <small>Add a field path after a reference to read JSON from it, e.g. {'{{input.topic}}'} or {'{{steps.Planner.items[0]}}'}.</small>
+
+      {agent?.customParameters?.length > 0 && (
+        <div className="step-input-params">
+          <span className="step-input-label">Parameters of {agent.name}</span>
+          {agent.customParameters.map(param => (
+            <label key={param.key} className="step-input-param">
+              <span>{param.key}</span>
+              <input
+                type="text"
+                value={step.params?.[param.key] ?? ''}
+                onChange={(e) => updateParam(param.key, e.target.value)}
+                placeholder={`Default: ${param.value ?? ''}`}
+              />
+            </label>
+          ))}
+          <small>Fixed values or templates; leave empty to use the agent's default.</small>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepInputConfig;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { saveTool } from '../services/indexedDB';
+import { SANDBOX_TIMEOUT_MS, TOOL_CAPABILITIES } from '../services/toolSandbox';
 import { FaPlus, FaTrash } from 'react-icons/fa';
 import './ToolBuilder.css';
 
@@ -10,6 +11,7 @@ const ToolBuilder = ({ editingTool, onClose, onSave }) => {
     parameters: editingTool?.parameters || [],
     returnType: editingTool?.returnType || 'string',
     codeImplementation: editingTool?.codeImplementation || '',
+    capabilities: editingTool?.capabilities || [],
     isBuiltIn: editingTool?.isBuiltIn || false,
     id: editingTool?.id || null
   });
@@ -25,6 +27,15 @@ const ToolBuilder = ({ editingTool, onClose, onSave }) => {
     }));
   };
 
+  const handleCapabilityChange = (id, enabled) => {
+    setFormData(prev => ({
+      ...prev,
+      capabilities: enabled
+        ? [...prev.capabilities.filter(capability => capability !== id), id]
+        : prev.capabilities.filter(capability => capability !== id)
+    }));
+  };
+
   const handleAddParameter = () => {
     setFormData(prev => ({
       ...prev,
@@ -255,12 +266,34 @@ async function execute(args) {
                 disabled={isSaving || formData.isBuiltIn}
                 className="code-textarea"
               />
-              <small className="warning-text">
-                ⚠️ <strong>Security Warning:</strong> Custom code is executed using eval() which can be dangerous. 
-                Only use code from trusted sources. Built-in tools cannot be modified.
+              <small>
+                🔒 Custom code runs in a sandbox: a separate worker without access to the page, your API keys
+                or the app's data. It is stopped when the agent's tool timeout (or {SANDBOX_TIMEOUT_MS / 1000}s) runs out.
+                Built-in tools cannot be modified.
                 {formData.isBuiltIn && <div><strong>This is a built-in tool and cannot have custom code.</strong></div>}
               </small>
             </div>
+
+            <div className="form-group">
+              <label>Sandbox Permissions</label>
+              <div className="capability-list">
+                {TOOL_CAPABILITIES.map(capability => (
+                  <label key={capability.id} className="checkbox-label capability-option">
+                    <input
+                      type="checkbox"
+                      checked={formData.capabilities.includes(capability.id)}
+                      onChange={(e) => handleCapabilityChange(capability.id, e.target.checked)}
+                      disabled={isSaving || formData.isBuiltIn}
+                    />
+                    <span>
+                      <strong>{capability.label}</strong>
+                      <small>{capability.description}</small>
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <small>Only grant what the code needs. Without a permission, the matching APIs throw an error the agent sees.</small>
+            </div>
           </div>
 
           <div className="form-actions">
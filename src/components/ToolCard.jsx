@@ -1,5 +1,6 @@
 import React from 'react';
 import { FaPlay, FaEdit, FaTrash, FaCode } from 'react-icons/fa';
+import { TOOL_CAPABILITIES, getToolCapabilities } from '../services/toolSandbox';
 import './ToolCard.css';
 
 const ToolCard = ({ tool, onEdit, onDelete, onTest }) => {
@@ -22,6 +23,8 @@ const ToolCard = ({ tool, onEdit, onDelete, onTest }) => {
   };
 
   const isDefault = !!tool.isDefault;
+  const hasCustomCode = Boolean(tool.codeImplementation?.trim());
+  const capabilities = getToolCapabilities(tool);
 
   return (
     <div className={`tool-card ${isDefault ? 'tool-card-default' : ''}`}>
@@ -55,6 +58,17 @@ const ToolCard = ({ tool, onEdit, onDelete, onTest }) => {
           </div>
         )}
 
+        {hasCustomCode && (
+          <div className="tool-card-section">
+            <h4>Sandbox</h4>
+            <span className="return-type">
+              {capabilities.length > 0
+                ? capabilities.map(id => TOOL_CAPABILITIES.find(capability => capability.id === id).label).join(', ')
+                : 'No extra permissions'}
+            </span>
+          </div>
+        )}
+
         {tool.returnType && (
           <div className="tool-card-section">
             <h4>Returns</h4>
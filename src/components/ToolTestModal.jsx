@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { executeTool } from '../services/toolExecutor';
+import { isAbortError } from '../services/cancellation';
+import { TOOL_CAPABILITIES, getToolCapabilities } from '../services/toolSandbox';
 import './ToolTestModal.css';
 
 const ToolTestModal = ({ tool, onClose }) => {
@@ -7,6 +9,13 @@ const ToolTestModal = ({ tool, onClose }) => {
   const [isRunning, setIsRunning] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // Closing the modal stops a test that is still running (and its sandbox worker)
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const hasCustomCode = Boolean(tool.codeImplementation?.trim());
+  const capabilities = getToolCapabilities(tool);
 
   // Initialize test args with empty values
   useState(() => {
@@ -58,14 +67,23 @@ const ToolTestModal = ({ tool, onClose }) => {
     setError(null);
     setResult(null);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     try {
       console.log('Testing tool with args:', testArgs);
-      const toolResult = await executeTool(tool, testArgs);
+      const toolResult = await executeTool(tool, testArgs, { signal: controller.signal });
+      // Tool failures (including sandbox errors and timeouts) come back as results, as the agent sees them
+      if (toolResult?.error === true) {
+        setError(toolResult.message);
+      }
       setResult(toolResult);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error('Tool test error:', err);
       setError(err.message);
     } finally {
+      abortControllerRef.current = null;
       setIsRunning(false);
     }
   };
@@ -159,6 +177,15 @@ const ToolTestModal = ({ tool, onClose }) => {
             </div>
           )}
 
+          {hasCustomCode && (
+            <div className="tool-test-sandbox">
+              🔒 Runs in a sandbox
+              {capabilities.length > 0
+                ? ` with: ${capabilities.map(id => TOOL_CAPABILITIES.find(capability => capability.id === id).label).join(', ')}`
+                : ' without network access'}
+            </div>
+          )}
+
           {tool.parameters && tool.parameters.length > 0 ? (
             <div className="tool-test-parameters">
               <h3>Parameters</h3>
@@ -190,6 +217,11 @@ const ToolTestModal = ({ tool, onClose }) => {
             >
               {isRunning ? 'Running...' : '▶ Run Test'}
             </button>
+            {isRunning && (
+              <button className="btn-stop-test" onClick={() => abortControllerRef.current?.abort()}>
+                ■ Stop
+              </button>
+            )}
           </div>
 
           {error && (
@@ -201,7 +233,7 @@ const ToolTestModal = ({ tool, onClose }) => {
 
           {result && (
             <div className="test-result">
-              <h3>Result:</h3>
+              <h3>{result.error === true ? 'Result sent to the agent:' : 'Result:'}</h3>
               <pre>{JSON.stringify(result, null, 2)}</pre>
             </div>
           )}
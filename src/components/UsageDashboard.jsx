@@ -0,0 +1,170 @@
+// src/components/UsageDashboard.jsx
+import React, { useMemo, useState } from 'react';
+import { getModelName } from '../constants/models';
+import {
+  getUsageEntries,
+  filterUsageEntries,
+  groupUsage,
+  summarizeUsageEntries,
+  formatCost,
+  formatTokens,
+} from '../services/usageService';
+import './UsageDashboard.css';
+
+const GROUP_OPTIONS = [
+  { value: 'model', label: 'Model' },
+  { value: 'agentId', label: 'Agent' },
+  { value: 'workflowId', label: 'Workflow' },
+  { value: 'day', label: 'Day' },
+];
+
+const EMPTY_FILTERS = { agentId: '', workflowId: '', model: '', from: '', to: '' };
+
+const UsageDashboard = ({ agentLogs, workflowLogs }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [groupBy, setGroupBy] = useState('model');
+
+  const entries = useMemo(
+    () => getUsageEntries(agentLogs, workflowLogs),
+    [agentLogs, workflowLogs]
+  );
+
+  // Filter options come from what has actually been logged
+  const options = useMemo(() => {
+    const agents = new Map();
+    const workflows = new Map();
+    const models = new Set();
+    entries.forEach(entry => {
+      if (entry.agentId) agents.set(entry.agentId, entry.agentName);
+      if (entry.workflowId) workflows.set(entry.workflowId, entry.workflowName);
+      models.add(entry.model);
+    });
+    return { agents: [...agents], workflows: [...workflows], models: [...models] };
+  }, [entries]);
+
+  const filtered = useMemo(() => filterUsageEntries(entries, filters), [entries, filters]);
+  const totals = useMemo(() => summarizeUsageEntries(filtered), [filtered]);
+  const groups = useMemo(() => groupUsage(filtered, groupBy), [filtered, groupBy]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const groupLabel = (group) => (groupBy === 'model' ? getModelName(group.label) : group.label);
+
+  if (entries.length === 0) {
+    return (
+      <div className="usage-empty">
+        No usage recorded yet. Token counts are stored for runs made after usage tracking was added.
+      </div>
+    );
+  }
+
+  return (
+    <div className="usage-dashboard">
+      <div className="usage-filters">
+        <select value={filters.agentId} onChange={(e) => handleFilterChange('agentId', e.target.value)}>
+          <option value="">All agents</option>
+          {options.agents.map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <select value={filters.workflowId} onChange={(e) => handleFilterChange('workflowId', e.target.value)}>
+          <option value="">All workflows</option>
+          {options.workflows.map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <select value={filters.model} onChange={(e) => handleFilterChange('model', e.target.value)}>
+          <option value="">All models</option>
+          {options.models.map(model => (
+            <option key={model} value={model}>{getModelName(model)}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} />
+        </label>
+        <button className="usage-clear" onClick={() => setFilters(EMPTY_FILTERS)}>
+          Clear
+        </button>
+      </div>
+
+      <div className="usage-cards">
+        <div className="usage-card">
+          <span className="usage-card-label">Runs</span>
+          <span className="usage-card-value">{totals.runs}</span>
+        </div>
+        <div className="usage-card">
+          <span className="usage-card-label">Model calls</span>
+          <span className="usage-card-value">{totals.calls}</span>
+        </div>
+        <div className="usage-card">
+          <span className="usage-card-label">Tokens</span>
+          <span className="usage-card-value">{formatTokens(totals.totalTokens)}</span>
+          <span className="usage-card-detail">
+            {formatTokens(totals.promptTokens)} prompt · {formatTokens(totals.candidatesTokens)} output
+          </span>
+        </div>
+        <div className="usage-card">
+          <span className="usage-card-label">Estimated cost</span>
+          <span className="usage-card-value">{formatCost(totals.cost)}</span>
+        </div>
+      </div>
+
+      <div className="usage-group-header">
+        <h3>Breakdown</h3>
+        <label>
+          Group by
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+            {GROUP_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            <th>{GROUP_OPTIONS.find(option => option.value === groupBy).label}</th>
+            <th>Runs</th>
+            <th>Calls</th>
+            <th>Prompt</th>
+            <th>Output</th>
+            <th>Total</th>
+            <th>Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map(group => (
+            <tr key={group.key}>
+              <td>{groupLabel(group)}</td>
+              <td>{group.runs}</td>
+              <td>{group.calls}</td>
+              <td>{formatTokens(group.promptTokens)}</td>
+              <td>{formatTokens(group.candidatesTokens)}</td>
+              <td>{formatTokens(group.totalTokens)}</td>
+              <td>{formatCost(group.cost)}</td>
+            </tr>
+          ))}
+          {groups.length === 0 && (
+            <tr>
+              <td colSpan="7" className="usage-no-match">No usage matches these filters.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <p className="usage-note">
+        Costs are estimates from the list prices in <code>MODEL_PRICING</code>. Embedding calls without reported counts are estimated at ~4 characters per token.
+      </p>
+    </div>
+  );
+};
+
+export default UsageDashboard;
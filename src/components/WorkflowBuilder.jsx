@@ -1,94 +1,130 @@
 import React, { useState, useEffect } from 'react';
+import BudgetFields from './BudgetFields';
+import CustomParametersField from './CustomParametersField';
+import WorkflowGraphEditor from './WorkflowGraphEditor';
+import { EMPTY_BUDGET } from '../services/budgetService';
+import RouterStepConfig from './RouterStepConfig';
+import LoopStepConfig from './LoopStepConfig';
+import ApprovalStepConfig from './ApprovalStepConfig';
+import StepInputConfig from './StepInputConfig';
+import { DEFAULT_ROUTER } from '../services/routerService';
+import { DEFAULT_FOREACH, DEFAULT_LOOP, isLoopStep } from '../services/loopSteps';
+import { DEFAULT_APPROVAL, isApprovalStep } from '../services/approvalSteps';
+import { validateStepInputs } from '../services/stepTemplates';
+import { validateInputSchema } from '../services/workflowInputs';
+import {
+  NODE_WIDTH,
+  NODE_HEIGHT,
+  createEdge,
+  getWorkflowGraph,
+  isRouterStep,
+  getSuccessors,
+  layoutSteps,
+  sortStepIds,
+  validateWorkflowGraph
+} from '../services/workflowGraph';
 import './WorkflowBuilder.css';
 
+const STEP_SPACING_X = NODE_WIDTH + 60;
+const STEP_SPACING_Y = NODE_HEIGHT + 24;
+
+const EMPTY_GRAPH = { steps: [], edges: [] };
+
 const WorkflowBuilder = ({ agents, workflow, onSave, onClose }) => {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
-  const [selectedAgents, setSelectedAgents] = useState([]);
+  const [budget, setBudget] = useState(EMPTY_BUDGET);
+  const [inputs, setInputs] = useState([]);
+  const [graph, setGraph] = useState(EMPTY_GRAPH);
+  const [selectedStepId, setSelectedStepId] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
-  const [draggedIndex, setDraggedIndex] = useState(null);
 
   // Load workflow data when editing
   useEffect(() => {
     if (workflow) {
       setName(workflow.name || '');
       setDescription(workflow.description || '');
+      setBudget({ ...EMPTY_BUDGET, ...workflow.budget });
+      setInputs(workflow.inputs || []);
       
-      // Reconstruct selectedAgents from workflow.agents
+      // Rebuild the graph from workflow.agents / workflow.edges (older workflows become a chain)
       if (workflow.agents && Array.isArray(workflow.agents)) {
-        const agentsInOrder = workflow.agents
-          .sort((a, b) => a.order - b.order)
-          .map(wAgent => agents.find(a => a.id === wAgent.agentId))
-          .filter(Boolean);
-        setSelectedAgents(agentsInOrder);
+        const loaded = getWorkflowGraph(workflow);
+        const steps = loaded.steps.filter(step => step.type || agents.some(a => a.id === step.agentId));
+        const stepIds = new Set(steps.map(step => step.id));
+        const edges = loaded.edges.filter(edge => stepIds.has(edge.from) && stepIds.has(edge.to));
+        setGraph({ steps: layoutSteps({ steps, edges }), edges });
       }
     }
   }, [workflow, agents]);
 
-  const addAgent = (agent) => {
-    if (!selectedAgents.find(a => a.id === agent.id)) {
-      setSelectedAgents([...selectedAgents, agent]);
-    }
-  };
+  // New steps are connected from the selected step, so clicking agents one after another builds a chain
+  const addStep = (fields) => {
+    const from = graph.steps.find(step => step.id === selectedStepId);
+    const lowestY = Math.max(-STEP_SPACING_Y, ...graph.steps.map(step => step.position.y));
+    const position = from
+      ? {
+        x: from.position.x + STEP_SPACING_X,
+        y: from.position.y + getSuccessors(graph, from.id).length * STEP_SPACING_Y
+      }
+      : { x: 24, y: lowestY + STEP_SPACING_Y };
+    const step = { id: crypto.randomUUID(), ...fields, position };
 
-  const removeAgent = (agentId) => {
-    setSelectedAgents(selectedAgents.filter(a => a.id !== agentId));
+    setGraph({
+      steps: [...graph.steps, step],
+      edges: from ? [...graph.edges, createEdge(graph, from.id, step.id)] : graph.edges
+    });
+    setSelectedStepId(step.id);
   };
 
-  const moveAgent = (index, direction) => {
-    const newAgents = [...selectedAgents];
-    const targetIndex = direction === 'up' ? index - 1 : index + 1;
-    if (targetIndex >= 0 && targetIndex < newAgents.length) {
-      [newAgents[index], newAgents[targetIndex]] = [newAgents[targetIndex], newAgents[index]];
-      setSelectedAgents(newAgents);
-    }
-  };
+  const addAgent = (agent) => addStep({ agentId: agent.id });
 
-  // Drag and drop handlers
-  const handleDragStart = (e, index) => {
-    setDraggedIndex(index);
-    e.dataTransfer.effectAllowed = 'move';
-  };
+  const addRouter = () => addStep({ type: 'router', name: 'Router', router: { ...DEFAULT_ROUTER } });
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    
-    if (draggedIndex === null || draggedIndex === index) return;
-    
-    const newAgents = [...selectedAgents];
-    const draggedItem = newAgents[draggedIndex];
-    newAgents.splice(draggedIndex, 1);
-    newAgents.splice(index, 0, draggedItem);
-    
-    setSelectedAgents(newAgents);
-    setDraggedIndex(index);
-  };
+  const addForEach = () => addStep({ type: 'foreach', name: 'For each', agentIds: [], foreach: { ...DEFAULT_FOREACH } });
 
-  const handleDragEnd = () => {
-    setDraggedIndex(null);
-  };
+  const addLoop = () => addStep({ type: 'loop', name: 'Repeat until', agentIds: [], loop: { ...DEFAULT_LOOP } });
 
-  // Keyboard navigation for reordering
-  const handleKeyDown = (e, index) => {
-    if (e.key === 'ArrowUp' && index > 0) {
-      e.preventDefault();
-      moveAgent(index, 'up');
-    } else if (e.key === 'ArrowDown' && index < selectedAgents.length - 1) {
-      e.preventDefault();
-      moveAgent(index, 'down');
-    }
-  };
+  const addApproval = () => addStep({ type: 'approval', name: 'Approval', approval: { ...DEFAULT_APPROVAL } });
+
+  const selectedStep = graph.steps.find(step => step.id === selectedStepId);
+
+  const inputsError = validateInputSchema(inputs);
+  const graphError = validateWorkflowGraph(graph) || validateStepInputs(graph, agents, inputs);
 
   const handleSave = () => {
-    if (!name || selectedAgents.length === 0) return;
+    if (!name || graphError || inputsError) return;
+    // Templates and parameter mappings are only stored when set
+    const inputFields = (step) => {
+      const params = Object.fromEntries(Object.entries(step.params || {}).filter(([, value]) => String(value).trim()));
+      return {
+        ...(step.inputTemplate?.trim() ? { inputTemplate: step.inputTemplate } : {}),
+        ...(Object.keys(params).length > 0 ? { params } : {})
+      };
+    };
+    const stepFields = (step) => {
+      if (isRouterStep(step)) return { type: 'router', name: step.name, router: step.router };
+      if (step.type === 'foreach') return { type: 'foreach', name: step.name, agentIds: step.agentIds, foreach: step.foreach, ...inputFields(step) };
+      if (step.type === 'loop') return { type: 'loop', name: step.name, agentIds: step.agentIds, loop: step.loop, ...inputFields(step) };
+      if (isApprovalStep(step)) return { type: 'approval', name: step.name, approval: step.approval, ...inputFields(step) };
+      return { agentId: step.agentId, ...(step.name?.trim() ? { name: step.name.trim() } : {}), ...inputFields(step) };
+    };
+    // `order` follows the execution order, so code that only reads `agents` still sees a sensible sequence
+    const executionOrder = sortStepIds(graph);
     const workflowData = {
       name,
       description,
-      agents: selectedAgents.map((agent, idx) => ({
-        agentId: agent.id,
-        order: idx
-      }))
+      budget,
+      inputs: inputs.map(input => ({ ...input, key: input.key.trim() })),
+      agents: graph.steps
+        .map(step => ({
+          id: step.id,
+          ...stepFields(step),
+          order: executionOrder.indexOf(step.id),
+          position: step.position
+        }))
+        .sort((a, b) => a.order - b.order),
+      edges: graph.edges.map(({ from, to, branch }) => ({ from, to, ...(branch ? { branch } : {}) }))
     };
     
     // If editing, preserve the id
@@ -145,6 +181,22 @@ const WorkflowBuilder = ({ agents, workflow, onSave, onClose }) => {
           />
         </div>
 
+        <div className="form-group">
+          <label>Budget Limits (Optional)</label>
+          <BudgetFields budget={budget} onChange={setBudget} scope="workflow" />
+        </div>
+
+        <CustomParametersField
+          parameters={inputs}
+          onChange={setInputs}
+          label="Workflow Inputs (Optional)"
+          helperText="Typed fields filled in when running. Steps read them as {{inputs.name}}; without inputs the workflow takes one free-text input."
+          addLabel="+ Add Input"
+          allowFiles
+          allowRequired
+        />
+        {inputsError && <div className="graph-error">{inputsError}</div>}
+
         <div className="builder-layout">
           <div className="available-agents">
             <div className="section-header">
@@ -182,27 +234,46 @@ const WorkflowBuilder = ({ agents, workflow, onSave, onClose }) => {
               )}
             </div>
 
+            <button className="add-router-step" onClick={addRouter} title="Add a step that chooses which branch runs next">
+              🔀 Add router step
+            </button>
+            <div className="add-loop-steps">
+              <button className="add-router-step" onClick={addForEach} title="Add a step that runs agents once per item of a JSON array">
+                🔁 Add for-each step
+              </button>
+              <button className="add-router-step" onClick={addLoop} title="Add a step that repeats agents until a condition holds">
+                🔂 Add repeat-until step
+              </button>
+            </div>
+            <button className="add-router-step" onClick={addApproval} title="Add a step that pauses the run until a person approves, edits or rejects the text">
+              ✋ Add approval step
+            </button>
+
             <div className="agent-list">
               {filteredAgents.length === 0 ? (
                 <div className="no-results">
                   No agents found matching "{searchQuery}"
                 </div>
               ) : (
-                filteredAgents.map(agent => (
-                  <div 
-                    key={agent.id} 
-                    className={`agent-item ${selectedAgents.find(a => a.id === agent.id) ? 'added' : ''}`}
-                    onClick={() => addAgent(agent)}
-                  >
-                    <span className="add-icon">
-                      {selectedAgents.find(a => a.id === agent.id) ? '✓' : '+'}
-                    </span>
-                    <div className="agent-details">
-                      <strong>{agent.name}</strong>
-                      <small>{agent.role}</small>
+                filteredAgents.map(agent => {
+                  const uses = graph.steps.filter(step => step.agentId === agent.id || step.agentIds?.includes(agent.id)).length;
+                  return (
+                    <div 
+                      key={agent.id} 
+                      className={`agent-item ${uses > 0 ? 'added' : ''}`}
+                      onClick={() => addAgent(agent)}
+                      title={uses > 0 ? `Used in ${uses} step${uses === 1 ? '' : 's'}; click to add another` : 'Add as a step'}
+                    >
+                      <span className="add-icon">
+                        {uses > 1 ? `×${uses}` : uses === 1 ? '✓' : '+'}
+                      </span>
+                      <div className="agent-details">
+                        <strong>{agent.name}</strong>
+                        <small>{agent.role}</small>
+                      </div>
                     </div>
-                  </div>
-                ))
+                  );
+                })
               )}
             </div>
           </div>
@@ -213,14 +284,14 @@ const WorkflowBuilder = ({ agents, workflow, onSave, onClose }) => {
                 <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline>
                 </svg>
-                Workflow Chain
+                Workflow Graph
               </h3>
               <span className="section-caption">
-                {selectedAgents.length} {selectedAgents.length === 1 ? 'step' : 'steps'}
+                {graph.steps.length} {graph.steps.length === 1 ? 'step' : 'steps'} · {graph.edges.length} {graph.edges.length === 1 ? 'connection' : 'connections'}
               </span>
             </div>
 
-            {selectedAgents.length === 0 ? (
+            {graph.steps.length === 0 ? (
               <div className="empty-chain">
                 <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <circle cx="12" cy="12" r="10"></circle>
@@ -228,74 +299,35 @@ const WorkflowBuilder = ({ agents, workflow, onSave, onClose }) => {
                   <line x1="12" y1="16" x2="12.01" y2="16"></line>
                 </svg>
                 <p>Click agents from the left to add them to your workflow</p>
-                <small>Agents will execute in sequence from top to bottom</small>
+                <small>
+                  Each new step runs after the selected one. Steps after the same step run in parallel,
+                  and a step connected from several steps receives their combined outputs.
+                </small>
               </div>
             ) : (
-              <div className="chain-list">
-                {selectedAgents.map((agent, idx) => (
-                  <div 
-                    key={agent.id} 
-                    className={`chain-item ${draggedIndex === idx ? 'dragging' : ''}`}
-                    draggable
-                    onDragStart={(e) => handleDragStart(e, idx)}
-                    onDragOver={(e) => handleDragOver(e, idx)}
-                    onDragEnd={handleDragEnd}
-                    onKeyDown={(e) => handleKeyDown(e, idx)}
-                    tabIndex={0}
-                    role="button"
-                    aria-label={`${agent.name}, position ${idx + 1}`}
-                  >
-                    <span className="drag-handle" title="Drag to reorder">
-                      <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                        <circle cx="9" cy="5" r="1.5"></circle>
-                        <circle cx="9" cy="12" r="1.5"></circle>
-                        <circle cx="9" cy="19" r="1.5"></circle>
-                        <circle cx="15" cy="5" r="1.5"></circle>
-                        <circle cx="15" cy="12" r="1.5"></circle>
-                        <circle cx="15" cy="19" r="1.5"></circle>
-                      </svg>
-                    </span>
-                    <span className="chain-number">{idx + 1}</span>
-                    <div className="chain-info">
-                      <strong>{agent.name}</strong>
-                      <small>{agent.role}</small>
-                    </div>
-                    <div className="chain-controls">
-                      <button 
-                        onClick={() => moveAgent(idx, 'up')} 
-                        disabled={idx === 0}
-                        title="Move up (↑)"
-                        aria-label="Move up"
-                      >
-                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
-                          <polyline points="18 15 12 9 6 15"></polyline>
-                        </svg>
-                      </button>
-                      <button 
-                        onClick={() => moveAgent(idx, 'down')} 
-                        disabled={idx === selectedAgents.length - 1}
-                        title="Move down (↓)"
-                        aria-label="Move down"
-                      >
-                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
-                          <polyline points="6 9 12 15 18 9"></polyline>
-                        </svg>
-                      </button>
-                      <button 
-                        onClick={() => removeAgent(agent.id)}
-                        className="remove-btn"
-                        title="Remove from workflow"
-                        aria-label="Remove"
-                      >
-                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                          <line x1="18" y1="6" x2="6" y2="18"></line>
-                          <line x1="6" y1="6" x2="18" y2="18"></line>
-                        </svg>
-                      </button>
-                    </div>
-                  </div>
-                ))}
-              </div>
+              <WorkflowGraphEditor
+                graph={graph}
+                agents={agents}
+                selectedStepId={selectedStepId}
+                onSelectStep={setSelectedStepId}
+                onChange={setGraph}
+              />
+            )}
+
+            {isRouterStep(selectedStep) && (
+              <RouterStepConfig step={selectedStep} graph={graph} agents={agents} onChange={setGraph} />
+            )}
+            {isLoopStep(selectedStep) && (
+              <LoopStepConfig step={selectedStep} graph={graph} agents={agents} onChange={setGraph} />
+            )}
+            {isApprovalStep(selectedStep) && (
+              <ApprovalStepConfig step={selectedStep} graph={graph} onChange={setGraph} />
+            )}
+            {selectedStep && !isRouterStep(selectedStep) && (
+              <StepInputConfig step={selectedStep} graph={graph} agents={agents} inputs={inputs} onChange={setGraph} />
+            )}
+            {graphError && graph.steps.length > 0 && (
+              <div className="graph-error">{graphError}</div>
             )}
           </div>
         </div>
@@ -311,7 +343,7 @@ const WorkflowBuilder = ({ agents, workflow, onSave, onClose }) => {
           <button 
             className="btn-primary" 
             onClick={handleSave}
-            disabled={!name || selectedAgents.length === 0}
+            disabled={!name || Boolean(graphError) || Boolean(inputsError)}
           >
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <polyline points="20 6 9 17 4 12"></polyline>
@@ -3,7 +3,7 @@ import './WorkflowCard.css';
 import { exportWorkflow } from '../services/exportImportService';
 import { getAllTools } from '../services/indexedDB';
 
-const WorkflowCard = ({ workflow, agents, onRun, onEdit, onDelete, isRunning = false }) => {
+const WorkflowCard = ({ workflow, agents, onRun, onEdit, onVersions, onDelete, isRunning = false }) => {
   const handleExport = async (e) => {
     e.stopPropagation();
     try {
@@ -25,6 +25,7 @@ const WorkflowCard = ({ workflow, agents, onRun, onEdit, onDelete, isRunning = f
         </div>
         <span className="workflow-badge">
           {workflow.agents.length} {workflow.agents.length === 1 ? 'step' : 'steps'}
+          {workflow.version && <span className="workflow-version"> · v{workflow.version}</span>}
         </span>
       </div>
       
@@ -50,6 +51,14 @@ const WorkflowCard = ({ workflow, agents, onRun, onEdit, onDelete, isRunning = f
             </svg>
           </button>
           
+          <button className="btn-action-icon btn-versions" onClick={() => onVersions(workflow)} title="Version history" disabled={isRunning}>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="1 4 1 10 7 10"></polyline>
+              <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+              <polyline points="12 7 12 12 15 15"></polyline>
+            </svg>
+          </button>
+          
           <button className="btn-action-icon btn-export" onClick={handleExport} title="Export workflow" disabled={isRunning}>
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
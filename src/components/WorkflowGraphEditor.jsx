@@ -0,0 +1,289 @@
+// src/components/WorkflowGraphEditor.jsx
+import React, { useRef, useState } from 'react';
+import {
+  NODE_WIDTH,
+  NODE_HEIGHT,
+  createEdge,
+  getPredecessors,
+  getStepLabel,
+  isRouterStep,
+  wouldCreateCycle
+} from '../services/workflowGraph';
+import { ROUTER_MODES, getBranchLabel } from '../services/routerService';
+import { isLoopStep } from '../services/loopSteps';
+import { isApprovalStep } from '../services/approvalSteps';
+import './WorkflowGraphEditor.css';
+
+const CANVAS_MARGIN = 80;
+const NUDGE = 20;
+
+// Subtitle of a foreach / loop node: its kind and how many agents it runs
+const loopSummary = (step) => `${step.type === 'foreach' ? '🔁 For each item' : '🔂 Repeat until'} · ${step.agentIds?.length || 0} agent(s)`;
+
+// Curve from a step's output handle (right) to the next step's input handle (left)
+const edgePath = (from, to) => {
+  const startX = from.x + NODE_WIDTH;
+  const startY = from.y + NODE_HEIGHT / 2;
+  const endX = to.x;
+  const endY = to.y + NODE_HEIGHT / 2;
+  const bend = Math.max(40, Math.abs(endX - startX) / 2);
+  return `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+};
+
+/**
+ * Node/edge editor for a workflow graph ({ steps, edges }, see workflowGraph.js).
+ * Steps are dragged to arrange them; clicking a step's output handle and then another step connects them.
+ */
+const WorkflowGraphEditor = ({ graph, agents, selectedStepId, onSelectStep, onChange }) => {
+  const [dragging, setDragging] = useState(null);
+  const [connectingFrom, setConnectingFrom] = useState(null);
+  const [pointer, setPointer] = useState(null);
+  const [selectedEdge, setSelectedEdge] = useState(null);
+  const [message, setMessage] = useState(null);
+  const canvasRef = useRef(null);
+
+  const { steps, edges } = graph;
+  const stepsById = Object.fromEntries(steps.map(step => [step.id, step]));
+  const agentName = (step) => getStepLabel(step, agents);
+
+  const width = Math.max(0, ...steps.map(step => step.position.x + NODE_WIDTH)) + CANVAS_MARGIN;
+  const height = Math.max(0, ...steps.map(step => step.position.y + NODE_HEIGHT)) + CANVAS_MARGIN;
+
+  const canvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const moveStep = (stepId, position) => {
+    onChange({
+      steps: steps.map(step => (step.id === stepId
+        ? { ...step, position: { x: Math.max(0, position.x), y: Math.max(0, position.y) } }
+        : step)),
+      edges
+    });
+  };
+
+  const removeStep = (stepId) => {
+    onChange({
+      steps: steps.filter(step => step.id !== stepId),
+      edges: edges.filter(edge => edge.from !== stepId && edge.to !== stepId)
+    });
+    if (selectedStepId === stepId) onSelectStep(null);
+    if (connectingFrom === stepId) setConnectingFrom(null);
+  };
+
+  const removeEdge = (edge) => {
+    onChange({ steps, edges: edges.filter(e => e !== edge) });
+    setSelectedEdge(null);
+  };
+
+  const connect = (from, to) => {
+    setConnectingFrom(null);
+    setPointer(null);
+    if (edges.some(edge => edge.from === from && edge.to === to)) {
+      setMessage('These steps are already connected.');
+    } else if (wouldCreateCycle(graph, from, to)) {
+      setMessage('That connection would create a loop: a step cannot feed back into an earlier step.');
+    } else {
+      onChange({ steps, edges: [...edges, createEdge(graph, from, to)] });
+      setMessage(null);
+    }
+  };
+
+  const handleStepPointerDown = (e, step) => {
+    if (e.button !== 0) return;
+    if (connectingFrom) {
+      connect(connectingFrom, step.id);
+      return;
+    }
+    const point = canvasPoint(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging({ id: step.id, offsetX: point.x - step.position.x, offsetY: point.y - step.position.y });
+    setSelectedEdge(null);
+    onSelectStep(step.id);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragging) {
+      const point = canvasPoint(e);
+      moveStep(dragging.id, { x: point.x - dragging.offsetX, y: point.y - dragging.offsetY });
+    } else if (connectingFrom) {
+      setPointer(canvasPoint(e));
+    }
+  };
+
+  const handleCanvasClick = (e) => {
+    if (e.target !== e.currentTarget && e.target.tagName !== 'svg') return;
+    setConnectingFrom(null);
+    setPointer(null);
+    setSelectedEdge(null);
+    onSelectStep(null);
+  };
+
+  const handleStepKeyDown = (e, step) => {
+    const moves = {
+      ArrowLeft: [-NUDGE, 0],
+      ArrowRight: [NUDGE, 0],
+      ArrowUp: [0, -NUDGE],
+      ArrowDown: [0, NUDGE]
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      const [dx, dy] = moves[e.key];
+      moveStep(step.id, { x: step.position.x + dx, y: step.position.y + dy });
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      removeStep(step.id);
+    } else if (e.key === 'Enter' && connectingFrom) {
+      e.preventDefault();
+      connect(connectingFrom, step.id);
+    }
+  };
+
+  const handleCanvasKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setConnectingFrom(null);
+      setPointer(null);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && selectedEdge) {
+      e.preventDefault();
+      removeEdge(selectedEdge);
+    }
+  };
+
+  return (
+    <div className="graph-editor">
+      <div className="graph-editor-hint">
+        {connectingFrom
+          ? `Click the step that should run after "${agentName(stepsById[connectingFrom])}" (Esc to cancel).`
+          : 'Drag steps to arrange them. Click a step\'s ● handle, then another step, to connect them. Click a connection to select it.'}
+      </div>
+
+      <div className="graph-canvas-scroll">
+        <div
+          ref={canvasRef}
+          className={`graph-canvas ${connectingFrom ? 'connecting' : ''}`}
+          style={{ width, height }}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => setDragging(null)}
+          onClick={handleCanvasClick}
+          onKeyDown={handleCanvasKeyDown}
+          tabIndex={-1}
+        >
+          <svg className="graph-edges" width={width} height={height}>
+            <defs>
+              <marker id="graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" />
+              </marker>
+            </defs>
+            {edges.map(edge => {
+              const from = stepsById[edge.from];
+              const to = stepsById[edge.to];
+              const path = edgePath(from.position, to.position);
+              const isSelected = selectedEdge === edge;
+              return (
+                <g
+                  key={`${edge.from}->${edge.to}`}
+                  className={`graph-edge ${isSelected ? 'selected' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSelectedEdge(edge);
+                    onSelectStep(null);
+                  }}
+                >
+                  <path className="graph-edge-hitbox" d={path} />
+                  <path className="graph-edge-line" d={path} markerEnd="url(#graph-arrow)" />
+                  {isRouterStep(from) && (
+                    <text
+                      className="graph-edge-label"
+                      x={(from.position.x + NODE_WIDTH + to.position.x) / 2}
+                      y={(from.position.y + to.position.y + NODE_HEIGHT) / 2 - 6}
+                      textAnchor="middle"
+                    >
+                      {edge.branch ? getBranchLabel(from.router, edge.branch) : 'Choose branch'}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+            {connectingFrom && pointer && (
+              <path
+                className="graph-edge-line pending"
+                d={edgePath(stepsById[connectingFrom].position, { x: pointer.x, y: pointer.y - NODE_HEIGHT / 2 })}
+              />
+            )}
+          </svg>
+
+          {steps.map(step => {
+            const joins = getPredecessors(graph, step.id).length;
+            const routerMode = isRouterStep(step)
+              ? ROUTER_MODES.find(mode => mode.value === step.router?.mode)?.label
+              : null;
+            const subtitle = routerMode
+              ? `🔀 ${routerMode}`
+              : isLoopStep(step) ? loopSummary(step)
+                : isApprovalStep(step) ? '✋ Waits for approval'
+                  : joins > 1 ? `Joins ${joins} steps` : joins === 0 ? 'Receives the workflow input' : '\u00a0';
+            return (
+              <div
+                key={step.id}
+                className={`graph-node ${isRouterStep(step) ? 'router' : ''}${isLoopStep(step) ? 'loop' : ''}${isApprovalStep(step) ? 'approval' : ''} ${selectedStepId === step.id ? 'selected' : ''} ${connectingFrom === step.id ? 'source' : ''}`}
+                style={{ left: step.position.x, top: step.position.y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                onPointerDown={(e) => handleStepPointerDown(e, step)}
+                onKeyDown={(e) => handleStepKeyDown(e, step)}
+                onFocus={() => {
+                  setSelectedEdge(null);
+                  onSelectStep(step.id);
+                }}
+                tabIndex={0}
+                role="button"
+                aria-label={`${agentName(step)} step. Arrow keys move it, Delete removes it.`}
+              >
+                <span className="graph-port in" aria-hidden="true" />
+                <div className="graph-node-info">
+                  <strong>{agentName(step)}</strong>
+                  <small>{subtitle}</small>
+                </div>
+                <button
+                  className="graph-node-remove"
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    removeStep(step.id);
+                  }}
+                  title="Remove step"
+                  aria-label="Remove step"
+                >
+                  ✕
+                </button>
+                <button
+                  className="graph-port out"
+                  onPointerDown={(e) => e.stopPropagation()}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setConnectingFrom(connectingFrom === step.id ? null : step.id);
+                    setPointer(null);
+                    setMessage(null);
+                  }}
+                  title="Connect to another step"
+                  aria-label={`Connect ${agentName(step)} to another step`}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {selectedEdge && (
+        <div className="graph-editor-selection">
+          <span>
+            {agentName(stepsById[selectedEdge.from])} → {agentName(stepsById[selectedEdge.to])}
+          </span>
+          <button onClick={() => removeEdge(selectedEdge)}>Remove connection</button>
+        </div>
+      )}
+      {message && <div className="graph-editor-message">{message}</div>}
+    </div>
+  );
+};
+
+export default WorkflowGraphEditor;
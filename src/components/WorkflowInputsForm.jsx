@@ -0,0 +1,104 @@
+// src/components/WorkflowInputsForm.jsx
+import React, { useState } from 'react';
+import { parseFile, isFileSupported, getSupportedExtensions } from '../services/fileParser';
+import { getInputOptions } from '../services/workflowInputs';
+import './WorkflowInputsForm.css';
+
+/**
+ * Run form for a workflow's typed inputs. Files are read to text when picked.
+ */
+const WorkflowInputsForm = ({ inputs, values, errors = {}, disabled = false, onChange }) => {
+  const [fileStatus, setFileStatus] = useState({});
+
+  const setStatus = (key, status) => setFileStatus(prev => ({ ...prev, [key]: status }));
+
+  const handleFile = async (input, event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!isFileSupported(file)) {
+      setStatus(input.key, { error: `Unsupported file type. Supported: ${getSupportedExtensions().join(', ')}` });
+      return;
+    }
+
+    setStatus(input.key, { reading: true });
+    try {
+      const text = await parseFile(file);
+      onChange(input.key, { fileName: file.name, text });
+      setStatus(input.key, null);
+    } catch (error) {
+      setStatus(input.key, { error: `Could not read ${file.name}: ${error.message}` });
+    }
+  };
+
+  const renderField = (input) => {
+    const value = values[input.key];
+
+    if (input.type === 'file') {
+      const status = fileStatus[input.key];
+      return (
+        <div className="workflow-input-file">
+          <input type="file" onChange={(e) => handleFile(input, e)} disabled={disabled || status?.reading} />
+          {status?.reading && <small>Reading file…</small>}
+          {value && !status?.reading && (
+            <small>
+              📎 {value.fileName} ({value.text.length.toLocaleString()} characters)
+              <button type="button" onClick={() => onChange(input.key, null)} disabled={disabled}>Remove</button>
+            </small>
+          )}
+          {status?.error && <small className="workflow-input-error">{status.error}</small>}
+        </div>
+      );
+    }
+
+    if (input.type === 'select') {
+      return (
+        <select value={value ?? ''} onChange={(e) => onChange(input.key, e.target.value)} disabled={disabled}>
+          {!input.required && <option value="">—</option>}
+          {getInputOptions(input).map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (input.type === 'number') {
+      return (
+        <input
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(input.key, e.target.value)}
+          disabled={disabled}
+        />
+      );
+    }
+
+    return (
+      <textarea
+        value={value ?? ''}
+        onChange={(e) => onChange(input.key, e.target.value)}
+        rows="2"
+        disabled={disabled}
+      />
+    );
+  };
+
+  return (
+    <div className="workflow-inputs-form">
+      {inputs.map(input => (
+        <div key={input.key} className={`workflow-input-field${errors[input.key] ? ' invalid' : ''}`}>
+          <label>
+            {input.key}
+            {input.required && <span className="workflow-input-required"> *</span>}
+          </label>
+          {renderField(input)}
+          {errors[input.key] && <small className="workflow-input-error">{errors[input.key]}</small>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WorkflowInputsForm;
@@ -1,125 +1,295 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import remarkGfm from 'remark-gfm';
-import { executeChain } from '../services/chainExecutor';
+import { createWorkflowRun } from '../services/workflowEngine';
+import { getWorkflowGraph, getStepLevels, getPredecessors, getStepLabel, isRouterStep, validateWorkflowGraph } from '../services/workflowGraph';
+import { getBranchLabel } from '../services/routerService';
+import { isLoopStep } from '../services/loopSteps';
+import { validateStepInputs } from '../services/stepTemplates';
+import { formatInputValues, getDefaultInputValues, getInputTexts, validateInputValues } from '../services/workflowInputs';
+import { getFailedStepResult, isResumable } from '../services/workflowCheckpoints';
+import { getApprovalSettings, isApprovalStep } from '../services/approvalSteps';
+import { getVersionLogFields } from '../services/workflowVersions';
 import { saveWorkflowExecutionLog } from '../services/indexedDB';
+import { formatCost, formatTokens } from '../services/usageService';
 import CopyButton from './CopyButton';
+import WorkflowInputsForm from './WorkflowInputsForm';
 import { downloadOutput } from '../services/downloadService';
 import './WorkflowRunner.css';
 
-const WorkflowRunner = ({ workflow, agents, onRunAgent, onClose }) => {
+const markdownComponents = {
+  h1: ({ node, ...props }) => <h1 className="md-h1" {...props} />,
+  h2: ({ node, ...props }) => <h2 className="md-h2" {...props} />,
+  h3: ({ node, ...props }) => <h3 className="md-h3" {...props} />,
+  p: ({ node, ...props }) => <p className="md-p" {...props} />,
+  ul: ({ node, ...props }) => <ul className="md-ul" {...props} />,
+  ol: ({ node, ...props }) => <ol className="md-ol" {...props} />,
+  li: ({ node, ...props }) => <li className="md-li" {...props} />,
+  code: ({ node, inline, className, children, ...props }) => {
+    const match = /language-(\w+)/.exec(className || '');
+    return !inline && match ? (
+      <SyntaxHighlighter
+        style={vscDarkPlus}
+        language={match[1]}
+        PreTag="div"
+        customStyle={{ margin: '8px 0', borderRadius: '8px', fontSize: '13px' }}
+        {...props}
+      >
+        {String(children).replace(/\n$/, '')}
+      </SyntaxHighlighter>
+    ) : (
+      <code className="md-code-inline" {...props}>{children}</code>
+    );
+  },
+  strong: ({ node, ...props }) => <strong className="md-strong" {...props} />,
+  a: ({ node, ...props }) => <a className="md-link" target="_blank" rel="noopener noreferrer" {...props} />,
+};
+
+const isStoppedStep = (step) => step.status === 'cancelled' || step.status === 'budget_exceeded';
+const STATUS_ICONS = { success: '✓', cancelled: '⏹', budget_exceeded: '💸', skipped: '↷', rejected: '✋', awaiting_approval: '✋' };
+const DECISION_LABELS = { approved: 'Approved', edited: 'Approved with edits', rejected: 'Rejected' };
+
+// Badge text for a running / finished foreach or loop step
+const loopProgressText = (step, progress) => {
+  if (!progress) return 'Running...';
+  return step.type === 'foreach'
+    ? `${progress.done}/${progress.total} items done`
+    : `Iteration ${Math.min(progress.done + 1, progress.total)}/${progress.total}`;
+};
+
+const loopSummaryText = (result) => {
+  if (result.type === 'foreach') return `Ran ${result.itemCount} item(s) through its agents`;
+  return result.conditionMet
+    ? `Stop condition met after ${result.iterations} iteration(s)`
+    : `Stopped at the limit of ${result.iterations} iteration(s) without meeting the stop condition`;
+};
+
+/**
+ * Runs a workflow. `resumeFrom` (a workflow execution log) opens it ready to resume that run;
+ * `onEditAgent` lets the user fix the failed step's agent before resuming.
+ */
+const WorkflowRunner = ({ workflow, agents, onRunAgent, onClose, resumeFrom = null, onEditAgent }) => {
   const [input, setInput] = useState('');
+  // Workflows that declare typed inputs get a form instead of the free-text input
+  const declaredInputs = workflow.inputs || [];
+  const hasInputs = declaredInputs.length > 0;
+  const [inputValues, setInputValues] = useState(() => getDefaultInputValues(declaredInputs));
+  const [inputErrors, setInputErrors] = useState({});
   const [running, setRunning] = useState(false);
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
-  const [currentStep, setCurrentStep] = useState(-1);
-  const [completedSteps, setCompletedSteps] = useState([]);
+  const [stepStates, setStepStates] = useState({});
   const [downloadFormat, setDownloadFormat] = useState("markdown");
+  const [streamingOutputs, setStreamingOutputs] = useState({});
+  // The failed / stopped run that can be resumed, and an edited input for its failed step (null: unchanged)
+  const [resumeLog, setResumeLog] = useState(resumeFrom);
+  const [resumeInput, setResumeInput] = useState(null);
+  // Approval steps waiting for a decision: { [stepId]: { input, text, comment } }
+  const [pendingApprovals, setPendingApprovals] = useState({});
+  const runRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
-  const handleRun = async () => {
-    if (!input.trim()) return;
+  const graph = getWorkflowGraph(workflow);
+  const graphError = validateWorkflowGraph(graph) || validateStepInputs(graph, agents, declaredInputs);
+  const stepLevels = graphError ? [] : getStepLevels(graph);
+  const stepsById = Object.fromEntries(graph.steps.map(step => [step.id, step]));
+  // Numbered in execution order, like `step` in the results
+  const stepNumbers = Object.fromEntries(stepLevels.flat().map((id, index) => [id, index + 1]));
+  const agentFor = (step) => agents.find(a => a.id === step?.agentId);
+  const labelFor = (stepId) => getStepLabel(stepsById[stepId], agents);
+
+  // Closing the runner stops a workflow that is still in flight
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const updateStepState = (stepId, state) => {
+    setStepStates(prev => ({ ...prev, [stepId]: { ...prev[stepId], ...state } }));
+  };
+
+  // Live output panels, keyed by step (or by step and item / iteration inside foreach and loop steps)
+  const setStreamingOutput = (key, stream) => {
+    setStreamingOutputs(prev => {
+      const next = { ...prev };
+      if (stream?.text) next[key] = stream;
+      else delete next[key];
+      return next;
+    });
+  };
+
+  const handleInputChange = (key, value) => {
+    setInputValues(prev => ({ ...prev, [key]: value }));
+    setInputErrors(prev => ({ ...prev, [key]: undefined }));
+  };
+
+  const failedResult = isResumable(resumeLog) ? getFailedStepResult(resumeLog) : null;
+  const failedAgent = failedResult && !stepsById[failedResult.stepId]?.type ? agentFor(stepsById[failedResult.stepId]) : null;
+
+  /**
+   * Run the workflow. `resume` ({ log, inputOverrides }) continues a logged run: its finished steps
+   * are reused and `inputOverrides` replaces the input of the given steps.
+   */
+  const runWorkflow = async (resume = null) => {
+    let workflowInput;
+    let runInputValues;
+    if (resume) {
+      workflowInput = resume.log.input;
+      runInputValues = resume.log.inputValues || {};
+    } else {
+      if (hasInputs) {
+        const errors = validateInputValues(declaredInputs, inputValues);
+        setInputErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+      } else if (!input.trim()) {
+        return;
+      }
+      workflowInput = hasInputs ? formatInputValues(declaredInputs, inputValues) : input;
+      runInputValues = inputValues;
+    }
+    const inputLog = hasInputs ? { inputValues: runInputValues } : {};
+    
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     
     setRunning(true);
     setResults(null);
     setError(null);
-    setCurrentStep(-1);
-    setCompletedSteps([]);
+    setStepStates({});
+    setStreamingOutputs({});
+    setPendingApprovals({});
     
-    try {
-      // Execute chain with progress tracking
-      const workflowAgents = workflow.agents.sort((a, b) => a.order - b.order);
-      const stepResults = [];
-      let currentInput = input;
-
-      for (let i = 0; i < workflowAgents.length; i++) {
-        const workflowAgent = workflowAgents[i];
-        const agent = agents.find(a => a.id === workflowAgent.agentId);
-        
-        if (!agent) {
-          throw new Error(`Agent not found: ${workflowAgent.agentId}`);
-        }
-
-        // Update current step
-        setCurrentStep(i);
-        
-        try {
-          const output = await onRunAgent(agent, currentInput, {});
-          
-          stepResults.push({
-            step: i + 1,
-            agentId: agent.id,
-            agentName: agent.name,
-            input: currentInput,
-            output,
-            status: 'success'
-          });
-          
-          // Mark step as completed
-          setCompletedSteps(prev => [...prev, i]);
-          
-          currentInput = output;
-        } catch (error) {
-          stepResults.push({
-            step: i + 1,
-            agentId: agent.id,
-            agentName: agent.name,
-            input: currentInput,
-            output: null,
-            error: error.message,
-            status: 'error'
-          });
-          throw error;
-        }
-      }
-
-      const executionResults = {
+    const run = createWorkflowRun(workflow, { agents, onRunAgent });
+    runRef.current = run;
+    
+    const runId = crypto.randomUUID();
+    const runAt = new Date().toISOString();
+    const runLog = (fields) => {
+      const { results: stepResults, usage, retries } = run.getState();
+      return {
+        id: runId,
         workflowId: workflow.id,
         workflowName: workflow.name,
-        results: stepResults,
-        finalOutput: currentInput
+        ...getVersionLogFields(workflow),
+        input: workflowInput,
+        ...inputLog,
+        ...(resume ? { resumedFrom: resume.log.id } : {}),
+        stepResults,
+        retries,
+        usage,
+        runAt,
+        ...fields
       };
-      
-      setResults(executionResults);
-      setCurrentStep(-1);
-      
-      // Save workflow execution log
-      await saveWorkflowExecutionLog({
-        workflowId: workflow.id,
-        workflowName: workflow.name,
-        input: input,
-        output: currentInput,
-        status: 'success',
-        stepResults: stepResults,
-        runAt: new Date().toISOString()
+    };
+    // The run's log is its checkpoint: it is rewritten after every step, one write at a time.
+    // Approval steps still waiting are logged as 'pending', so a paused run can be picked up after a reload.
+    let logWrites = Promise.resolve();
+    const saveRunLog = (fields) => {
+      const log = runLog(fields);
+      logWrites = logWrites
+        .then(() => saveWorkflowExecutionLog(log))
+        .catch(error => console.error('Failed to save workflow run:', error));
+      return logWrites.then(() => log);
+    };
+    const saveProgress = () => saveRunLog({
+      status: run.getState().awaitingApproval ? 'awaiting_approval' : 'running',
+      output: null
+    });
+    const removePendingApproval = (stepId) => setPendingApprovals(prev => {
+      const next = { ...prev };
+      delete next[stepId];
+      return next;
+    });
+    
+    run.on('run:started', ({ results: reused }) => {
+      setStepStates(Object.fromEntries(reused.map(result => [
+        result.stepId,
+        { status: result.status === 'skipped' ? 'skipped' : 'completed', branch: result.branch }
+      ])));
+      saveProgress();
+    });
+    run.on('step:started', ({ stepId }) => updateStepState(stepId, { status: 'running', retry: null, progress: null }));
+    run.on('step:output', ({ stepId, streamKey, title, text }) => {
+      setStreamingOutput(streamKey, text ? { stepId, title, text } : null);
+      if (text) updateStepState(stepId, { retry: null });
+    });
+    run.on('step:retry', ({ stepId, retry }) => updateStepState(stepId, { retry }));
+    run.on('step:progress', ({ stepId, progress }) => updateStepState(stepId, { progress }));
+    run.on('step:approval', ({ stepId, input: approvalInput }) => {
+      updateStepState(stepId, { status: 'awaiting_approval' });
+      setPendingApprovals(prev => ({ ...prev, [stepId]: { input: approvalInput, text: approvalInput, comment: '' } }));
+      saveProgress();
+    });
+    run.on('step:finished', ({ result }) => {
+      updateStepState(result.stepId, {
+        status: result.status === 'skipped' ? 'skipped' : 'completed',
+        retry: null,
+        branch: result.branch
       });
-    } catch (err) {
-      setError(err.message);
-      console.error('Workflow execution failed:', err);
-      setCurrentStep(-1);
-      
-      // Save failed execution log
-      await saveWorkflowExecutionLog({
-        workflowId: workflow.id,
-        workflowName: workflow.name,
-        input: input,
-        output: null,
-        error: err.message,
-        status: 'error',
-        stepResults: results?.results || [],
-        runAt: new Date().toISOString()
+      removePendingApproval(result.stepId);
+      saveProgress();
+    });
+    run.on('step:error', ({ result }) => {
+      updateStepState(result.stepId, { status: result.status, retry: null });
+      removePendingApproval(result.stepId);
+      saveProgress();
+    });
+    
+    try {
+      const summary = await run.start(workflowInput, {
+        signal: controller.signal,
+        inputs: getInputTexts(declaredInputs, runInputValues),
+        resume
+      });
+      const log = await saveRunLog({
+        output: summary.output,
+        ...(summary.error ? { error: summary.error } : {}),
+        status: summary.status
       });
+      
+      if (summary.status === 'error') {
+        setError(summary.error);
+      } else {
+        setResults({
+          workflowId: workflow.id,
+          workflowName: workflow.name,
+          results: summary.results,
+          finalOutput: summary.output,
+          usage: summary.usage,
+          cancelled: summary.status === 'cancelled',
+          budgetMessage: summary.status === 'budget_exceeded' ? summary.error : null,
+          rejection: summary.status === 'rejected' ? summary.error : null
+        });
+      }
+      setResumeLog(summary.status === 'success' ? null : log);
+      setResumeInput(null);
     } finally {
+      abortControllerRef.current = null;
+      runRef.current = null;
       setRunning(false);
+      setStreamingOutputs({});
+      setPendingApprovals({});
     }
   };
 
-  // Get the agents in order for the workflow
-  const workflowAgents = workflow.agents
-    .sort((a, b) => a.order - b.order)
-    .map(wAgent => agents.find(a => a.id === wAgent.agentId))
-    .filter(Boolean);
+  const handleRun = () => runWorkflow();
+
+  const handleResume = () => {
+    const inputOverrides = failedResult && resumeInput !== null ? { [failedResult.stepId]: resumeInput } : {};
+    runWorkflow({ log: resumeLog, inputOverrides });
+  };
+
+  const updatePendingApproval = (stepId, changes) => {
+    setPendingApprovals(prev => ({ ...prev, [stepId]: { ...prev[stepId], ...changes } }));
+  };
+
+  const decideApproval = (stepId, approved) => {
+    const { text, comment } = pendingApprovals[stepId];
+    runRef.current?.respond(stepId, { approved, text, comment });
+  };
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -128,63 +298,173 @@ const WorkflowRunner = ({ workflow, agents, onRunAgent, onClose }) => {
         
         {!results && (
           <>
-            <div className="form-group">
-              <label>Initial Input </label>
-              <textarea
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                placeholder="Enter input for the first agent in the chain..."
-                rows="4"
+            {hasInputs ? (
+              <WorkflowInputsForm
+                inputs={declaredInputs}
+                values={inputValues}
+                errors={inputErrors}
                 disabled={running}
+                onChange={handleInputChange}
               />
-            </div>
+            ) : (
+              <div className="form-group">
+                <label>Initial Input </label>
+                <textarea
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  placeholder="Enter input for the first step(s) of the workflow..."
+                  rows="4"
+                  disabled={running}
+                />
+              </div>
+            )}
 
             {/* Workflow Flow Diagram */}
             <div className="workflow-flow-diagram">
               <h3>Workflow Flow</h3>
-              <div className="flow-container">
-                {workflowAgents.map((agent, index) => {
-                  const isCompleted = completedSteps.includes(index);
-                  const isRunning = currentStep === index;
-                  const isPending = !isCompleted && !isRunning;
-                  
-                  return (
-                    <React.Fragment key={agent.id}>
-                      <div className={`flow-agent-card ${isCompleted ? 'completed' : ''} ${isRunning ? 'running' : ''} ${isPending ? 'pending' : ''}`}>
-                        <div className="flow-step-number">
-                          {isCompleted ? (
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
-                              <polyline points="20 6 9 17 4 12"></polyline>
-                            </svg>
-                          ) : isRunning ? (
-                            <svg className="spinner-small" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                              <circle cx="12" cy="12" r="10"></circle>
-                            </svg>
-                          ) : (
-                            index + 1
-                          )}
-                        </div>
-                        <div className="flow-agent-name">{agent.name}</div>
-                        {isRunning && <div className="flow-status-badge">Running...</div>}
-                        {isCompleted && <div className="flow-status-badge completed">Completed</div>}
+              {graphError ? (
+                <div className="error-message">
+                  <strong>Invalid workflow:</strong> {graphError}. Edit the workflow to fix its connections.
+                </div>
+              ) : (
+                <div className="flow-container">
+                  {stepLevels.map((level, levelIndex) => (
+                    <React.Fragment key={levelIndex}>
+                      {/* Steps in one column have all their inputs ready at the same point and can run in parallel */}
+                      <div className="flow-level">
+                        {level.map(stepId => {
+                          const state = stepStates[stepId] || {};
+                          const isCompleted = state.status === 'completed';
+                          const isRunning = state.status === 'running';
+                          const isSkipped = state.status === 'skipped';
+                          const isWaiting = state.status === 'awaiting_approval';
+                          const isFailed = state.status && !isCompleted && !isRunning && !isSkipped && !isWaiting;
+                          const predecessors = getPredecessors(graph, stepId);
+                          const step = stepsById[stepId];
+                          
+                          return (
+                            <div
+                              key={stepId}
+                              className={`flow-agent-card ${state.status || 'pending'}${isFailed ? ' failed' : ''}${isRouterStep(step) ? ' router' : ''}${isLoopStep(step) ? ' loop' : ''}${isApprovalStep(step) ? ' approval' : ''}`}
+                            >
+                              <div className="flow-step-number">
+                                {isCompleted ? (
+                                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+                                    <polyline points="20 6 9 17 4 12"></polyline>
+                                  </svg>
+                                ) : isRunning ? (
+                                  <svg className="spinner-small" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <circle cx="12" cy="12" r="10"></circle>
+                                  </svg>
+                                ) : isFailed || isSkipped || isWaiting ? (
+                                  STATUS_ICONS[state.status] || '✗'
+                                ) : (
+                                  stepNumbers[stepId]
+                                )}
+                              </div>
+                              <div className="flow-agent-name">{labelFor(stepId)}</div>
+                              {isLoopStep(step) && (
+                                <div className="flow-step-loop" title={step.agentIds.map(id => agentFor({ agentId: id })?.name || 'Missing agent').join(' → ')}>
+                                  {step.type === 'foreach' ? '🔁 For each item' : '🔂 Repeat until'} · {step.agentIds.length} agent(s)
+                                </div>
+                              )}
+                              {predecessors.length > 1 && (
+                                <div className="flow-step-join" title={predecessors.map(labelFor).join(', ')}>
+                                  Joins {predecessors.length} steps
+                                </div>
+                              )}
+                              {isRunning && (
+                                <div className="flow-status-badge">
+                                  {state.retry
+                                    ? `Retry ${state.retry.attempt}/${state.retry.maxAttempts} in ${Math.ceil(state.retry.delayMs / 1000)}s`
+                                    : isLoopStep(step) ? loopProgressText(step, state.progress) : 'Running...'}
+                                </div>
+                              )}
+                              {isCompleted && (
+                                <div className="flow-status-badge completed">
+                                  {isRouterStep(step) ? `→ ${getBranchLabel(step.router, state.branch)}` : 'Completed'}
+                                </div>
+                              )}
+                              {isSkipped && <div className="flow-status-badge skipped">Skipped</div>}
+                              {isWaiting && <div className="flow-status-badge approval">Awaiting approval</div>}
+                            </div>
+                          );
+                        })}
                       </div>
-                      {index < workflowAgents.length - 1 && (
-                        <div className={`flow-arrow ${isCompleted ? 'completed' : ''}`}>
+                      {levelIndex < stepLevels.length - 1 && (
+                        <div className={`flow-arrow ${level.every(id => stepStates[id]?.status === 'completed') ? 'completed' : ''}`}>
                           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                             <polyline points="9 18 15 12 9 6"></polyline>
                           </svg>
                         </div>
                       )}
                     </React.Fragment>
-                  );
-                })}
-              </div>
+                  ))}
+                </div>
+              )}
             </div>
 
+            {running && Object.entries(streamingOutputs).map(([key, stream]) => (
+              <div key={key} className="live-output">
+                <div className="live-output-header">
+                  <span className="step-badge">Step {stepNumbers[stream.stepId]}</span>
+                  <span className="agent-name">{labelFor(stream.stepId)}</span>
+                  {stream.title && <span className="live-output-title">{stream.title}</span>}
+                  <span className="live-output-status">Generating…</span>
+                </div>
+                <div className="markdown-content">
+                  <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                    {stream.text}
+                  </ReactMarkdown>
+                </div>
+              </div>
+            ))}
+
+            {Object.entries(pendingApprovals).map(([stepId, pending]) => {
+              const { instructions } = getApprovalSettings(stepsById[stepId]);
+              return (
+                <div key={stepId} className="approval-panel">
+                  <div className="approval-panel-header">
+                    <span className="step-badge">Step {stepNumbers[stepId]}</span>
+                    <span className="agent-name">✋ {labelFor(stepId)}</span>
+                    <span className="approval-panel-status">Waiting for your approval</span>
+                  </div>
+                  {instructions && <div className="approval-instructions">{instructions}</div>}
+                  <label>
+                    Text to pass on (edit before approving if needed)
+                    <textarea
+                      value={pending.text}
+                      onChange={(e) => updatePendingApproval(stepId, { text: e.target.value })}
+                      rows="8"
+                    />
+                  </label>
+                  <label>
+                    Comment (optional, saved in the execution log)
+                    <input
+                      type="text"
+                      value={pending.comment}
+                      onChange={(e) => updatePendingApproval(stepId, { comment: e.target.value })}
+                    />
+                  </label>
+                  <div className="approval-actions">
+                    {pending.text !== pending.input && (
+                      <button className="btn-secondary" onClick={() => updatePendingApproval(stepId, { text: pending.input })}>
+                        Undo edits
+                      </button>
+                    )}
+                    <button className="btn-reject" onClick={() => decideApproval(stepId, false)}>Reject</button>
+                    <button className="btn-primary" onClick={() => decideApproval(stepId, true)}>
+                      {pending.text !== pending.input ? 'Approve edited text' : 'Approve'}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+
             <button 
               className="btn-primary btn-run-workflow" 
               onClick={handleRun} 
-              disabled={running || !input.trim()}
+              disabled={running || (!hasInputs && !input.trim()) || Boolean(graphError)}
             >
               {running ? (
                 <>
@@ -202,6 +482,15 @@ const WorkflowRunner = ({ workflow, agents, onRunAgent, onClose }) => {
                 </>
               )}
             </button>
+
+            {running && (
+              <button className="btn-stop-workflow" onClick={handleStop} title="Stop after cancelling the running step">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                  <rect x="6" y="6" width="12" height="12" rx="1"></rect>
+                </svg>
+                Stop
+              </button>
+            )}
           </>
         )}
 
@@ -211,172 +500,203 @@ const WorkflowRunner = ({ workflow, agents, onRunAgent, onClose }) => {
           </div>
         )}
 
+        {failedResult && !running && (
+          <div className="workflow-resume">
+            <div className="workflow-resume-header">
+              <strong>
+                {failedResult.status === 'pending'
+                  ? `✋ Paused at "${failedResult.agentName}", waiting for approval`
+                  : `↩ Resume from "${failedResult.agentName}"`}
+              </strong>
+              <span>{resumeLog.stepResults.filter(result => result.status === 'success').length} finished step(s) will be reused</span>
+            </div>
+            {failedResult.error && <div className="workflow-resume-error">{failedResult.error}</div>}
+            {/* Approval steps are reviewed (and edited) in their own panel once the run continues */}
+            {failedResult.status !== 'pending' && (
+              <label>
+                Input of the failed step
+                <textarea
+                  value={resumeInput ?? failedResult.input ?? ''}
+                  onChange={(e) => setResumeInput(e.target.value)}
+                  rows="4"
+                />
+              </label>
+            )}
+            <div className="workflow-resume-actions">
+              {failedAgent && onEditAgent && (
+                <button className="btn-secondary" onClick={() => onEditAgent(failedAgent)}>
+                  Edit agent "{failedAgent.name}"
+                </button>
+              )}
+              {resumeInput !== null && (
+                <button className="btn-secondary" onClick={() => setResumeInput(null)}>Reset input</button>
+              )}
+              <button className="btn-primary" onClick={handleResume} disabled={Boolean(graphError)}>
+                {failedResult.status === 'pending' ? 'Continue run' : 'Resume run'}
+              </button>
+            </div>
+          </div>
+        )}
+
         {results && (
           <div className="workflow-results">
             <h3>Execution Results</h3>
+            {results.usage?.calls > 0 && (
+              <div className="workflow-usage-summary">
+                {formatTokens(results.usage.totalTokens)} tokens · {formatCost(results.usage.cost)} over {results.usage.calls} model call(s)
+              </div>
+            )}
+            
+            {results.cancelled && (
+              <div className="workflow-cancelled-notice">
+                ⏹️ Workflow stopped. Completed steps and the partial output of the stopped step are kept below.
+              </div>
+            )}
+            
+            {results.budgetMessage && (
+              <div className="workflow-budget-notice">
+                💸 Budget limit reached: {results.budgetMessage} Completed steps and any partial output are kept below.
+              </div>
+            )}
+            
+            {results.rejection && (
+              <div className="workflow-cancelled-notice">
+                ✋ {results.rejection}. The workflow stopped; completed steps are kept below.
+              </div>
+            )}
+            
+            {results.results.some(result => result.type === 'router') && (
+              <div className="workflow-route-summary">
+                🔀 Path taken:{' '}
+                {results.results
+                  .filter(result => result.status !== 'skipped')
+                  .map(result => (result.type === 'router' && result.branch
+                    ? `${result.agentName} (${result.branchLabel || result.branch})`
+                    : result.agentName))
+                  .join(' → ')}
+              </div>
+            )}
             
             {results.results.map((result, idx) => (
               <div key={idx} className={`result-step ${result.status}`}>
                 <div className="result-header">
                   <span className="step-badge">Step {result.step}</span>
                   <span className="agent-name">{result.agentName}</span>
+                  {result.reused && <span className="step-reused" title="Output reused from the resumed run">↩ reused</span>}
+                  {result.usage?.calls > 0 && (
+                    <span className="step-usage">{formatTokens(result.usage.totalTokens)} tokens · {formatCost(result.usage.cost)}</span>
+                  )}
                   <span className={`status-badge ${result.status}`}>
-                    {result.status === 'success' ? '✓' : '✗'}
+                    {STATUS_ICONS[result.status] || '✗'}
                   </span>
                 </div>
                 
                 <div className="result-content">
-                  <details>
-                    <summary>Input</summary>
-                    <div className="markdown-content">
-                      <ReactMarkdown
-                        remarkPlugins={[remarkGfm]}
-                        components={{
-                          h1: ({ node, ...props }) => <h1 className="md-h1" {...props} />,
-                          h2: ({ node, ...props }) => <h2 className="md-h2" {...props} />,
-                          h3: ({ node, ...props }) => <h3 className="md-h3" {...props} />,
-                          p: ({ node, ...props }) => <p className="md-p" {...props} />,
-                          ul: ({ node, ...props }) => <ul className="md-ul" {...props} />,
-                          ol: ({ node, ...props }) => <ol className="md-ol" {...props} />,
-                          li: ({ node, ...props }) => <li className="md-li" {...props} />,
-                          code: ({ node, inline, className, children, ...props }) => {
-                            const match = /language-(\w+)/.exec(className || '');
-                            return !inline && match ? (
-                              <SyntaxHighlighter
-                                style={vscDarkPlus}
-                                language={match[1]}
-                                PreTag="div"
-                                customStyle={{ margin: '8px 0', borderRadius: '8px', fontSize: '13px' }}
-                                {...props}
-                              >
-                                {String(children).replace(/\n$/, '')}
-                              </SyntaxHighlighter>
-                            ) : (
-                              <code className="md-code-inline" {...props}>{children}</code>
-                            );
-                          },
-                          strong: ({ node, ...props }) => <strong className="md-strong" {...props} />,
-                          a: ({ node, ...props }) => <a className="md-link" target="_blank" rel="noopener noreferrer" {...props} />,
-                        }}
-                      >
-                        {result.input}
-                      </ReactMarkdown>
+                  {result.status === 'skipped' ? (
+                    <div className="skipped-detail">Not run - a router took another branch</div>
+                  ) : result.type === 'router' && result.status === 'success' ? (
+                    <div className="route-detail">
+                      Route taken: <strong>→ {result.branchLabel || result.branch}</strong>
+                      {result.classification !== undefined && (
+                        <span className="route-classification">Classifier replied: "{result.classification.trim()}"</span>
+                      )}
                     </div>
-                  </details>
-                  
-                  {result.status === 'success' ? (
-                    <details>
-                      <summary>Output</summary>
-                      <div className="markdown-content">
-                        <ReactMarkdown
-                          remarkPlugins={[remarkGfm]}
-                          components={{
-                            h1: ({ node, ...props }) => <h1 className="md-h1" {...props} />,
-                            h2: ({ node, ...props }) => <h2 className="md-h2" {...props} />,
-                            h3: ({ node, ...props }) => <h3 className="md-h3" {...props} />,
-                            p: ({ node, ...props }) => <p className="md-p" {...props} />,
-                            ul: ({ node, ...props }) => <ul className="md-ul" {...props} />,
-                            ol: ({ node, ...props }) => <ol className="md-ol" {...props} />,
-                            li: ({ node, ...props }) => <li className="md-li" {...props} />,
-                            code: ({ node, inline, className, children, ...props }) => {
-                              const match = /language-(\w+)/.exec(className || '');
-                              return !inline && match ? (
-                                <SyntaxHighlighter
-                                  style={vscDarkPlus}
-                                  language={match[1]}
-                                  PreTag="div"
-                                  customStyle={{ margin: '8px 0', borderRadius: '8px', fontSize: '13px' }}
-                                  {...props}
-                                >
-                                  {String(children).replace(/\n$/, '')}
-                                </SyntaxHighlighter>
-                              ) : (
-                                <code className="md-code-inline" {...props}>{children}</code>
-                              );
-                            },
-                            strong: ({ node, ...props }) => <strong className="md-strong" {...props} />,
-                            a: ({ node, ...props }) => <a className="md-link" target="_blank" rel="noopener noreferrer" {...props} />,
-                          }}
-                        >
-                          {result.output}
-                        </ReactMarkdown>
-                      </div>
-                    </details>
                   ) : (
-                    <div className="error-detail">
-                      <strong>Error:</strong> {result.error}
-                    </div>
+                    <>
+                      <details>
+                        <summary>Input</summary>
+                        <div className="markdown-content">
+                          <ReactMarkdown
+                            remarkPlugins={[remarkGfm]}
+                            components={markdownComponents}
+                          >
+                            {result.input}
+                          </ReactMarkdown>
+                        </div>
+                      </details>
+                  
+                      {isLoopStep(result) && result.status === 'success' && (
+                        <div className="loop-detail">{loopSummaryText(result)}</div>
+                      )}
+                  
+                      {result.status === 'budget_exceeded' && (
+                        <div className="budget-detail">{result.error}</div>
+                      )}
+                  
+                      {result.approval && (
+                        <div className={`approval-detail ${result.approval.decision}`}>
+                          ✋ {DECISION_LABELS[result.approval.decision]}
+                          {result.approval.comment && <span className="approval-comment">"{result.approval.comment}"</span>}
+                        </div>
+                      )}
+                  
+                      {result.status === 'success' || (isStoppedStep(result) && result.output) ? (
+                        <details>
+                          <summary>{result.status === 'success' ? 'Output' : 'Partial Output'}</summary>
+                          <div className="markdown-content">
+                            <ReactMarkdown
+                              remarkPlugins={[remarkGfm]}
+                              components={markdownComponents}
+                            >
+                              {result.output}
+                            </ReactMarkdown>
+                          </div>
+                        </details>
+                      ) : isStoppedStep(result) ? (
+                        <div className="cancelled-detail">Stopped before producing output</div>
+                      ) : result.status === 'rejected' ? null : (
+                        <div className="error-detail">
+                          <strong>Error:</strong> {result.error}
+                        </div>
+                      )}
+                    </>
                   )}
                 </div>
               </div>
             ))}
 
-            <div className="final-result">
-              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
-                <h4 style={{ margin: 0 }}>🎯 Final Output:</h4>
-                <div className="output-actions">
-                  <div className="download-group">
-                    <select
-                      value={downloadFormat}
-                      onChange={(e) => setDownloadFormat(e.target.value)}
-                      className="download-format-select"
-                      title="Select download format"
-                    >
-                      <option value="markdown">Markdown</option>
-                      <option value="html">HTML</option>
-                      <option value="pdf">PDF</option>
-                    </select>
-                    <button
-                      onClick={() => downloadOutput(results.finalOutput, downloadFormat, `workflow_${workflow.name.replace(/\s+/g, '_')}`)}
-                      className="btn-download"
-                      title={`Download as ${downloadFormat.toUpperCase()}`}
-                    >
-                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                        <polyline points="7 10 12 15 17 10"></polyline>
-                        <line x1="12" y1="15" x2="12" y2="3"></line>
-                      </svg>
-                      Download
-                    </button>
+            {results.finalOutput && (
+              <div className="final-result">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                  <h4 style={{ margin: 0 }}>{results.cancelled || results.budgetMessage || results.rejection ? '⏹️ Partial Output:' : '🎯 Final Output:'}</h4>
+                  <div className="output-actions">
+                    <div className="download-group">
+                      <select
+                        value={downloadFormat}
+                        onChange={(e) => setDownloadFormat(e.target.value)}
+                        className="download-format-select"
+                        title="Select download format"
+                      >
+                        <option value="markdown">Markdown</option>
+                        <option value="html">HTML</option>
+                        <option value="pdf">PDF</option>
+                      </select>
+                      <button
+                        onClick={() => downloadOutput(results.finalOutput, downloadFormat, `workflow_${workflow.name.replace(/\s+/g, '_')}`)}
+                        className="btn-download"
+                        title={`Download as ${downloadFormat.toUpperCase()}`}
+                      >
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                          <polyline points="7 10 12 15 17 10"></polyline>
+                          <line x1="12" y1="15" x2="12" y2="3"></line>
+                        </svg>
+                        Download
+                      </button>
+                    </div>
+                    <CopyButton text={results.finalOutput} />
                   </div>
-                  <CopyButton text={results.finalOutput} />
+                </div>
+                <div className="markdown-content">
+                  <ReactMarkdown
+                    remarkPlugins={[remarkGfm]}
+                    components={markdownComponents}
+                  >
+                    {results.finalOutput}
+                  </ReactMarkdown>
                 </div>
               </div>
-              <div className="markdown-content">
-                <ReactMarkdown
-                  remarkPlugins={[remarkGfm]}
-                  components={{
-                    h1: ({ node, ...props }) => <h1 className="md-h1" {...props} />,
-                    h2: ({ node, ...props }) => <h2 className="md-h2" {...props} />,
-                    h3: ({ node, ...props }) => <h3 className="md-h3" {...props} />,
-                    p: ({ node, ...props }) => <p className="md-p" {...props} />,
-                    ul: ({ node, ...props }) => <ul className="md-ul" {...props} />,
-                    ol: ({ node, ...props }) => <ol className="md-ol" {...props} />,
-                    li: ({ node, ...props }) => <li className="md-li" {...props} />,
-                    code: ({ node, inline, className, children, ...props }) => {
-                      const match = /language-(\w+)/.exec(className || '');
-                      return !inline && match ? (
-                        <SyntaxHighlighter
-                          style={vscDarkPlus}
-                          language={match[1]}
-                          PreTag="div"
-                          customStyle={{ margin: '8px 0', borderRadius: '8px', fontSize: '13px' }}
-                          {...props}
-                        >
-                          {String(children).replace(/\n$/, '')}
-                        </SyntaxHighlighter>
-                      ) : (
-                        <code className="md-code-inline" {...props}>{children}</code>
-                      );
-                    },
-                    strong: ({ node, ...props }) => <strong className="md-strong" {...props} />,
-                    a: ({ node, ...props }) => <a className="md-link" target="_blank" rel="noopener noreferrer" {...props} />,
-                  }}
-                >
-                  {results.finalOutput}
-                </ReactMarkdown>
-              </div>
-            </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,218 @@
+// src/components/WorkflowVersionsModal.jsx
+import React, { useEffect, useState } from 'react';
+import { getWorkflowVersions, restoreWorkflowVersion } from '../services/indexedDB';
+import { diffWorkflowSnapshots, hasChanges } from '../services/workflowVersions';
+import NotificationModal from './NotificationModal';
+import { useNotification } from '../hooks/useNotification';
+import './WorkflowVersionsModal.css';
+
+const STATUS_LABELS = { added: 'Added', removed: 'Removed', changed: 'Changed', unchanged: 'Unchanged' };
+
+const renderLines = (lines) => (lines
+  ? lines.map((line, index) => <div key={index} className="version-line">{line}</div>)
+  : <div className="version-absent">—</div>);
+
+/**
+ * Version history of a workflow: every saved version, a side-by-side diff of two of them and
+ * restoring an older one
+ */
+const WorkflowVersionsModal = ({ workflow, agents, onRestored, onClose }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [baseId, setBaseId] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const {
+    notification,
+    closeNotification,
+    showConfirm,
+    showError,
+  } = useNotification();
+
+  const selectVersion = (list, id) => {
+    const index = list.findIndex(version => version.id === id);
+    setSelectedId(id);
+    // Compare with the version saved just before it
+    setBaseId(list[index + 1]?.id || null);
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    getWorkflowVersions(workflow.id)
+      .then(list => {
+        setVersions(list);
+        if (list.length > 0) selectVersion(list, list[0].id);
+      })
+      .catch(error => console.error('Failed to load workflow versions:', error))
+      .finally(() => setLoading(false));
+  }, [workflow.id, workflow.versionId]);
+
+  const selected = versions.find(version => version.id === selectedId);
+  const base = versions.find(version => version.id === baseId);
+  const diff = selected && base ? diffWorkflowSnapshots(base.snapshot, selected.snapshot, agents) : null;
+  const isCurrent = selected && selected.id === workflow.versionId;
+
+  const handleRestore = async () => {
+    const confirmed = await showConfirm(
+      `Restore version ${selected.version}? It is saved as a new version; the current one stays in the history.`,
+      'Restore Version',
+      { confirmText: 'Restore', cancelText: 'Cancel' }
+    );
+    if (!confirmed) return;
+
+    setRestoring(true);
+    try {
+      onRestored(await restoreWorkflowVersion(selected));
+    } catch (error) {
+      showError(`Failed to restore version: ${error.message}`);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const visibleSteps = diff ? diff.steps.filter(step => showUnchanged || step.status !== 'unchanged') : [];
+  const visibleSettings = diff ? diff.settings.filter(setting => showUnchanged || setting.changed) : [];
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={onClose}>
+        <div className="modal-content modern workflow-versions" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-header">
+            <div>
+              <h2>Version History</h2>
+              <p className="modal-subtitle">{workflow.name}</p>
+            </div>
+            <button onClick={onClose} className="close-btn">
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+
+          <div className="modal-body versions-body">
+            {loading ? (
+              <div className="loading-state">Loading versions...</div>
+            ) : versions.length === 0 ? (
+              <div className="versions-empty">
+                This workflow was created before versions were kept. Its current configuration becomes
+                version 1 the next time it is saved.
+              </div>
+            ) : (
+              <>
+                <ul className="versions-list">
+                  {versions.map(version => (
+                    <li key={version.id}>
+                      <button
+                        className={`version-item ${version.id === selectedId ? 'selected' : ''}`}
+                        onClick={() => selectVersion(versions, version.id)}
+                      >
+                        <span className="version-number">
+                          v{version.version}
+                          {version.id === workflow.versionId && <span className="version-current">current</span>}
+                        </span>
+                        <span className="version-date">{new Date(version.savedAt).toLocaleString()}</span>
+                        {version.restoredFrom && <span className="version-note">↩ Restored from v{version.restoredFrom}</span>}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="versions-diff">
+                  <div className="versions-compare">
+                    <label>
+                      Compare
+                      <select value={baseId || ''} onChange={(e) => setBaseId(e.target.value || null)}>
+                        <option value="">Nothing</option>
+                        {versions.filter(version => version.id !== selectedId).map(version => (
+                          <option key={version.id} value={version.id}>v{version.version}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <span>with v{selected?.version}</span>
+                    {diff && (
+                      <label className="versions-unchanged">
+                        <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                        Show unchanged
+                      </label>
+                    )}
+                  </div>
+
+                  {!diff ? (
+                    <div className="versions-empty">
+                      {selected?.version === 1 && !base ? 'The first saved version.' : 'Pick a version to compare with.'}
+                    </div>
+                  ) : !hasChanges(diff) && !showUnchanged ? (
+                    <div className="versions-empty">No differences between v{base.version} and v{selected.version}.</div>
+                  ) : (
+                    <table className="versions-table">
+                      <thead>
+                        <tr>
+                          <th></th>
+                          <th>v{base.version}</th>
+                          <th>v{selected.version}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {visibleSettings.map(setting => (
+                          <tr key={setting.key} className={setting.changed ? 'changed' : 'unchanged'}>
+                            <th>{setting.label}</th>
+                            <td>{setting.before || '—'}</td>
+                            <td>{setting.after || '—'}</td>
+                          </tr>
+                        ))}
+                        {visibleSteps.map(step => (
+                          <tr key={step.stepId} className={step.status}>
+                            <th>
+                              {step.label}
+                              <span className="version-step-status">{STATUS_LABELS[step.status]}</span>
+                            </th>
+                            <td>{renderLines(step.before)}</td>
+                            <td>{renderLines(step.after)}</td>
+                          </tr>
+                        ))}
+                        {(diff.edges.removed.length > 0 || diff.edges.added.length > 0) && (
+                          <tr className="changed">
+                            <th>Connections</th>
+                            <td>{diff.edges.removed.map(edge => <div key={edge} className="version-line removed-line">− {edge}</div>)}</td>
+                            <td>{diff.edges.added.map(edge => <div key={edge} className="version-line added-line">+ {edge}</div>)}</td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <button onClick={onClose} className="btn-secondary">Close</button>
+            {selected && !isCurrent && (
+              <button onClick={handleRestore} disabled={restoring} className="btn-primary">
+                {restoring ? 'Restoring...' : `↩ Restore v${selected.version}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Outside the overlay, so clicks in the dialog do not close the version history */}
+      <NotificationModal
+        isOpen={notification.isOpen}
+        onClose={closeNotification}
+        onConfirm={notification.onConfirm}
+        title={notification.title}
+        message={notification.message}
+        type={notification.type}
+        confirmText={notification.confirmText}
+        cancelText={notification.cancelText}
+        showCancel={notification.showCancel}
+      />
+    </>
+  );
+};
+
+export default WorkflowVersionsModal;
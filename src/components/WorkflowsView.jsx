@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { getAllWorkflows, deleteWorkflow } from '../services/indexedDB';
 import WorkflowCard from './WorkflowCard';
+import WorkflowVersionsModal from './WorkflowVersionsModal';
 import NotificationModal from './NotificationModal';
 import { useNotification } from '../hooks/useNotification';
 import './WorkflowsView.css';
@@ -12,6 +13,7 @@ const WorkflowsView = ({ agents, onBuildWorkflow, onEditWorkflow, onRunWorkflow
   const [searchQuery, setSearchQuery] = useState('');
   const [sortBy, setSortBy] = useState('name'); // 'name', 'date'
   const [sortOrder, setSortOrder] = useState('asc'); // 'asc', 'desc'
+  const [versionsWorkflow, setVersionsWorkflow] = useState(null);
   
   const {
     notification,
@@ -38,7 +40,7 @@ const WorkflowsView = ({ agents, onBuildWorkflow, onEditWorkflow, onRunWorkflow
 
   const handleDelete = async (id) => {
     const confirmed = await showConfirm(
-      'Are you sure you want to delete this workflow? This action cannot be undone.',
+      'Are you sure you want to delete this workflow and its version history? This action cannot be undone.',
       'Delete Workflow',
       { type: 'warning', confirmText: 'Delete', cancelText: 'Cancel' }
     );
@@ -181,6 +183,7 @@ const WorkflowsView = ({ agents, onBuildWorkflow, onEditWorkflow, onRunWorkflow
                     isRunning={runningWorkflowId === workflow.id}
                     onRun={() => handleRunWorkflow(workflow)}
                     onEdit={handleEdit}
+                    onVersions={setVersionsWorkflow}
                     onDelete={() => handleDelete(workflow.id)}
                   />
                 ))}
@@ -189,6 +192,18 @@ const WorkflowsView = ({ agents, onBuildWorkflow, onEditWorkflow, onRunWorkflow
           </>
         )}
       </div>
+
+      {versionsWorkflow && (
+        <WorkflowVersionsModal
+          workflow={versionsWorkflow}
+          agents={agents}
+          onRestored={(restored) => {
+            setVersionsWorkflow(restored);
+            loadWorkflows();
+          }}
+          onClose={() => setVersionsWorkflow(null)}
+        />
+      )}
     </>
   );
 };
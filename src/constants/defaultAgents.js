@@ -87,6 +87,7 @@ export const DEFAULT_AGENTS = [
 - parameters: Array with name, type, description, required
 - returnType: "string", "number", "boolean", "array", "object", "void"
 - codeImplementation: JavaScript async function
+- capabilities (optional): ["network"] if the code calls fetch or other network APIs; omit otherwise (the code runs in a sandbox without network access)
 
 **EXAMPLE TOOL:** "Create a slug generator"
 
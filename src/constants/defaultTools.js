@@ -3,32 +3,98 @@
 export const DEFAULT_TOOLS = [
   {
     name: "calculator",
-    description: "Perform mathematical calculations and solve equations",
+    description: "Evaluate math expressions: arithmetic, ^ powers, percentages, functions (sqrt, ln, log, sin, round, ...), constants (pi, e), variables and unit conversion. Errors come back with a code, position and hint to fix the expression",
     parameters: [
       {
         name: "expression",
         type: "string",
-        description: "The mathematical expression to evaluate (e.g., '2 + 2', 'sqrt(16)', 'sin(45)')",
+        description: "The expression to evaluate, e.g. '2^10', 'sqrt(16) + 3!', '120 + 15%', '20% of 150', '2x + 1', 'r = 3; pi * r^2', '5 mi to km', '98.6 °F to °C', 'sin(30 deg)'. Use 'mod' for remainders; log is base 10 and ln is natural",
         required: true
+      },
+      {
+        name: "variables",
+        type: "object",
+        description: "Values for names used in the expression (e.g., {\"x\": 4, \"rate\": 0.05})",
+        required: false
+      },
+      {
+        name: "precision",
+        type: "string",
+        description: "'float' (default, 15 significant digits) or 'decimal' for exact decimal arithmetic, e.g. money (the result is then a string)",
+        required: false
       }
     ],
-    returnType: "number",
+    returnType: "object",
     isBuiltIn: true
   },
   {
     name: "data_analyzer",
-    description: "Analyze datasets and generate statistical insights",
+    description: "Analyze numbers or tables (rows as objects, or CSV text) and return statistics to cite: summary, group_by aggregates, percentiles, histogram bins, correlation matrix, trend (linear regression) and outliers",
     parameters: [
       {
         name: "data",
         type: "array",
-        description: "Array of data points to analyze",
-        required: true
+        description: "Numbers (e.g., [3, 5, 8]), one object per row (e.g., [{\"region\": \"North\", \"sales\": 120}]), rows as arrays with a header row first, or numbers as text (\"1, 2, 3\" or one per line)",
+        required: false
+      },
+      {
+        name: "csv",
+        type: "string",
+        description: "CSV text with a header row, instead of data (comma, semicolon or tab separated)",
+        required: false
       },
       {
         name: "analysis_type",
         type: "string",
-        description: "Type of analysis: 'summary', 'correlation', 'distribution', 'trend'",
+        description: "'summary' (default), 'group_by', 'percentiles', 'histogram', 'correlation', 'trend' or 'outliers'",
+        required: false
+      },
+      {
+        name: "columns",
+        type: "array",
+        description: "Numeric columns to analyze (default: all numeric columns)",
+        required: false
+      },
+      {
+        name: "group_by",
+        type: "string",
+        description: "Column to group rows by, for 'group_by' (count, sum, mean, min and max per group)",
+        required: false
+      },
+      {
+        name: "x",
+        type: "string",
+        description: "For 'trend': numeric or ISO date column to use as x (default: row order, which adds a next-value forecast)",
+        required: false
+      },
+      {
+        name: "y",
+        type: "string",
+        description: "For 'trend': numeric column to fit (default: the first numeric column)",
+        required: false
+      },
+      {
+        name: "percentiles",
+        type: "array",
+        description: "For 'percentiles': values from 0 to 100 (default: [5, 25, 50, 75, 95])",
+        required: false
+      },
+      {
+        name: "bins",
+        type: "number",
+        description: "For 'histogram': number of equal-width bins (default depends on the row count)",
+        required: false
+      },
+      {
+        name: "method",
+        type: "string",
+        description: "For 'outliers': 'iqr' (default, beyond 1.5 × IQR) or 'zscore' (beyond 3 standard deviations)",
+        required: false
+      },
+      {
+        name: "threshold",
+        type: "number",
+        description: "For 'outliers': IQR multiplier or z-score limit instead of the default",
         required: false
       }
     ],
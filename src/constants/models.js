@@ -28,23 +28,142 @@ export const GEMINI_MODELS = [
   }
 ];
 
+// Price per 1M tokens in USD (list prices, Dec 2025) used to estimate run costs.
+// Output covers thinking tokens too. Models missing here are counted with a cost of 0.
+export const MODEL_PRICING = {
+  "gemini-3-flash-preview": { input: 0.5, output: 3.0 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-robotics-er-1.5-preview": { input: 0.3, output: 2.5 },
+  "text-embedding-004": { input: 0, output: 0 },
+  "openai:gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "openai:gpt-4.1": { input: 2.0, output: 8.0 },
+  "anthropic:claude-haiku-4-5": { input: 1.0, output: 5.0 },
+  "anthropic:claude-sonnet-4-5": { input: 3.0, output: 15.0 },
+  "ollama:llama3.2": { input: 0, output: 0 },
+};
+
+// Non-Gemini models, addressed as "<provider>:<model>" so they resolve to the right adapter
+export const PROVIDER_MODELS = [
+  {
+    id: "openai:gpt-4o-mini",
+    name: "GPT-4o mini",
+    description: "OpenAI-compatible chat completions",
+    category: "flash",
+    provider: "openai",
+  },
+  {
+    id: "openai:gpt-4.1",
+    name: "GPT-4.1",
+    description: "OpenAI-compatible chat completions",
+    category: "other",
+    provider: "openai",
+  },
+  {
+    id: "anthropic:claude-haiku-4-5",
+    name: "Claude Haiku 4.5",
+    description: "Anthropic Messages API",
+    category: "lite",
+    provider: "anthropic",
+  },
+  {
+    id: "anthropic:claude-sonnet-4-5",
+    name: "Claude Sonnet 4.5",
+    description: "Anthropic Messages API",
+    category: "other",
+    provider: "anthropic",
+  },
+  {
+    id: "ollama:llama3.2",
+    name: "Llama 3.2 (Ollama)",
+    description: "Local model served over HTTP",
+    category: "other",
+    provider: "ollama",
+  }
+];
+
+export const ALL_MODELS = [
+  ...GEMINI_MODELS.map((m) => ({ ...m, provider: "gemini" })),
+  ...PROVIDER_MODELS,
+];
+
+// LLM vendors the provider registry knows how to talk to
+export const LLM_PROVIDERS = [
+  {
+    id: "gemini",
+    name: "Google Gemini",
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    requiresApiKey: true,
+  },
+  {
+    id: "openai",
+    name: "OpenAI-compatible",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    requiresApiKey: true,
+  },
+  {
+    id: "anthropic",
+    name: "Anthropic",
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+    requiresApiKey: true,
+  },
+  {
+    id: "ollama",
+    name: "Ollama / Local HTTP",
+    defaultBaseUrl: "http://localhost:11434",
+    requiresApiKey: false,
+  }
+];
+
+// Model used to embed RAG documents (must stay stable, stored vectors depend on it)
+export const EMBEDDING_MODEL = "text-embedding-004";
+
 // Default model - using the latest and fastest
 export const DEFAULT_MODEL = "gemini-2.5-flash-lite";
 
 // Get model display name
 export const getModelName = (modelId) => {
-  const model = GEMINI_MODELS.find((m) => m.id === modelId);
+  const model = ALL_MODELS.find((m) => m.id === modelId);
   return model ? model.name : modelId;
 };
 
 // Get model description
 export const getModelDescription = (modelId) => {
-  const model = GEMINI_MODELS.find((m) => m.id === modelId);
+  const model = ALL_MODELS.find((m) => m.id === modelId);
   return model ? model.description : "";
 };
 
 // Get model category for badge styling
 export const getModelCategory = (modelId) => {
-  const model = GEMINI_MODELS.find((m) => m.id === modelId);
+  const model = ALL_MODELS.find((m) => m.id === modelId);
   return model ? model.category : "flash";
 };
+
+// Get the provider id a model belongs to ("openai:gpt-4o" -> "openai", bare ids -> "gemini")
+export const getModelProvider = (modelId = "") => {
+  const prefix = modelId.includes(":") ? modelId.slice(0, modelId.indexOf(":")) : null;
+  if (prefix && LLM_PROVIDERS.some((p) => p.id === prefix)) {
+    return prefix;
+  }
+  const model = ALL_MODELS.find((m) => m.id === modelId);
+  return model ? model.provider : "gemini";
+};
+
+// Get provider display name
+export const getProviderName = (providerId) => {
+  const provider = LLM_PROVIDERS.find((p) => p.id === providerId);
+  return provider ? provider.name : providerId;
+};
+
+// Get the price entry for a model (null when unknown)
+export const getModelPricing = (modelId) => MODEL_PRICING[modelId] || null;
+
+// Estimate the USD cost of one call from its token usage
+export const estimateCost = (modelId, usage) => {
+  const pricing = getModelPricing(modelId);
+  if (!pricing || !usage) return 0;
+  const promptTokens = usage.promptTokens || 0;
+  // totalTokens includes thinking tokens, which are billed as output
+  const outputTokens = Math.max(usage.candidatesTokens || 0, (usage.totalTokens || 0) - promptTokens);
+  return (promptTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+};
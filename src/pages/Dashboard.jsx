@@ -13,8 +13,11 @@ import WorkflowBuilder from "../components/WorkflowBuilder";
 import WorkflowRunner from "../components/WorkflowRunner";
 import ToolsView from "../components/ToolsView";
 import ToolBuilder from "../components/ToolBuilder";
+import SchedulesView from "../components/SchedulesView";
+import ScheduleForm from "../components/ScheduleForm";
 import { useAppStore } from "../store/appStore";
-import { saveWorkflow, saveTool, saveAgent, getAllAgents } from "../services/indexedDB";
+import { saveWorkflow, saveTool, saveAgent, saveSchedule, getAllAgents, getAllWorkflows } from "../services/indexedDB";
+import { remapWorkflowAgentIds } from "../services/workflowGraph";
 import { FaUserCircle } from "react-icons/fa";
 import "../App.css";
 
@@ -53,6 +56,7 @@ const Dashboard = ({
   const [showWorkflowRunner, setShowWorkflowRunner] = useState(false);
   const [showImportWorkflowModal, setShowImportWorkflowModal] = useState(false);
   const [selectedWorkflow, setSelectedWorkflow] = useState(null);
+  const [resumingRun, setResumingRun] = useState(null); // Workflow execution log opened for resuming
   const [editingWorkflow, setEditingWorkflow] = useState(null);
   const [workflowsKey, setWorkflowsKey] = useState(0); // Force re-render
   
@@ -60,6 +64,11 @@ const Dashboard = ({
   const [showToolBuilder, setShowToolBuilder] = useState(false);
   const [editingTool, setEditingTool] = useState(null);
   const [toolsKey, setToolsKey] = useState(0); // Force re-render
+
+  // Schedules state
+  const [showScheduleForm, setShowScheduleForm] = useState(false);
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [schedulesKey, setSchedulesKey] = useState(0); // Force re-render
   
   // Search and sort states
   const [agentSearchQuery, setAgentSearchQuery] = useState('');
@@ -94,9 +103,39 @@ const Dashboard = ({
 
   const handleRunWorkflow = (workflow) => {
     setSelectedWorkflow(workflow);
+    setResumingRun(null);
     setShowWorkflowRunner(true);
   };
 
+  const handleResumeWorkflowRun = async (log) => {
+    const workflows = await getAllWorkflows();
+    const workflow = workflows.find(w => w.id === log.workflowId);
+    if (!workflow) {
+      alert(`Workflow "${log.workflowName}" no longer exists, so this run cannot be resumed.`);
+      return;
+    }
+    setSelectedWorkflow(workflow);
+    setResumingRun(log);
+    setShowWorkflowRunner(true);
+  };
+
+  const handleNewSchedule = () => {
+    setEditingSchedule(null);
+    setShowScheduleForm(true);
+  };
+
+  const handleEditSchedule = (schedule) => {
+    setEditingSchedule(schedule);
+    setShowScheduleForm(true);
+  };
+
+  const handleSaveSchedule = async (scheduleData) => {
+    await saveSchedule(scheduleData);
+    setShowScheduleForm(false);
+    setEditingSchedule(null);
+    setSchedulesKey(prev => prev + 1); // Refresh schedules
+  };
+
   const handleImportWorkflow = async (importData) => {
     try {
       const { workflow: workflowData, agents: agentsToImport = [], agentIdMap = {} } = importData;
@@ -117,13 +156,7 @@ const Dashboard = ({
       }
       
       // Update workflow to use new agent IDs
-      const updatedWorkflow = {
-        ...workflowData,
-        agents: workflowData.agents.map(wa => ({
-          ...wa,
-          agentId: agentIdMap[wa.agentId] !== undefined ? agentIdMap[wa.agentId] : wa.agentId
-        }))
-      };
+      const updatedWorkflow = remapWorkflowAgentIds(workflowData, agentIdMap);
       
       // Save the workflow with corrected agent references
       await saveWorkflow(updatedWorkflow);
@@ -228,6 +261,7 @@ const Dashboard = ({
               {activeView === 'agents' ? 'AI Agents' : 
                activeView === 'workflows' ? 'Workflows' :
                activeView === 'tools' ? 'Tools' :
+               activeView === 'schedules' ? 'Schedules' :
                'Execution History'}
             </h1>
           </div>
@@ -337,6 +371,16 @@ const Dashboard = ({
                 Create Tool
               </button>
             )}
+
+            {activeView === 'schedules' && (
+              <button onClick={handleNewSchedule} className="btn-primary">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="12" y1="5" x2="12" y2="19"></line>
+                  <line x1="5" y1="12" x2="19" y2="12"></line>
+                </svg>
+                New Schedule
+              </button>
+            )}
           </div>
         </header>
 
@@ -456,12 +500,19 @@ const Dashboard = ({
           />
         )}
 
-        {activeView === 'history' && <ExecutionHistory />}
+        {activeView === 'schedules' && (
+          <SchedulesView
+            key={schedulesKey}
+            agents={agents}
+            onRunAgent={onRunAgent}
+            onNewSchedule={handleNewSchedule}
+            onEditSchedule={handleEditSchedule}
+          />
+        )}
+
+        {activeView === 'history' && <ExecutionHistory onResumeRun={handleResumeWorkflowRun} />}
 
         {/* MODALS */}
-        {showFormModal && (
-          <AgentFormModal agent={editingAgent} onSave={onSaveAgent} onClose={() => { setShowFormModal(false); setEditingAgent(null); }} />
-        )}
 
         {runningAgent && <RunAgentModal agent={runningAgent} onRun={onRunAgent} onClose={() => setRunningAgent(null)} />}
 
@@ -479,13 +530,30 @@ const Dashboard = ({
             workflow={selectedWorkflow}
             agents={agents}
             onRunAgent={onRunAgent}
+            resumeFrom={resumingRun}
+            onEditAgent={onEditAgent}
             onClose={() => {
               setShowWorkflowRunner(false);
               setSelectedWorkflow(null);
+              setResumingRun(null);
             }}
           />
         )}
 
+        {/* After the workflow runner, so agents can be edited on top of it before resuming a run */}
+        {showFormModal && (
+          <AgentFormModal agent={editingAgent} onSave={onSaveAgent} onClose={() => { setShowFormModal(false); setEditingAgent(null); }} />
+        )}
+
+        {showScheduleForm && (
+          <ScheduleForm
+            schedule={editingSchedule}
+            agents={agents}
+            onSave={handleSaveSchedule}
+            onClose={() => { setShowScheduleForm(false); setEditingSchedule(null); }}
+          />
+        )}
+
         {showToolBuilder && (
           <ToolBuilder
             editingTool={editingTool}
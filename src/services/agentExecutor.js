@@ -2,11 +2,45 @@
 // This service handles the recursive conversation loop with tool execution
 
 import { getToolById } from './indexedDB';
-import { executeTool, parseFunctionCalls } from './toolExecutor';
+import { executeTool, parseFunctionCalls, buildToolDeclaration, toFunctionName } from './toolExecutor';
 import { searchSimilarDocuments } from './vectorStore';
+import { generateContent, streamContent, supportsNativeTools } from './providers';
+import { isAbortError, throwIfAborted } from './cancellation';
+import { checkBudgets, isBudgetError, startToolIteration, trackBudgetUsage } from './budgetService';
+import { buildConversationMessages } from './conversation';
 
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
-const MAX_ITERATIONS = 10; // Prevent infinite loops
+export const MAX_ITERATIONS_LIMIT = 50;
+
+/**
+ * Defaults for `agent.executionPolicy`
+ * maxIterations: model turns before the loop gives up (prevents infinite loops)
+ * toolTimeoutMs: per tool call; 0 = no timeout
+ * reportUnknownTools: answer calls to tools the agent doesn't have with an error result instead of skipping them
+ *   silently (a model that keeps repeating a skipped call runs into maxIterations; native function calling
+ *   always answers, since the providers require a result for every call)
+ * parallelToolCalls: run the tool calls of one turn concurrently instead of one after another
+ */
+export const DEFAULT_EXECUTION_POLICY = {
+  maxIterations: 10,
+  toolTimeoutMs: 60000,
+  reportUnknownTools: true,
+  parallelToolCalls: false
+};
+
+/**
+ * Agent's execution policy with defaults filled in and limits clamped
+ */
+export const getExecutionPolicy = (agent) => {
+  const policy = { ...DEFAULT_EXECUTION_POLICY, ...agent?.executionPolicy };
+  const maxIterations = parseInt(policy.maxIterations, 10);
+  const toolTimeoutMs = parseInt(policy.toolTimeoutMs, 10);
+  return {
+    maxIterations: Math.min(Math.max(maxIterations || DEFAULT_EXECUTION_POLICY.maxIterations, 1), MAX_ITERATIONS_LIMIT),
+    toolTimeoutMs: toolTimeoutMs > 0 ? toolTimeoutMs : 0,
+    reportUnknownTools: Boolean(policy.reportUnknownTools),
+    parallelToolCalls: Boolean(policy.parallelToolCalls)
+  };
+};
 
 /**
  * Execute agent with tool calling support
@@ -16,16 +50,30 @@ const MAX_ITERATIONS = 10; // Prevent infinite loops
  * 3. Execute tool
  * 4. Send result back to LLM
  * 5. Repeat until task complete or max iterations reached
+ *
+ * Loop limits, tool timeouts and unknown/parallel tool call handling come from
+ * agent.executionPolicy (see DEFAULT_EXECUTION_POLICY).
+ * options.onToken(token, text) streams each turn's text; `text` restarts with every iteration
+ * options.signal (AbortSignal) stops the loop; the result then has `cancelled: true` and the partial output
+ * options.onRetry(info) reports rate-limit / transient-error retries (up to agent.maxAttempts per call)
+ * options.onUsage(usage) receives token counts for every iteration's model call
+ * options.history holds prior conversation turns; userInput is then a follow-up message
+ * options.budgets (see budgetService) are checked before every model call and round of tool calls;
+ * when one is exhausted the result has `budgetExceeded: true`, the limit's message and the partial output
  */
-export async function executeAgentWithTools(agent, userInput, customParams, apiKey) {
+export async function executeAgentWithTools(agent, userInput, customParams, options = {}) {
   console.log('🚀 Starting agent execution with tools...');
   
+  const policy = getExecutionPolicy(agent);
+  const budgets = options.budgets || [];
+  options = { ...options, onUsage: trackBudgetUsage(budgets, options.onUsage) };
+  
   const conversationHistory = [];
   const toolExecutionLog = [];
   let iteration = 0;
   
   // Build initial system prompt
-  const systemPrompt = await buildSystemPrompt(agent, customParams, apiKey, userInput);
+  const systemPrompt = await buildSystemPrompt(agent, customParams, userInput, options);
   
   // Get Gemini parameters
   const geminiParams = extractGeminiParameters(customParams);
@@ -33,42 +81,53 @@ export async function executeAgentWithTools(agent, userInput, customParams, apiK
   // Load tools if agent has them
   const agentTools = await loadAgentTools(agent);
   
-  // Initial user message
-  conversationHistory.push({
-    role: 'user',
-    parts: [{ text: `${systemPrompt}\n\n---\n\nUser Request: ${userInput}` }]
-  });
+  // Providers with native function calling get declarations; others get tools described in the prompt
+  const useNativeTools = supportsNativeTools(agent.model);
+  
+  // Initial user message (after any earlier turns of the conversation)
+  conversationHistory.push(...buildConversationMessages(
+    `${systemPrompt}\n\n---\n\nUser Request: `,
+    options.history,
+    { role: 'user', content: userInput }
+  ));
   
   // Conversation loop
-  while (iteration < MAX_ITERATIONS) {
+  while (iteration < policy.maxIterations) {
     iteration++;
-    console.log(`\n📍 Iteration ${iteration}/${MAX_ITERATIONS}`);
+    console.log(`\n📍 Iteration ${iteration}/${policy.maxIterations}`);
     
     try {
+      throwIfAborted(options.signal);
+      checkBudgets(budgets);
+      
       // Call LLM
-      const response = await callGeminiAPI(
+      const response = await callLLM(
         agent.model,
         conversationHistory,
         geminiParams,
         agentTools,
-        apiKey
+        useNativeTools,
+        { ...options, maxAttempts: agent.maxAttempts }
       );
       
-      if (!response || !response.text) {
+      if (!response || (!response.text && response.toolCalls.length === 0)) {
         throw new Error('Invalid response from LLM');
       }
       
       console.log('🤖 LLM Response:', response.text.substring(0, 200) + '...');
       
+      // Check if LLM wants to use a tool
+      const functionCalls = useNativeTools
+        ? response.toolCalls
+        : parseFunctionCalls(response.text);
+      
       // Add assistant response to history
       conversationHistory.push({
-        role: 'model',
-        parts: [{ text: response.text }]
+        role: 'assistant',
+        content: response.text,
+        ...(useNativeTools && functionCalls.length > 0 ? { toolCalls: functionCalls } : {})
       });
       
-      // Check if LLM wants to use a tool
-      const functionCalls = parseFunctionCalls(response.text);
-      
       if (functionCalls.length === 0) {
         // No tool calls, task is complete
         console.log('✅ Task complete - no more tool calls needed');
@@ -83,43 +142,97 @@ export async function executeAgentWithTools(agent, userInput, customParams, apiK
       
       // Execute tool calls
       console.log(`🔧 Found ${functionCalls.length} tool call(s)`);
+      startToolIteration(budgets);
       
-      for (const call of functionCalls) {
+      const runCall = async (call) => {
         console.log(`  → Calling tool: ${call.name}`);
         
-        // Find the tool
-        const tool = agentTools.find(t => t.name === call.name);
+        // Find the tool (native calls use the sanitized declaration name)
+        const tool = agentTools.find(t => t.name === call.name || toFunctionName(t.name) === call.name);
         
         if (!tool) {
           console.warn(`  ⚠️ Tool not found: ${call.name}`);
-          continue;
+          // Native protocols expect an answer for every call
+          if (!useNativeTools && !policy.reportUnknownTools) return null;
+          return {
+            id: call.id,
+            name: call.name,
+            result: { error: true, message: `Tool '${call.name}' is not available to this agent` }
+          };
         }
         
         // Execute the tool
-        const toolResult = await executeTool(tool, call.arguments);
+        const toolResult = await executeTool(tool, call.arguments, {
+          signal: options.signal,
+          timeoutMs: policy.toolTimeoutMs
+        });
         
         console.log(`  ✓ Tool result:`, toolResult);
         
-        // Log execution
-        toolExecutionLog.push({
-          iteration: iteration,
-          tool: call.name,
-          arguments: call.arguments,
-          result: toolResult
-        });
-        
-        // Add tool result to conversation
-        const resultMessage = {
-          role: 'user',
-          parts: [{
-            text: `Tool "${call.name}" execution result:\n${JSON.stringify(toolResult, null, 2)}\n\nPlease continue with the task using this information.`
-          }]
+        return {
+          id: call.id,
+          name: call.name,
+          result: toolResult,
+          // Log execution
+          execution: { iteration: iteration, tool: tool.name, arguments: call.arguments, result: toolResult }
         };
-        
-        conversationHistory.push(resultMessage);
+      };
+      
+      // Results keep the order of the calls either way
+      const callResults = [];
+      if (policy.parallelToolCalls) {
+        callResults.push(...await Promise.all(functionCalls.map(runCall)));
+      } else {
+        for (const call of functionCalls) {
+          callResults.push(await runCall(call));
+        }
+      }
+      
+      const toolResults = callResults.filter(Boolean).map(({ execution, ...toolResult }) => {
+        if (execution) toolExecutionLog.push(execution);
+        return toolResult;
+      });
+      
+      // Add tool results to conversation
+      if (useNativeTools) {
+        conversationHistory.push({ role: 'tool', toolResults });
+      } else {
+        toolResults.forEach(({ name, result }) => {
+          conversationHistory.push({
+            role: 'user',
+            content: `Tool "${name}" execution result:\n${JSON.stringify(result, null, 2)}\n\nPlease continue with the task using this information.`
+          });
+        });
       }
       
     } catch (error) {
+      if (isAbortError(error)) {
+        console.log('⏹️ Execution cancelled');
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Execution cancelled',
+          result: error.partialOutput || getLastAssistantContent(conversationHistory),
+          iterations: iteration,
+          toolExecutions: toolExecutionLog,
+          conversationHistory: conversationHistory
+        };
+      }
+      
+      if (isBudgetError(error)) {
+        console.warn('💸 Budget exceeded:', error.message);
+        return {
+          success: false,
+          budgetExceeded: true,
+          error: error.message,
+          budgetLimit: error.limit,
+          result: getLastAssistantContent(conversationHistory),
+          iterations: iteration,
+          toolExecutions: toolExecutionLog,
+          conversationHistory: conversationHistory
+        };
+      }
+      
       console.error('❌ Error in iteration:', error);
       
       return {
@@ -138,18 +251,22 @@ export async function executeAgentWithTools(agent, userInput, customParams, apiK
   
   return {
     success: false,
-    error: 'Max iterations reached. Task may be incomplete.',
-    result: conversationHistory[conversationHistory.length - 1]?.parts[0]?.text || null,
+    error: `Max iterations reached (${policy.maxIterations}). Task may be incomplete.`,
+    result: getLastAssistantContent(conversationHistory),
     iterations: iteration,
     toolExecutions: toolExecutionLog,
     conversationHistory: conversationHistory
   };
 }
 
+const getLastAssistantContent = (conversationHistory) => {
+  return [...conversationHistory].reverse().find(m => m.role === 'assistant' && m.content)?.content || null;
+};
+
 /**
  * Build system prompt with tools information
  */
-async function buildSystemPrompt(agent, customParams, apiKey, userInput) {
+async function buildSystemPrompt(agent, customParams, userInput, options = {}) {
   let prompt = `You are a ${agent.role}.\n\nYour goal is: ${agent.goal}\n\nTask Description:\n${agent.taskDescription}\n\nExpected Output Format:\n${agent.expectedOutput}`;
   
   // Add context parameters
@@ -170,8 +287,9 @@ async function buildSystemPrompt(agent, customParams, apiKey, userInput) {
       const relevantDocs = await searchSimilarDocuments(
         agent.id,
         userInput,
-        apiKey,
-        agent.ragTopK || 3
+        null,
+        agent.ragTopK || 3,
+        { onUsage: options.onUsage }
       );
       
       if (relevantDocs.length > 0) {
@@ -204,84 +322,70 @@ async function loadAgentTools(agent) {
 }
 
 /**
- * Call Gemini API with conversation history
+ * Call the agent's model provider with conversation history.
+ * With native function calling, tools are sent as declarations; otherwise they are described
+ * in the first message and calls are scraped from the reply text (parseFunctionCalls).
  */
-async function callGeminiAPI(model, conversationHistory, geminiParams, tools, apiKey) {
-  const url = `${GEMINI_API_BASE}/models/${model}:generateContent?key=${apiKey}`;
-  
-  // Prepare tools description for the system
-  let toolsInstruction = '';
-  if (tools.length > 0) {
-    toolsInstruction = '\n\n=== AVAILABLE TOOLS ===\n';
-    toolsInstruction += 'You have access to the following tools. When you need to use a tool, output a JSON object in this exact format:\n';
-    toolsInstruction += '{"function": "tool_name", "arguments": {param1: value1, param2: value2}}\n\n';
-    
-    tools.forEach(tool => {
-      toolsInstruction += `Tool: ${tool.name}\n`;
-      toolsInstruction += `Description: ${tool.description}\n`;
-      
-      if (tool.parameters && tool.parameters.length > 0) {
-        toolsInstruction += 'Parameters:\n';
-        tool.parameters.forEach(param => {
-          toolsInstruction += `  - ${param.name} (${param.type}${param.required ? ', required' : ', optional'}): ${param.description || 'No description'}\n`;
-        });
-      }
-      
-      toolsInstruction += `Returns: ${tool.returnType}\n\n`;
-    });
-    
-    toolsInstruction += 'After receiving tool results, continue your reasoning and use the information to complete the task.\n';
-    toolsInstruction += '===================\n';
-  }
-  
-  // Add tools instruction to the first message if tools exist
+async function callLLM(model, conversationHistory, geminiParams, tools, useNativeTools, { onToken, signal, onRetry, onUsage, maxAttempts } = {}) {
   const messages = [...conversationHistory];
-  if (tools.length > 0 && messages.length > 0) {
+  
+  if (tools.length > 0 && !useNativeTools && messages.length > 0) {
     messages[0] = {
       ...messages[0],
-      parts: [{ text: messages[0].parts[0].text + toolsInstruction }]
+      content: messages[0].content + buildToolsInstruction(tools)
     };
   }
   
-  const requestBody = {
-    contents: messages,
+  const request = {
+    messages,
+    tools: useNativeTools ? tools.map(buildToolDeclaration) : [],
     generationConfig: {
       temperature: geminiParams.temperature || 0.7,
       topK: geminiParams.topK || 40,
       topP: geminiParams.topP || 0.95,
       maxOutputTokens: geminiParams.maxOutputTokens || 20000,
-    }
-  };
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
     },
-    body: JSON.stringify(requestBody)
-  });
+    signal,
+    retry: { maxAttempts, onRetry },
+    onUsage
+  };
   
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Gemini API request failed');
-  }
+  const response = onToken
+    ? await streamContent(model, request, onToken)
+    : await generateContent(model, request);
   
-  const data = await response.json();
+  return {
+    text: response.text || '',
+    toolCalls: response.toolCalls || []
+  };
+}
+
+/**
+ * Describe tools in prose for providers without native function calling
+ */
+function buildToolsInstruction(tools) {
+  let toolsInstruction = '\n\n=== AVAILABLE TOOLS ===\n';
+  toolsInstruction += 'You have access to the following tools. When you need to use a tool, output a JSON object in this exact format:\n';
+  toolsInstruction += '{"function": "tool_name", "arguments": {"param1": "value1", "param2": "value2"}}\n\n';
   
-  if (!data.candidates || data.candidates.length === 0) {
-    if (data.promptFeedback?.blockReason) {
-      throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+  tools.forEach(tool => {
+    toolsInstruction += `Tool: ${tool.name}\n`;
+    toolsInstruction += `Description: ${tool.description}\n`;
+    
+    if (tool.parameters && tool.parameters.length > 0) {
+      toolsInstruction += 'Parameters:\n';
+      tool.parameters.forEach(param => {
+        toolsInstruction += `  - ${param.name} (${param.type}${param.required ? ', required' : ', optional'}): ${param.description || 'No description'}\n`;
+      });
     }
-    throw new Error('API returned no candidates');
-  }
+    
+    toolsInstruction += `Returns: ${tool.returnType}\n\n`;
+  });
   
-  if (!data.candidates[0].content || !data.candidates[0].content.parts || data.candidates[0].content.parts.length === 0) {
-    throw new Error('API response missing content');
-  }
+  toolsInstruction += 'After receiving tool results, continue your reasoning and use the information to complete the task.\n';
+  toolsInstruction += '===================\n';
   
-  return {
-    text: data.candidates[0].content.parts[0].text
-  };
+  return toolsInstruction;
 }
 
 /**
@@ -0,0 +1,34 @@
+// src/services/approvalSteps.js
+// Human approval steps: `{ type: 'approval', name, approval: { instructions } }`.
+// The run pauses at the step until a person approves its input, approves an edited version of it
+// or rejects it. Successors receive the approved text; a rejection stops the run (status 'rejected').
+// While a step waits, the runner saves the run as 'awaiting_approval' with a 'pending' result for
+// the step, so a paused run survives a reload and is picked up again like any resumed run
+// (see workflowCheckpoints.js).
+
+export const DEFAULT_APPROVAL = { instructions: '' };
+
+export const isApprovalStep = (step) => step?.type === 'approval';
+
+export const getApprovalSettings = (step) => ({ ...DEFAULT_APPROVAL, ...step?.approval });
+
+/**
+ * Create the error that stops a run when a person rejects an approval step
+ */
+export const createRejectionError = (stepLabel, comment) => {
+  const error = new Error(`Rejected at "${stepLabel}"${comment ? `: ${comment}` : ''}`);
+  error.name = 'ApprovalRejectedError';
+  return error;
+};
+
+export const isRejectionError = (error) => error?.name === 'ApprovalRejectedError';
+
+/**
+ * Log entry for a decision: { decision: 'approved' | 'edited' | 'rejected', comment?, decidedAt }.
+ * An approval whose text differs from the step's input counts as an edit.
+ */
+export const describeDecision = ({ approved, text, comment }, input) => ({
+  decision: !approved ? 'rejected' : text !== input ? 'edited' : 'approved',
+  ...(comment?.trim() ? { comment: comment.trim() } : {}),
+  decidedAt: new Date().toISOString()
+});
@@ -0,0 +1,168 @@
+// src/services/budgetService.js
+// Budget and quota guardrails for agents and workflows.
+// Agents and workflows may carry `budget: { maxTokensPerRun, maxToolIterations, maxDailySpend }`
+// (empty = unlimited). Runners create one guard per run and pass it to executeAgent in
+// `options.budgets`; the executors check every guard before each model call and tool iteration.
+
+import { estimateCost } from '../constants/models';
+import { getAllExecutionLogs, getAllWorkflowExecutionLogs } from './indexedDB';
+import { getUsageEntries, filterUsageEntries, summarizeUsageEntries, formatCost, formatTokens } from './usageService';
+
+export const EMPTY_BUDGET = { maxTokensPerRun: '', maxToolIterations: '', maxDailySpend: '' };
+
+const toLimit = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Parse the budget fields of an agent or workflow; unset or non-positive limits become null
+ */
+export const normalizeBudget = (budget = {}) => ({
+  maxTokensPerRun: toLimit(budget?.maxTokensPerRun),
+  maxToolIterations: toLimit(budget?.maxToolIterations),
+  maxDailySpend: toLimit(budget?.maxDailySpend)
+});
+
+export const hasBudget = (budget) => Object.values(normalizeBudget(budget)).some(limit => limit !== null);
+
+/**
+ * Create the error thrown when a limit is hit (`limit` names the budget field)
+ */
+export const createBudgetError = (message, limit) => {
+  const error = new Error(message);
+  error.name = 'BudgetExceededError';
+  error.limit = limit;
+  return error;
+};
+
+/**
+ * Whether an error was caused by a budget limit, not by a failure
+ */
+export const isBudgetError = (error) => error?.name === 'BudgetExceededError';
+
+const todayString = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Estimated spend of an agent (including its workflow steps) or a workflow since local midnight
+ */
+export const getSpendToday = async ({ agentId, workflowId }) => {
+  const [agentLogs, workflowLogs] = await Promise.all([
+    getAllExecutionLogs(),
+    getAllWorkflowExecutionLogs()
+  ]);
+  const today = todayString();
+  const entries = filterUsageEntries(getUsageEntries(agentLogs, workflowLogs), {
+    agentId,
+    workflowId,
+    from: today,
+    to: today
+  });
+  return summarizeUsageEntries(entries).cost;
+};
+
+/**
+ * Track one run against a budget.
+ * `spentToday` is what was already spent before the run; usage reported through `onUsage` is added to it.
+ */
+export const createBudgetGuard = (budget, { label = 'Run', spentToday = 0 } = {}) => {
+  const limits = normalizeBudget(budget);
+  let tokens = 0;
+  let cost = 0;
+  let toolIterations = 0;
+
+  const guard = {
+    label,
+    limits,
+
+    onUsage: (usage) => {
+      tokens += usage.totalTokens || 0;
+      cost += estimateCost(usage.model, usage);
+    },
+
+    // Throws once the run may not make another model call
+    check: () => {
+      if (limits.maxDailySpend !== null && spentToday + cost >= limits.maxDailySpend) {
+        throw createBudgetError(
+          `${label} reached its daily spend limit of ${formatCost(limits.maxDailySpend)} (${formatCost(spentToday + cost)} spent today).`,
+          'maxDailySpend'
+        );
+      }
+      if (limits.maxTokensPerRun !== null && tokens >= limits.maxTokensPerRun) {
+        throw createBudgetError(
+          `${label} used ${formatTokens(tokens)} tokens, reaching its limit of ${formatTokens(limits.maxTokensPerRun)} tokens per run.`,
+          'maxTokensPerRun'
+        );
+      }
+    },
+
+    // Throws instead of starting another round of tool calls past the limit
+    startToolIteration: () => {
+      guard.check();
+      if (limits.maxToolIterations !== null && toolIterations >= limits.maxToolIterations) {
+        throw createBudgetError(
+          `${label} reached its limit of ${limits.maxToolIterations} tool iteration${limits.maxToolIterations === 1 ? '' : 's'} per run.`,
+          'maxToolIterations'
+        );
+      }
+      toolIterations++;
+    },
+
+    get spent() {
+      return { tokens, cost, toolIterations, spentToday: spentToday + cost };
+    }
+  };
+
+  return guard;
+};
+
+/**
+ * Guard for an agent run; today's spend is only looked up when a daily limit is set
+ */
+export const createAgentBudgetGuard = async (agent) => {
+  const { maxDailySpend } = normalizeBudget(agent.budget);
+  return createBudgetGuard(agent.budget, {
+    label: `Agent "${agent.name}"`,
+    spentToday: maxDailySpend !== null ? await getSpendToday({ agentId: agent.id }) : 0
+  });
+};
+
+/**
+ * Guard for a whole workflow run (all steps count towards the same limits)
+ */
+export const createWorkflowBudgetGuard = async (workflow) => {
+  const { maxDailySpend } = normalizeBudget(workflow.budget);
+  return createBudgetGuard(workflow.budget, {
+    label: `Workflow "${workflow.name}"`,
+    spentToday: maxDailySpend !== null ? await getSpendToday({ workflowId: workflow.id }) : 0
+  });
+};
+
+/**
+ * Throw if any guard is exhausted
+ */
+export const checkBudgets = (budgets = []) => {
+  budgets.forEach(guard => guard.check());
+};
+
+/**
+ * Count a round of tool calls against every guard
+ */
+export const startToolIteration = (budgets = []) => {
+  budgets.forEach(guard => guard.startToolIteration());
+};
+
+/**
+ * Wrap an `onUsage` callback so every guard also sees the usage
+ */
+export const trackBudgetUsage = (budgets = [], onUsage) => {
+  if (budgets.length === 0) return onUsage;
+  return (usage) => {
+    budgets.forEach(guard => guard.onUsage(usage));
+    onUsage?.(usage);
+  };
+};
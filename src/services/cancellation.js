@@ -0,0 +1,101 @@
+// src/services/cancellation.js
+// Helpers for stopping runs with an AbortController signal.
+// Runners create the controller; services only check / forward `signal`.
+
+/**
+ * Create the error thrown when a run is stopped (same name fetch uses for aborted requests)
+ */
+export const createAbortError = (message = 'Execution cancelled') => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Whether an error was caused by cancelling, not by a failure
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Throw an AbortError if the signal has already been aborted
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * Settle with `promise`, or reject with an AbortError as soon as `signal` aborts.
+ * Used for work that can't take a signal itself (e.g. user-provided tool code).
+ */
+export const raceWithSignal = (promise, signal) => {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
+/**
+ * Wait `ms` milliseconds, rejecting with an AbortError if `signal` aborts first
+ */
+export const waitFor = (ms, signal) => {
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Child signal that aborts when `signal` aborts or after `timeoutMs` (no timer when falsy).
+ * `timedOut` tells the two apart afterwards; call `clear()` once the work has settled.
+ */
+export const createTimeoutSignal = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+
+  return {
+    signal: controller.signal,
+    get timedOut() {
+      return timedOut;
+    },
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
@@ -1,48 +1,128 @@
-export async function executeChain(workflow, agents, initialInput, onRunAgent) {
-  const results = [];
-  let currentInput = initialInput;
-
-  for (let i = 0; i < workflow.agents.length; i++) {
-    const workflowAgent = workflow.agents[i];
-    const agent = agents.find(a => a.id === workflowAgent.agentId);
-    
-    if (!agent) {
-      throw new Error(`Agent not found: ${workflowAgent.agentId}`);
-    }
+// src/services/chainExecutor.js
+// Schedules the steps of a workflow along its graph (see workflowGraph.js). What a step does is up
+// to the caller's `runStep`; workflowEngine.js runs every step type on top of this.
+
+import { createAbortError, throwIfAborted } from './cancellation';
+import { getWorkflowGraph, sortStepIds, combineOutputs, isRouterStep } from './workflowGraph';
+
+/**
+ * Run the steps of a workflow graph. A step starts as soon as all of its predecessors have
+ * finished, so independent branches run in parallel. Entry steps receive `input` and a join
+ * receives the combined outputs of its predecessors.
+ *
+ * `inputs` are the workflow's typed input values as text, by key. `completed` ({ outputs, branches,
+ * skipped }, see workflowCheckpoints.js) resumes a run: those steps count as already settled.
+ *
+ * `runStep(step, defaultInput, { signal, index, templateContext })` runs one step and resolves to its
+ * output (`index` is the step's position in execution order; `templateContext` renders the step's
+ * input template with getStepInput and its parameter mappings with getStepParams, so a template
+ * that fails to render fails within the step). For router steps it resolves to the
+ * chosen branch instead: the router's input is passed on, along its edges for that branch only.
+ * A step none of whose incoming edges was followed is skipped (reported through `onStepSkipped`),
+ * and so are the steps after it. The final output combines the steps that ran but passed
+ * nothing on. The first failure aborts the `signal` passed to the other running steps, and is
+ * rethrown once they have settled.
+ *
+ * @returns {Promise<{ outputs: Object, branches: Object, skipped: string[], order: string[], finalOutput: string }>}
+ */
+export async function executeWorkflowGraph(workflow, input, runStep, { signal, getLabel, onStepSkipped, inputs = {}, completed } = {}) {
+  const graph = getWorkflowGraph(workflow);
+  const order = sortStepIds(graph);
+  const stepsById = Object.fromEntries(graph.steps.map(step => [step.id, step]));
+  const labelOf = (id) => getLabel?.(stepsById[id]) || id;
+
+  // Aborted by the caller's signal or by the first failing step
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const outputs = { ...completed?.outputs };
+  const branches = { ...completed?.branches };
+  const skipped = new Set(completed?.skipped);
+  const started = new Set(Object.keys(outputs));
+  const running = new Set();
+  let failure = null;
+
+  const incoming = (id) => graph.edges.filter(edge => edge.to === id);
+  const outgoing = (id) => graph.edges.filter(edge => edge.from === id);
+  const isSettled = (id) => id in outputs || skipped.has(id);
+  // An edge is followed once its source has run, and for routers only on the chosen branch
+  const isFollowed = (edge) => edge.from in outputs
+    && (!isRouterStep(stepsById[edge.from]) || edge.branch === branches[edge.from]);
+
+  const inputFor = (id) => {
+    const followed = incoming(id).filter(isFollowed);
+    if (followed.length === 0) return input;
+    return combineOutputs(followed.map(edge => ({ label: labelOf(edge.from), output: outputs[edge.from] })));
+  };
+
+  // What templates of `id` can refer to: the workflow input(s), its default input and earlier outputs by name
+  const templateContextFor = (id) => ({
+    input,
+    inputs,
+    previous: inputFor(id),
+    steps: Object.fromEntries(Object.keys(outputs).map(stepId => [labelOf(stepId), outputs[stepId]]))
+  });
+
+  const startReadySteps = () => {
+    if (failure || controller.signal.aborted) return;
+
+    // Execution order visits predecessors first, so skips cascade within a single pass
+    order.forEach((id, index) => {
+      const edges = incoming(id);
+      if (started.has(id) || skipped.has(id) || !edges.every(edge => isSettled(edge.from))) return;
+      if (edges.length > 0 && !edges.some(isFollowed)) {
+        skipped.add(id);
+        onStepSkipped?.(stepsById[id], { index });
+        return;
+      }
+      started.add(id);
 
-    console.log(`🔄 Running step ${i + 1}/${workflow.agents.length}: ${agent.name}`);
-    
-    try {
-      const output = await onRunAgent(agent, currentInput, {});
-      
-      results.push({
-        step: i + 1,
-        agentId: agent.id,
-        agentName: agent.name,
-        input: currentInput,
-        output,
-        status: 'success'
-      });
-      
-      currentInput = output; // Pass output to next agent
-    } catch (error) {
-      results.push({
-        step: i + 1,
-        agentId: agent.id,
-        agentName: agent.name,
-        input: currentInput,
-        output: null,
-        error: error.message,
-        status: 'error'
-      });
-      throw error; // Stop chain on error
+      const templateContext = templateContextFor(id);
+      const task = Promise.resolve()
+        .then(() => runStep(stepsById[id], templateContext.previous, { signal: controller.signal, index, templateContext }))
+        .then(
+          (result) => {
+            if (isRouterStep(stepsById[id])) {
+              branches[id] = result;
+              outputs[id] = inputFor(id);
+            } else {
+              outputs[id] = result;
+            }
+          },
+          (error) => {
+            if (!failure) {
+              failure = error;
+              controller.abort();
+            }
+          }
+        )
+        .finally(() => running.delete(task));
+      running.add(task);
+    });
+  };
+
+  try {
+    startReadySteps();
+    while (running.size > 0) {
+      await Promise.race(running);
+      startReadySteps();
     }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
   }
 
+  if (failure) throw failure;
+  throwIfAborted(signal);
+  if (order.some(id => !isSettled(id))) throw createAbortError();
+
+  const finalSteps = order.filter(id => id in outputs && !outgoing(id).some(isFollowed));
   return {
-    workflowId: workflow.id,
-    workflowName: workflow.name,
-    results,
-    finalOutput: currentInput
+    outputs,
+    branches,
+    skipped: [...skipped],
+    order,
+    finalOutput: combineOutputs(finalSteps.map(id => ({ label: labelOf(id), output: outputs[id] })))
   };
 }
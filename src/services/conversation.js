@@ -0,0 +1,35 @@
+// src/services/conversation.js
+// Multi-turn helpers: runners keep prior turns and pass them to executeAgent as `options.history`.
+
+/**
+ * Provider messages for a conversation: prior turns (`{ role: 'user' | 'assistant', content }`)
+ * followed by the new message. The system prompt (`preamble`) is prefixed to the first user turn,
+ * exactly as in a single-shot run, so the agent keeps its instructions on every follow-up.
+ */
+export const buildConversationMessages = (preamble, history = [], message) => {
+  const turns = [
+    ...history
+      .filter(turn => (turn.role === 'user' || turn.role === 'assistant') && turn.content)
+      .map(({ role, content }) => ({ role, content })),
+    message
+  ];
+  const [first, ...rest] = turns;
+  return [{ ...first, content: `${preamble}${first.content}` }, ...rest];
+};
+
+/**
+ * Markdown transcript of a saved session (used for "Export as markdown")
+ */
+export const formatConversationMarkdown = (session, { userLabel = 'You', assistantLabel = 'Assistant' } = {}) => {
+  const header = [
+    `# ${session.name || 'Conversation'}`,
+    '',
+    `_${session.messages.length} messages · started ${new Date(session.createdAt || Date.now()).toLocaleString()}_`
+  ];
+  const turns = session.messages.map(message => {
+    const label = message.role === 'user' ? userLabel : assistantLabel;
+    const time = message.createdAt ? ` (${new Date(message.createdAt).toLocaleString()})` : '';
+    return `### ${label}${time}\n\n${message.content || '_No output_'}`;
+  });
+  return [...header, '', ...turns.flatMap(turn => [turn, ''])].join('\n').trimEnd() + '\n';
+};
@@ -0,0 +1,538 @@
+// src/services/dataAnalysis.js
+// Statistics behind the data_analyzer tool. Input is a flat array of numbers, an array of row
+// objects, an array of row arrays (header row optional) or CSV text; it is read into a table of
+// typed columns (number, date or text) and analysed as a whole. Results for a flat array keep the
+// flat shape the tool has always returned; tables are reported per column, so an agent can cite
+// "mean price 12.5 (n = 40)".
+
+const MAX_ROWS = 50000;
+const MAX_GROUPS = 200;
+const MAX_LISTED_OUTLIERS = 50;
+const MAX_BINS = 100;
+const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+const DEFAULT_THRESHOLDS = { iqr: 1.5, zscore: 3 };
+
+export const ANALYSIS_TYPES = ['summary', 'group_by', 'percentiles', 'histogram', 'correlation', 'trend', 'outliers'];
+
+const ANALYSIS_ALIASES = {
+  distribution: 'histogram',
+  groupby: 'group_by',
+  percentile: 'percentiles',
+  regression: 'trend',
+  outlier: 'outliers'
+};
+
+const MISSING = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', '-']);
+const NUMERIC = /^[-+]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?$/i;
+const GROUPED_NUMERIC = /^[-+]?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[-+]\d{2}:?\d{2})?)?$/;
+const DAY_MS = 86400000;
+
+// ---------- Reading the data ----------
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value) ||
+  (typeof value === 'string' && MISSING.has(value.trim().toLowerCase()));
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (NUMERIC.test(text)) return Number(text);
+  if (GROUPED_NUMERIC.test(text)) return Number(text.replace(/,/g, ''));
+  return null;
+};
+
+const toTime = (value) => (typeof value === 'string' && ISO_DATE.test(value.trim()) ? Date.parse(value.trim()) : NaN);
+
+/**
+ * Parse CSV text (header row first) into row objects. Without a header (the first row is all numbers)
+ * the columns are named column1, column2, ...
+ * The delimiter (comma, semicolon, tab or pipe) is taken from the header row; quoted fields may contain any of them.
+ */
+export const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const header = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t', '|'].reduce(
+    (best, candidate) => (header.split(candidate).length > header.split(best).length ? candidate : best)
+  );
+
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      lines.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('The CSV has a quoted field that is never closed');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    lines.push(row);
+  }
+
+  const rows = lines.filter(line => line.some(value => value.trim() !== ''));
+  // An all-numeric first row is data, not a header
+  const hasHeader = rows.length === 0 || !rows[0].every(value => toNumber(value) !== null);
+  const [names = [], ...records] = hasHeader ? rows : [rows[0].map(() => ''), ...rows];
+  const columns = uniqueNames(names.map(name => name.trim()));
+  return records.map(record => Object.fromEntries(columns.map((name, index) => [name, record[index] ?? ''])));
+};
+
+// Blank or repeated header names get a position-based name instead
+const uniqueNames = (names) => {
+  const seen = new Set();
+  return names.map((name, index) => {
+    let unique = name || `column${index + 1}`;
+    for (let copy = 2; seen.has(unique); copy += 1) unique = `${name || `column${index + 1}`}_${copy}`;
+    seen.add(unique);
+    return unique;
+  });
+};
+
+// Numbers one per line, or on a single line separated by commas, semicolons, tabs, pipes or spaces; else null
+const parseNumberList = (text) => {
+  const lines = text.trim().split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const values = (lines.length === 1 ? lines[0].split(/[\s,;|]+/) : lines).map(toNumber);
+  return values.every(value => value !== null) ? values : null;
+};
+
+const rowsFromArray = (data) => {
+  if (data.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+    return { kind: 'table', rows: data };
+  }
+  if (data.every(Array.isArray)) {
+    const [first, ...rest] = data;
+    const hasHeader = first.every(value => typeof value === 'string' && toNumber(value) === null);
+    const names = uniqueNames(hasHeader ? first.map(name => name.trim()) : first.map(() => ''));
+    const records = hasHeader ? rest : data;
+    return { kind: 'table', rows: records.map(record => Object.fromEntries(names.map((name, index) => [name, record[index]]))) };
+  }
+  if (data.every(item => item === null || typeof item !== 'object')) {
+    return { kind: 'values', rows: data.map(value => ({ value })) };
+  }
+  throw new Error('data must be all numbers, all row objects or all row arrays, not a mix');
+};
+
+const describeColumn = (name, rows) => {
+  const present = rows.map(row => row[name]).filter(value => !isMissing(value));
+  const numbers = present.filter(value => toNumber(value) !== null).length;
+  const type = present.length === 0
+    ? 'text'
+    : numbers * 2 > present.length
+      ? 'number'
+      : present.every(value => Number.isFinite(toTime(value)))
+        ? 'date'
+        : 'text';
+  return { name, type, missing: rows.length - present.length, invalid: type === 'number' ? present.length - numbers : 0 };
+};
+
+const readTable = (data, csv) => {
+  let table;
+  if (typeof csv === 'string' && csv.trim()) {
+    table = { kind: 'table', rows: parseCsv(csv) };
+  } else if (typeof data === 'string' && data.trim()) {
+    // Not JSON (coerceArguments already tried): a list of numbers, else CSV with a header row
+    const values = parseNumberList(data);
+    table = values ? rowsFromArray(values) : { kind: 'table', rows: parseCsv(data) };
+  } else if (Array.isArray(data)) {
+    table = rowsFromArray(data);
+  } else {
+    throw new Error('Pass "data" as an array (numbers, or one object per row) or CSV text in "csv"');
+  }
+
+  if (table.rows.length === 0) {
+    throw new Error('The data has no rows');
+  }
+  if (table.rows.length > MAX_ROWS) {
+    throw new Error(`The data has ${table.rows.length} rows; the limit is ${MAX_ROWS}`);
+  }
+
+  const names = [...new Set(table.rows.flatMap(row => Object.keys(row)))];
+  return { ...table, columns: names.map(name => describeColumn(name, table.rows)) };
+};
+
+// ---------- Statistics ----------
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => sum(values) / values.length;
+const variance = (values) => {
+  const average = mean(values);
+  return sum(values.map(value => (value - average) ** 2)) / values.length;
+};
+
+// Linear interpolation between closest ranks (Excel PERCENTILE.INC)
+const quantile = (sorted, fraction) => {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const describeNumbers = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sum(values);
+  const populationVariance = variance(values);
+  return {
+    count: values.length,
+    sum: total,
+    mean: total / values.length,
+    median: quantile(sorted, 0.5),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    range: sorted[sorted.length - 1] - sorted[0],
+    variance: populationVariance,
+    standardDeviation: Math.sqrt(populationVariance)
+  };
+};
+
+const pearson = (xs, ys) => {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const covariance = sum(xs.map((x, i) => (x - meanX) * (ys[i] - meanY)));
+  const spread = Math.sqrt(sum(xs.map(x => (x - meanX) ** 2)) * sum(ys.map(y => (y - meanY) ** 2)));
+  return spread === 0 ? null : covariance / spread;
+};
+
+const correlationStrength = (r) => {
+  const size = Math.abs(r);
+  if (size >= 0.7) return 'strong';
+  if (size >= 0.4) return 'moderate';
+  if (size >= 0.2) return 'weak';
+  return 'none';
+};
+
+// Plain numbers with the float noise trimmed (0.30000000000000004 → 0.3)
+const tidy = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) || !Number.isFinite(value) ? value : Number(value.toPrecision(12));
+  if (Array.isArray(value)) return value.map(tidy);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, tidy(item)]));
+  return value;
+};
+
+// ---------- Analyses ----------
+
+// Empty lists and 0 count as "not set" (the Test Tool dialog fills every parameter in)
+const listOption = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const items = (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+};
+
+const createContext = (table, args) => {
+  const notes = [];
+
+  const column = (name, role) => {
+    const found = table.columns.find(candidate => candidate.name === name);
+    if (!found) {
+      throw new Error(`Unknown ${role} column "${name}". Columns: ${table.columns.map(candidate => candidate.name).join(', ')}`);
+    }
+    return found;
+  };
+
+  const numbersOf = (name) => table.rows
+    .map((row, index) => ({ row: index, value: isMissing(row[name]) ? null : toNumber(row[name]) }))
+    .filter(item => item.value !== null);
+
+  // The requested numeric columns, or every numeric column except `exclude`
+  const numericColumns = (exclude = []) => {
+    const requested = listOption(args.columns);
+    const selected = requested
+      ? requested.map(name => column(name, 'requested'))
+      : table.columns.filter(candidate => candidate.type === 'number' && !exclude.includes(candidate.name));
+    selected.filter(candidate => candidate.type !== 'number').forEach(candidate => {
+      throw new Error(`Column "${candidate.name}" is ${candidate.type}, not numeric`);
+    });
+    if (selected.length === 0) {
+      throw new Error(`No numeric columns found. Columns: ${table.columns.map(candidate => `${candidate.name} (${candidate.type})`).join(', ')}`);
+    }
+    selected.filter(candidate => candidate.invalid > 0).forEach(candidate => {
+      notes.push(`${candidate.invalid} non-numeric value(s) in "${candidate.name}" were ignored`);
+    });
+    return selected;
+  };
+
+  return { notes, column, numbersOf, numericColumns };
+};
+
+const perColumn = (columns, analyse) => Object.fromEntries(columns.map(column => [column.name, analyse(column)]));
+
+const summarize = (table, context, args) => {
+  if (table.kind === 'values') {
+    const [column] = context.numericColumns();
+    return describeNumbers(context.numbersOf(column.name).map(item => item.value));
+  }
+
+  const requested = listOption(args.columns);
+  const columns = requested ? requested.map(name => context.column(name, 'requested')) : table.columns;
+  columns.filter(column => column.invalid > 0).forEach(column => {
+    context.notes.push(`${column.invalid} non-numeric value(s) in "${column.name}" were ignored`);
+  });
+  return {
+    columns: perColumn(columns, (column) => {
+      const base = { type: column.type, missing: column.missing };
+      const present = table.rows.map(row => row[column.name]).filter(value => !isMissing(value));
+      if (column.type === 'number') {
+        return { ...base, ...describeNumbers(context.numbersOf(column.name).map(item => item.value)) };
+      }
+      if (column.type === 'date') {
+        const times = present.map(toTime).sort((a, b) => a - b);
+        return { ...base, count: times.length, first: new Date(times[0]).toISOString(), last: new Date(times[times.length - 1]).toISOString() };
+      }
+      const counts = new Map();
+      present.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+      const top = [...counts].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([value, count]) => ({ value, count }));
+      return { ...base, count: present.length, unique: counts.size, top };
+    })
+  };
+};
+
+const percentiles = (table, context, args) => {
+  const requested = listOption(args.percentiles)?.map(Number) || DEFAULT_PERCENTILES;
+  if (requested.some(p => !Number.isFinite(p) || p < 0 || p > 100)) {
+    throw new Error('percentiles must be numbers from 0 to 100, e.g. [25, 50, 75]');
+  }
+  return {
+    columns: perColumn(context.numericColumns(), (column) => {
+      const sorted = context.numbersOf(column.name).map(item => item.value).sort((a, b) => a - b);
+      const values = Object.fromEntries(requested.map(p => [`p${p}`, quantile(sorted, p / 100)]));
+      return { count: sorted.length, ...values, interquartileRange: quantile(sorted, 0.75) - quantile(sorted, 0.25) };
+    })
+  };
+};
+
+const histogram = (table, context, args) => ({
+  columns: perColumn(context.numericColumns(), (column) => {
+    const values = context.numbersOf(column.name).map(item => item.value);
+    const binCount = args.bins ? Number(args.bins) : Math.ceil(Math.log2(values.length) + 1);
+    if (!Number.isInteger(binCount) || binCount < 1 || binCount > MAX_BINS) {
+      throw new Error(`bins must be a whole number from 1 to ${MAX_BINS}`);
+    }
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = (max - min) / binCount;
+    if (width === 0) {
+      return { count: values.length, binWidth: 0, bins: [{ from: min, to: max, count: values.length }] };
+    }
+    const counts = new Array(binCount).fill(0);
+    // The last bin includes the maximum
+    values.forEach(value => { counts[Math.min(Math.floor((value - min) / width), binCount - 1)] += 1; });
+    return {
+      count: values.length,
+      binWidth: width,
+      bins: counts.map((count, index) => ({ from: min + index * width, to: index === binCount - 1 ? max : min + (index + 1) * width, count }))
+    };
+  })
+});
+
+const groupBy = (table, context, args) => {
+  if (!args.group_by) {
+    throw new Error(`group_by needs the column to group on. Columns: ${table.columns.map(column => column.name).join(', ')}`);
+  }
+  const key = context.column(args.group_by, 'group_by');
+  const measured = context.numericColumns([key.name]);
+
+  const groups = new Map();
+  table.rows.forEach(row => {
+    const value = isMissing(row[key.name]) ? '(missing)' : String(row[key.name]).trim();
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  });
+  if (groups.size > MAX_GROUPS) {
+    context.notes.push(`${groups.size} groups found; only the first ${MAX_GROUPS} are listed`);
+  }
+
+  return {
+    groupBy: key.name,
+    groupCount: groups.size,
+    groups: [...groups].slice(0, MAX_GROUPS).map(([group, rows]) => ({
+      group,
+      count: rows.length,
+      columns: perColumn(measured, (column) => {
+        const values = rows.map(row => (isMissing(row[column.name]) ? null : toNumber(row[column.name]))).filter(value => value !== null);
+        if (values.length === 0) return { count: 0 };
+        return { count: values.length, sum: sum(values), mean: mean(values), min: Math.min(...values), max: Math.max(...values) };
+      })
+    }))
+  };
+};
+
+const correlation = (table, context) => {
+  const columns = context.numericColumns();
+  if (columns.length < 2) {
+    throw new Error('correlation needs at least two numeric columns; use "trend" to see how a single series changes');
+  }
+
+  const matrix = perColumn(columns, () => ({}));
+  const pairs = [];
+  columns.forEach((a, i) => {
+    matrix[a.name][a.name] = 1;
+    columns.slice(i + 1).forEach(b => {
+      const both = table.rows
+        .map(row => [toNumber(row[a.name]), toNumber(row[b.name])])
+        .filter(([x, y]) => x !== null && y !== null);
+      const r = both.length >= 3 ? pearson(both.map(([x]) => x), both.map(([, y]) => y)) : null;
+      matrix[a.name][b.name] = r;
+      matrix[b.name][a.name] = r;
+      pairs.push({ columns: [a.name, b.name], r, n: both.length, strength: r === null ? null : correlationStrength(r) });
+    });
+  });
+  if (pairs.some(pair => pair.r === null)) {
+    context.notes.push('r is null where a pair has fewer than 3 complete rows or a column does not vary');
+  }
+
+  return {
+    method: 'pearson',
+    matrix,
+    pairs: pairs.sort((a, b) => Math.abs(b.r ?? 0) - Math.abs(a.r ?? 0))
+  };
+};
+
+const trend = (table, context, args) => {
+  const y = args.y ? context.column(args.y, 'y') : null;
+  const x = args.x ? context.column(args.x, 'x') : null;
+  if (x && x.type === 'text') {
+    throw new Error(`Column "${x.name}" is text; x must be a numeric or ISO date column (or left out to use the row order)`);
+  }
+  const [target] = y ? [y] : context.numericColumns(x ? [x.name] : []);
+  if (target.type !== 'number') {
+    throw new Error(`Column "${target.name}" is ${target.type}, not numeric`);
+  }
+
+  const readX = x?.type === 'date' ? (row) => toTime(row[x.name]) : x ? (row) => toNumber(row[x.name]) : (row, index) => index;
+  const points = table.rows
+    .map((row, index) => [readX(row, index), isMissing(row[target.name]) ? null : toNumber(row[target.name])])
+    .filter(([px, py]) => Number.isFinite(px) && py !== null);
+  if (points.length < 2) {
+    throw new Error('trend needs at least two rows with values');
+  }
+
+  // Dates are measured in days from the first one
+  const origin = x?.type === 'date' ? Math.min(...points.map(([px]) => px)) : 0;
+  const xs = points.map(([px]) => (x?.type === 'date' ? (px - origin) / DAY_MS : px));
+  const ys = points.map(([, py]) => py);
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const spreadX = sum(xs.map(value => (value - meanX) ** 2));
+  if (spreadX === 0) {
+    throw new Error('trend needs x values that differ');
+  }
+  const slope = sum(xs.map((value, i) => (value - meanX) * (ys[i] - meanY))) / spreadX;
+  const intercept = meanY - slope * meanX;
+  const r = pearson(xs, ys);
+  const rSquared = r === null ? 1 : r ** 2;
+
+  return {
+    x: x ? x.name : 'row',
+    y: target.name,
+    n: points.length,
+    slope,
+    intercept,
+    rSquared,
+    direction: slope > 0 ? 'increasing' : slope < 0 ? 'decreasing' : 'flat',
+    fit: correlationStrength(Math.sqrt(rSquared)),
+    ...(x?.type === 'date' && { slopePer: 'day', interceptAt: new Date(origin).toISOString() }),
+    // Forecast for the next row when x is the row order
+    ...(!x && { nextValue: intercept + slope * table.rows.length })
+  };
+};
+
+const outliers = (table, context, args) => {
+  const method = String(args.method || 'iqr').toLowerCase().replace(/[^a-z]/g, '');
+  if (!DEFAULT_THRESHOLDS[method]) {
+    throw new Error('method must be "iqr" or "zscore"');
+  }
+  const threshold = args.threshold ? Number(args.threshold) : DEFAULT_THRESHOLDS[method];
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    throw new Error('threshold must be a positive number');
+  }
+
+  return {
+    columns: perColumn(context.numericColumns(), (column) => {
+      const items = context.numbersOf(column.name);
+      const values = items.map(item => item.value);
+      let lowerBound;
+      let upperBound;
+      if (method === 'iqr') {
+        const sorted = [...values].sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        lowerBound = q1 - threshold * (q3 - q1);
+        upperBound = q3 + threshold * (q3 - q1);
+      } else {
+        const deviation = Math.sqrt(variance(values));
+        lowerBound = mean(values) - threshold * deviation;
+        upperBound = mean(values) + threshold * deviation;
+      }
+      const found = items.filter(item => item.value < lowerBound || item.value > upperBound);
+      return {
+        method,
+        threshold,
+        lowerBound,
+        upperBound,
+        count: found.length,
+        // `row` is the 0-based position in the input
+        outliers: found.slice(0, MAX_LISTED_OUTLIERS)
+      };
+    })
+  };
+};
+
+const ANALYSES = { summary: summarize, percentiles, histogram, group_by: groupBy, correlation, trend, outliers };
+
+/**
+ * Run one analysis over the data_analyzer tool arguments.
+ * @param {Object} args - { data?: Array|string, csv?: string, analysis_type?: string, columns?, group_by?, x?, y?,
+ *   percentiles?, bins?, method?, threshold? } (see the tool's parameter descriptions)
+ * @returns {Object} `{ success: true, analysis_type, rowCount, ...results, notes? }`
+ * @throws Error with a message saying what to change
+ */
+export const analyzeData = (args = {}) => {
+  const requested = String(args.analysis_type || 'summary').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const type = ANALYSIS_ALIASES[requested.replace(/_/g, '')] || requested;
+  if (!ANALYSES[type]) {
+    throw new Error(`Unknown analysis_type "${args.analysis_type}". Use one of: ${ANALYSIS_TYPES.join(', ')}`);
+  }
+
+  const table = readTable(args.data, args.csv);
+  const context = createContext(table, args);
+  let results = ANALYSES[type](table, context, args);
+
+  // A flat array is a single column: report it without the column layer
+  if (table.kind === 'values' && results.columns?.value) {
+    const { columns, ...rest } = results;
+    results = { ...rest, ...columns.value };
+  }
+
+  return tidy({
+    success: true,
+    analysis_type: type,
+    rowCount: table.rows.length,
+    ...results,
+    ...(context.notes.length > 0 && { notes: context.notes })
+  });
+};
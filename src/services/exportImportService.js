@@ -1,5 +1,7 @@
 // src/services/exportImportService.js
 
+import { getWorkflowAgentIds } from './workflowGraph';
+
 /**
  * Export a single agent with its custom tools to JSON file
  */
@@ -190,10 +192,9 @@ export const generateUniqueName = (baseName, existingNames) => {
  * Export a workflow with its agents and tools to JSON file
  */
 export const exportWorkflow = async (workflow, agents = [], tools = []) => {
-  // Get agents used by this workflow
-  const workflowAgents = workflow.agents 
-    ? agents.filter(a => workflow.agents.some(wa => wa.agentId === a.id))
-    : [];
+  // Get agents used by this workflow (including those inside foreach / loop steps)
+  const usedAgentIds = getWorkflowAgentIds(workflow);
+  const workflowAgents = agents.filter(a => usedAgentIds.includes(a.id));
   
   // Get all custom tools used by those agents
   const toolIds = new Set();
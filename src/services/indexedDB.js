@@ -1,10 +1,16 @@
+import { getWorkflowAgentIds } from "./workflowGraph";
+import { getWorkflowSnapshot } from "./workflowVersions";
+
 const DB_NAME = "AgentBuilderDB";
 const STORE_NAME = "agents";
 const EXECUTIONS_STORE = "executions";
 const WORKFLOWS_STORE = "workflows";
 const WORKFLOW_EXECUTIONS_STORE = "workflow_executions";
 const TOOLS_STORE = "tools";
-const DB_VERSION = 5; // Bump version!
+const SESSIONS_STORE = "sessions";
+const SCHEDULES_STORE = "schedules";
+const WORKFLOW_VERSIONS_STORE = "workflow_versions";
+const DB_VERSION = 8; // Bump version!
 
 export const getDB = async () => await initDB();
 
@@ -57,6 +63,28 @@ export const initDB = () => {
         toolStore.createIndex("name", "name", { unique: false });
         toolStore.createIndex("createdAt", "createdAt", { unique: false });
       }
+      
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        const sessionStore = db.createObjectStore(SESSIONS_STORE, {
+          keyPath: "id",
+        });
+        sessionStore.createIndex("agentId", "agentId", { unique: false });
+        sessionStore.createIndex("updatedAt", "updatedAt", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(SCHEDULES_STORE)) {
+        const scheduleStore = db.createObjectStore(SCHEDULES_STORE, {
+          keyPath: "id",
+        });
+        scheduleStore.createIndex("nextRunAt", "nextRunAt", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(WORKFLOW_VERSIONS_STORE)) {
+        const versionStore = db.createObjectStore(WORKFLOW_VERSIONS_STORE, {
+          keyPath: "id",
+        });
+        versionStore.createIndex("workflowId", "workflowId", { unique: false });
+      }
     };
   });
 };
@@ -131,9 +159,7 @@ export const deleteAgent = async (id) => {
 // Check if agent is used in any workflows
 export const getWorkflowsUsingAgent = async (agentId) => {
   const workflows = await getAllWorkflows();
-  return workflows.filter(workflow => 
-    workflow.agents && workflow.agents.some(agent => agent.agentId === agentId)
-  );
+  return workflows.filter(workflow => getWorkflowAgentIds(workflow).includes(agentId));
 };
 
 
@@ -164,28 +190,59 @@ export async function getAllExecutionLogs() {
 }
 
 // Workflow CRUD operations
-export async function saveWorkflow(workflow) {
+// Every save also stores the configuration as a new immutable version (see workflowVersions.js).
+// `restoredFrom` marks a save that brings back an older version. Resolves with the saved workflow.
+export async function saveWorkflow(workflow, { restoredFrom } = {}) {
   const db = await getDB();
-  const tx = db.transaction([WORKFLOWS_STORE], 'readwrite');
-  const store = tx.objectStore(WORKFLOWS_STORE);
-  
-  if (workflow.id) {
-    // Update existing workflow
-    await store.put({ 
-      ...workflow, 
-      updatedAt: new Date().toISOString() 
-    });
-  } else {
-    // Create new workflow
-    const id = crypto.randomUUID();
-    await store.add({ 
-      id, 
-      ...workflow, 
-      createdAt: new Date().toISOString() 
-    });
-  }
-  
-  return tx.done;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([WORKFLOWS_STORE, WORKFLOW_VERSIONS_STORE], 'readwrite');
+    const store = tx.objectStore(WORKFLOWS_STORE);
+    const versionStore = tx.objectStore(WORKFLOW_VERSIONS_STORE);
+    const id = workflow.id || crypto.randomUUID();
+    const now = new Date().toISOString();
+    let savedWorkflow;
+
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const existing = request.result;
+      let version = existing?.version || 0;
+
+      // Workflows saved before versioning keep their last configuration as version 1
+      if (existing && !existing.versionId) {
+        version += 1;
+        versionStore.add({
+          id: crypto.randomUUID(),
+          workflowId: id,
+          version,
+          snapshot: getWorkflowSnapshot(existing),
+          savedAt: existing.updatedAt || existing.createdAt || now
+        });
+      }
+
+      const versionRecord = {
+        id: crypto.randomUUID(),
+        workflowId: id,
+        version: version + 1,
+        snapshot: getWorkflowSnapshot(workflow),
+        savedAt: now,
+        ...(restoredFrom ? { restoredFrom } : {})
+      };
+      versionStore.add(versionRecord);
+
+      savedWorkflow = {
+        id,
+        ...versionRecord.snapshot,
+        createdAt: existing?.createdAt || now,
+        ...(existing ? { updatedAt: now } : {}),
+        version: versionRecord.version,
+        versionId: versionRecord.id
+      };
+      store.put(savedWorkflow);
+    };
+
+    tx.oncomplete = () => resolve(savedWorkflow);
+    tx.onerror = () => reject(tx.error);
+  });
 }
 
 export async function getAllWorkflows() {
@@ -200,19 +257,46 @@ export async function getAllWorkflows() {
   });
 }
 
+// Deleting a workflow also deletes its versions
 export async function deleteWorkflow(id) {
   const db = await getDB();
-  const tx = db.transaction([WORKFLOWS_STORE], 'readwrite');
-  await tx.objectStore(WORKFLOWS_STORE).delete(id);
-  return tx.done;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([WORKFLOWS_STORE, WORKFLOW_VERSIONS_STORE], 'readwrite');
+    tx.objectStore(WORKFLOWS_STORE).delete(id);
+
+    const versionStore = tx.objectStore(WORKFLOW_VERSIONS_STORE);
+    const request = versionStore.index('workflowId').getAllKeys(id);
+    request.onsuccess = () => request.result.forEach(key => versionStore.delete(key));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Versions of one workflow, newest first
+export async function getWorkflowVersions(workflowId) {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([WORKFLOW_VERSIONS_STORE], 'readonly');
+    const request = tx.objectStore(WORKFLOW_VERSIONS_STORE).index('workflowId').getAll(workflowId);
+
+    request.onsuccess = () => resolve((request.result || []).sort((a, b) => b.version - a.version));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Roll a workflow back to an older version: its configuration is saved again as the newest version
+export async function restoreWorkflowVersion(version) {
+  return saveWorkflow({ ...version.snapshot, id: version.workflowId }, { restoredFrom: version.version });
 }
 
 // Workflow Execution History
+// Logs that already have an id are overwritten: the runner rewrites a run's log after every step
 export async function saveWorkflowExecutionLog(log) {
   const db = await getDB();
   const transaction = db.transaction([WORKFLOW_EXECUTIONS_STORE], "readwrite");
   const store = transaction.objectStore(WORKFLOW_EXECUTIONS_STORE);
-  const request = store.add({ id: crypto.randomUUID(), ...log });
+  const request = store.put({ id: crypto.randomUUID(), ...log });
   return new Promise((resolve, reject) => {
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
@@ -301,3 +385,99 @@ export async function getAgentsUsingTool(toolId) {
     agent.tools && agent.tools.includes(toolId)
   );
 }
+
+// ---------- CONVERSATION SESSIONS ----------
+
+// Save a multi-turn conversation: { id?, agentId, name, messages: [{ role, content, ... }] }
+export async function saveSession(session) {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SESSIONS_STORE], 'readwrite');
+    const store = tx.objectStore(SESSIONS_STORE);
+    const now = new Date().toISOString();
+    
+    const sessionData = {
+      ...session,
+      id: session.id || crypto.randomUUID(),
+      createdAt: session.createdAt || now,
+      updatedAt: now
+    };
+    const request = store.put(sessionData);
+    
+    request.onsuccess = () => resolve(sessionData);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Sessions of one agent, most recently used first
+export async function getSessionsByAgent(agentId) {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SESSIONS_STORE], 'readonly');
+    const index = tx.objectStore(SESSIONS_STORE).index('agentId');
+    const request = index.getAll(agentId);
+    
+    request.onsuccess = () => resolve(
+      (request.result || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    );
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function deleteSession(id) {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SESSIONS_STORE], 'readwrite');
+    const request = tx.objectStore(SESSIONS_STORE).delete(id);
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ---------- SCHEDULES ----------
+
+// Save a scheduled run (see scheduleService.js for its fields)
+export async function saveSchedule(schedule) {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SCHEDULES_STORE], 'readwrite');
+    const store = tx.objectStore(SCHEDULES_STORE);
+    const now = new Date().toISOString();
+
+    const scheduleData = {
+      ...schedule,
+      id: schedule.id || crypto.randomUUID(),
+      createdAt: schedule.createdAt || now,
+      updatedAt: now
+    };
+    const request = store.put(scheduleData);
+
+    request.onsuccess = () => resolve(scheduleData);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getAllSchedules() {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SCHEDULES_STORE], 'readonly');
+    const request = tx.objectStore(SCHEDULES_STORE).getAll();
+
+    request.onsuccess = () => resolve(
+      (request.result || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    );
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function deleteSchedule(id) {
+  const db = await getDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SCHEDULES_STORE], 'readwrite');
+    const request = tx.objectStore(SCHEDULES_STORE).delete(id);
+
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,64 @@
+// src/services/jsonPath.js
+// Reading structured data out of agent outputs for workflow steps.
+// Paths look like `$.result.label`, `items[0].name` or `data["key with spaces"]` (the leading `$` is optional).
+
+const SEGMENT = /\.?([A-Za-z_$][\w$-]*)|\[(\d+)\]|\["([^"]*)"\]|\['([^']*)'\]/y;
+
+/**
+ * Split a path into property names / array indexes. Throws on invalid syntax.
+ */
+export const parseJsonPath = (path) => {
+  const source = String(path ?? '').trim().replace(/^\$/, '');
+  const segments = [];
+  SEGMENT.lastIndex = 0;
+
+  while (SEGMENT.lastIndex < source.length) {
+    const start = SEGMENT.lastIndex;
+    const match = SEGMENT.exec(source);
+    if (!match || match.index !== start) {
+      throw new Error(`Invalid JSON path "${path}"`);
+    }
+    const [, name, index, doubleQuoted, singleQuoted] = match;
+    segments.push(index !== undefined ? Number(index) : name ?? doubleQuoted ?? singleQuoted);
+  }
+
+  return segments;
+};
+
+/**
+ * Value at `path` inside `data`, or undefined when any part of the path is missing
+ */
+export const getJsonPath = (data, path) => {
+  return parseJsonPath(path).reduce(
+    (value, segment) => (value === null || value === undefined ? undefined : value[segment]),
+    data
+  );
+};
+
+/**
+ * Parse JSON from model output: the whole text, a ```json fenced block, or the outermost {...} / [...].
+ * Throws when no JSON can be found.
+ */
+export const parseJsonOutput = (text) => {
+  const source = String(text ?? '').trim();
+  const candidates = [source];
+
+  const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  // Outermost object or array, whichever opens first
+  [['{', '}'], ['[', ']']]
+    .map(([open, close]) => [source.indexOf(open), source.lastIndexOf(close)])
+    .filter(([start, end]) => start >= 0 && end > start)
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => candidates.push(source.slice(start, end + 1)));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  throw new Error('Output does not contain valid JSON');
+};
@@ -1,56 +1,56 @@
 // src/services/llmService.js
 
 import { searchSimilarDocuments } from './vectorStore';
-import { getToolById } from './indexedDB';
 import { executeAgentWithTools } from './agentExecutor';
-
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
-
-// Get API key from user config (localStorage) first, fallback to env
-const getApiKey = () => {
-  // First check user config from onboarding
-  const userConfig = localStorage.getItem('userConfig');
-  if (userConfig) {
-    try {
-      const config = JSON.parse(userConfig);
-      if (config.apiKey) {
-        return config.apiKey;
-      }
-    } catch (error) {
-      console.error('Error parsing user config:', error);
-    }
-  }
-
-  // Fallback to environment variable (for development)
-  if (typeof import.meta !== 'undefined' && import.meta.env) {
-    return import.meta.env.VITE_GEMINI_API_KEY;
-  }
-  
-  if (typeof process !== 'undefined' && process.env) {
-    return process.env.REACT_APP_GEMINI_API_KEY;
-  }
-  
-  return null;
-};
-
-export const executeAgent = async (agent, userInput, customParams, uploadedFiles = []) => {
+import { generateContent, streamContent, resolveModel } from './providers';
+import { createAbortError, isAbortError, throwIfAborted } from './cancellation';
+import { checkBudgets, createBudgetError, isBudgetError, trackBudgetUsage } from './budgetService';
+import { buildConversationMessages } from './conversation';
+
+/**
+ * Run an agent once and resolve to its final output string.
+ * @param {Object} options
+ *   onToken?: (token, text) => void - streams partial text as it is generated
+ *   signal?: AbortSignal - cancels the run; the thrown AbortError carries `partialOutput`
+ *   onRetry?: ({ attempt, maxAttempts, delayMs, status, message }) => void - called before each retry
+ *     of a 429/500/503 response (attempts per call come from `agent.maxAttempts`)
+ *   onUsage?: ({ model, kind, promptTokens, candidatesTokens, totalTokens, estimated }) => void -
+ *     token counts of every model call made for this run (chat turns, tool iterations, RAG embeddings)
+ *   history?: Array<{ role: 'user' | 'assistant', content }> - prior turns of a conversation; the new
+ *     input is sent as a follow-up (RAG retrieval and tools work on it as usual)
+ *   budgets?: Array - guards from budgetService; an exhausted guard stops the run with a
+ *     BudgetExceededError (checked with isBudgetError) that carries `partialOutput`
+ */
+export const executeAgent = async (agent, userInput, customParams, uploadedFiles = [], options = {}) => {
   // Fast-fail if the browser reports we're offline.
   if (typeof navigator !== 'undefined' && navigator && navigator.onLine === false) {
     throw new Error('No internet connection (offline). Please reconnect and try again.');
   }
 
-  const apiKey = getApiKey();
-  
-  if (!apiKey) {
-    throw new Error('API Key not found. Please configure your API key in settings or onboarding.');
-  }
+  throwIfAborted(options.signal);
+  checkBudgets(options.budgets);
+
+  // Resolve the provider up front so a missing API key fails fast
+  const { providerName } = resolveModel(agent.model);
 
   // Check if agent has tools - if so, use the advanced executor with tool calling
   if (agent.tools && agent.tools.length > 0) {
     console.log('🔧 Agent has tools - using advanced executor with tool calling support');
     
     try {
-      const result = await executeAgentWithTools(agent, userInput, customParams, apiKey);
+      const result = await executeAgentWithTools(agent, userInput, customParams, options);
+      
+      if (result.cancelled) {
+        const abortError = createAbortError();
+        abortError.partialOutput = result.result;
+        throw abortError;
+      }
+      
+      if (result.budgetExceeded) {
+        const budgetError = createBudgetError(result.error, result.budgetLimit);
+        budgetError.partialOutput = result.result;
+        throw budgetError;
+      }
       
       if (!result.success) {
         throw new Error(result.error || 'Agent execution failed');
@@ -71,6 +71,7 @@ export const executeAgent = async (agent, userInput, customParams, uploadedFiles
       
       return response;
     } catch (error) {
+      if (isAbortError(error) || isBudgetError(error)) throw error;
       console.error('Tool-based execution error:', error);
       throw new Error(`Failed to execute agent with tools: ${error.message}`);
     }
@@ -81,20 +82,18 @@ export const executeAgent = async (agent, userInput, customParams, uploadedFiles
   
   const systemPrompt = buildSystemPrompt(agent, customParams);
   const geminiParams = extractGeminiParameters(customParams);
+  const onUsage = trackBudgetUsage(options.budgets, options.onUsage);
 
   try {
-    // Use the model from agent (default configured in constants)
-    const model = agent.model;
-    const url = `${GEMINI_API_BASE}/models/${model}:generateContent?key=${apiKey}`;
-    
     // Get relevant documents if RAG is enabled
     let context = '';
     if (agent.ragEnabled) {
       const relevantDocs = await searchSimilarDocuments(
         agent.id, 
         userInput, 
-        apiKey, 
-        agent.ragTopK || 3
+        null, 
+        agent.ragTopK || 3,
+        { onUsage }
       );
       
       if (relevantDocs.length > 0) {
@@ -105,85 +104,37 @@ export const executeAgent = async (agent, userInput, customParams, uploadedFiles
       }
     }
     
-    const fullPrompt = `${systemPrompt}\n\n---\n\nInput:\n${userInput}${context}`;
-    
-    // Build content parts - text + files
-    const contentParts = [];
-    
-    // Add file parts first (recommended for better multimodal understanding)
-    if (uploadedFiles && uploadedFiles.length > 0) {
-      uploadedFiles.forEach(file => {
-        if (file.isInline) {
-          // Use inline data for browser-uploaded files
-          contentParts.push({
-            inline_data: {
-              mime_type: file.mimeType,
-              data: file.inlineData
-            }
-          });
-        } else {
-          // Fallback for file URIs (if using server-side upload)
-          contentParts.push({
-            file_data: {
-              mime_type: file.mimeType,
-              file_uri: file.uri
-            }
-          });
-        }
-      });
-    }
-    
-    // Add text part after files
-    contentParts.push({ text: fullPrompt });
+    // RAG embeddings count towards the budget too
+    checkBudgets(options.budgets);
     
-    const requestBody = {
-      contents: [{
-        parts: contentParts
-      }],
+    // Files are attached to the new message; each provider adapter decides how to encode them
+    const request = {
+      messages: buildConversationMessages(
+        `${systemPrompt}\n\n---\n\nInput:\n`,
+        options.history,
+        { role: 'user', content: `${userInput}${context}`, files: uploadedFiles || [] }
+      ),
       generationConfig: {
         temperature: geminiParams.temperature || 0.7,
         topK: geminiParams.topK || 40,
         topP: geminiParams.topP || 0.95,
         maxOutputTokens: geminiParams.maxOutputTokens || 8000,
-      }
-    };
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
       },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Gemini API request failed');
-    }
+      signal: options.signal,
+      retry: { maxAttempts: agent.maxAttempts, onRetry: options.onRetry },
+      onUsage
+    };
 
-    const data = await response.json();
-    
-    // Check if response has expected structure
-    if (!data.candidates || data.candidates.length === 0) {
-      console.error('Unexpected API response:', data);
-      
-      // Check for safety ratings or prompt blocking
-      if (data.promptFeedback?.blockReason) {
-        throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
-      }
-      
-      throw new Error('API returned no candidates. The content may have been blocked or the response was empty.');
-    }
+    const response = options.onToken
+      ? await streamContent(agent.model, request, options.onToken)
+      : await generateContent(agent.model, request);
     
-    // Check if candidate has content
-    if (!data.candidates[0].content || !data.candidates[0].content.parts || data.candidates[0].content.parts.length === 0) {
-      console.error('Candidate missing content:', data.candidates[0]);
-      throw new Error('API response missing content. This may be due to safety filters.');
-    }
-    
-    return data.candidates[0].content.parts[0].text;
+    return response.text;
   } catch (error) {
-    console.error('Gemini API Error:', error);
+    // Cancellation and budget stops are not failures; let the runner record them as such
+    if (isAbortError(error) || isBudgetError(error)) throw error;
+
+    console.error(`${providerName} API Error:`, error);
 
     // Browser/network failures often surface as a generic TypeError: "Failed to fetch".
     if (
@@ -193,7 +144,7 @@ export const executeAgent = async (agent, userInput, customParams, uploadedFiles
       if (typeof navigator !== 'undefined' && navigator && navigator.onLine === false) {
         throw new Error('Failed to execute agent: you appear to be offline (no internet connection).');
       }
-      throw new Error('Failed to execute agent: network error connecting to Gemini API. Check your internet/VPN/proxy and try again.');
+      throw new Error(`Failed to execute agent: network error connecting to ${providerName} API. Check your internet/VPN/proxy and try again.`);
     }
 
     throw new Error(`Failed to execute agent: ${error.message}`);
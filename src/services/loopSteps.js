@@ -0,0 +1,158 @@
+// src/services/loopSteps.js
+// "For each" and "repeat until" workflow steps. Both run a sub-sequence of agents (`step.agentIds`,
+// each agent's output piped into the next one):
+//   foreach - `foreach: { itemsPath, concurrency }`: once per item of a JSON array read from the
+//             step's input (at `itemsPath`, or the whole JSON when empty), `concurrency` items at a
+//             time; the step's output is a JSON array with the result of every item, in item order
+//   loop    - `loop: { until, maxIterations }`: again on its own output until the `until` condition
+//             (regex / JSON path, see routerService.js) matches, at most `maxIterations` times
+
+import { throwIfAborted } from './cancellation';
+import { getJsonPath, parseJsonOutput, parseJsonPath } from './jsonPath';
+import { testCondition, validateCondition } from './routerService';
+
+export const MAX_FOREACH_CONCURRENCY = 10;
+export const MAX_LOOP_ITERATIONS = 25;
+
+export const DEFAULT_FOREACH = { itemsPath: '', concurrency: 1 };
+export const DEFAULT_LOOP = {
+  until: { mode: 'regex', pattern: '', flags: 'i', path: '', equals: '' },
+  maxIterations: 5
+};
+
+export const isLoopStep = (step) => step?.type === 'foreach' || step?.type === 'loop';
+
+const clamp = (value, min, max, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+export const getForEachSettings = (step) => {
+  const settings = { ...DEFAULT_FOREACH, ...step.foreach };
+  return {
+    itemsPath: settings.itemsPath?.trim() || '',
+    concurrency: clamp(settings.concurrency, 1, MAX_FOREACH_CONCURRENCY, DEFAULT_FOREACH.concurrency)
+  };
+};
+
+export const getLoopSettings = (step) => {
+  const settings = { ...DEFAULT_LOOP, ...step.loop };
+  return {
+    until: { ...DEFAULT_LOOP.until, ...settings.until },
+    maxIterations: clamp(settings.maxIterations, 1, MAX_LOOP_ITERATIONS, DEFAULT_LOOP.maxIterations)
+  };
+};
+
+/**
+ * First problem with a foreach / loop step's settings, or null
+ */
+export const validateLoopStep = (step) => {
+  if (!step.agentIds?.length) return 'needs at least one agent';
+
+  if (step.type === 'foreach') {
+    const { itemsPath } = getForEachSettings(step);
+    try {
+      parseJsonPath(itemsPath);
+    } catch {
+      return `has an invalid items path "${itemsPath}"`;
+    }
+    return null;
+  }
+
+  const problem = validateCondition(getLoopSettings(step).until);
+  return problem ? `stop condition ${problem}` : null;
+};
+
+/**
+ * The array a foreach step iterates over. Throws when the input has no JSON array at the path.
+ */
+export const getForEachItems = (step, input) => {
+  const { itemsPath } = getForEachSettings(step);
+  let data;
+  try {
+    data = parseJsonOutput(input);
+  } catch {
+    throw new Error(`"${step.name || 'For each'}" needs a JSON array as input, but the previous output is not JSON`);
+  }
+
+  const items = itemsPath ? getJsonPath(data, itemsPath) : data;
+  if (!Array.isArray(items)) {
+    throw new Error(`"${step.name || 'For each'}" found no JSON array ${itemsPath ? `at ${itemsPath}` : 'in its input'}`);
+  }
+  return items;
+};
+
+// Items are passed to agents as text; results that are JSON are collected as JSON
+const itemToInput = (item) => (typeof item === 'string' ? item : JSON.stringify(item, null, 2));
+
+const collectResult = (output) => {
+  try {
+    return JSON.parse(String(output).trim());
+  } catch {
+    return output;
+  }
+};
+
+/**
+ * Run the step's agents one after another on `input`.
+ * `runAgentStep(agentId, input, context)` runs one agent and resolves to its output.
+ */
+const runSequence = async (step, input, runAgentStep, context) => {
+  let current = input;
+  for (const agentId of step.agentIds) {
+    throwIfAborted(context.signal);
+    current = await runAgentStep(agentId, current, context);
+  }
+  return current;
+};
+
+/**
+ * Run a foreach step. `onProgress({ done, total })` reports finished items.
+ * @returns {Promise<{ output: string, items: Array }>}
+ */
+export const runForEachStep = async (step, input, runAgentStep, { signal, onProgress } = {}) => {
+  const items = getForEachItems(step, input);
+  const { concurrency } = getForEachSettings(step);
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  onProgress?.({ done, total: items.length });
+
+  const worker = async () => {
+    while (next < items.length) {
+      throwIfAborted(signal);
+      const index = next++;
+      const label = `item ${index + 1}/${items.length}`;
+      results[index] = collectResult(
+        await runSequence(step, itemToInput(items[index]), runAgentStep, { signal, label })
+      );
+      done++;
+      onProgress?.({ done, total: items.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return { output: JSON.stringify(results, null, 2), items: results };
+};
+
+/**
+ * Run a "repeat until" step. `onProgress({ done, total })` reports finished iterations.
+ * Reaching `maxIterations` is not an error: the last output is kept and `conditionMet` is false.
+ * @returns {Promise<{ output: string, iterations: number, conditionMet: boolean }>}
+ */
+export const runLoopStep = async (step, input, runAgentStep, { signal, onProgress } = {}) => {
+  const { until, maxIterations } = getLoopSettings(step);
+  let current = input;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const label = `iteration ${iteration}/${maxIterations}`;
+    current = await runSequence(step, current, runAgentStep, { signal, label });
+    onProgress?.({ done: iteration, total: maxIterations });
+    if (testCondition(until, current)) {
+      return { output: current, iterations: iteration, conditionMet: true };
+    }
+  }
+
+  return { output: current, iterations: maxIterations, conditionMet: false };
+};
@@ -0,0 +1,851 @@
+// src/services/mathExpression.js
+// Expression engine behind the calculator tool. It parses the expression itself (no eval/Function),
+// so only arithmetic, the functions and constants below, units and the caller's variables are reachable.
+// Loosest to tightest:
+//   `a; b`       statements, the last one is the result; `r = 3` assigns a variable
+//   `x to unit`  unit conversion (`in` and `as` work too): `5 mi to km`, `98.6 °F to °C`
+//   `+ -`        `120 + 15%` / `120 - 15%` add or remove a percentage of the left side
+//   `* / mod of` and implicit multiplication: `2x`, `3(4 + 1)`, `2pi`, `20% of 150`
+//   unary `-`    `-2^2` is -4
+//   `^` / `**`   right associative: `2^3^2` is 512
+//   postfix      `5!`, `50%` (0.5), units `5 km`
+// Problems throw an ExpressionError with a `code`, the `position` in the expression and usually a
+// `hint`, so a model calling the tool can correct itself.
+
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 100;
+// Digits kept when a decimal division does not terminate (1/3)
+const DIVISION_DIGITS = 30;
+const MAX_DECIMAL_EXPONENT = 1000;
+// Exact results past this many digits (before or after the point) are an overflow; BigInt ** and * on
+// larger numbers can run for minutes, so the size is estimated before computing
+const MAX_DECIMAL_DIGITS = 5000;
+const MAX_FACTORIAL = { float: 170, decimal: 1000 };
+
+const KEYWORDS = new Set(['to', 'in', 'as', 'mod', 'of']);
+
+const CONSTANTS = {
+  pi: '3.14159265358979323846264338327950288',
+  e: '2.71828182845904523536028747135266250',
+  tau: '6.28318530717958647692528676655900577',
+  phi: '1.61803398874989484820458683436563812'
+};
+const CONSTANT_ALIASES = { π: 'pi', τ: 'tau', φ: 'phi' };
+
+// Unit sizes in the base unit of their dimension (the first one); fractions are [numerator, denominator]
+const UNIT_GROUPS = {
+  length: { m: '1', km: '1000', cm: '0.01', mm: '0.001', um: '0.000001', mi: '1609.344', yd: '0.9144', ft: '0.3048', inch: '0.0254', nmi: '1852' },
+  area: { m2: '1', km2: '1000000', cm2: '0.0001', ha: '10000', acre: '4046.8564224', ft2: '0.09290304', mi2: '2589988.110336' },
+  volume: { l: '1', ml: '0.001', m3: '1000', gal: '3.785411784', qt: '0.946352946', pt: '0.473176473', cup: '0.2365882365', floz: '0.0295735295625' },
+  mass: { kg: '1', g: '0.001', mg: '0.000001', t: '1000', lb: '0.45359237', oz: '0.028349523125', st: '6.35029318' },
+  time: { s: '1', ms: '0.001', min: '60', h: '3600', day: '86400', week: '604800', year: '31557600' },
+  speed: { mps: '1', kmh: ['1000', '3600'], mph: '0.44704', knot: ['1852', '3600'] },
+  data: { B: '1', bit: '0.125', KB: '1000', MB: '1000000', GB: '1000000000', TB: '1000000000000', KiB: '1024', MiB: '1048576', GiB: '1073741824', TiB: '1099511627776' },
+  energy: { J: '1', kJ: '1000', cal: '4.184', kcal: '4184', Wh: '3600', kWh: '3600000' },
+  angle: { rad: '1', deg: [CONSTANTS.pi, '180'] },
+  temperature: { K: '1', C: '1', F: ['5', '9'] }
+};
+// Added before scaling to the base unit (kelvin)
+const UNIT_OFFSETS = { C: '273.15', F: '459.67' };
+
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm', kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+  centimeter: 'cm', centimeters: 'cm', millimeter: 'mm', millimeters: 'mm', µm: 'um', mile: 'mi', miles: 'mi',
+  yard: 'yd', yards: 'yd', foot: 'ft', feet: 'ft', inches: 'inch',
+  hectare: 'ha', hectares: 'ha', acres: 'acre',
+  L: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l', mL: 'ml', milliliter: 'ml', milliliters: 'ml',
+  gallon: 'gal', gallons: 'gal', quart: 'qt', quarts: 'qt', pint: 'pt', pints: 'pt', cups: 'cup',
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', milligram: 'mg', milligrams: 'mg', tonne: 't', tonnes: 't',
+  pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz', stone: 'st',
+  sec: 's', second: 's', seconds: 's', millisecond: 'ms', milliseconds: 'ms', mins: 'min', minute: 'min', minutes: 'min',
+  hr: 'h', hrs: 'h', hour: 'h', hours: 'h', days: 'day', weeks: 'week', yr: 'year', years: 'year',
+  kph: 'kmh', knots: 'knot', kn: 'knot',
+  bits: 'bit', byte: 'B', bytes: 'B', kB: 'KB',
+  joule: 'J', joules: 'J',
+  radian: 'rad', radians: 'rad', degree: 'deg', degrees: 'deg', '°': 'deg',
+  '°C': 'C', degC: 'C', celsius: 'C', '°F': 'F', degF: 'F', fahrenheit: 'F', kelvin: 'K'
+};
+
+const UNITS = Object.fromEntries(Object.entries(UNIT_GROUPS).flatMap(([dimension, units]) =>
+  Object.entries(units).map(([symbol, factor]) => [symbol, { symbol, dimension, factor, offset: UNIT_OFFSETS[symbol] || null }])
+));
+
+const findUnit = (name) => {
+  const lower = name.toLowerCase();
+  return UNITS[name] || UNITS[UNIT_ALIASES[name]] || UNITS[lower] || UNITS[UNIT_ALIASES[lower]] || null;
+};
+
+// `float` functions run on numbers (in decimal mode the result is marked approximate);
+// `exact` ones run on the active number type. `keepsUnit`: 'first' or 'all' arguments may carry a unit.
+const FUNCTIONS = {
+  sqrt: { args: [1, 1], float: Math.sqrt, hint: 'sqrt() needs a number ≥ 0' },
+  cbrt: { args: [1, 1], float: Math.cbrt },
+  exp: { args: [1, 1], float: Math.exp },
+  ln: { args: [1, 1], float: Math.log, hint: 'Logarithms need a number > 0' },
+  log: {
+    args: [1, 2],
+    float: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)),
+    hint: 'Logarithms need a number > 0 (log is base 10, ln is natural, log(x, b) uses base b)'
+  },
+  log2: { args: [1, 1], float: Math.log2, hint: 'Logarithms need a number > 0' },
+  log10: { args: [1, 1], float: Math.log10, hint: 'Logarithms need a number > 0' },
+  sin: { args: [1, 1], float: Math.sin, angle: true },
+  cos: { args: [1, 1], float: Math.cos, angle: true },
+  tan: { args: [1, 1], float: Math.tan, angle: true },
+  asin: { args: [1, 1], float: Math.asin, hint: 'asin() needs a number between -1 and 1' },
+  acos: { args: [1, 1], float: Math.acos, hint: 'acos() needs a number between -1 and 1' },
+  atan: { args: [1, 1], float: Math.atan },
+  atan2: { args: [2, 2], float: Math.atan2 },
+  sinh: { args: [1, 1], float: Math.sinh },
+  cosh: { args: [1, 1], float: Math.cosh },
+  tanh: { args: [1, 1], float: Math.tanh },
+  hypot: { args: [1, Infinity], float: Math.hypot },
+  pow: { args: [2, 2], exact: (math, [base, exponent]) => math.pow(base, exponent) },
+  abs: { args: [1, 1], keepsUnit: 'first', exact: (math, [x]) => (math.compare(x, math.zero) < 0 ? math.neg(x) : x) },
+  sign: { args: [1, 1], exact: (math, [x]) => math.parse(String(math.compare(x, math.zero))) },
+  round: { args: [1, 2], keepsUnit: 'first', quantize: 'round' },
+  floor: { args: [1, 2], keepsUnit: 'first', quantize: 'floor' },
+  ceil: { args: [1, 2], keepsUnit: 'first', quantize: 'ceil' },
+  trunc: { args: [1, 2], keepsUnit: 'first', quantize: 'trunc' },
+  min: { args: [1, Infinity], keepsUnit: 'all', exact: (math, values) => values.reduce((a, b) => (math.compare(b, a) < 0 ? b : a)) },
+  max: { args: [1, Infinity], keepsUnit: 'all', exact: (math, values) => values.reduce((a, b) => (math.compare(b, a) > 0 ? b : a)) },
+  factorial: { args: [1, 1], factorial: true }
+};
+
+/**
+ * Create the error thrown for an expression that cannot be evaluated
+ * (`position` is the 0-based index in the expression, or null)
+ */
+export const createExpressionError = (code, message, position = null, hint = null) => {
+  const error = new Error(message);
+  error.name = 'ExpressionError';
+  error.code = code;
+  error.position = position;
+  error.hint = hint;
+  return error;
+};
+
+export const isExpressionError = (error) => error?.name === 'ExpressionError';
+
+// ---------- Numbers ----------
+
+const FLOAT_MATH = {
+  mode: 'float',
+  zero: 0,
+  maxDigits: 15,
+  parse: (text) => Number(text),
+  fromFloat: (value) => value,
+  toFloat: (value) => value,
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => a / b,
+  mod: (a, b) => a % b,
+  neg: (a) => -a,
+  pow: (a, b) => a ** b,
+  compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+  isZero: (a) => a === 0,
+  isInteger: (a) => Number.isInteger(a),
+  factorial: (n) => {
+    let result = 1;
+    for (let i = 2; i <= n; i += 1) result *= i;
+    return result;
+  },
+  quantize: (value, digits, mode) => {
+    const factor = 10 ** digits;
+    const shifted = Number((value * factor).toPrecision(15));
+    const rounded = mode === 'round' ? Math.sign(shifted) * Math.round(Math.abs(shifted)) : Math[mode](shifted);
+    return rounded / factor;
+  },
+  // 15 significant digits hide binary noise (0.1 + 0.2 is 0.3); -0 becomes 0
+  format: (value) => (Number.isInteger(value) ? value : Number(value.toPrecision(15))) || 0
+};
+
+// Decimals are { int: BigInt, scale } meaning int / 10^scale
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+const normalize = ({ int, scale }) => {
+  while (scale > 0 && int % 10n === 0n) {
+    int /= 10n;
+    scale -= 1;
+  }
+  return { int, scale };
+};
+
+const parseDecimal = (text) => {
+  const [, sign, whole, fraction = '', exponent = '0'] = /^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text.trim());
+  if (Math.abs(Number(exponent)) > MAX_DECIMAL_EXPONENT) {
+    throw createExpressionError('overflow', `${text} is too large for decimal precision`);
+  }
+  let int = BigInt(`${whole}${fraction}` || '0');
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    int *= pow10(-scale);
+    scale = 0;
+  }
+  return normalize({ int: sign ? -int : int, scale });
+};
+
+const formatDecimal = ({ int, scale }) => {
+  const digits = (int < 0n ? -int : int).toString().padStart(scale + 1, '0');
+  const text = scale > 0 ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+  return int < 0n ? `-${text}` : text;
+};
+
+const align = (a, b) => {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.int * pow10(scale - a.scale), b.int * pow10(scale - b.scale), scale];
+};
+
+// `state.approximate` records when a result is no longer exact (floating point fallback or rounded division)
+const createDecimalMath = (state) => {
+  const fromFloat = (value) => {
+    if (Number.isNaN(value)) throw createExpressionError('domain_error', 'The result is not a real number');
+    if (!Number.isFinite(value)) throw createExpressionError('overflow', 'The result is too large');
+    state.approximate = true;
+    return parseDecimal(String(value));
+  };
+  const toFloat = (value) => Number(formatDecimal(value));
+
+  // log10 of |int| from its leading digits, -Infinity for 0
+  const log10 = (int) => {
+    const digits = (int < 0n ? -int : int).toString();
+    return digits.length - 1 + Math.log10(Number(`${digits[0]}.${digits.slice(1, 16)}`));
+  };
+  const checkSize = (log, scale) => {
+    if (Math.floor(log) + 1 > MAX_DECIMAL_DIGITS || scale > MAX_DECIMAL_DIGITS) {
+      throw createExpressionError('overflow', `The result has more than ${MAX_DECIMAL_DIGITS} digits`, null,
+        'Use precision "float" for an approximate result');
+    }
+  };
+
+  const div = (a, b) => {
+    const numerator = a.int * pow10(b.scale + DIVISION_DIGITS);
+    const denominator = b.int * pow10(a.scale);
+    let int = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder !== 0n) {
+      state.approximate = true;
+      const negative = (numerator < 0n) !== (denominator < 0n);
+      if (2n * (remainder < 0n ? -remainder : remainder) >= (denominator < 0n ? -denominator : denominator)) {
+        int += negative ? -1n : 1n;
+      }
+    }
+    return normalize({ int, scale: DIVISION_DIGITS });
+  };
+
+  return {
+    mode: 'decimal',
+    zero: { int: 0n, scale: 0 },
+    maxDigits: DIVISION_DIGITS,
+    parse: parseDecimal,
+    fromFloat,
+    toFloat,
+    add: (a, b) => {
+      const [x, y, scale] = align(a, b);
+      return normalize({ int: x + y, scale });
+    },
+    sub: (a, b) => {
+      const [x, y, scale] = align(a, b);
+      return normalize({ int: x - y, scale });
+    },
+    mul: (a, b) => {
+      checkSize(log10(a.int) + log10(b.int), a.scale + b.scale);
+      return normalize({ int: a.int * b.int, scale: a.scale + b.scale });
+    },
+    div,
+    mod: (a, b) => {
+      const [x, y, scale] = align(a, b);
+      return normalize({ int: x % y, scale });
+    },
+    neg: (a) => ({ int: -a.int, scale: a.scale }),
+    pow: (a, b) => {
+      const exponent = toFloat(b);
+      if (b.scale > 0 || Math.abs(exponent) > MAX_DECIMAL_EXPONENT) {
+        return fromFloat(toFloat(a) ** exponent);
+      }
+      checkSize(log10(a.int) * Math.abs(exponent), a.scale * Math.abs(exponent));
+      const power = normalize({ int: a.int ** BigInt(Math.abs(exponent)), scale: a.scale * Math.abs(exponent) });
+      return exponent < 0 ? div({ int: 1n, scale: 0 }, power) : power;
+    },
+    compare: (a, b) => {
+      const [x, y] = align(a, b);
+      return x < y ? -1 : x > y ? 1 : 0;
+    },
+    isZero: (a) => a.int === 0n,
+    isInteger: (a) => a.scale === 0,
+    factorial: (n) => {
+      let log = 0;
+      for (let i = 2; i <= Number(n.int); i++) log += Math.log10(i);
+      checkSize(log, 0);
+      let result = 1n;
+      for (let i = 2n; i <= n.int; i += 1n) result *= i;
+      return { int: result, scale: 0 };
+    },
+    quantize: (value, digits, mode) => {
+      if (value.scale <= digits) return value;
+      const divisor = pow10(value.scale - digits);
+      let int = value.int / divisor;
+      const remainder = value.int % divisor;
+      if (remainder !== 0n) {
+        const positive = remainder > 0n;
+        if (mode === 'round' && 2n * (positive ? remainder : -remainder) >= divisor) int += positive ? 1n : -1n;
+        if (mode === 'floor' && !positive) int -= 1n;
+        if (mode === 'ceil' && positive) int += 1n;
+      }
+      return normalize({ int, scale: digits });
+    },
+    // Kept as a string so no digits are lost
+    format: formatDecimal
+  };
+};
+
+// ---------- Parsing ----------
+
+const NUMBER = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const NAME = /[πτφ]|[A-Za-z_°µ][A-Za-z0-9_°µ]*/y;
+const OPERATORS = { '**': '^', '×': '*', '·': '*', '÷': '/', '−': '-' };
+const SINGLE_OPERATORS = '+-*/^%!(),;=';
+const THOUSANDS_HINT = 'Commas only separate function arguments: write 1000000, not 1,000,000';
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  const match = (pattern) => {
+    pattern.lastIndex = index;
+    return pattern.exec(source)?.[0];
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const number = match(NUMBER);
+    const name = number ? null : match(NAME);
+    const pair = source.slice(index, index + 2);
+    if (number) {
+      tokens.push({ type: 'number', value: number, text: number, pos: index });
+    } else if (name) {
+      tokens.push({ type: 'name', value: name, text: name, pos: index });
+    } else if (OPERATORS[pair] || OPERATORS[char]) {
+      const text = OPERATORS[pair] ? pair : char;
+      tokens.push({ type: 'op', value: OPERATORS[text], text, pos: index });
+    } else if (SINGLE_OPERATORS.includes(char)) {
+      tokens.push({ type: 'op', value: char, text: char, pos: index });
+    } else {
+      throw createExpressionError('syntax_error', `Unexpected character "${char}" at position ${index}`, index,
+        char === '$' ? 'Leave out currency symbols and write plain numbers' : null);
+    }
+    index += (number || name || (OPERATORS[pair] ? pair : char)).length;
+  }
+
+  tokens.push({ type: 'end', value: null, text: 'end of expression', pos: source.length });
+  return tokens;
+};
+
+/**
+ * Parse `source` into statement nodes. `knownNames` holds the variables in scope
+ * (assignments add to it); they take precedence over units of the same name.
+ */
+const parse = (source, knownNames) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = () => tokens[Math.min(index++, tokens.length - 1)];
+  const isOp = (token, value) => token.type === 'op' && token.value === value;
+  const isWord = (token, ...words) => token.type === 'name' && words.includes(token.value);
+  const startsOperand = (token) => isOp(token, '(') || (token.type === 'name' && !KEYWORDS.has(token.value));
+  const unexpected = (token) => createExpressionError(
+    'syntax_error',
+    token.type === 'end' ? 'The expression ends too early' : `Unexpected "${token.text}" at position ${token.pos}`,
+    token.pos,
+    isOp(token, ',') ? THOUSANDS_HINT : token.type === 'end' ? 'Check for a missing number or closing parenthesis' : null
+  );
+
+  const enter = (token) => {
+    depth += 1;
+    if (depth > MAX_DEPTH) {
+      throw createExpressionError('too_complex', `The expression is nested more than ${MAX_DEPTH} levels deep`, token.pos);
+    }
+  };
+
+  const unitAt = (token) => {
+    if (token.type !== 'name' || KEYWORDS.has(token.value) || knownNames.has(token.value)) return null;
+    if (CONSTANTS[token.value] || CONSTANT_ALIASES[token.value] || isOp(peek(1), '(')) return null;
+    return findUnit(token.value);
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value, pos: token.pos };
+    }
+
+    if (isOp(token, '(')) {
+      enter(token);
+      const expr = parseConversion();
+      if (!isOp(peek(), ')')) {
+        throw createExpressionError('syntax_error', `Missing ")" at position ${peek().pos}`, peek().pos,
+          `Close the "(" opened at position ${token.pos}`);
+      }
+      next();
+      depth -= 1;
+      return expr;
+    }
+
+    if (token.type !== 'name' || KEYWORDS.has(token.value)) throw unexpected(token);
+
+    const { value: name, pos } = token;
+    if (isOp(peek(), '(') && FUNCTIONS[name]) {
+      next();
+      enter(token);
+      const args = [];
+      if (!isOp(peek(), ')')) {
+        do {
+          args.push(parseConversion());
+        } while (isOp(peek(), ',') && next());
+      }
+      if (!isOp(peek(), ')')) {
+        throw createExpressionError('syntax_error', `Missing ")" to close ${name}( at position ${peek().pos}`, peek().pos,
+          'Separate arguments with commas and close the call');
+      }
+      next();
+      depth -= 1;
+      return { type: 'call', name, args, pos };
+    }
+    if (knownNames.has(name)) return { type: 'variable', name, pos };
+    if (CONSTANTS[name] || CONSTANT_ALIASES[name]) return { type: 'constant', name: CONSTANT_ALIASES[name] || name, pos };
+    if (FUNCTIONS[name]) {
+      throw createExpressionError('syntax_error', `${name} is a function and needs parentheses`, pos, `Write ${name}(16), not ${name} 16`);
+    }
+    if (isOp(peek(), '(')) {
+      throw createExpressionError('unknown_function', `Unknown function "${name}"`, pos,
+        `Available functions: ${Object.keys(FUNCTIONS).join(', ')}`);
+    }
+    if (findUnit(name)) {
+      throw createExpressionError('syntax_error', `The unit "${name}" needs a number in front of it`, pos, `Write 1 ${name}`);
+    }
+    throw createExpressionError('unknown_name', `Unknown name "${name}"`, pos,
+      'Pass its value in "variables", assign it first (x = 2; 3x), or use a constant: pi, e, tau, phi');
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    for (;;) {
+      const token = peek();
+      const unit = unitAt(token);
+      if (isOp(token, '!')) {
+        next();
+        node = { type: 'factorial', operand: node, pos: token.pos };
+      } else if (isOp(token, '%')) {
+        next();
+        if (peek().type === 'number' || isOp(peek(), '(')) {
+          throw createExpressionError('syntax_error', `"%" means percent (50% is 0.5), so a number cannot follow it at position ${token.pos}`,
+            token.pos, 'For the remainder of a division write: 7 mod 3');
+        }
+        node = { type: 'percent', operand: node, pos: token.pos };
+      } else if (unit) {
+        next();
+        node = { type: 'unit', operand: node, unit, pos: token.pos };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (!isOp(peek(), '^')) return base;
+    const token = next();
+    return { type: 'binary', op: '^', left: base, right: parseUnary(), pos: token.pos };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!isOp(token, '-') && !isOp(token, '+')) return parsePower();
+    next();
+    enter(token);
+    const operand = parseUnary();
+    depth -= 1;
+    return token.value === '-' ? { type: 'negate', operand, pos: token.pos } : operand;
+  };
+
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (isOp(token, '*') || isOp(token, '/') || isWord(token, 'mod', 'of')) {
+        next();
+        left = { type: 'binary', op: token.value === 'of' ? '*' : token.value, left, right: parseUnary(), pos: token.pos };
+      } else if (token.type === 'number') {
+        throw createExpressionError('syntax_error', `Missing operator before ${token.text} at position ${token.pos}`, token.pos,
+          'Put an operator between two numbers, e.g. 2 * 3');
+      } else if (startsOperand(token)) {
+        // Implicit multiplication: 2x, 3(4 + 1), 2 sqrt(2)
+        left = { type: 'binary', op: '*', left, right: parsePower(), pos: token.pos };
+      } else {
+        return left;
+      }
+    }
+  };
+
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (isOp(peek(), '+') || isOp(peek(), '-')) {
+      const token = next();
+      const right = parseMultiplicative();
+      left = right.type === 'percent'
+        ? { type: 'percentChange', op: token.value, left, percent: right.operand, pos: token.pos }
+        : { type: 'binary', op: token.value, left, right, pos: token.pos };
+    }
+    return left;
+  };
+
+  const parseConversion = () => {
+    const expr = parseAdditive();
+    const token = peek();
+    if (!isWord(token, 'to', 'in', 'as')) return expr;
+    next();
+    const target = next();
+    // `in` is the conversion keyword, so inches are written `inch`, except as a target
+    const isName = target.type === 'name' && (target.value === 'in' || !KEYWORDS.has(target.value));
+    const unit = isName ? findUnit(target.value === 'in' ? 'inch' : target.value) : null;
+    if (!unit) {
+      throw createExpressionError(
+        isName ? 'unknown_unit' : 'syntax_error',
+        isName ? `Unknown unit "${target.value}"` : `Expected a unit after "${token.value}" at position ${target.pos}`,
+        target.pos,
+        `${token.value === 'in' ? 'Inches are written inch (5 inch to cm). ' : ''}Known units: ${Object.keys(UNITS).join(', ')}`
+      );
+    }
+    return { type: 'convert', operand: expr, unit, pos: token.pos };
+  };
+
+  const parseStatement = () => {
+    if (peek().type === 'name' && isOp(peek(1), '=')) {
+      const token = next();
+      next();
+      if (KEYWORDS.has(token.value) || FUNCTIONS[token.value]) {
+        throw createExpressionError('syntax_error', `"${token.value}" is reserved and cannot be assigned`, token.pos);
+      }
+      const expr = parseConversion();
+      knownNames.add(token.value);
+      return { type: 'assign', name: token.value, operand: expr, pos: token.pos };
+    }
+    return parseConversion();
+  };
+
+  const statements = [];
+  while (peek().type !== 'end') {
+    if (isOp(peek(), ';')) {
+      next();
+      continue;
+    }
+    statements.push(parseStatement());
+    if (!isOp(peek(), ';') && peek().type !== 'end') {
+      throw isOp(peek(), ')')
+        ? createExpressionError('syntax_error', `Unmatched ")" at position ${peek().pos}`, peek().pos)
+        : unexpected(peek());
+    }
+  }
+  return statements;
+};
+
+// ---------- Evaluation ----------
+
+const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+const NUMERIC_TEXT = /^\s*-?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?\s*$/i;
+
+const readVariables = (variables, math) => {
+  const scope = new Map();
+  if (variables === undefined || variables === null) return scope;
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw createExpressionError('invalid_variable', 'variables must be an object of names to numbers', null, 'e.g. {"x": 4, "rate": 0.05}');
+  }
+  Object.entries(variables).forEach(([name, value]) => {
+    if (!VARIABLE_NAME.test(name) || KEYWORDS.has(name) || FUNCTIONS[name]) {
+      throw createExpressionError('invalid_variable', `"${name}" cannot be used as a variable name`, null,
+        'Use letters, digits and _ (starting with a letter), and avoid function names and to/in/as/mod/of');
+    }
+    const numeric = typeof value === 'number' ? Number.isFinite(value) : typeof value === 'string' && NUMERIC_TEXT.test(value);
+    if (!numeric) {
+      throw createExpressionError('invalid_variable', `Variable "${name}" must be a number, got ${JSON.stringify(value)}`);
+    }
+    scope.set(name, { n: math.parse(String(value).trim()), unit: null });
+  });
+  return scope;
+};
+
+/**
+ * Evaluate a calculator expression.
+ * @param {string} expression
+ * @param {Object} options - { variables?: Object<string, number>, precision?: 'float' | 'decimal' }
+ *   'decimal' does exact decimal arithmetic (0.1 + 0.2 is exactly 0.3) and returns the result as a string.
+ * @returns {{ result: number|string, unit: string|null, approximate: boolean }}
+ *   `approximate` is set in decimal mode when a step fell back to floating point or rounded a division.
+ * @throws ExpressionError (see isExpressionError) with code, position and hint
+ */
+export const evaluateExpression = (expression, { variables, precision = 'float' } = {}) => {
+  const source = typeof expression === 'number' ? String(expression) : expression;
+  if (typeof source !== 'string' || !source.trim()) {
+    throw createExpressionError('empty_expression', 'No expression given', null, 'Pass something like "2 + 2" as the expression');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw createExpressionError('too_complex', `The expression is longer than ${MAX_LENGTH} characters`, null, 'Split it into smaller calculations');
+  }
+  if (precision !== 'float' && precision !== 'decimal') {
+    throw createExpressionError('invalid_option', `Unknown precision "${precision}"`, null, 'Use "float" or "decimal"');
+  }
+
+  const state = { approximate: false };
+  const math = precision === 'decimal' ? createDecimalMath(state) : FLOAT_MATH;
+  const scope = readVariables(variables, math);
+  const statements = parse(source, new Set(scope.keys()));
+  if (statements.length === 0) {
+    throw createExpressionError('empty_expression', 'No expression given', null, 'Pass something like "2 + 2" as the expression');
+  }
+
+  const describe = ({ n, unit }) => `${math.format(n)}${unit ? ` ${unit.symbol}` : ''}`;
+
+  // Floating point results that left the real numbers
+  const checked = (n, node, what = 'The result') => {
+    const where = node.pos === null ? '' : ` (at position ${node.pos})`;
+    if (math.mode === 'float' && Number.isNaN(n)) {
+      throw createExpressionError('domain_error', `${what} is not a real number${where}`, node.pos);
+    }
+    if (math.mode === 'float' && !Number.isFinite(n)) {
+      throw createExpressionError('overflow', `${what} is too large${where}`, node.pos);
+    }
+    return n;
+  };
+
+  const scaleBy = (n, factor, inverse) => {
+    const [numerator, denominator] = Array.isArray(factor) ? factor : [factor, '1'];
+    const [times, over] = inverse ? [denominator, numerator] : [numerator, denominator];
+    return math.div(math.mul(n, math.parse(times)), math.parse(over));
+  };
+  const toBase = ({ n, unit }) => scaleBy(unit.offset ? math.add(n, math.parse(unit.offset)) : n, unit.factor, false);
+  const fromBase = (n, unit) => {
+    const scaled = scaleBy(n, unit.factor, true);
+    return unit.offset ? math.sub(scaled, math.parse(unit.offset)) : scaled;
+  };
+  const convert = (value, unit) => (value.unit === unit ? value.n : fromBase(toBase(value), unit));
+
+  const requirePlain = (value, node, action) => {
+    if (value.unit) {
+      throw createExpressionError('incompatible_units', `${action} needs a plain number, got ${describe(value)}`, node.pos,
+        'Drop the unit or convert the value first');
+    }
+  };
+
+  // Brings `right` into the unit of `left` for + - mod and comparisons
+  const sameUnit = (left, right, node, action) => {
+    if (!left.unit && !right.unit) return [left.n, right.n, null];
+    if (!left.unit || !right.unit) {
+      throw createExpressionError('incompatible_units', `Cannot ${action} ${describe(left)} and ${describe(right)}`, node.pos,
+        'Give both values a unit (5 km + 300 m) or neither');
+    }
+    if (left.unit.dimension !== right.unit.dimension) {
+      throw createExpressionError('incompatible_units',
+        `Cannot ${action} ${left.unit.symbol} (${left.unit.dimension}) and ${right.unit.symbol} (${right.unit.dimension})`, node.pos);
+    }
+    if (left.unit !== right.unit && left.unit.dimension === 'temperature') {
+      throw createExpressionError('incompatible_units', `Cannot ${action} ${describe(left)} and ${describe(right)}`, node.pos,
+        'Convert both temperatures to the same unit first');
+    }
+    return [left.n, convert(right, left.unit), left.unit];
+  };
+
+  const binary = (node, left, right) => {
+    switch (node.op) {
+      case '+':
+      case '-': {
+        const [a, b, unit] = sameUnit(left, right, node, node.op === '+' ? 'add' : 'subtract');
+        return { n: node.op === '+' ? math.add(a, b) : math.sub(a, b), unit };
+      }
+      case 'mod': {
+        const [a, b, unit] = sameUnit(left, right, node, 'take the remainder of');
+        if (math.isZero(b)) throw createExpressionError('division_by_zero', `Remainder of division by zero at position ${node.pos}`, node.pos);
+        return { n: math.mod(a, b), unit };
+      }
+      case '*':
+        if (left.unit && right.unit) {
+          throw createExpressionError('incompatible_units', `Cannot multiply ${describe(left)} by ${describe(right)}: compound units are not supported`,
+            node.pos, 'Multiply the plain numbers and attach a single unit such as m2 or kWh');
+        }
+        return { n: checked(math.mul(left.n, right.n), node), unit: left.unit || right.unit };
+      case '/': {
+        if (math.isZero(right.n)) throw createExpressionError('division_by_zero', `Division by zero at position ${node.pos}`, node.pos);
+        if (!right.unit) return { n: checked(math.div(left.n, right.n), node), unit: left.unit };
+        if (!left.unit || left.unit.dimension !== right.unit.dimension) {
+          throw createExpressionError('incompatible_units', `Cannot divide ${describe(left)} by ${describe(right)}: compound units are not supported`,
+            node.pos, 'Divide the plain numbers and attach a single unit such as kmh or mph');
+        }
+        // Same kind of quantity: a plain ratio
+        return { n: math.div(toBase(left), toBase(right)), unit: null };
+      }
+      case '^': {
+        if (left.unit || right.unit) {
+          throw createExpressionError('incompatible_units', `Cannot raise ${describe(left)} to ${describe(right)}`, node.pos,
+            'Use an area or volume unit (m2, m3) instead of powers of units');
+        }
+        if (math.isZero(left.n) && math.compare(right.n, math.zero) < 0) {
+          throw createExpressionError('division_by_zero', `0 to a negative power divides by zero (at position ${node.pos})`, node.pos);
+        }
+        if (math.compare(left.n, math.zero) < 0 && !math.isInteger(right.n)) {
+          throw createExpressionError('domain_error', `(${describe(left)})^${describe(right)} is not a real number`, node.pos,
+            'Use cbrt() for the cube root of a negative number');
+        }
+        return { n: checked(math.pow(left.n, right.n), node), unit: null };
+      }
+      default:
+        throw createExpressionError('syntax_error', `Unknown operator "${node.op}"`, node.pos);
+    }
+  };
+
+  const call = (node, args) => {
+    const fn = FUNCTIONS[node.name];
+    const [min, max] = fn.args;
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw createExpressionError('wrong_argument_count',
+        `${node.name}() takes ${expected} argument${min === 1 && max === 1 ? '' : 's'}, got ${args.length}`, node.pos);
+    }
+
+    let unit = null;
+    let numbers;
+    if (fn.angle && args[0].unit) {
+      if (args[0].unit.dimension !== 'angle') requirePlain(args[0], node, `${node.name}()`);
+      numbers = [toBase(args[0])];
+    } else if (fn.keepsUnit === 'all' && args[0].unit) {
+      unit = args[0].unit;
+      numbers = args.map(arg => sameUnit(args[0], arg, node, `compare`)[1]);
+    } else if (fn.keepsUnit === 'first') {
+      unit = args[0].unit;
+      args.slice(1).forEach(arg => requirePlain(arg, node, `The second argument of ${node.name}()`));
+      numbers = args.map(arg => arg.n);
+    } else {
+      args.forEach(arg => requirePlain(arg, node, `${node.name}()`));
+      numbers = args.map(arg => arg.n);
+    }
+
+    if (fn.quantize) {
+      const digits = numbers.length > 1 ? math.toFloat(numbers[1]) : 0;
+      if (!Number.isInteger(digits) || digits < 0 || digits > math.maxDigits) {
+        throw createExpressionError('invalid_argument', `${node.name}() takes a number of decimal places from 0 to ${math.maxDigits}`, node.pos);
+      }
+      return { n: math.quantize(numbers[0], digits, fn.quantize), unit };
+    }
+    if (fn.factorial) return { n: factorial({ n: numbers[0] }, node), unit: null };
+    if (fn.exact) return { n: checked(fn.exact(math, numbers), node), unit };
+
+    const result = fn.float(...numbers.map(math.toFloat));
+    if (!Number.isFinite(result)) {
+      const text = `${node.name}(${args.map(describe).join(', ')})`;
+      const undefinedHere = Number.isNaN(result) || /^(ln|log)/.test(node.name);
+      throw undefinedHere
+        ? createExpressionError('domain_error', `${text} is not a real number`, node.pos, fn.hint || null)
+        : createExpressionError('overflow', `${text} is too large`, node.pos);
+    }
+    return { n: math.fromFloat(result), unit };
+  };
+
+  const factorial = (value, node) => {
+    const limit = MAX_FACTORIAL[math.mode];
+    if (!math.isInteger(value.n) || math.compare(value.n, math.zero) < 0) {
+      throw createExpressionError('domain_error', `Factorial needs a whole number ≥ 0, got ${describe(value)}`, node.pos);
+    }
+    if (math.toFloat(value.n) > limit) {
+      throw createExpressionError('overflow', `Factorial of ${describe(value)} is too large (the limit is ${limit}!)`, node.pos,
+        math.mode === 'float' ? 'Use precision "decimal" for exact factorials up to 1000!' : null);
+    }
+    return math.factorial(value.n);
+  };
+
+  const evaluateNode = (node) => {
+    switch (node.type) {
+      case 'number':
+        return { n: checked(math.parse(node.value), node, node.value), unit: null };
+      case 'variable':
+        return scope.get(node.name);
+      case 'constant':
+        if (math.mode === 'decimal') state.approximate = true;
+        return { n: math.parse(CONSTANTS[node.name]), unit: null };
+      case 'assign': {
+        const value = evaluate(node.operand);
+        scope.set(node.name, value);
+        return value;
+      }
+      case 'negate': {
+        const value = evaluate(node.operand);
+        return { n: math.neg(value.n), unit: value.unit };
+      }
+      case 'percent': {
+        const value = evaluate(node.operand);
+        return { n: math.div(value.n, math.parse('100')), unit: value.unit };
+      }
+      case 'percentChange': {
+        const base = evaluate(node.left);
+        const percent = evaluate(node.percent);
+        requirePlain(percent, node, 'A percentage');
+        const change = math.div(math.mul(base.n, percent.n), math.parse('100'));
+        return { n: node.op === '+' ? math.add(base.n, change) : math.sub(base.n, change), unit: base.unit };
+      }
+      case 'factorial': {
+        const value = evaluate(node.operand);
+        requirePlain(value, node, 'Factorial');
+        return { n: factorial(value, node), unit: null };
+      }
+      case 'unit': {
+        const value = evaluate(node.operand);
+        if (value.unit) {
+          throw createExpressionError('incompatible_units', `${describe(value)} already has a unit (at position ${node.pos})`, node.pos,
+            'Add quantities with an operator: 5 km + 300 m');
+        }
+        return { n: value.n, unit: node.unit };
+      }
+      case 'convert': {
+        const value = evaluate(node.operand);
+        if (!value.unit) {
+          throw createExpressionError('incompatible_units', `${describe(value)} has no unit to convert from`, node.pos,
+            `Attach the unit to the number: 5 mi to ${node.unit.symbol}`);
+        }
+        if (value.unit.dimension !== node.unit.dimension) {
+          throw createExpressionError('incompatible_units',
+            `Cannot convert ${value.unit.symbol} (${value.unit.dimension}) to ${node.unit.symbol} (${node.unit.dimension})`, node.pos);
+        }
+        return { n: checked(convert(value, node.unit), node), unit: node.unit };
+      }
+      case 'binary':
+        return binary(node, evaluate(node.left), evaluate(node.right));
+      case 'call':
+        return call(node, node.args.map(evaluate));
+      default:
+        throw createExpressionError('syntax_error', `Unknown expression at position ${node.pos}`, node.pos);
+    }
+  };
+
+  // Errors raised deep in the number code get the position of the node that failed
+  const evaluate = (node) => {
+    try {
+      return evaluateNode(node);
+    } catch (error) {
+      if (isExpressionError(error) && error.position === null) error.position = node.pos;
+      throw error;
+    }
+  };
+
+  const value = statements.reduce((_, statement) => evaluate(statement), null);
+  return {
+    result: math.format(checked(value.n, { pos: null })),
+    unit: value.unit?.symbol || null,
+    approximate: state.approximate
+  };
+};
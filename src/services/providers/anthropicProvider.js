@@ -0,0 +1,198 @@
+// src/services/providers/anthropicProvider.js
+// Adapter for the Anthropic Messages API
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const toAnthropicContent = (message) => {
+  if (!message.files || message.files.length === 0) {
+    return message.content;
+  }
+
+  const content = message.files.map(file => {
+    if (!file.isInline) {
+      throw new Error(`File "${file.displayName || file.name}" must be uploaded inline for Anthropic models.`);
+    }
+    const source = { type: 'base64', media_type: file.mimeType, data: file.inlineData };
+    if (file.mimeType.startsWith('image/')) {
+      return { type: 'image', source };
+    }
+    if (file.mimeType === 'application/pdf') {
+      return { type: 'document', source };
+    }
+    throw new Error(`File "${file.displayName || file.name}" is not supported by Anthropic models (images and PDFs only).`);
+  });
+
+  // The Messages API rejects empty text blocks (image-only turns)
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  return content;
+};
+
+/**
+ * Convert provider-neutral messages (including tool calls/results) to Messages API turns
+ */
+const toAnthropicMessages = (messages) => {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return {
+        role: 'user',
+        content: message.toolResults.map(toolResult => ({
+          type: 'tool_result',
+          tool_use_id: toolResult.id,
+          content: JSON.stringify(toolResult.result),
+          ...(toolResult.result?.error ? { is_error: true } : {})
+        }))
+      };
+    }
+
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.arguments || {}
+          }))
+        ]
+      };
+    }
+
+    return {
+      role: message.role,
+      content: toAnthropicContent(message)
+    };
+  });
+};
+
+const toUsage = (usage) => {
+  if (!usage) return null;
+  const promptTokens = usage.input_tokens || 0;
+  const candidatesTokens = usage.output_tokens || 0;
+  return {
+    promptTokens,
+    candidatesTokens,
+    totalTokens: promptTokens + candidatesTokens
+  };
+};
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  supportsNativeTools: true,
+  streamFormat: 'sse',
+
+  buildChatRequest({ model, messages, tools = [], generationConfig = {}, apiKey, baseUrl, stream = false }) {
+    return {
+      url: `${baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for calls made straight from the browser
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: {
+        model,
+        max_tokens: generationConfig.maxOutputTokens || 4096,
+        messages: toAnthropicMessages(messages),
+        ...(tools.length > 0 ? {
+          tools: tools.map(declaration => ({
+            name: declaration.name,
+            description: declaration.description,
+            input_schema: declaration.parameters
+          }))
+        } : {}),
+        temperature: generationConfig.temperature,
+        top_p: generationConfig.topP,
+        top_k: generationConfig.topK,
+        ...(stream ? { stream: true } : {}),
+      }
+    };
+  },
+
+  parseChatResponse(data) {
+    if (!Array.isArray(data.content)) {
+      throw new Error('API response missing content.');
+    }
+
+    return {
+      text: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: data.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      finishReason: data.stop_reason || null,
+      usage: toUsage(data.usage)
+    };
+  },
+
+  // Content blocks stream by index; tool inputs arrive as partial JSON strings
+  parseStreamEvent(data, state) {
+    state.blocks = state.blocks || [];
+
+    switch (data.type) {
+      case 'error':
+        throw new Error(data.error?.message || 'Stream error');
+      case 'message_start':
+        state.usage = toUsage(data.message?.usage);
+        return '';
+      case 'content_block_start':
+        state.blocks[data.index] = { ...data.content_block, partialJson: '' };
+        return '';
+      case 'content_block_delta': {
+        const block = state.blocks[data.index];
+        if (data.delta?.type === 'input_json_delta' && block) {
+          block.partialJson += data.delta.partial_json || '';
+          return '';
+        }
+        return data.delta?.type === 'text_delta' ? data.delta.text : '';
+      }
+      case 'message_delta':
+        if (data.delta?.stop_reason) {
+          state.finishReason = data.delta.stop_reason;
+        }
+        if (data.usage) {
+          // input_tokens only arrives with message_start
+          state.usage = toUsage({
+            input_tokens: state.usage?.promptTokens || 0,
+            output_tokens: data.usage.output_tokens
+          });
+        }
+        return '';
+      default:
+        return '';
+    }
+  },
+
+  finishStream(state) {
+    const toolCalls = (state.blocks || [])
+      .filter(block => block && block.type === 'tool_use')
+      .map(block => {
+        let input = block.input || {};
+        if (block.partialJson) {
+          try {
+            input = JSON.parse(block.partialJson);
+          } catch {
+            input = {};
+          }
+        }
+        return { id: block.id, name: block.name, arguments: input };
+      });
+
+    return {
+      text: state.text,
+      toolCalls,
+      finishReason: state.finishReason,
+      usage: state.usage
+    };
+  },
+
+  parseError(data) {
+    return data?.error?.message;
+  }
+};
@@ -0,0 +1,231 @@
+// src/services/providers/geminiProvider.js
+// Adapter for the Gemini REST API (generateContent / embedContent)
+
+/**
+ * Convert provider-neutral messages to Gemini `contents`
+ */
+const toGeminiContents = (messages) => {
+  return messages.map(message => {
+    // Tool results go back as functionResponse parts
+    if (message.role === 'tool') {
+      return {
+        role: 'user',
+        parts: message.toolResults.map(toolResult => ({
+          functionResponse: {
+            name: toolResult.name,
+            response: isPlainObject(toolResult.result) ? toolResult.result : { result: toolResult.result }
+          }
+        }))
+      };
+    }
+
+    const parts = [];
+
+    // File parts first (recommended for better multimodal understanding)
+    (message.files || []).forEach(file => {
+      if (file.isInline) {
+        parts.push({
+          inline_data: {
+            mime_type: file.mimeType,
+            data: file.inlineData
+          }
+        });
+      } else {
+        parts.push({
+          file_data: {
+            mime_type: file.mimeType,
+            file_uri: file.uri
+          }
+        });
+      }
+    });
+
+    if (message.content || !message.toolCalls?.length) {
+      parts.push({ text: message.content || '' });
+    }
+
+    (message.toolCalls || []).forEach(call => {
+      parts.push({
+        functionCall: { name: call.name, args: call.arguments || {} },
+        // Thinking models require the signature to be echoed back with the call
+        ...(call.thoughtSignature ? { thoughtSignature: call.thoughtSignature } : {})
+      });
+    });
+
+    return {
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts
+    };
+  });
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Gemini accepts an OpenAPI subset: arrays need typed items and objects need properties.
+ * Free-form values are declared as JSON strings instead (executeTool parses them back).
+ */
+const toGeminiSchema = (schema) => {
+  if (schema.type === 'object') {
+    const entries = Object.entries(schema.properties || {});
+    if (entries.length === 0) {
+      return { type: 'string', description: `${schema.description || ''} (JSON object encoded as a string)`.trim() };
+    }
+    return {
+      ...schema,
+      properties: Object.fromEntries(entries.map(([key, value]) => [key, toGeminiSchema(value)]))
+    };
+  }
+
+  if (schema.type === 'array') {
+    const items = schema.items && schema.items.type ? toGeminiSchema(schema.items) : null;
+    if (!items) {
+      return { type: 'string', description: `${schema.description || ''} (JSON array encoded as a string)`.trim() };
+    }
+    return { ...schema, items };
+  }
+
+  return schema;
+};
+
+const toFunctionDeclaration = (declaration) => {
+  const hasParameters = Object.keys(declaration.parameters?.properties || {}).length > 0;
+  return {
+    name: declaration.name,
+    description: declaration.description,
+    ...(hasParameters ? { parameters: toGeminiSchema(declaration.parameters) } : {})
+  };
+};
+
+const toUsage = (usageMetadata) => {
+  if (!usageMetadata) return null;
+  return {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    candidatesTokens: usageMetadata.candidatesTokenCount || 0,
+    totalTokens: usageMetadata.totalTokenCount || 0
+  };
+};
+
+export const geminiProvider = {
+  id: 'gemini',
+  supportsNativeTools: true,
+  streamFormat: 'sse',
+
+  buildChatRequest({ model, messages, tools = [], generationConfig = {}, apiKey, baseUrl, stream = false }) {
+    return {
+      url: stream
+        ? `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+        : `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        contents: toGeminiContents(messages),
+        ...(tools.length > 0 ? { tools: [{ functionDeclarations: tools.map(toFunctionDeclaration) }] } : {}),
+        generationConfig: {
+          temperature: generationConfig.temperature,
+          topK: generationConfig.topK,
+          topP: generationConfig.topP,
+          maxOutputTokens: generationConfig.maxOutputTokens,
+        }
+      }
+    };
+  },
+
+  parseChatResponse(data) {
+    // Check if response has expected structure
+    if (!data.candidates || data.candidates.length === 0) {
+      // Check for safety ratings or prompt blocking
+      if (data.promptFeedback?.blockReason) {
+        throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+      }
+      throw new Error('API returned no candidates. The content may have been blocked or the response was empty.');
+    }
+
+    const candidate = data.candidates[0];
+
+    // Check if candidate has content
+    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
+      throw new Error('API response missing content. This may be due to safety filters.');
+    }
+
+    const toolCalls = candidate.content.parts
+      .filter(part => part.functionCall)
+      .map((part, i) => ({
+        id: part.functionCall.id || `call_${i}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {},
+        ...(part.thoughtSignature ? { thoughtSignature: part.thoughtSignature } : {})
+      }));
+
+    return {
+      text: candidate.content.parts
+        .filter(part => typeof part.text === 'string' && !part.thought)
+        .map(part => part.text)
+        .join(''),
+      toolCalls,
+      finishReason: candidate.finishReason || null,
+      usage: toUsage(data.usageMetadata)
+    };
+  },
+
+  // Each SSE chunk is a partial GenerateContentResponse; usageMetadata is cumulative
+  parseStreamEvent(data, state) {
+    if (data.error) {
+      throw new Error(data.error.message || 'Stream error');
+    }
+    if (data.promptFeedback?.blockReason) {
+      throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+    }
+
+    if (data.usageMetadata) {
+      state.usage = toUsage(data.usageMetadata);
+    }
+
+    const candidate = data.candidates?.[0];
+    if (!candidate) return '';
+
+    if (candidate.finishReason) {
+      state.finishReason = candidate.finishReason;
+    }
+
+    const parts = candidate.content?.parts || [];
+    parts
+      .filter(part => part.functionCall)
+      .forEach(part => {
+        state.toolCalls.push({
+          id: part.functionCall.id || `call_${state.toolCalls.length}`,
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {},
+          ...(part.thoughtSignature ? { thoughtSignature: part.thoughtSignature } : {})
+        });
+      });
+
+    return parts
+      .filter(part => typeof part.text === 'string' && !part.thought)
+      .map(part => part.text)
+      .join('');
+  },
+
+  buildEmbeddingRequest({ model, text, apiKey, baseUrl }) {
+    return {
+      url: `${baseUrl}/models/${model}:embedContent?key=${apiKey}`,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model: `models/${model}`,
+        content: {
+          parts: [{ text }]
+        }
+      }
+    };
+  },
+
+  parseEmbeddingResponse(data) {
+    return {
+      values: data.embedding.values,
+      usage: toUsage(data.usageMetadata)
+    };
+  },
+
+  parseError(data) {
+    return data?.error?.message;
+  }
+};
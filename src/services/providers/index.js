@@ -0,0 +1,361 @@
+// src/services/providers/index.js
+// Provider registry: resolves an agent's model to the adapter that talks to its vendor.
+// Adapters only build requests and parse responses; transport and error mapping live here
+// so every vendor behaves the same for callers (llmService, agentExecutor, vectorStore).
+
+import { LLM_PROVIDERS, getModelProvider } from '../../constants/models';
+import { geminiProvider } from './geminiProvider';
+import { openaiProvider } from './openaiProvider';
+import { anthropicProvider } from './anthropicProvider';
+import { ollamaProvider } from './ollamaProvider';
+import { waitFor } from '../cancellation';
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  ollama: ollamaProvider,
+};
+
+// Rate limits and transient server errors are retried; anything else fails straight away
+const RETRYABLE_STATUSES = [429, 500, 503];
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const MAX_ATTEMPTS_LIMIT = 10;
+
+const readUserConfig = () => {
+  if (typeof localStorage === 'undefined') return {};
+
+  const userConfig = localStorage.getItem('userConfig');
+  if (!userConfig) return {};
+
+  try {
+    return JSON.parse(userConfig) || {};
+  } catch (error) {
+    console.error('Error parsing user config:', error);
+    return {};
+  }
+};
+
+const readEnv = (name) => {
+  if (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env[name]) {
+    return import.meta.env[name];
+  }
+  return globalThis.process?.env?.[name];
+};
+
+/**
+ * Get the adapter registered for a provider id
+ */
+export const getProvider = (providerId) => {
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown model provider: ${providerId}`);
+  }
+  return provider;
+};
+
+/**
+ * Whether the provider serving `modelId` accepts function declarations natively.
+ * Callers fall back to describing tools in the prompt when it doesn't.
+ */
+export const supportsNativeTools = (modelId) => {
+  return Boolean(getProvider(getModelProvider(modelId)).supportsNativeTools);
+};
+
+/**
+ * Resolve connection settings for a provider.
+ * Lookup order: user config (Settings / onboarding) first, then env vars (for development).
+ * The Gemini key keeps living at `userConfig.apiKey` for backwards compatibility.
+ */
+export const getProviderConfig = (providerId) => {
+  const meta = LLM_PROVIDERS.find(p => p.id === providerId) || {};
+  const userConfig = readUserConfig();
+  const saved = userConfig.providers?.[providerId] || {};
+  const envPrefix = `VITE_${providerId.toUpperCase()}`;
+
+  const apiKey = providerId === 'gemini'
+    ? saved.apiKey || userConfig.apiKey || readEnv(`${envPrefix}_API_KEY`) || readEnv('REACT_APP_GEMINI_API_KEY')
+    : saved.apiKey || readEnv(`${envPrefix}_API_KEY`);
+
+  const baseUrl = saved.baseUrl || readEnv(`${envPrefix}_BASE_URL`) || meta.defaultBaseUrl;
+
+  return {
+    apiKey: apiKey || null,
+    baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : baseUrl,
+  };
+};
+
+/**
+ * Resolve a model id ("gemini-2.5-flash", "openai:gpt-4o-mini", "ollama:llama3:8b")
+ * to its adapter, the vendor-side model name and connection settings
+ */
+export const resolveModel = (modelId, overrides = {}) => {
+  const providerId = getModelProvider(modelId);
+  const provider = getProvider(providerId);
+  const prefix = `${providerId}:`;
+  const model = modelId.startsWith(prefix) ? modelId.slice(prefix.length) : modelId;
+
+  const config = getProviderConfig(providerId);
+  const apiKey = overrides.apiKey || config.apiKey;
+  const meta = LLM_PROVIDERS.find(p => p.id === providerId);
+
+  if (meta?.requiresApiKey && !apiKey) {
+    throw new Error(providerId === 'gemini'
+      ? 'API Key not found. Please configure your API key in settings or onboarding.'
+      : `API Key not found for ${meta.name}. Please configure it in Settings.`);
+  }
+
+  return { provider, providerName: meta?.name || providerId, model, apiKey, baseUrl: config.baseUrl };
+};
+
+const createProviderError = (providerName, status, message, retryAfterMs = null) => {
+  const error = new Error(message || `${providerName} API request failed`);
+  error.status = status;
+  error.provider = providerName;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+/**
+ * Read the delay a server asked for before retrying, in ms:
+ * the Retry-After header, Gemini's RetryInfo detail ("13s"), or a "retry in 13.2s" message
+ */
+const parseRetryDelay = (response, data, message) => {
+  const header = response.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = (data?.error?.details || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const fromDetail = retryInfo?.retryDelay?.match(/^([\d.]+)s$/);
+  if (fromDetail) return parseFloat(fromDetail[1]) * 1000;
+
+  const fromMessage = message?.match(/retry in ([\d.]+)\s*s/i);
+  if (fromMessage) return parseFloat(fromMessage[1]) * 1000;
+
+  return null;
+};
+
+/**
+ * Hand one call's token counts to the caller's `onUsage` callback.
+ * Endpoints that return no counts (Gemini embedContent) are estimated at ~4 characters per token.
+ */
+const reportUsage = (onUsage, modelId, kind, usage, text = '') => {
+  if (!onUsage) return;
+
+  const estimatedTokens = Math.ceil(text.length / 4);
+  onUsage({
+    model: modelId,
+    kind,
+    promptTokens: usage ? usage.promptTokens : estimatedTokens,
+    candidatesTokens: usage ? usage.candidatesTokens : 0,
+    totalTokens: usage ? usage.totalTokens : estimatedTokens,
+    estimated: !usage
+  });
+};
+
+/**
+ * Build the error for a failed HTTP response, keeping the status and any server retry hint
+ */
+async function toProviderError(provider, providerName, response, fallbackMessage) {
+  const data = await response.json().catch(() => null);
+  const message = provider.parseError(data) || fallbackMessage;
+  return createProviderError(providerName, response.status, message, parseRetryDelay(response, data, message));
+}
+
+/**
+ * Run `send` and retry 429/500/503 failures with exponential backoff.
+ * A server-provided delay wins over the backoff; delays beyond MAX_RETRY_DELAY_MS are not waited out.
+ * @param {Object} retry - { maxAttempts?, onRetry?({ attempt, maxAttempts, delayMs, status, message }) }
+ */
+async function withRetry(send, retry = {}, signal) {
+  const maxAttempts = Math.min(Math.max(parseInt(retry.maxAttempts, 10) || DEFAULT_MAX_ATTEMPTS, 1), MAX_ATTEMPTS_LIMIT);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      const retryable = RETRYABLE_STATUSES.includes(error.status)
+        && (error.retryAfterMs === null || error.retryAfterMs === undefined || error.retryAfterMs <= MAX_RETRY_DELAY_MS);
+
+      if (!retryable || attempt >= maxAttempts) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const backoff = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
+      const delayMs = Math.round(Math.min(error.retryAfterMs ?? backoff, MAX_RETRY_DELAY_MS));
+
+      console.warn(`⏳ ${error.provider} returned ${error.status}; retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`);
+      retry.onRetry?.({ attempt: attempt + 1, maxAttempts, delayMs, status: error.status, message: error.message });
+
+      await waitFor(delayMs, signal);
+    }
+  }
+}
+
+/**
+ * POST a request built by an adapter and map HTTP failures to errors carrying the status code
+ */
+async function sendRequest(provider, providerName, { url, headers, body }, fallbackMessage, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await toProviderError(provider, providerName, response, fallbackMessage);
+  }
+
+  return response.json().catch(() => null);
+}
+
+/**
+ * Run one chat turn against whichever provider serves `modelId`.
+ * @param {string} modelId - Agent model id
+ * @param {Object} request - { messages, tools?, generationConfig, signal?, retry?, onUsage? }
+ *   messages: [{ role: 'user'|'assistant', content, files?, toolCalls? }] or { role: 'tool', toolResults }
+ *   tools: function declarations from buildToolDeclaration (only for providers with native support)
+ * @returns {Promise<{text: string, toolCalls: Array, finishReason: string|null, usage: Object|null}>}
+ * @see streamContent for incremental output
+ */
+export async function generateContent(modelId, request) {
+  const { provider, providerName, model, apiKey, baseUrl } = resolveModel(modelId, request);
+
+  const data = await withRetry(() => sendRequest(
+    provider,
+    providerName,
+    provider.buildChatRequest({ ...request, model, apiKey, baseUrl }),
+    undefined,
+    request.signal
+  ), request.retry, request.signal);
+
+  const result = provider.parseChatResponse(data);
+  reportUsage(request.onUsage, modelId, 'chat', result.usage);
+  return result;
+}
+
+/**
+ * Split a streamed response body into parsed JSON events.
+ * 'sse' reads `data:` lines (Gemini, OpenAI, Anthropic); 'ndjson' reads one object per line (Ollama).
+ */
+async function* readStreamEvents(body, format) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseLine = (line) => {
+    const trimmed = line.trim();
+    if (format === 'ndjson') {
+      return trimmed ? JSON.parse(trimmed) : null;
+    }
+    if (!trimmed.startsWith('data:')) return null;
+    const data = trimmed.slice(5).trim();
+    return data && data !== '[DONE]' ? JSON.parse(data) : null;
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const event = parseLine(line);
+      if (event) yield event;
+    }
+  }
+
+  const event = parseLine(buffer + decoder.decode());
+  if (event) yield event;
+}
+
+/**
+ * Stream one chat turn. `onToken(token, text)` is called with each text delta and the text so far.
+ * Resolves to the same shape as generateContent once the stream ends, so callers can log the final string.
+ */
+export async function streamContent(modelId, request, onToken) {
+  const { provider, providerName, model, apiKey, baseUrl } = resolveModel(modelId, request);
+  const { url, headers, body } = provider.buildChatRequest({ ...request, model, apiKey, baseUrl, stream: true });
+
+  // Only opening the stream is retried; once tokens have been handed out a failure is final
+  const response = await withRetry(async () => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: request.signal
+    });
+
+    if (!res.ok) {
+      throw await toProviderError(provider, providerName, res);
+    }
+    return res;
+  }, request.retry, request.signal);
+
+  // Adapters accumulate into this object; they may keep extra bookkeeping fields on it
+  const state = { text: '', toolCalls: [], finishReason: null, usage: null };
+
+  try {
+    for await (const event of readStreamEvents(response.body, provider.streamFormat)) {
+      const token = provider.parseStreamEvent(event, state);
+      if (token) {
+        state.text += token;
+        onToken?.(token, state.text);
+      }
+    }
+  } catch (error) {
+    // Keep what was generated before the stream stopped (e.g. the run was cancelled)
+    error.partialOutput = state.text;
+    throw error;
+  }
+
+  const result = provider.finishStream ? provider.finishStream(state) : state;
+  reportUsage(request.onUsage, modelId, 'chat', result.usage);
+
+  if (!result.text && result.toolCalls.length === 0) {
+    throw new Error(`${providerName} returned an empty response${result.finishReason ? ` (finish reason: ${result.finishReason})` : ''}.`);
+  }
+
+  return {
+    text: result.text,
+    toolCalls: result.toolCalls,
+    finishReason: result.finishReason,
+    usage: result.usage
+  };
+}
+
+/**
+ * Embed a piece of text with whichever provider serves `modelId`
+ * @param {Object} overrides - { apiKey?, signal?, retry?, onUsage? }
+ * @returns {Promise<{values: number[], usage: Object|null}>}
+ */
+export async function embedContent(modelId, text, overrides = {}) {
+  const { provider, providerName, model, apiKey, baseUrl } = resolveModel(modelId, overrides);
+
+  if (!provider.buildEmbeddingRequest) {
+    throw new Error(`${providerName} does not support embeddings`);
+  }
+
+  const data = await withRetry(() => sendRequest(
+    provider,
+    providerName,
+    provider.buildEmbeddingRequest({ model, text, apiKey, baseUrl }),
+    'Failed to generate embedding',
+    overrides.signal
+  ), overrides.retry, overrides.signal);
+
+  const result = provider.parseEmbeddingResponse(data);
+  reportUsage(overrides.onUsage, modelId, 'embedding', result.usage, text);
+  return result;
+}
@@ -0,0 +1,96 @@
+// src/services/providers/ollamaProvider.js
+// Adapter for Ollama and other local servers speaking the Ollama HTTP API
+
+const toUsage = (data) => {
+  if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+  const promptTokens = data.prompt_eval_count || 0;
+  const candidatesTokens = data.eval_count || 0;
+  return {
+    promptTokens,
+    candidatesTokens,
+    totalTokens: promptTokens + candidatesTokens
+  };
+};
+
+export const ollamaProvider = {
+  id: 'ollama',
+  // Tool calls are scraped from the text (see parseFunctionCalls)
+  supportsNativeTools: false,
+  streamFormat: 'ndjson',
+
+  buildChatRequest({ model, messages, generationConfig = {}, apiKey, baseUrl, stream = false }) {
+    return {
+      url: `${baseUrl}/api/chat`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: {
+        model,
+        stream,
+        messages: messages.map(message => {
+          const images = (message.files || [])
+            .filter(file => file.isInline && file.mimeType.startsWith('image/'))
+            .map(file => file.inlineData);
+          return {
+            role: message.role,
+            content: message.content,
+            ...(images.length > 0 ? { images } : {})
+          };
+        }),
+        options: {
+          temperature: generationConfig.temperature,
+          top_k: generationConfig.topK,
+          top_p: generationConfig.topP,
+          num_predict: generationConfig.maxOutputTokens,
+        }
+      }
+    };
+  },
+
+  parseChatResponse(data) {
+    if (!data.message) {
+      throw new Error('API response missing message.');
+    }
+
+    return {
+      text: data.message.content || '',
+      toolCalls: [],
+      finishReason: data.done_reason || null,
+      usage: toUsage(data)
+    };
+  },
+
+  // Streamed lines carry message deltas; the final line (done: true) carries the counts
+  parseStreamEvent(data, state) {
+    if (data.error) {
+      throw new Error(typeof data.error === 'string' ? data.error : 'Stream error');
+    }
+
+    if (data.done) {
+      state.finishReason = data.done_reason || null;
+      state.usage = toUsage(data);
+    }
+
+    return data.message?.content || '';
+  },
+
+  buildEmbeddingRequest({ model, text, baseUrl }) {
+    return {
+      url: `${baseUrl}/api/embed`,
+      headers: { 'Content-Type': 'application/json' },
+      body: { model, input: text }
+    };
+  },
+
+  parseEmbeddingResponse(data) {
+    return {
+      values: data.embeddings[0],
+      usage: toUsage(data)
+    };
+  },
+
+  parseError(data) {
+    return typeof data?.error === 'string' ? data.error : data?.error?.message;
+  }
+};
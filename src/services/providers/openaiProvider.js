@@ -0,0 +1,174 @@
+// src/services/providers/openaiProvider.js
+// Adapter for OpenAI-compatible chat completions endpoints (OpenAI, Azure-style proxies, vLLM, LM Studio...)
+
+const toOpenAIContent = (message) => {
+  if (!message.files || message.files.length === 0) {
+    return message.content;
+  }
+
+  const content = message.files.map(file => {
+    if (!file.isInline || !file.mimeType.startsWith('image/')) {
+      throw new Error(`File "${file.displayName || file.name}" is not supported by OpenAI-compatible models (images only).`);
+    }
+    return {
+      type: 'image_url',
+      image_url: { url: `data:${file.mimeType};base64,${file.inlineData}` }
+    };
+  });
+
+  content.push({ type: 'text', text: message.content });
+  return content;
+};
+
+/**
+ * Convert provider-neutral messages (including tool calls/results) to chat completion messages
+ */
+const toOpenAIMessages = (messages) => {
+  return messages.flatMap(message => {
+    if (message.role === 'tool') {
+      return message.toolResults.map(toolResult => ({
+        role: 'tool',
+        tool_call_id: toolResult.id,
+        content: JSON.stringify(toolResult.result)
+      }));
+    }
+
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return [{
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      }];
+    }
+
+    return [{
+      role: message.role,
+      content: toOpenAIContent(message)
+    }];
+  });
+};
+
+const parseToolArguments = (raw) => {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+};
+
+const toUsage = (usage) => {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    candidatesTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+};
+
+const authHeaders = (apiKey) => ({
+  'Content-Type': 'application/json',
+  ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+});
+
+export const openaiProvider = {
+  id: 'openai',
+  supportsNativeTools: true,
+  streamFormat: 'sse',
+
+  buildChatRequest({ model, messages, tools = [], generationConfig = {}, apiKey, baseUrl, stream = false }) {
+    return {
+      url: `${baseUrl}/chat/completions`,
+      headers: authHeaders(apiKey),
+      body: {
+        model,
+        messages: toOpenAIMessages(messages),
+        ...(tools.length > 0 ? {
+          tools: tools.map(declaration => ({ type: 'function', function: declaration }))
+        } : {}),
+        temperature: generationConfig.temperature,
+        top_p: generationConfig.topP,
+        max_tokens: generationConfig.maxOutputTokens,
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      }
+    };
+  },
+
+  parseChatResponse(data) {
+    const choice = data.choices?.[0];
+    if (!choice || !choice.message) {
+      throw new Error('API returned no choices. The response was empty.');
+    }
+
+    return {
+      text: choice.message.content || '',
+      toolCalls: (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments)
+      })),
+      finishReason: choice.finish_reason || null,
+      usage: toUsage(data.usage)
+    };
+  },
+
+  // Tool call deltas arrive in fragments keyed by index; arguments are parsed in finishStream
+  parseStreamEvent(data, state) {
+    if (data.error) {
+      throw new Error(data.error.message || 'Stream error');
+    }
+
+    if (data.usage) {
+      state.usage = toUsage(data.usage);
+    }
+
+    const choice = data.choices?.[0];
+    if (!choice) return '';
+
+    if (choice.finish_reason) {
+      state.finishReason = choice.finish_reason;
+    }
+
+    (choice.delta?.tool_calls || []).forEach(delta => {
+      const call = state.toolCalls[delta.index] || (state.toolCalls[delta.index] = { id: '', name: '', arguments: '' });
+      if (delta.id) call.id = delta.id;
+      if (delta.function?.name) call.name += delta.function.name;
+      if (delta.function?.arguments) call.arguments += delta.function.arguments;
+    });
+
+    return choice.delta?.content || '';
+  },
+
+  finishStream(state) {
+    return {
+      ...state,
+      toolCalls: state.toolCalls.filter(Boolean).map(call => ({
+        ...call,
+        arguments: parseToolArguments(call.arguments)
+      }))
+    };
+  },
+
+  buildEmbeddingRequest({ model, text, apiKey, baseUrl }) {
+    return {
+      url: `${baseUrl}/embeddings`,
+      headers: authHeaders(apiKey),
+      body: { model, input: text }
+    };
+  },
+
+  parseEmbeddingResponse(data) {
+    return {
+      values: data.data[0].embedding,
+      usage: toUsage(data.usage)
+    };
+  },
+
+  parseError(data) {
+    return data?.error?.message;
+  }
+};
@@ -0,0 +1,165 @@
+// src/services/routerService.js
+// Router steps: a workflow step (`type: 'router'`) that picks which outgoing connections to follow.
+// The step carries `router: { mode, pattern, flags, path, equals, categories, model }`; every edge
+// leaving it carries the `branch` it stands for. Routers pass their input through unchanged.
+//   regex    - "match" when `pattern` matches the input, else "else"
+//   jsonPath - "match" when the value at `path` (in JSON parsed from the input) equals `equals`,
+//              or is truthy when `equals` is empty; else "else"
+//   llm      - a model picks one of `categories` ({ name, description }); "else" when it names none
+
+import { DEFAULT_MODEL } from '../constants/models';
+import { getJsonPath, parseJsonOutput } from './jsonPath';
+
+export const MATCH_BRANCH = 'match';
+export const ELSE_BRANCH = 'else';
+
+export const ROUTER_MODES = [
+  { value: 'regex', label: 'Regex test' },
+  { value: 'jsonPath', label: 'JSON path test' },
+  { value: 'llm', label: 'LLM classification' }
+];
+
+export const DEFAULT_ROUTER = {
+  mode: 'regex',
+  pattern: '',
+  flags: 'i',
+  path: '',
+  equals: '',
+  categories: [],
+  model: DEFAULT_MODEL
+};
+
+/**
+ * Branches a router can take, as { value, label } options for its outgoing connections
+ */
+export const getRouterBranches = (router = DEFAULT_ROUTER) => {
+  const otherwise = { value: ELSE_BRANCH, label: 'Otherwise' };
+  if (router.mode === 'llm') {
+    return [
+      ...(router.categories || [])
+        .filter(category => category.name?.trim())
+        .map(category => ({ value: category.name.trim(), label: category.name.trim() })),
+      otherwise
+    ];
+  }
+  return [{ value: MATCH_BRANCH, label: 'Matches' }, otherwise];
+};
+
+export const getBranchLabel = (router, branch) =>
+  getRouterBranches(router).find(option => option.value === branch)?.label || branch;
+
+/**
+ * First problem with a regex / JSON-path condition ({ mode, pattern, flags, path, equals }), or null.
+ * Conditions are shared by routers and "repeat until" loops.
+ */
+export const validateCondition = (condition) => {
+  if (condition.mode === 'regex') {
+    if (!condition.pattern) return 'needs a regex pattern';
+    try {
+      new RegExp(condition.pattern, condition.flags || '');
+    } catch (error) {
+      return `has an invalid regex (${error.message})`;
+    }
+  } else if (condition.mode === 'jsonPath') {
+    if (!condition.path?.trim()) return 'needs a JSON path';
+  } else {
+    return `has an unknown condition "${condition.mode}"`;
+  }
+  return null;
+};
+
+/**
+ * Whether `text` satisfies a regex / JSON-path condition
+ */
+export const testCondition = (condition, text) => {
+  if (condition.mode === 'regex') {
+    return new RegExp(condition.pattern, condition.flags || '').test(text ?? '');
+  }
+
+  let value;
+  try {
+    value = getJsonPath(parseJsonOutput(text), condition.path);
+  } catch {
+    return false;
+  }
+  if (condition.equals?.trim()) {
+    const expected = condition.equals.trim();
+    return typeof value === 'object' && value !== null
+      ? JSON.stringify(value) === expected
+      : String(value) === expected;
+  }
+  return Boolean(value);
+};
+
+/**
+ * First problem with a router's settings, or null
+ */
+export const validateRouter = (router = DEFAULT_ROUTER) => {
+  if (router.mode === 'regex' || router.mode === 'jsonPath') {
+    return validateCondition(router);
+  } else if (router.mode === 'llm') {
+    if (getRouterBranches(router).length < 2) return 'needs at least one category';
+  } else {
+    return `has an unknown mode "${router.mode}"`;
+  }
+  return null;
+};
+
+/**
+ * Synthetic agent that classifies a router's input into one of its categories
+ */
+export const createClassifierAgent = (step) => {
+  const { categories = [], model } = step.router || {};
+  const list = categories
+    .filter(category => category.name?.trim())
+    .map(category => `- ${category.name.trim()}${category.description ? `: ${category.description}` : ''}`)
+    .join('\n');
+
+  return {
+    id: `router-${step.id}`,
+    name: step.name || 'Router',
+    role: 'precise text classifier',
+    goal: 'Assign the input to exactly one of the given categories',
+    taskDescription: `Read the input and decide which category fits it best.\n\nCategories:\n${list}`,
+    expectedOutput: 'Only the name of the chosen category, written exactly as listed, with no other text.',
+    model: model || DEFAULT_MODEL,
+    tools: []
+  };
+};
+
+/**
+ * Map a classifier reply to a category name (exact match first, then a mention), else "else"
+ */
+export const matchCategory = (reply, categories = []) => {
+  const names = categories.map(category => category.name?.trim()).filter(Boolean);
+  const normalize = (text) => String(text ?? '').toLowerCase().replace(/[`*_"'.:!]/g, '').trim();
+  const answer = normalize(reply);
+
+  const exact = names.find(name => normalize(name) === answer);
+  if (exact) return exact;
+
+  const mentioned = names
+    .filter(name => answer.includes(normalize(name)))
+    .sort((a, b) => b.length - a.length);
+  return mentioned[0] || ELSE_BRANCH;
+};
+
+/**
+ * Decide which branch a router step takes for `input`.
+ * `classify(agent, input)` runs the classifier agent in "llm" mode and resolves to its reply.
+ * @returns {Promise<{ branch: string, classification?: string }>}
+ */
+export const evaluateRouter = async (step, input, classify) => {
+  const router = { ...DEFAULT_ROUTER, ...step.router };
+  const problem = validateRouter(router);
+  if (problem) {
+    throw new Error(`Router "${step.name || 'Router'}" ${problem}`);
+  }
+
+  if (router.mode === 'llm') {
+    const classification = await classify(createClassifierAgent({ ...step, router }), input);
+    return { branch: matchCategory(classification, router.categories), classification };
+  }
+
+  return { branch: testCondition(router, input) ? MATCH_BRANCH : ELSE_BRANCH };
+};
@@ -0,0 +1,266 @@
+// src/services/scheduleService.js
+// When scheduled runs are due. A schedule (store `schedules`, run by scheduler.js) is
+// { id, name, targetType: 'agent' | 'workflow', targetId, input, inputValues (typed workflow inputs),
+//   timing: { mode: 'interval' | 'cron', everyMinutes, cron }, catchUp, enabled,
+//   anchorAt, nextRunAt, lastRunAt, lastStatus, lastError, createdAt, updatedAt }.
+// Interval schedules run every `everyMinutes` counted from `anchorAt`; cron schedules use a standard
+// five-field expression (minute hour day-of-month month day-of-week) in local time.
+// Runs that came due while the app was closed are "missed"; `catchUp` decides what happens to them.
+
+export const SCHEDULE_MODES = [
+  { value: 'interval', label: 'Every N minutes' },
+  { value: 'cron', label: 'Cron expression' }
+];
+
+export const CATCH_UP_POLICIES = [
+  { value: 'skip', label: 'Skip missed runs' },
+  { value: 'once', label: 'Run once for all missed runs' },
+  { value: 'all', label: 'Run every missed run' }
+];
+
+export const DEFAULT_TIMING = { mode: 'interval', everyMinutes: 60, cron: '0 8 * * 1-5' };
+
+// At most this many missed runs are caught up with the 'all' policy (the latest ones)
+export const MAX_CATCH_UP_RUNS = 10;
+// A run that comes due this long before the scheduler sees it counts as missed
+export const MISSED_AFTER_MS = 2 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+// Cron searches give up after this long (covers Feb 29 schedules)
+const CRON_SEARCH_LIMIT_MS = 4 * 366 * 24 * 60 * MINUTE_MS;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : Number(from);
+    const end = range === '*' ? max : to !== undefined ? Number(to) : step ? max : start;
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed: ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += increment) values.add(value);
+  }
+  return values;
+};
+
+/**
+ * Parse a five-field cron expression into the allowed values of each field.
+ * Supports `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists (`1,15`).
+ * Throws on invalid expressions.
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression ?? '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression has five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  // 7 is Sunday too
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Like cron: when both day fields are restricted, a day matching either one runs
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const monthDay = cron.dayOfMonth.has(date.getDate());
+  const weekDay = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return weekDay;
+  if (cron.anyDayOfWeek) return monthDay;
+  return monthDay || weekDay;
+};
+
+const nextCronTime = (cron, after) => {
+  const time = new Date(after);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = after + CRON_SEARCH_LIMIT_MS;
+
+  while (time.getTime() <= limit) {
+    if (!cron.month.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time.getTime();
+    }
+  }
+  return null;
+};
+
+/**
+ * First problem with a schedule's timing, or null
+ */
+export const validateTiming = (timing) => {
+  if (timing?.mode === 'cron') {
+    try {
+      parseCron(timing.cron);
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+  const minutes = Number(timing?.everyMinutes);
+  return Number.isFinite(minutes) && minutes >= 1 ? null : 'Run at most once a minute';
+};
+
+/**
+ * First problem that stops a schedule from being saved, or null
+ */
+export const validateSchedule = (schedule) => {
+  if (!schedule.name?.trim()) return 'Give the schedule a name';
+  if (schedule.targetId === undefined || schedule.targetId === null || schedule.targetId === '') {
+    return `Choose ${schedule.targetType === 'workflow' ? 'a workflow' : 'an agent'} to run`;
+  }
+  return validateTiming(schedule.timing);
+};
+
+/**
+ * Next run strictly after `after` (ms), or null when there is none. Intervals count from `anchor` (ms).
+ */
+export const getNextRunTime = (timing, after, anchor = after) => {
+  if (validateTiming(timing)) return null;
+  if (timing.mode === 'cron') return nextCronTime(parseCron(timing.cron), after);
+
+  const interval = Number(timing.everyMinutes) * MINUTE_MS;
+  if (after < anchor) return anchor;
+  return anchor + (Math.floor((after - anchor) / interval) + 1) * interval;
+};
+
+/**
+ * The next `count` run times (ms) of a new timing, counted from `now`
+ */
+export const getUpcomingRunTimes = (timing, now, count = 3) => {
+  const times = [];
+  for (let time = getNextRunTime(timing, now, now); time !== null && times.length < count;) {
+    times.push(time);
+    time = getNextRunTime(timing, time, now);
+  }
+  return times;
+};
+
+/**
+ * Restart a schedule's timing at `now` (ms): intervals count from now and earlier runs are no
+ * longer owed. Used for new schedules, changed timings and schedules that are switched back on.
+ */
+export const restartSchedule = (schedule, now) => {
+  const nextRunAt = getNextRunTime(schedule.timing, now, now);
+  return {
+    ...schedule,
+    anchorAt: new Date(now).toISOString(),
+    nextRunAt: nextRunAt === null ? null : new Date(nextRunAt).toISOString()
+  };
+};
+
+// Runs of `cron` from `from` to `to` (ms, inclusive). Whole days are counted from the field sets,
+// so long gaps stay cheap; partial days and days with a DST change are walked run by run.
+const countCronTimes = (cron, from, to) => {
+  const runsPerDay = cron.hour.size * cron.minute.size;
+  let count = 0;
+  for (let start = from; start <= to;) {
+    const date = new Date(start);
+    const nextDay = new Date(start);
+    nextDay.setHours(24, 0, 0, 0);
+    const end = Math.min(nextDay.getTime() - 1, to);
+    if (cron.month.has(date.getMonth() + 1) && dayMatches(cron, date)) {
+      const dayStart = new Date(start).setHours(0, 0, 0, 0);
+      if (start === dayStart && end === nextDay.getTime() - 1 && end + 1 - start === 24 * 60 * MINUTE_MS) {
+        count += runsPerDay;
+      } else {
+        for (let time = nextCronTime(cron, start - 1); time !== null && time <= end; time = nextCronTime(cron, time)) count++;
+      }
+    }
+    start = nextDay.getTime();
+  }
+  return count;
+};
+
+// The runs after `after` up to `to` (ms): { count, latest (the last `limit` of them, oldest first) }
+const getRunsBetween = (timing, after, to, anchor, limit) => {
+  if (timing.mode === 'cron') {
+    const cron = parseCron(timing.cron);
+    // Search back from `to` in doubling windows until they hold `limit` runs
+    let latest = [];
+    for (let span = limit * MINUTE_MS; ; span *= 2) {
+      const start = Math.max(after, to - span);
+      latest = [];
+      for (let time = nextCronTime(cron, start); time !== null && time <= to; time = nextCronTime(cron, time)) {
+        latest.push(time);
+        if (latest.length > limit) latest.shift();
+      }
+      if (latest.length >= limit || start === after) break;
+    }
+    return { count: countCronTimes(cron, after + 1, to), latest };
+  }
+
+  const interval = Number(timing.everyMinutes) * MINUTE_MS;
+  const first = getNextRunTime(timing, after, anchor);
+  if (to < first) return { count: 0, latest: [] };
+  const count = Math.floor((to - first) / interval) + 1;
+  const kept = Math.min(count, limit);
+  return { count, latest: Array.from({ length: kept }, (_, index) => first + (count - kept + index) * interval) };
+};
+
+/**
+ * The runs a schedule owes at `now` (ms): { runTimes (ms, oldest first), missed (how many runs came
+ * due while the app was closed), nextRunAt (ms or null) }. Runs due within MISSED_AFTER_MS always
+ * run; missed ones follow `catchUp`: 'skip' drops them, 'once' runs the latest one for all of them
+ * (unless a run is due anyway) and 'all' runs each of them (the latest MAX_CATCH_UP_RUNS).
+ */
+export const getDueRuns = (schedule, now) => {
+  const nextRunAt = schedule.nextRunAt ? Date.parse(schedule.nextRunAt) : null;
+  if (!schedule.enabled || nextRunAt === null || nextRunAt > now || validateTiming(schedule.timing)) {
+    return { runTimes: [], missed: 0, nextRunAt };
+  }
+
+  const anchor = Date.parse(schedule.anchorAt || schedule.createdAt) || nextRunAt;
+  // Owed runs start at nextRunAt; the ones older than MISSED_AFTER_MS were missed
+  const after = nextRunAt - 1;
+  const lastMissed = now - MISSED_AFTER_MS - 1;
+  const missed = getRunsBetween(schedule.timing, after, lastMissed, anchor, MAX_CATCH_UP_RUNS);
+  const onTime = getRunsBetween(schedule.timing, Math.max(after, lastMissed), now, anchor, Infinity).latest;
+  let caughtUp = [];
+  if (schedule.catchUp === 'all') caughtUp = missed.latest;
+  else if (schedule.catchUp === 'once' && onTime.length === 0) caughtUp = missed.latest.slice(-1);
+
+  return {
+    runTimes: [...caughtUp, ...onTime],
+    missed: missed.count,
+    nextRunAt: getNextRunTime(schedule.timing, now, anchor)
+  };
+};
+
+/**
+ * Short description of a schedule's timing, e.g. "Every 15 minutes"
+ */
+export const describeTiming = (timing) => {
+  if (timing?.mode === 'cron') return `Cron: ${String(timing.cron ?? '').trim()}`;
+  const minutes = Number(timing?.everyMinutes);
+  if (minutes % 1440 === 0) return minutes === 1440 ? 'Every day' : `Every ${minutes / 1440} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? 'Every hour' : `Every ${minutes / 60} hours`;
+  return minutes === 1 ? 'Every minute' : `Every ${minutes} minutes`;
+};
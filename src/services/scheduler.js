@@ -0,0 +1,193 @@
+// src/services/scheduler.js
+// Runs schedules (see scheduleService.js) while the app is open. Every SCHEDULER_INTERVAL_MS the
+// scheduler loads the schedules, works out which runs are due - including runs missed while the app
+// was closed, following each schedule's catch-up policy - and runs them one at a time with the
+// schedule's saved input. Runs are logged in the execution history like manual runs, with
+// `trigger: 'scheduled'`, `scheduleId`, `scheduleName` and `scheduledFor`.
+// A schedule's next run time is saved before its runs start, so a reload during a run does not
+// run it again.
+
+import { getAllAgents, getAllSchedules, getAllWorkflows, saveExecutionLog, saveSchedule, saveWorkflowExecutionLog } from './indexedDB';
+import { getDueRuns } from './scheduleService';
+import { createWorkflowRun, getStopStatus } from './workflowEngine';
+import { formatInputValues, getInputTexts } from './workflowInputs';
+import { getVersionLogFields } from './workflowVersions';
+import { createAgentBudgetGuard } from './budgetService';
+import { createUsageRecorder } from './usageService';
+
+export const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+const runListeners = new Set();
+
+/**
+ * Listen for finished scheduled runs: listener({ schedule, status, error? }). Returns an unsubscribe function.
+ */
+export const onScheduledRun = (listener) => {
+  runListeners.add(listener);
+  return () => runListeners.delete(listener);
+};
+
+const runAgentSchedule = async (schedule, agent, scheduledFor, onRunAgent) => {
+  const params = Object.fromEntries((agent.customParameters || []).map(param => [param.key, param.value]));
+  const usageRecorder = createUsageRecorder();
+  let retries = 0;
+  let status = 'success';
+  let output;
+  let error;
+
+  try {
+    const budget = await createAgentBudgetGuard(agent);
+    output = await onRunAgent(agent, schedule.input, params, [], {
+      onRetry: () => retries++,
+      onUsage: usageRecorder.onUsage,
+      budgets: [budget]
+    });
+  } catch (runError) {
+    status = getStopStatus(runError) || 'error';
+    output = runError.partialOutput || runError.message || 'Error occurred';
+    error = runError.message;
+  }
+
+  await saveExecutionLog({
+    agentId: agent.id,
+    agentName: agent.name,
+    runAt: new Date().toISOString(),
+    input: schedule.input,
+    output,
+    ...(error ? { error } : {}),
+    params,
+    model: agent.model,
+    status,
+    retries,
+    usage: usageRecorder.summary,
+    trigger: 'scheduled',
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    scheduledFor
+  });
+  return { status, error };
+};
+
+const runWorkflowSchedule = async (schedule, workflow, agents, scheduledFor, onRunAgent) => {
+  const declaredInputs = workflow.inputs || [];
+  const hasInputs = declaredInputs.length > 0;
+  const inputValues = schedule.inputValues || {};
+  const input = hasInputs ? formatInputValues(declaredInputs, inputValues) : schedule.input;
+
+  // Approval steps fail here: there is no one to approve them
+  const run = createWorkflowRun(workflow, { agents, onRunAgent });
+  const summary = await run.start(input, { inputs: getInputTexts(declaredInputs, inputValues) });
+
+  await saveWorkflowExecutionLog({
+    workflowId: workflow.id,
+    workflowName: workflow.name,
+    ...getVersionLogFields(workflow),
+    input,
+    ...(hasInputs ? { inputValues } : {}),
+    stepResults: summary.results,
+    retries: summary.retries,
+    usage: summary.usage,
+    runAt: new Date().toISOString(),
+    output: summary.output,
+    ...(summary.error ? { error: summary.error } : {}),
+    status: summary.status,
+    trigger: 'scheduled',
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    scheduledFor
+  });
+  return { status: summary.status, error: summary.error };
+};
+
+/**
+ * Run a schedule's target once for the occurrence at `scheduledFor` (ISO string) and log it.
+ * Resolves with { status, error? }; a missing agent or workflow is an 'error'.
+ */
+export const runSchedule = async (schedule, { onRunAgent, scheduledFor = new Date().toISOString() }) => {
+  const agents = await getAllAgents();
+  if (schedule.targetType === 'workflow') {
+    const workflow = (await getAllWorkflows()).find(item => item.id === schedule.targetId);
+    if (!workflow) return { status: 'error', error: 'The scheduled workflow no longer exists' };
+    return runWorkflowSchedule(schedule, workflow, agents, scheduledFor, onRunAgent);
+  }
+
+  const agent = agents.find(item => item.id === schedule.targetId);
+  if (!agent) return { status: 'error', error: 'The scheduled agent no longer exists' };
+  return runAgentSchedule(schedule, agent, scheduledFor, onRunAgent);
+};
+
+// Store the outcome on the latest copy of the schedule (it may have been edited during the run)
+const recordOutcome = async (scheduleId, { status, error }) => {
+  const schedule = (await getAllSchedules()).find(item => item.id === scheduleId);
+  if (!schedule) return;
+  const updated = await saveSchedule({
+    ...schedule,
+    lastRunAt: new Date().toISOString(),
+    lastStatus: status,
+    lastError: error || null
+  });
+  runListeners.forEach(listener => listener({ schedule: updated, status, error }));
+};
+
+/**
+ * Run `schedule` now, outside its timing, and record the outcome on the schedule
+ */
+export const runScheduleNow = async (schedule, { onRunAgent }) => {
+  const outcome = await runSchedule(schedule, { onRunAgent });
+  await recordOutcome(schedule.id, outcome);
+  return outcome;
+};
+
+/**
+ * Run every schedule that is due at `now` (ms). Once `signal` aborts, no further runs start
+ * (runs already in flight finish).
+ */
+export const runDueSchedules = async ({ onRunAgent, now = Date.now(), signal }) => {
+  const schedules = await getAllSchedules();
+  for (const schedule of schedules) {
+    if (signal?.aborted) return;
+    const { runTimes, missed, nextRunAt } = getDueRuns(schedule, now);
+    // Missed runs the policy skips still move the schedule on
+    if (runTimes.length === 0 && missed === 0) continue;
+
+    await saveSchedule({ ...schedule, nextRunAt: nextRunAt ? new Date(nextRunAt).toISOString() : null });
+    for (const time of runTimes) {
+      if (signal?.aborted) return;
+      let outcome;
+      try {
+        outcome = await runSchedule(schedule, { onRunAgent, scheduledFor: new Date(time).toISOString() });
+      } catch (error) {
+        console.error(`Scheduled run of "${schedule.name}" failed:`, error);
+        outcome = { status: 'error', error: error.message };
+      }
+      await recordOutcome(schedule.id, outcome);
+    }
+  }
+};
+
+/**
+ * Check for due schedules now and every SCHEDULER_INTERVAL_MS. Returns a function that stops the scheduler.
+ */
+export const startScheduler = ({ onRunAgent }) => {
+  const controller = new AbortController();
+  let busy = false;
+  const tick = async () => {
+    // A long run can outlast the interval; the next check waits for it
+    if (busy) return;
+    busy = true;
+    try {
+      await runDueSchedules({ onRunAgent, signal: controller.signal });
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  return () => {
+    clearInterval(timer);
+    controller.abort();
+  };
+};
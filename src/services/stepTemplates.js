@@ -0,0 +1,154 @@
+// src/services/stepTemplates.js
+// Input templates and parameter mapping for workflow steps.
+// A step may carry `inputTemplate` (the text it receives instead of its predecessors' output) and
+// `params: { key: template }` (values for its agent's customParameters). Templates mix plain text
+// with `{{ reference }}` tags, written as JSON paths (see jsonPath.js):
+//   {{input}}                     - the workflow input
+//   {{inputs.topic}}              - one of the workflow's typed inputs (see workflowInputs.js)
+//   {{previous}}                  - what the step would receive without a template
+//   {{steps.Writer}}              - the output of the earlier step named "Writer" (see getStepLabel)
+//   {{steps["Web Researcher"]}}   - the same, for names that are not plain identifiers
+//   {{steps.Writer.items[0]}}     - a field of JSON parsed from that output (also {{input.field}}, ...)
+// References to steps that did not run (a router took another branch) and missing JSON fields
+// render as empty text.
+
+import { parseJsonOutput, parseJsonPath } from './jsonPath';
+import { getAncestors, getStepLabel, isRouterStep } from './workflowGraph';
+
+const TEMPLATE_TAG = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const ROOTS = ['input', 'previous', 'steps', 'inputs'];
+
+/**
+ * The `{{ }}` references in a template, as written
+ */
+export const getTemplateReferences = (template) =>
+  [...String(template ?? '').matchAll(TEMPLATE_TAG)].map(match => match[1]);
+
+/**
+ * Template tag for the output of the step named `name`
+ */
+export const formatStepReference = (name) =>
+  (/^[A-Za-z_$][\w$-]*$/.test(name) ? `{{steps.${name}}}` : `{{steps[${JSON.stringify(name)}]}}`);
+
+/**
+ * Split a reference into its source ({ root, name } - `name` is the step / input for steps and
+ * inputs) and the JSON fields read from it.
+ * Throws on invalid syntax or an unknown root.
+ */
+const parseReference = (reference) => {
+  let segments;
+  try {
+    segments = parseJsonPath(reference);
+  } catch {
+    throw new Error(`{{${reference}}} is not a valid reference`);
+  }
+  const [root, ...fields] = segments;
+  if (!ROOTS.includes(root)) {
+    throw new Error(`{{${reference}}} must start with input, inputs, previous or steps`);
+  }
+  if (root !== 'steps' && root !== 'inputs') return { root, fields };
+
+  const [name, ...namedFields] = fields;
+  if (typeof name !== 'string') {
+    throw new Error(root === 'steps'
+      ? `{{${reference}}} must name a step, e.g. {{steps.Writer}}`
+      : `{{${reference}}} must name an input, e.g. {{inputs.topic}}`);
+  }
+  return { root, name, fields: namedFields };
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Fill in a template. `context` is { input, inputs: { [key]: text }, previous, steps: { [step name]: output } }.
+ * Throws when a reference is invalid or reads JSON fields from an output that is not JSON.
+ */
+export const renderTemplate = (template, context) =>
+  String(template ?? '').replace(TEMPLATE_TAG, (tag, reference) => {
+    const { root, name, fields } = parseReference(reference);
+    const source = name !== undefined ? context[root]?.[name] : context[root];
+    if (fields.length === 0 || source === undefined || source === null) return toText(source);
+
+    let data;
+    try {
+      data = parseJsonOutput(source);
+    } catch {
+      const described = root === 'steps' ? `the output of "${name}"` : root === 'inputs' ? `the input "${name}"` : `the ${root}`;
+      throw new Error(`${tag} reads a JSON field, but ${described} is not JSON`);
+    }
+    return toText(fields.reduce(
+      (value, field) => (value === null || value === undefined ? undefined : value[field]),
+      data
+    ));
+  });
+
+/**
+ * Input of a step: its `inputTemplate` rendered against `context`, or `context.previous` when it has
+ * none (routers always classify their default input). Throws like renderTemplate.
+ */
+export const getStepInput = (step, context) => {
+  if (isRouterStep(step) || !step?.inputTemplate?.trim()) return context.previous;
+  return renderTemplate(step.inputTemplate, context);
+};
+
+/**
+ * Custom parameter values for an agent step: the agent's defaults, overridden by the step's
+ * `params` (rendered against `context`; empty values keep the default)
+ */
+export const getStepParams = (step, agent, context) => {
+  const params = Object.fromEntries((agent?.customParameters || []).map(param => [param.key, param.value]));
+  Object.entries(step?.params || {}).forEach(([key, template]) => {
+    if (template === undefined || template === null || String(template).trim() === '') return;
+    params[key] = context ? renderTemplate(template, context) : template;
+  });
+  return params;
+};
+
+/**
+ * Names an input template of `stepId` can refer to: the steps that always run before it
+ */
+export const getReferenceableSteps = (graph, stepId, agents = []) => {
+  const ancestors = getAncestors(graph, stepId);
+  return graph.steps
+    .filter(step => ancestors.includes(step.id))
+    .map(step => ({ id: step.id, name: getStepLabel(step, agents) }));
+};
+
+/**
+ * First problem with the input templates / parameter mappings of a graph's steps, or null.
+ * `inputs` are the workflow's declared inputs.
+ */
+export const validateStepInputs = (graph, agents = [], inputs = []) => {
+  for (const step of graph.steps) {
+    const templates = [step.inputTemplate, ...Object.values(step.params || {})];
+    const references = templates.flatMap(getTemplateReferences);
+    if (references.length === 0) continue;
+
+    const label = getStepLabel(step, agents);
+    const earlier = getReferenceableSteps(graph, step.id, agents);
+    for (const reference of references) {
+      let parsed;
+      try {
+        parsed = parseReference(reference);
+      } catch (error) {
+        return `"${label}": ${error.message}`;
+      }
+      if (parsed.root === 'inputs' && !inputs.some(input => input.key === parsed.name)) {
+        return `"${label}" refers to the input "${parsed.name}", which this workflow does not declare`;
+      }
+      if (parsed.root !== 'steps') continue;
+
+      const matches = earlier.filter(other => other.name === parsed.name);
+      if (matches.length === 0) {
+        return `"${label}" refers to "${parsed.name}", which is not an earlier step`;
+      }
+      if (matches.length > 1) {
+        return `"${label}" refers to "${parsed.name}", but several earlier steps have that name. Give them different names`;
+      }
+    }
+  }
+  return null;
+};
@@ -1,20 +1,36 @@
 // src/services/toolExecutor.js
 // This service handles the actual execution of tools
 
+import { createTimeoutSignal, isAbortError, throwIfAborted } from './cancellation';
+import { SANDBOX_TIMEOUT_MS, getToolCapabilities, runInSandbox } from './toolSandbox';
+import { evaluateExpression, isExpressionError } from './mathExpression';
+import { analyzeData } from './dataAnalysis';
+
 /**
  * Execute a tool function with the provided arguments
  * @param {Object} tool - The tool object from the database
- * @param {Object} args - Arguments to pass to the tool
+ * @param {Object} rawArgs - Arguments to pass to the tool (coerced to the declared parameter types)
+ * @param {Object} options - { signal?: AbortSignal, timeoutMs?: number }
+ *   `signal` cancels the tool; cancellation is thrown, not returned.
+ *   `timeoutMs` stops a slow tool; the timeout is returned as an error result like any other tool failure.
+ *   Custom code is always stopped after SANDBOX_TIMEOUT_MS when no timeout is set.
  * @returns {Promise<any>} - The result of the tool execution
  */
-export async function executeTool(tool, args) {
-  console.log(`🔧 Executing tool: ${tool.name}`, args);
+export async function executeTool(tool, rawArgs, options = {}) {
+  console.log(`🔧 Executing tool: ${tool.name}`, rawArgs);
+  const hasCustomCode = Boolean(tool.codeImplementation && tool.codeImplementation.trim());
+  const timeoutMs = hasCustomCode ? options.timeoutMs || SANDBOX_TIMEOUT_MS : options.timeoutMs;
+  const timeout = createTimeoutSignal(options.signal, timeoutMs);
+  const { signal } = timeout;
 
   try {
+    throwIfAborted(signal);
+    const args = coerceArguments(tool, rawArgs);
+
     // If tool has custom code implementation, use that
-    if (tool.codeImplementation && tool.codeImplementation.trim()) {
+    if (hasCustomCode) {
       console.log('📝 Using custom code implementation');
-      return await executeCustomCode(tool, args);
+      return await executeCustomCode(tool, args, signal);
     }
     
     // Otherwise, route to built-in implementations
@@ -26,7 +42,7 @@ export async function executeTool(tool, args) {
         return await executeDataAnalyzer(args);
       
       case 'api_caller':
-        return await executeApiCaller(args);
+        return await executeApiCaller(args, signal);
 
       case 'current_datetime':
         return await executeCurrentDateTime(args);
@@ -38,49 +54,39 @@ export async function executeTool(tool, args) {
         throw new Error(`Tool '${tool.name}' is not implemented and has no custom code`);
     }
   } catch (error) {
+    if (isAbortError(error) && timeout.timedOut) {
+      console.warn(`⏱️ Tool ${tool.name} timed out after ${timeoutMs}ms`);
+      return {
+        error: true,
+        timedOut: true,
+        message: `Tool '${tool.name}' timed out after ${timeoutMs / 1000}s`,
+        toolName: tool.name
+      };
+    }
+    if (isAbortError(error)) throw error;
     console.error(`Error executing tool ${tool.name}:`, error);
     return {
       error: true,
       message: error.message,
       toolName: tool.name
     };
+  } finally {
+    timeout.clear();
   }
 }
 
 /**
- * Execute custom user-provided JavaScript code
- * WARNING: This uses eval which can be dangerous. Only run trusted code.
+ * Execute custom user-provided JavaScript code in a sandbox worker (see toolSandbox.js).
+ * `execute(args)` only reaches the APIs its `tool.capabilities` allow; cancelling terminates the worker.
  */
-async function executeCustomCode(tool, args) {
+async function executeCustomCode(tool, args, signal) {
   try {
-    console.log('⚠️ Executing custom code - ensure this is from a trusted source');
-    
-    // Create a sandboxed function
-    // The code should define an 'execute' function or return a function
-    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-    
-    // Wrap the user code to extract the execute function
-    const wrappedCode = `
-      ${tool.codeImplementation}
-      
-      // If execute function is defined, return it
-      if (typeof execute === 'function') {
-        return execute;
-      }
-      
-      // Otherwise, the code itself should be a function
-      throw new Error('Code must define an "execute" function');
-    `;
-    
-    // Create and run the code
-    const codeFactory = new AsyncFunction(wrappedCode);
-    const executeFunction = await codeFactory();
-    
-    // Execute with args
-    const result = await executeFunction(args);
-    
-    return result;
+    return await runInSandbox(tool.codeImplementation, args, {
+      capabilities: getToolCapabilities(tool),
+      signal
+    });
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Custom code execution error:', error);
     throw new Error(`Custom code execution failed: ${error.message}`);
   }
@@ -89,72 +95,39 @@ async function executeCustomCode(tool, args) {
 // ==================== TOOL IMPLEMENTATIONS ====================
 
 async function executeCalculator(args) {
-  const { expression } = args;
-  
+  const { expression, variables, precision } = args;
+
   try {
-    // Safe math evaluation (you might want to use a library like math.js for production)
-    // This is a simple implementation
-    const sanitized = expression.replace(/[^0-9+\-*/().\s]/g, '');
-    
-    // Basic validation
-    if (!sanitized) {
-      throw new Error('Invalid mathematical expression');
-    }
-    
-    // Evaluate using Function constructor (be careful with user input in production!)
-    const result = Function(`'use strict'; return (${sanitized})`)();
-    
+    const { result, unit, approximate } = evaluateExpression(expression, { variables, precision: precision || 'float' });
+
     return {
       success: true,
       expression: expression,
-      result: result
+      result: result,
+      ...(unit && { unit }),
+      ...(precision === 'decimal' && { precision, approximate })
     };
   } catch (error) {
-    throw new Error(`Calculation failed: ${error.message}`);
+    if (!isExpressionError(error)) throw error;
+    // Returned instead of thrown so the model gets the code, position and hint to fix its call
+    return {
+      success: false,
+      error: true,
+      code: error.code,
+      message: `Calculation failed: ${error.message}`,
+      ...(error.position !== null && { position: error.position }),
+      ...(error.hint && { hint: error.hint }),
+      expression: expression,
+      toolName: 'calculator'
+    };
   }
 }
 
 async function executeDataAnalyzer(args) {
-  const { data, analysis_type = 'summary' } = args;
-  
-  if (!Array.isArray(data) || data.length === 0) {
-    throw new Error('Data must be a non-empty array');
-  }
-  
-  // Convert to numbers if possible
-  const numbers = data.map(d => typeof d === 'number' ? d : parseFloat(d)).filter(n => !isNaN(n));
-  
-  if (numbers.length === 0) {
-    throw new Error('No valid numeric data found');
-  }
-  
-  // Calculate basic statistics
-  const sorted = [...numbers].sort((a, b) => a - b);
-  const sum = numbers.reduce((acc, val) => acc + val, 0);
-  const mean = sum / numbers.length;
-  const median = sorted.length % 2 === 0
-    ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
-    : sorted[Math.floor(sorted.length / 2)];
-  
-  const variance = numbers.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / numbers.length;
-  const stdDev = Math.sqrt(variance);
-  
-  return {
-    success: true,
-    analysis_type: analysis_type,
-    count: numbers.length,
-    sum: sum,
-    mean: mean,
-    median: median,
-    min: sorted[0],
-    max: sorted[sorted.length - 1],
-    range: sorted[sorted.length - 1] - sorted[0],
-    variance: variance,
-    standardDeviation: stdDev
-  };
+  return analyzeData(args);
 }
 
-async function executeApiCaller(args) {
+async function executeApiCaller(args, signal) {
   const { url, method = 'GET', headers = {}, body = null } = args;
   
   try {
@@ -163,7 +136,8 @@ async function executeApiCaller(args) {
       headers: {
         'Content-Type': 'application/json',
         ...headers
-      }
+      },
+      signal
     };
     
     if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
@@ -181,6 +155,7 @@ async function executeApiCaller(args) {
       data: data
     };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     throw new Error(`API call failed: ${error.message}`);
   }
 }
@@ -230,28 +205,162 @@ async function executeUuidGenerator() {
 }
 
 /**
- * Parse function calls from LLM response
- * Looks for JSON function call format in the response
+ * Function names accepted by native function-calling APIs: [a-zA-Z_][a-zA-Z0-9_.-]{0,63}
+ */
+export function toFunctionName(toolName) {
+  const name = (toolName || '').trim().replace(/[^a-zA-Z0-9_.-]/g, '_');
+  return (/^[a-zA-Z_]/.test(name) ? name : `_${name}`).slice(0, 64);
+}
+
+const schemaForParameterType = (type) => {
+  switch (type) {
+    case 'number':
+    case 'integer':
+    case 'boolean':
+    case 'string':
+      return { type };
+    case 'array':
+      return { type: 'array', items: {} };
+    case 'object':
+      return { type: 'object' };
+    default:
+      return { type: 'string' };
+  }
+};
+
+/**
+ * Build a provider-neutral function declaration (JSON Schema parameters) from a tool record
+ * @param {Object} tool - The tool object from the database
+ * @returns {{name: string, description: string, parameters: Object}}
+ */
+export function buildToolDeclaration(tool) {
+  const properties = {};
+  const required = [];
+
+  (tool.parameters || []).forEach(param => {
+    properties[param.name] = {
+      ...schemaForParameterType(param.type),
+      description: param.description || ''
+    };
+    if (param.required) {
+      required.push(param.name);
+    }
+  });
+
+  const description = (tool.description || '').trim().replace(/([^.!?])$/, '$1.');
+  const returns = tool.returnType ? ` Returns: ${tool.returnType}.` : '';
+
+  return {
+    name: toFunctionName(tool.name),
+    description: `${description}${returns}`.trim(),
+    parameters: {
+      type: 'object',
+      properties,
+      required
+    }
+  };
+}
+
+/**
+ * Coerce arguments to the types declared by the tool.
+ * Providers that can't express free-form objects/arrays send them as JSON strings.
+ */
+function coerceArguments(tool, args) {
+  if (!args || typeof args !== 'object' || !Array.isArray(tool.parameters)) {
+    return args || {};
+  }
+
+  const coerced = { ...args };
+  tool.parameters.forEach(param => {
+    const value = coerced[param.name];
+    if (typeof value !== 'string') return;
+
+    if (param.type === 'array' || param.type === 'object') {
+      try {
+        coerced[param.name] = JSON.parse(value);
+      } catch {
+        // Leave as-is, the tool reports its own validation error
+      }
+    } else if (param.type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+      coerced[param.name] = Number(value);
+    } else if (param.type === 'boolean' && (value === 'true' || value === 'false')) {
+      coerced[param.name] = value === 'true';
+    }
+  });
+
+  return coerced;
+}
+
+/**
+ * Find the end index of a balanced JSON object starting at `start` (which must be '{')
+ */
+function findObjectEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse function calls from LLM response text.
+ * Fallback for providers without native function calling: scans for balanced
+ * {"function": "tool_name", "arguments": {...}} objects (nested arguments are fine).
  */
 export function parseFunctionCalls(text) {
   const functionCalls = [];
-  
-  // Look for function call patterns in the text
-  // Format: {"function": "tool_name", "arguments": {...}}
-  const functionCallRegex = /\{[\s\S]*?"function"[\s\S]*?:[\s\S]*?"([^"]+)"[\s\S]*?,[\s\S]*?"arguments"[\s\S]*?:[\s\S]*?\{[\s\S]*?\}[\s\S]*?\}/g;
-  
-  let match;
-  while ((match = functionCallRegex.exec(text)) !== null) {
-    try {
-      const callData = JSON.parse(match[0]);
+  if (!text) return functionCalls;
+
+  let index = text.indexOf('{');
+  while (index !== -1) {
+    const end = findObjectEnd(text, index);
+    if (end === -1) break;
+
+    const candidate = text.slice(index, end + 1);
+    let callData = null;
+    if (candidate.includes('"function"')) {
+      try {
+        callData = JSON.parse(candidate);
+      } catch {
+        console.warn('Failed to parse function call:', candidate);
+      }
+    }
+
+    if (callData && typeof callData.function === 'string') {
       functionCalls.push({
         name: callData.function,
-        arguments: callData.arguments
+        arguments: callData.arguments && typeof callData.arguments === 'object' ? callData.arguments : {}
       });
-    } catch (e) {
-      console.warn('Failed to parse function call:', match[0]);
+      index = text.indexOf('{', end + 1);
+    } else {
+      // Not a call at this level - look inside it for nested ones
+      index = text.indexOf('{', index + 1);
     }
   }
-  
+
   return functionCalls;
 }
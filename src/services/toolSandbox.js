@@ -0,0 +1,147 @@
+// src/services/toolSandbox.js
+// Runs custom tool code (`tool.codeImplementation`) in a Web Worker instead of on the page.
+// The worker starts from a data: URL, so it has an opaque origin: no DOM and no access to the
+// app's localStorage (API keys), IndexedDB or cookies. Abilities beyond plain computation are
+// opt-in per tool through `tool.capabilities` (see TOOL_CAPABILITIES); blocked APIs throw an error
+// naming the capability to enable. Every run gets a fresh worker that is terminated when the run
+// settles or is cancelled, so a runaway loop and the memory it holds go with it.
+
+import { createAbortError, throwIfAborted } from './cancellation';
+
+export const TOOL_CAPABILITIES = [
+  {
+    id: 'network',
+    label: 'Network access',
+    description: 'fetch, XMLHttpRequest, WebSocket, EventSource and import(), and with it code built from strings (eval, new Function). Requests are sent without the app\'s origin (Origin: null), so only APIs that allow any origin answer.'
+  }
+];
+
+// Wall-clock limit for custom code when the caller sets none (see executeTool)
+export const SANDBOX_TIMEOUT_MS = 30000;
+
+/**
+ * Capabilities a tool has been granted (unknown ids are ignored; none by default)
+ */
+export const getToolCapabilities = (tool) => TOOL_CAPABILITIES
+  .map(capability => capability.id)
+  .filter(id => Array.isArray(tool?.capabilities) && tool.capabilities.includes(id));
+
+// Runs inside the worker. It is sent as source text, so it must not use anything from this module.
+function sandboxWorker() {
+  // Code built from strings could call import() and load remote code, so it needs "network" too
+  const GATED = { network: ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'WebTransport', 'eval', 'Function'] };
+  const ALWAYS_BLOCKED = ['indexedDB', 'caches', 'importScripts', 'Worker', 'SharedWorker', 'BroadcastChannel'];
+  const post = self.postMessage.bind(self);
+  // Taken before the function constructors are blocked; compiles the tool's own code
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+  // Every kind of function reaches a constructor through `.constructor`
+  const FUNCTION_PROTOTYPES = [function () {}, async function () {}, function* () {}, async function* () {}]
+    .map(fn => Object.getPrototypeOf(fn));
+
+  const block = (name, reason, target = self) => {
+    try {
+      Object.defineProperty(target, name, {
+        get() {
+          throw new Error(`${name} is not available to this tool: ${reason}`);
+        },
+        configurable: false
+      });
+    } catch {
+      // Not defined in this browser
+    }
+  };
+
+  const describe = (error) => {
+    if (!(error instanceof Error)) return String(error);
+    return error.name && error.name !== 'Error' ? `${error.name}: ${error.message}` : error.message;
+  };
+
+  self.onmessage = async ({ data }) => {
+    self.onmessage = null;
+    const { code, args, capabilities } = data;
+
+    Object.entries(GATED).forEach(([capability, names]) => {
+      if (capabilities.includes(capability)) return;
+      names.forEach(name => block(name, `enable the "${capability}" capability in the tool's settings`));
+    });
+    if (!capabilities.includes('network')) {
+      const reason = 'enable the "network" capability in the tool\'s settings';
+      FUNCTION_PROTOTYPES.forEach(prototype => block('constructor', reason, prototype));
+      // Timers also compile string handlers
+      ['setTimeout', 'setInterval'].forEach(name => {
+        const timer = self[name].bind(self);
+        self[name] = (handler, ...rest) => {
+          if (typeof handler !== 'function') throw new Error(`${name} with a code string is not available to this tool: ${reason}`);
+          return timer(handler, ...rest);
+        };
+      });
+    }
+    ALWAYS_BLOCKED.forEach(name => block(name, 'custom tools run in a sandbox'));
+
+    try {
+      const factory = new AsyncFunction(`${code}
+        if (typeof execute === 'function') return execute;
+        throw new Error('Code must define an "execute" function');`);
+      const execute = await factory();
+      // The run is cancelled by terminating the worker, so this signal never aborts
+      const result = await execute(args, { signal: new AbortController().signal });
+      try {
+        post({ type: 'result', result });
+      } catch {
+        post({ type: 'error', message: 'The tool returned a value that cannot be passed back (e.g. a function). Return plain data.' });
+      }
+    } catch (error) {
+      post({ type: 'error', message: describe(error) });
+    }
+  };
+}
+
+let workerUrl = null;
+const getWorkerUrl = () => {
+  workerUrl = workerUrl || `data:text/javascript;charset=utf-8,${encodeURIComponent(`(${sandboxWorker.toString()})();`)}`;
+  return workerUrl;
+};
+
+/**
+ * Run `code` (which defines `execute(args)`) in a fresh sandbox worker and resolve with its result.
+ * Rejects with the tool's error, or with an AbortError (worker terminated) when `signal` aborts.
+ * @param {Object} options - { capabilities?: string[], signal?: AbortSignal }
+ */
+export const runInSandbox = (code, args, { capabilities = [], signal } = {}) => {
+  try {
+    throwIfAborted(signal);
+    if (typeof Worker === 'undefined') {
+      throw new Error('Custom tool code needs Web Workers, which are not available here');
+    }
+    // import() loads code over the network, even with the network APIs blocked. This catches it in
+    // the source; the worker blocks the ways of compiling it from strings at runtime.
+    if (!capabilities.includes('network') && /\bimport\s*(?:\/\*[\s\S]*?\*\/\s*|\/\/[^\n]*\n\s*)*\(/.test(code)) {
+      throw new Error('import() is not available to this tool: enable the "network" capability in the tool\'s settings');
+    }
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(getWorkerUrl());
+    const settle = (callback, value) => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    const onAbort = () => settle(reject, createAbortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data?.type === 'result') settle(resolve, data.result);
+      else settle(reject, new Error(data?.message || 'The tool failed'));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      settle(reject, new Error(event.message || 'The tool stopped unexpectedly'));
+    };
+    worker.onmessageerror = () => settle(reject, new Error('The tool result could not be read'));
+
+    worker.postMessage({ code, args, capabilities });
+  });
+};
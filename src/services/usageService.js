@@ -0,0 +1,170 @@
+// src/services/usageService.js
+// Token usage and cost bookkeeping for runs, plus the aggregation behind the usage dashboard.
+// Runners collect usage through the `onUsage` option of executeAgent and store a summary
+// in the execution log: { calls, promptTokens, candidatesTokens, totalTokens, cost, byModel }.
+
+import { estimateCost } from '../constants/models';
+
+const emptyCounts = () => ({
+  calls: 0,
+  promptTokens: 0,
+  candidatesTokens: 0,
+  totalTokens: 0,
+  cost: 0
+});
+
+const addCounts = (target, counts) => ({
+  calls: target.calls + (counts.calls ?? 1),
+  promptTokens: target.promptTokens + (counts.promptTokens || 0),
+  candidatesTokens: target.candidatesTokens + (counts.candidatesTokens || 0),
+  totalTokens: target.totalTokens + (counts.totalTokens || 0),
+  cost: target.cost + (counts.cost || 0)
+});
+
+/**
+ * Empty usage summary
+ */
+export const createUsageSummary = () => ({ ...emptyCounts(), byModel: {} });
+
+/**
+ * Add one call reported through `onUsage` to a summary (returns a new summary)
+ */
+export const addUsage = (summary, usage) => {
+  const counts = { ...usage, calls: 1, cost: estimateCost(usage.model, usage) };
+  return {
+    ...addCounts(summary, counts),
+    byModel: {
+      ...summary.byModel,
+      [usage.model]: addCounts(summary.byModel[usage.model] || emptyCounts(), counts)
+    }
+  };
+};
+
+/**
+ * Combine several summaries (e.g. workflow steps into the workflow total)
+ */
+export const mergeUsage = (...summaries) => {
+  return summaries.filter(Boolean).reduce((total, summary) => {
+    const byModel = { ...total.byModel };
+    Object.entries(summary.byModel || {}).forEach(([model, counts]) => {
+      byModel[model] = addCounts(byModel[model] || emptyCounts(), counts);
+    });
+    return { ...addCounts(total, summary), byModel };
+  }, createUsageSummary());
+};
+
+/**
+ * Collect the usage of one run: pass `recorder.onUsage` to executeAgent, read `recorder.summary` afterwards
+ */
+export const createUsageRecorder = () => {
+  let summary = createUsageSummary();
+  return {
+    onUsage: (usage) => {
+      summary = addUsage(summary, usage);
+    },
+    get summary() {
+      return summary;
+    }
+  };
+};
+
+/**
+ * Flatten execution logs into one row per run and model (workflow runs: per step and model).
+ * Logs written before usage tracking have no `usage` and are skipped.
+ */
+export const getUsageEntries = (agentLogs = [], workflowLogs = []) => {
+  const entries = [];
+
+  agentLogs.forEach(log => {
+    Object.entries(log.usage?.byModel || {}).forEach(([model, counts]) => {
+      entries.push({
+        source: 'agent',
+        runId: log.id,
+        runAt: log.runAt,
+        agentId: log.agentId,
+        agentName: log.agentName,
+        workflowId: null,
+        workflowName: null,
+        model,
+        ...counts
+      });
+    });
+  });
+
+  workflowLogs.forEach(log => {
+    (log.stepResults || []).forEach(step => {
+      Object.entries(step.usage?.byModel || {}).forEach(([model, counts]) => {
+        entries.push({
+          source: 'workflow',
+          runId: log.id,
+          runAt: log.runAt,
+          agentId: step.agentId,
+          agentName: step.agentName,
+          workflowId: log.workflowId,
+          workflowName: log.workflowName,
+          model,
+          ...counts
+        });
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Filter usage rows. Dates are "YYYY-MM-DD" strings compared in local time; empty filters match everything.
+ */
+export const filterUsageEntries = (entries, { agentId, workflowId, model, from, to } = {}) => {
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  return entries.filter(entry => {
+    const time = new Date(entry.runAt).getTime();
+    return (!agentId || entry.agentId === agentId)
+      && (!workflowId || entry.workflowId === workflowId)
+      && (!model || entry.model === model)
+      && time >= fromTime
+      && time <= toTime;
+  });
+};
+
+/**
+ * Aggregate rows by a key ("model", "agentId", "workflowId", "day"), most expensive first
+ */
+export const groupUsage = (entries, groupBy) => {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const key = groupBy === 'day'
+      ? new Date(entry.runAt).toLocaleDateString()
+      : entry[groupBy];
+    if (key === null || key === undefined) return;
+
+    const label = groupBy === 'agentId' ? entry.agentName
+      : groupBy === 'workflowId' ? entry.workflowName
+      : key;
+
+    const group = groups.get(key) || { key, label, runIds: new Set(), ...emptyCounts() };
+    groups.set(key, { ...group, ...addCounts(group, entry), runIds: group.runIds.add(entry.runId) });
+  });
+
+  return [...groups.values()]
+    .map(({ runIds, ...group }) => ({ ...group, runs: runIds.size }))
+    .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+};
+
+/**
+ * Totals over a set of rows
+ */
+export const summarizeUsageEntries = (entries) => {
+  const totals = entries.reduce((sum, entry) => addCounts(sum, entry), emptyCounts());
+  return { ...totals, runs: new Set(entries.map(entry => entry.runId)).size };
+};
+
+export const formatCost = (cost = 0) => {
+  if (cost > 0 && cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens = 0) => tokens.toLocaleString();
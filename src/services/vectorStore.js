@@ -1,5 +1,7 @@
 // src/services/vectorStore.js
 import { openDB } from 'idb';
+import { embedContent } from './providers';
+import { EMBEDDING_MODEL } from '../constants/models';
 
 const DB_NAME = 'GenAgentX_VectorStore';
 const STORE_NAME = 'documents';
@@ -24,29 +26,13 @@ const initVectorDB = async () => {
 };
 
 /**
- * Generate embeddings using Gemini API
+ * Generate embeddings through the provider registry.
+ * `apiKey` is optional and falls back to the configured key for the embedding provider.
+ * `options.onUsage` receives the token counts of the call (see providers/index.js).
  */
-export const generateEmbedding = async (text, apiKey) => {
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${apiKey}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'models/text-embedding-004',
-        content: {
-          parts: [{ text }]
-        }
-      })
-    }
-  );
-
-  const data = await response.json();
-  if (!response.ok) {
-    throw new Error(data.error?.message || 'Failed to generate embedding');
-  }
-
-  return data.embedding.values;
+export const generateEmbedding = async (text, apiKey, options = {}) => {
+  const { values } = await embedContent(EMBEDDING_MODEL, text, { apiKey, onUsage: options.onUsage });
+  return values;
 };
 
 /**
@@ -79,7 +65,7 @@ const cosineSimilarity = (vecA, vecB) => {
 /**
  * Add document to vector store
  */
-export const addDocument = async (agentId, filename, content, apiKey) => {
+export const addDocument = async (agentId, filename, content, apiKey, options = {}) => {
   const db = await initVectorDB();
   const chunks = chunkText(content);
   
@@ -87,7 +73,7 @@ export const addDocument = async (agentId, filename, content, apiKey) => {
   
   for (let i = 0; i < chunks.length; i++) {
     const chunk = chunks[i];
-    const embedding = await generateEmbedding(chunk, apiKey);
+    const embedding = await generateEmbedding(chunk, apiKey, options);
     
     documents.push({
       agentId,
@@ -111,9 +97,9 @@ export const addDocument = async (agentId, filename, content, apiKey) => {
 /**
  * Search similar documents
  */
-export const searchSimilarDocuments = async (agentId, query, apiKey, topK = 5) => {
+export const searchSimilarDocuments = async (agentId, query, apiKey, topK = 5, options = {}) => {
   const db = await initVectorDB();
-  const queryEmbedding = await generateEmbedding(query, apiKey);
+  const queryEmbedding = await generateEmbedding(query, apiKey, options);
   
   const tx = db.transaction(STORE_NAME, 'readonly');
   const index = tx.store.index('agentId');
@@ -0,0 +1,55 @@
+// src/services/workflowCheckpoints.js
+// Resuming workflow runs. The runner rewrites a run's execution log after every step, so the
+// log's `stepResults` double as a checkpoint: a failed, stopped, interrupted or paused (waiting for
+// an approval, see approvalSteps.js) run can continue
+// from the steps that did not finish, reusing the outputs (and router branches) of the others.
+// The resumed run is logged on its own, with `resumedFrom` set to the original log's id.
+
+const FINISHED = ['success', 'skipped'];
+
+/**
+ * Whether a workflow log can be resumed: it did not succeed and its steps carry ids
+ * (runs logged before workflow graphs cannot be mapped back onto the steps)
+ */
+export const isResumable = (log) =>
+  Boolean(log)
+  && log.status !== 'success'
+  && Array.isArray(log.stepResults)
+  && log.stepResults.every(result => result.stepId);
+
+/**
+ * The step a resume starts from: the first one (in execution order) that failed, was stopped or
+ * waits for approval (status 'pending')
+ */
+export const getFailedStepResult = (log) =>
+  [...(log?.stepResults || [])]
+    .sort((a, b) => a.step - b.step)
+    .find(result => !FINISHED.includes(result.status)) || null;
+
+/**
+ * What a resumed run starts with, limited to steps that still exist in `graph`:
+ * `completed` for executeWorkflowGraph ({ outputs, branches, skipped }) and the reused step results
+ * (marked `reused`, without usage so costs are not counted twice)
+ */
+export const getResumeState = (log, graph) => {
+  const stepIds = new Set(graph.steps.map(step => step.id));
+  const finished = (log.stepResults || []).filter(result => stepIds.has(result.stepId) && FINISHED.includes(result.status));
+
+  const completed = { outputs: {}, branches: {}, skipped: [] };
+  finished.forEach(result => {
+    if (result.status === 'skipped') {
+      completed.skipped.push(result.stepId);
+      return;
+    }
+    completed.outputs[result.stepId] = result.output;
+    if (result.branch) completed.branches[result.stepId] = result.branch;
+  });
+
+  const results = finished.map(result => {
+    const reused = { ...result, reused: true };
+    delete reused.usage;
+    delete reused.retries;
+    return reused;
+  });
+  return { completed, results };
+};
@@ -0,0 +1,370 @@
+// src/services/workflowEngine.js
+// The headless workflow engine. It runs a workflow graph (see executeWorkflowGraph) with every step
+// type - agents, routers, foreach / loop steps and approvals - under the workflow's and agents'
+// budgets, records a result per step and reports what happens as events. UIs subscribe to the
+// events instead of running steps themselves; persisting the run (see workflowCheckpoints.js) is
+// left to them.
+//
+// Events (listener payloads):
+//   run:started    { results }                        results reused from a resumed run (else empty)
+//   step:started   { stepId, step, label, input }
+//   step:output    { stepId, streamKey, title, text }  streamed text of an agent call; text is null
+//                                                     once that call ends. streamKey is the step id,
+//                                                     or step id and item / iteration in loops
+//   step:retry     { stepId, retry }                  a model call is retried (see withRetry in providers/index.js)
+//   step:progress  { stepId, progress }               foreach / loop progress ({ done, total })
+//   step:approval  { stepId, label, input, instructions }  an approval step waits; answer with respond()
+//   step:finished  { result }                         a step succeeded or was skipped
+//   step:error     { result, error }                  a step failed, was stopped or rejected
+//   run:finished   summary                            the same object start() resolves with
+
+import { executeWorkflowGraph } from './chainExecutor';
+import { getWorkflowGraph, getStepLabel, isRouterStep } from './workflowGraph';
+import { evaluateRouter, getBranchLabel } from './routerService';
+import { isLoopStep, runForEachStep, runLoopStep } from './loopSteps';
+import { createRejectionError, describeDecision, getApprovalSettings, isApprovalStep, isRejectionError } from './approvalSteps';
+import { getStepInput, getStepParams } from './stepTemplates';
+import { getResumeState } from './workflowCheckpoints';
+import { isAbortError, raceWithSignal } from './cancellation';
+import { checkBudgets, createAgentBudgetGuard, createWorkflowBudgetGuard, isBudgetError } from './budgetService';
+import { createUsageRecorder, mergeUsage } from './usageService';
+
+/**
+ * Status of a run or step stopped on purpose (not a failure), or null.
+ * Stopped runs keep their partial output.
+ */
+export const getStopStatus = (error) => {
+  if (isAbortError(error)) return 'cancelled';
+  if (isBudgetError(error)) return 'budget_exceeded';
+  return isRejectionError(error) ? 'rejected' : null;
+};
+
+const byStep = (a, b) => a.step - b.step;
+
+/**
+ * Create a run of `workflow`. `onRunAgent(agent, input, customParams, files, options)` calls a model
+ * (see executeAgent). Subscribe with `on(type, listener)` (returns an unsubscribe function), then
+ * call `start()` once.
+ */
+export const createWorkflowRun = (workflow, { agents = [], onRunAgent }) => {
+  const graph = getWorkflowGraph(workflow);
+  const listeners = {};
+  const results = [];
+  // Approval steps waiting for a decision: { [stepId]: { result, resolve } }
+  const pending = {};
+
+  const on = (type, listener) => {
+    listeners[type] = [...(listeners[type] || []), listener];
+    return () => {
+      listeners[type] = listeners[type].filter(other => other !== listener);
+    };
+  };
+
+  const emit = (type, payload) => {
+    (listeners[type] || []).forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Workflow event listener for ${type} failed:`, error);
+      }
+    });
+  };
+
+  /**
+   * Step results so far in execution order (approval steps still waiting are included as 'pending'),
+   * with their combined usage and retries
+   */
+  const getState = () => ({
+    results: [...results, ...Object.values(pending).map(entry => entry.result)].sort(byStep),
+    usage: mergeUsage(...results.map(result => result.usage)),
+    retries: results.reduce((sum, result) => sum + (result.retries || 0), 0),
+    awaitingApproval: Object.keys(pending).length > 0
+  });
+
+  /**
+   * Answer a waiting approval step: { approved, text (what to pass on), comment }
+   */
+  const respond = (stepId, decision) => {
+    pending[stepId]?.resolve(decision);
+  };
+
+  const finishStep = (result) => {
+    results.push(result);
+    emit('step:finished', { result });
+  };
+
+  const failStep = (result, error) => {
+    const status = getStopStatus(error);
+    const failed = {
+      ...result,
+      output: result.output ?? null,
+      error: status === 'cancelled' ? 'Cancelled' : error.message,
+      status: status || 'error'
+    };
+    results.push(failed);
+    emit('step:error', { result: failed, error });
+  };
+
+  /**
+   * Run the workflow. `inputs` are the typed input values as text (for templates); `resume`
+   * ({ log, inputOverrides }) continues a logged run, reusing its finished steps, with
+   * `inputOverrides` ({ [stepId]: text }) replacing the input of the given steps.
+   * Resolves with { status, output, error?, results, usage, retries } and never rejects.
+   */
+  const start = async (input, { signal, inputs = {}, resume } = {}) => {
+    const resumeState = resume ? getResumeState(resume.log, graph) : null;
+    results.push(...(resumeState?.results || []));
+    emit('run:started', { results: [...results] });
+    let workflowBudget;
+
+    // One agent call within a step, under the workflow budget and the agent's own budget
+    const callAgent = async (agent, agentInput, { stepId, customParams, signal: stepSignal, usageRecorder, onRetry, onText, streamKey = stepId, title }) => {
+      const agentBudget = await createAgentBudgetGuard(agent);
+      let streaming = false;
+      try {
+        return await onRunAgent(agent, agentInput, customParams, [], {
+          onToken: (token, text) => {
+            streaming = true;
+            onText?.(text);
+            emit('step:output', { stepId, streamKey, title, text });
+          },
+          onRetry: (info) => {
+            onRetry?.();
+            emit('step:retry', { stepId, retry: info });
+          },
+          onUsage: usageRecorder.onUsage,
+          signal: stepSignal,
+          budgets: [workflowBudget, agentBudget],
+        });
+      } finally {
+        if (streaming) emit('step:output', { stepId, streamKey, title, text: null });
+      }
+    };
+
+    // Routers resolve to the branch to follow; an "llm" router runs its classifier like an agent step
+    const runRouterStep = async (step, stepResult, { signal: stepSignal }) => {
+      let retries = 0;
+      const usageRecorder = createUsageRecorder();
+      try {
+        const { branch, classification } = await evaluateRouter(step, stepResult.input, (classifier, text) =>
+          onRunAgent(classifier, text, {}, [], {
+            onRetry: (info) => {
+              retries++;
+              emit('step:retry', { stepId: step.id, retry: info });
+            },
+            onUsage: usageRecorder.onUsage,
+            signal: stepSignal,
+            budgets: [workflowBudget],
+          })
+        );
+        finishStep({
+          ...stepResult,
+          output: stepResult.input,
+          branch,
+          branchLabel: getBranchLabel(step.router, branch),
+          ...(classification !== undefined ? { classification } : {}),
+          status: 'success',
+          retries,
+          usage: usageRecorder.summary
+        });
+        return branch;
+      } catch (error) {
+        failStep({ ...stepResult, retries, usage: usageRecorder.summary }, error);
+        throw error;
+      }
+    };
+
+    // Foreach / loop steps run their agents per item or iteration
+    const runLoopLikeStep = async (step, stepResult, { signal: stepSignal }) => {
+      let retries = 0;
+      const usageRecorder = createUsageRecorder();
+
+      const runAgentStep = (agentId, agentInput, { label }) => {
+        const agent = agents.find(a => a.id === agentId);
+        if (!agent) {
+          throw new Error(`Agent not found: ${agentId}`);
+        }
+        return callAgent(agent, agentInput, {
+          stepId: step.id,
+          customParams: getStepParams(null, agent),
+          signal: stepSignal,
+          usageRecorder,
+          onRetry: () => retries++,
+          streamKey: `${step.id}:${label}`,
+          title: `${label} · ${agent.name}`
+        });
+      };
+
+      try {
+        const run = step.type === 'foreach' ? runForEachStep : runLoopStep;
+        const { output, items, iterations, conditionMet } = await run(step, stepResult.input, runAgentStep, {
+          signal: stepSignal,
+          onProgress: (progress) => emit('step:progress', { stepId: step.id, progress })
+        });
+        finishStep({
+          ...stepResult,
+          output,
+          ...(items ? { itemCount: items.length } : { iterations, conditionMet }),
+          status: 'success',
+          retries,
+          usage: usageRecorder.summary
+        });
+        return output;
+      } catch (error) {
+        failStep({ ...stepResult, retries, usage: usageRecorder.summary }, error);
+        throw error;
+      }
+    };
+
+    // Approval steps wait for respond(); without a step:approval listener nobody could answer
+    const runApprovalStep = async (step, stepResult, { signal: stepSignal }) => {
+      if (!listeners['step:approval']?.length) {
+        const error = new Error(`"${stepResult.agentName}" needs a person's approval. Run this workflow from the Workflow Runner`);
+        failStep(stepResult, error);
+        throw error;
+      }
+
+      let decision;
+      try {
+        decision = await raceWithSignal(new Promise(resolve => {
+          pending[step.id] = { result: { ...stepResult, output: null, status: 'pending' }, resolve };
+          emit('step:approval', {
+            stepId: step.id,
+            label: stepResult.agentName,
+            input: stepResult.input,
+            instructions: getApprovalSettings(step).instructions
+          });
+        }), stepSignal);
+      } catch (error) {
+        delete pending[step.id];
+        failStep(stepResult, error);
+        throw error;
+      }
+      delete pending[step.id];
+
+      const approval = describeDecision(decision, stepResult.input);
+      if (approval.decision === 'rejected') {
+        const rejection = createRejectionError(stepResult.agentName, approval.comment);
+        failStep({ ...stepResult, approval }, rejection);
+        throw rejection;
+      }
+      finishStep({ ...stepResult, output: decision.text, approval, status: 'success' });
+      return decision.text;
+    };
+
+    const runAgentStep = async (step, stepResult, { signal: stepSignal, templateContext }) => {
+      const agent = agents.find(a => a.id === step.agentId);
+      if (!agent) {
+        const error = new Error(`Agent not found: ${step.agentId}`);
+        failStep({ ...stepResult, agentId: step.agentId }, error);
+        throw error;
+      }
+
+      let streamedOutput = '';
+      let retries = 0;
+      const usageRecorder = createUsageRecorder();
+      const agentResult = { ...stepResult, agentId: agent.id };
+      try {
+        const output = await callAgent(agent, stepResult.input, {
+          stepId: step.id,
+          customParams: getStepParams(step, agent, templateContext),
+          signal: stepSignal,
+          usageRecorder,
+          onRetry: () => retries++,
+          onText: (text) => {
+            streamedOutput = text;
+          }
+        });
+        finishStep({ ...agentResult, output, status: 'success', retries, usage: usageRecorder.summary });
+        return output;
+      } catch (error) {
+        const partialOutput = getStopStatus(error) ? (error.partialOutput || streamedOutput || null) : null;
+        failStep({ ...agentResult, output: partialOutput, retries, usage: usageRecorder.summary }, error);
+        throw error;
+      }
+    };
+
+    const runStep = async (step, defaultInput, context) => {
+      const label = getStepLabel(step, agents);
+      let input = resume?.inputOverrides?.[step.id];
+      let templateError = null;
+      if (input === undefined || input === null) {
+        try {
+          input = getStepInput(step, context.templateContext);
+        } catch (error) {
+          input = defaultInput;
+          templateError = new Error(`Input template of "${label}": ${error.message}`);
+        }
+      }
+      const stepResult = {
+        step: context.index + 1,
+        stepId: step.id,
+        ...(step.type ? { type: step.type, agentId: null } : {}),
+        agentName: label,
+        input
+      };
+      emit('step:started', { stepId: step.id, step: stepResult.step, label, input });
+      // Recorded like any other step failure, so the run log shows which template broke
+      if (templateError) {
+        failStep(stepResult, templateError);
+        throw templateError;
+      }
+
+      if (isRouterStep(step)) return runRouterStep(step, stepResult, context);
+      if (isLoopStep(step)) return runLoopLikeStep(step, stepResult, context);
+      if (isApprovalStep(step)) return runApprovalStep(step, stepResult, context);
+      return runAgentStep(step, stepResult, context);
+    };
+
+    // Steps on branches a router did not take
+    const skipStep = (step, { index }) => {
+      finishStep({
+        step: index + 1,
+        stepId: step.id,
+        ...(step.type ? { type: step.type } : { agentId: step.agentId }),
+        agentName: getStepLabel(step, agents),
+        input: null,
+        output: null,
+        status: 'skipped'
+      });
+    };
+
+    let summary;
+    try {
+      // The workflow budget spans every step; each step's agent also has its own
+      workflowBudget = await createWorkflowBudgetGuard(workflow);
+      checkBudgets([workflowBudget]);
+
+      const { finalOutput } = await executeWorkflowGraph(workflow, input, runStep, {
+        signal,
+        inputs,
+        completed: resumeState?.completed,
+        getLabel: (step) => getStepLabel(step, agents),
+        onStepSkipped: skipStep
+      });
+      summary = { status: 'success', output: finalOutput };
+    } catch (error) {
+      const status = getStopStatus(error);
+      const ordered = [...results].sort(byStep);
+      // Partial output: what the stopped step produced, else the last completed step's output
+      const stoppedStep = ordered.find(result => result.status === status && result.output);
+      const partialOutput = stoppedStep
+        ? stoppedStep.output
+        : ordered.filter(result => result.status === 'success').pop()?.output || null;
+
+      if (!status) console.error('Workflow execution failed:', error);
+      summary = {
+        status: status || 'error',
+        output: status ? partialOutput : null,
+        ...(status !== 'cancelled' ? { error: error.message } : {})
+      };
+    }
+
+    const { results: finalResults, usage, retries } = getState();
+    summary = { ...summary, results: finalResults, usage, retries };
+    emit('run:finished', summary);
+    return summary;
+  };
+
+  return { on, start, respond, getState };
+};
@@ -0,0 +1,222 @@
+// src/services/workflowGraph.js
+// Workflows as directed acyclic graphs.
+// `workflow.agents` holds the steps (graph nodes): { id, agentId, order, position: { x, y } }
+// and `workflow.edges` the connections between them: { from, to } (step ids).
+// A step with several outgoing edges fans out (its successors run in parallel); a step with
+// several incoming edges is a join and receives their combined outputs.
+// Workflows saved before graphs have neither step ids nor edges and are read as a chain in `order`.
+// Steps run an agent by default; `type: 'router'` steps choose which outgoing edges to follow
+// (each edge leaving a router names its `branch`, see routerService.js), and `type: 'foreach'` /
+// `type: 'loop'` steps run a sub-sequence of agents (`agentIds`) per item or until a condition
+// holds (see loopSteps.js). `type: 'approval'` steps wait for a person to approve their input (see
+// approvalSteps.js).
+
+import { getRouterBranches, validateRouter } from './routerService';
+import { isLoopStep, validateLoopStep } from './loopSteps';
+
+export const NODE_WIDTH = 180;
+export const NODE_HEIGHT = 64;
+const COLUMN_GAP = 60;
+const ROW_GAP = 24;
+const CANVAS_PADDING = 24;
+
+/**
+ * Steps (sorted by `order`, with ids) and valid edges of a workflow. Never mutates the workflow.
+ */
+export const getWorkflowGraph = (workflow) => {
+  const steps = [...(workflow?.agents || [])]
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((step, index) => ({ ...step, id: step.id || `step-${index + 1}` }));
+  const ids = new Set(steps.map(step => step.id));
+
+  const edges = Array.isArray(workflow?.edges)
+    ? workflow.edges.filter(edge => ids.has(edge.from) && ids.has(edge.to) && edge.from !== edge.to)
+    : steps.slice(1).map((step, index) => ({ from: steps[index].id, to: step.id }));
+
+  return { steps, edges };
+};
+
+export const isRouterStep = (step) => step?.type === 'router';
+
+const DEFAULT_STEP_NAMES = { router: 'Router', foreach: 'For each', loop: 'Repeat until', approval: 'Approval' };
+
+/**
+ * Display name of a step: the name it was given, else its kind (routers, loops, approvals) or its agent's name.
+ * Input templates refer to earlier steps by this name (see stepTemplates.js).
+ */
+export const getStepLabel = (step, agents = []) => {
+  if (step?.name?.trim()) return step.name.trim();
+  if (DEFAULT_STEP_NAMES[step?.type]) return DEFAULT_STEP_NAMES[step.type];
+  return agents.find(a => a.id === step?.agentId)?.name || 'Missing agent';
+};
+
+/**
+ * Every agent id a workflow uses, including the sub-sequences of foreach / loop steps
+ */
+export const getWorkflowAgentIds = (workflow) => {
+  const ids = (workflow?.agents || []).flatMap(step => [step.agentId, ...(step.agentIds || [])]);
+  return [...new Set(ids.filter(id => id !== undefined && id !== null))];
+};
+
+/**
+ * Copy of a workflow with agent ids replaced through `idMap` (ids missing from the map are kept)
+ */
+export const remapWorkflowAgentIds = (workflow, idMap) => {
+  const remap = (id) => (idMap[id] !== undefined ? idMap[id] : id);
+  return {
+    ...workflow,
+    agents: (workflow.agents || []).map(step => ({
+      ...step,
+      ...(step.agentId !== undefined ? { agentId: remap(step.agentId) } : {}),
+      ...(step.agentIds ? { agentIds: step.agentIds.map(remap) } : {})
+    }))
+  };
+};
+
+export const getPredecessors = (graph, stepId) =>
+  graph.edges.filter(edge => edge.to === stepId).map(edge => edge.from);
+
+export const getSuccessors = (graph, stepId) =>
+  graph.edges.filter(edge => edge.from === stepId).map(edge => edge.to);
+
+/**
+ * Ids of every step that runs before `stepId` (its predecessors, theirs, and so on)
+ */
+export const getAncestors = (graph, stepId) => {
+  const ancestors = new Set();
+  const visit = (id) => getPredecessors(graph, id).forEach(from => {
+    if (ancestors.has(from)) return;
+    ancestors.add(from);
+    visit(from);
+  });
+  visit(stepId);
+  return [...ancestors];
+};
+
+/**
+ * New edge; one leaving a router takes the first branch that has no connection yet
+ */
+export const createEdge = (graph, from, to) => {
+  const step = graph.steps.find(s => s.id === from);
+  if (!isRouterStep(step)) return { from, to };
+
+  const options = getRouterBranches(step.router);
+  const used = graph.edges.filter(edge => edge.from === from).map(edge => edge.branch);
+  return { from, to, branch: (options.find(option => !used.includes(option.value)) || options[0]).value };
+};
+
+/**
+ * Group steps into levels: every step comes after all of its predecessors.
+ * Throws if the edges contain a cycle.
+ */
+export const getStepLevels = (graph) => {
+  const remaining = new Map(graph.steps.map(step => [step.id, getPredecessors(graph, step.id).length]));
+  const levels = [];
+
+  let ready = graph.steps.filter(step => remaining.get(step.id) === 0).map(step => step.id);
+  while (ready.length > 0) {
+    levels.push(ready);
+    ready.forEach(id => remaining.delete(id));
+    const next = [];
+    ready.forEach(id => {
+      getSuccessors(graph, id).forEach(successor => {
+        remaining.set(successor, remaining.get(successor) - 1);
+        if (remaining.get(successor) === 0) next.push(successor);
+      });
+    });
+    ready = next;
+  }
+
+  if (remaining.size > 0) {
+    throw new Error('Workflow steps form a cycle');
+  }
+  return levels;
+};
+
+/**
+ * Step ids in execution order (topological order)
+ */
+export const sortStepIds = (graph) => getStepLevels(graph).flat();
+
+/**
+ * Whether adding an edge from → to would create a cycle (including a step linked to itself)
+ */
+export const wouldCreateCycle = (graph, from, to) => {
+  if (from === to) return true;
+  const stack = [to];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === from) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...getSuccessors(graph, id));
+  }
+  return false;
+};
+
+/**
+ * First problem that stops a workflow graph from running, or null
+ */
+export const validateWorkflowGraph = (graph) => {
+  if (graph.steps.length === 0) return 'Add at least one step';
+  try {
+    getStepLevels(graph);
+  } catch (error) {
+    return error.message;
+  }
+
+  for (const step of graph.steps.filter(isRouterStep)) {
+    const name = `Router "${step.name || 'Router'}"`;
+    const problem = validateRouter(step.router);
+    if (problem) return `${name} ${problem}`;
+
+    const branches = getRouterBranches(step.router).map(option => option.value);
+    const outgoing = graph.edges.filter(edge => edge.from === step.id);
+    if (outgoing.length === 0) return `${name} has no outgoing connections`;
+    if (outgoing.some(edge => !branches.includes(edge.branch))) {
+      return `Choose a branch for every connection leaving ${name}`;
+    }
+  }
+
+  for (const step of graph.steps.filter(isLoopStep)) {
+    const problem = validateLoopStep(step);
+    if (problem) return `"${getStepLabel(step)}" ${problem}`;
+  }
+  return null;
+};
+
+/**
+ * Editor positions: saved ones are kept, missing ones are laid out in columns by level
+ */
+export const layoutSteps = (graph) => {
+  let levels;
+  try {
+    levels = getStepLevels(graph);
+  } catch {
+    levels = [graph.steps.map(step => step.id)];
+  }
+
+  const positions = {};
+  levels.forEach((level, column) => {
+    level.forEach((id, row) => {
+      positions[id] = {
+        x: CANVAS_PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+        y: CANVAS_PADDING + row * (NODE_HEIGHT + ROW_GAP)
+      };
+    });
+  });
+
+  return graph.steps.map(step => ({ ...step, position: step.position || positions[step.id] }));
+};
+
+/**
+ * Input for a join: each output under a heading with its step's label.
+ * A single output is passed through unchanged.
+ */
+export const combineOutputs = (entries) => {
+  if (entries.length === 1) return entries[0].output;
+  return entries
+    .map(({ label, output }) => `## ${label}\n\n${output ?? ''}`)
+    .join('\n\n---\n\n');
+};
@@ -0,0 +1,90 @@
+// src/services/workflowInputs.js
+// Typed workflow inputs. `workflow.inputs` declares fields like agents' customParameters:
+// { key, type: 'text' | 'number' | 'select' | 'file', value (default), options (comma-separated,
+// for select), required }. The runner renders them as a form; steps read them as {{inputs.<key>}}
+// (see stepTemplates.js) and entry steps receive all of them as text.
+// Values are kept per key: text for text / number / select, { fileName, text } for files.
+
+export const INPUT_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'select', label: 'Dropdown' },
+  { value: 'file', label: 'File' }
+];
+
+const INPUT_KEY = /^[A-Za-z_][\w]*$/;
+
+export const getInputOptions = (input) =>
+  (input.options || '').split(',').map(option => option.trim()).filter(Boolean);
+
+/**
+ * First problem with a workflow's input declarations, or null
+ */
+export const validateInputSchema = (inputs = []) => {
+  const keys = new Set();
+  for (const input of inputs) {
+    const key = input.key?.trim();
+    if (!key) return 'Every workflow input needs a name';
+    if (!INPUT_KEY.test(key)) return `Input "${key}": names may only use letters, numbers and _`;
+    if (keys.has(key)) return `Two workflow inputs are named "${key}"`;
+    if (input.type === 'select' && getInputOptions(input).length === 0) return `Input "${key}" needs dropdown options`;
+    keys.add(key);
+  }
+  return null;
+};
+
+/**
+ * Initial form values: each input's default (files start empty)
+ */
+export const getDefaultInputValues = (inputs = []) => Object.fromEntries(inputs.map(input => {
+  if (input.type === 'file') return [input.key, null];
+  if (input.type === 'select') {
+    const options = getInputOptions(input);
+    const fallback = input.required ? options[0] || '' : '';
+    return [input.key, options.includes(input.value) ? input.value : fallback];
+  }
+  return [input.key, input.value ?? ''];
+}));
+
+const isEmpty = (input, value) => (input.type === 'file' ? !value?.text : String(value ?? '').trim() === '');
+
+/**
+ * Problems with the submitted values, by input key (empty when the run can start)
+ */
+export const validateInputValues = (inputs = [], values = {}) => {
+  const errors = {};
+  inputs.forEach(input => {
+    const value = values[input.key];
+    if (isEmpty(input, value)) {
+      if (input.required) errors[input.key] = 'Required';
+      return;
+    }
+    if (input.type === 'number' && !Number.isFinite(Number(value))) {
+      errors[input.key] = 'Must be a number';
+    } else if (input.type === 'select' && !getInputOptions(input).includes(value)) {
+      errors[input.key] = `Choose one of: ${getInputOptions(input).join(', ')}`;
+    }
+  });
+  return errors;
+};
+
+/**
+ * Values as text, by key, for {{inputs.<key>}} in templates
+ */
+export const getInputTexts = (inputs = [], values = {}) => Object.fromEntries(inputs.map(input => {
+  const value = values[input.key];
+  return [input.key, input.type === 'file' ? value?.text || '' : String(value ?? '')];
+}));
+
+/**
+ * The workflow input entry steps receive: every filled-in value as `key: value`, separated by blank lines
+ */
+export const formatInputValues = (inputs = [], values = {}) => inputs
+  .filter(input => !isEmpty(input, values[input.key]))
+  .map(input => {
+    const value = values[input.key];
+    return input.type === 'file'
+      ? `${input.key} (${value.fileName}):\n${value.text}`
+      : `${input.key}: ${value}`;
+  })
+  .join('\n\n');
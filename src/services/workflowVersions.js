@@ -0,0 +1,149 @@
+// src/services/workflowVersions.js
+// Workflow versions. Every save of a workflow also stores an immutable copy of its configuration
+// (store `workflow_versions`: { id, workflowId, version, snapshot, savedAt, restoredFrom? }) and
+// stamps the workflow with `version` / `versionId`; runs log the version they ran as
+// `workflowVersion` / `workflowVersionId`. Restoring an old version saves it again as a new version,
+// so the history is never rewritten.
+
+import { getWorkflowGraph, getStepLabel } from './workflowGraph';
+
+// Record fields that are not part of a workflow's configuration
+const METADATA_FIELDS = ['id', 'createdAt', 'updatedAt', 'version', 'versionId', 'exportedAt'];
+
+// Step fields that only affect the layout in the builder
+const LAYOUT_FIELDS = ['position', 'order'];
+
+/**
+ * The configuration of a workflow, as stored in a version
+ */
+export const getWorkflowSnapshot = (workflow) => {
+  const snapshot = { ...workflow };
+  METADATA_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * The fields of a workflow's log entry that say which version ran (none for workflows saved
+ * before versioning)
+ */
+export const getVersionLogFields = (workflow) => (workflow?.versionId
+  ? { workflowVersion: workflow.version, workflowVersionId: workflow.versionId }
+  : {});
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const isSet = (limit) => limit !== undefined && limit !== null && String(limit).trim() !== '';
+
+const describeBudget = (budget = {}) => {
+  const parts = [
+    isSet(budget.maxTokensPerRun) && `${budget.maxTokensPerRun} tokens per run`,
+    isSet(budget.maxToolIterations) && `${budget.maxToolIterations} tool iterations`,
+    isSet(budget.maxDailySpend) && `$${budget.maxDailySpend} per day`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'No limits';
+};
+
+const describeInputs = (inputs = []) => (inputs.length > 0
+  ? inputs.map(input => `${input.key} (${input.type}${input.required ? ', required' : ''})`).join(', ')
+  : 'None');
+
+const SETTINGS = [
+  { key: 'name', label: 'Name', describe: (snapshot) => snapshot.name || '' },
+  { key: 'description', label: 'Description', describe: (snapshot) => snapshot.description || '' },
+  { key: 'budget', label: 'Budget', describe: (snapshot) => describeBudget(snapshot.budget || {}) },
+  { key: 'inputs', label: 'Inputs', describe: (snapshot) => describeInputs(snapshot.inputs) }
+];
+
+/**
+ * Readable lines describing one step's configuration, e.g. ["Agent: Writer", "Input template: …"]
+ */
+export const describeStep = (step, agents = []) => {
+  const agentName = (id) => agents.find(agent => agent.id === id)?.name || 'Missing agent';
+  const lines = [];
+  if (step.type === 'router') lines.push(`Router: ${JSON.stringify(step.router || {})}`);
+  else if (step.type === 'foreach') lines.push(`For each: ${(step.agentIds || []).map(agentName).join(' → ')}`, `Settings: ${JSON.stringify(step.foreach || {})}`);
+  else if (step.type === 'loop') lines.push(`Loop: ${(step.agentIds || []).map(agentName).join(' → ')}`, `Settings: ${JSON.stringify(step.loop || {})}`);
+  else if (step.type === 'approval') lines.push(`Approval: ${step.approval?.instructions || 'no instructions'}`);
+  else lines.push(`Agent: ${agentName(step.agentId)}`);
+
+  if (step.inputTemplate) lines.push(`Input template: ${step.inputTemplate}`);
+  Object.entries(step.params || {}).forEach(([key, value]) => lines.push(`Parameter ${key}: ${value}`));
+  return lines;
+};
+
+const withoutLayout = (step) => {
+  const config = { ...step };
+  LAYOUT_FIELDS.forEach(field => delete config[field]);
+  return config;
+};
+
+const edgeKey = (edge) => `${edge.from}|${edge.to}|${edge.branch || ''}`;
+
+/**
+ * Compare two workflow snapshots. Returns
+ * { settings: [{ key, label, before, after, changed }],
+ *   steps: [{ stepId, status: 'added' | 'removed' | 'changed' | 'unchanged', label, before, after }],
+ *   edges: { added: [text], removed: [text] } }
+ * where step `before` / `after` are describeStep() lines (null when the step is absent).
+ * Layout changes (step positions) are ignored.
+ */
+export const diffWorkflowSnapshots = (older, newer, agents = []) => {
+  const settings = SETTINGS.map(({ key, label, describe }) => {
+    const before = describe(older);
+    const after = describe(newer);
+    return { key, label, before, after, changed: before !== after };
+  });
+
+  const olderGraph = getWorkflowGraph(older);
+  const newerGraph = getWorkflowGraph(newer);
+  const olderSteps = Object.fromEntries(olderGraph.steps.map(step => [step.id, step]));
+  const newerIds = new Set(newerGraph.steps.map(step => step.id));
+
+  const steps = [
+    ...newerGraph.steps.map(step => {
+      const previous = olderSteps[step.id];
+      const status = !previous ? 'added' : same(withoutLayout(previous), withoutLayout(step)) ? 'unchanged' : 'changed';
+      return {
+        stepId: step.id,
+        status,
+        label: getStepLabel(step, agents),
+        before: previous ? describeStep(previous, agents) : null,
+        after: describeStep(step, agents)
+      };
+    }),
+    ...olderGraph.steps
+      .filter(step => !newerIds.has(step.id))
+      .map(step => ({
+        stepId: step.id,
+        status: 'removed',
+        label: getStepLabel(step, agents),
+        before: describeStep(step, agents),
+        after: null
+      }))
+  ];
+
+  const describeEdge = (graph) => (edge) => {
+    const label = (id) => getStepLabel(graph.steps.find(step => step.id === id), agents);
+    return `${label(edge.from)} → ${label(edge.to)}${edge.branch ? ` (${edge.branch})` : ''}`;
+  };
+  const olderEdges = new Set(olderGraph.edges.map(edgeKey));
+  const newerEdges = new Set(newerGraph.edges.map(edgeKey));
+
+  return {
+    settings,
+    steps,
+    edges: {
+      added: newerGraph.edges.filter(edge => !olderEdges.has(edgeKey(edge))).map(describeEdge(newerGraph)),
+      removed: olderGraph.edges.filter(edge => !newerEdges.has(edgeKey(edge))).map(describeEdge(olderGraph))
+    }
+  };
+};
+
+/**
+ * Whether a diff found any difference
+ */
+export const hasChanges = (diff) =>
+  diff.settings.some(setting => setting.changed)
+  || diff.steps.some(step => step.status !== 'unchanged')
+  || diff.edges.added.length > 0
+  || diff.edges.removed.length > 0;